@@ -3,6 +3,7 @@ const morgan = require('morgan')
 const cookieParser = require('cookie-parser')
 const jsxEngine = require('jsx-view-engine')
 const methodOverride = require('method-override')
+const auth = require('./middleware/auth')
 
 const app = express()
 
@@ -10,6 +11,9 @@ const app = express()
 app.set('view engine', 'jsx')
 app.engine('jsx', jsxEngine())
 
+// Behind a reverse proxy (e.g. Render), trust X-Forwarded-For so req.ip is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+
 // Middleware
 app.use(morgan('dev'))
 app.use(cookieParser())
@@ -25,6 +29,7 @@ app.use((req, res, next) => {
 app.use(express.static('public'))
 
 // ── Web Routes (server-rendered views) ────────────────────────────────────────
+// Web and API routes share the same auth middleware (cookie session + CSRF, or Bearer token)
 const authorRoutes = require('./controllers/auth/routeController')
 const postRoutes = require('./controllers/posts/routeController')
 const authDataController = require('./controllers/auth/dataController')
@@ -33,21 +38,32 @@ const authViewController = require('./controllers/auth/viewController')
 app.use('/authors', authorRoutes)
 app.use('/posts', postRoutes)
 
+// Public profiles by handle, e.g. /@jordan.blake (old handles redirect to the current one)
+app.get('/@:handle', auth, authDataController.findAuthorByHandle, authDataController.showAuthorProfile, authViewController.showAuthorProfile)
+
 // Explore / search people
-app.get('/explore', authDataController.auth, authDataController.explore, authViewController.explore)
+app.get('/explore', auth, authDataController.explore, authViewController.explore)
 
-// Saved posts
+// Saved posts and collections
+const collectionWebRoutes = require('./controllers/collections/routeController')
+app.use('/saved', collectionWebRoutes)
+
+// Hashtag pages
 const postsDataController = require('./controllers/posts/dataController')
 const postsViewController = require('./controllers/posts/viewController')
-app.get('/saved', authDataController.auth, postsDataController.savedFeed, postsViewController.savedFeed)
+app.get('/tags/:tag', auth, postsDataController.hashtagFeed, postsViewController.hashtagFeed)
 
-// Hashtag pages
-app.get('/tags/:tag', authDataController.auth, postsDataController.hashtagFeed, postsViewController.hashtagFeed)
+// Place pages (geotagged posts)
+app.get('/places/:id', auth, postsDataController.placeFeed, postsViewController.placeFeed)
 
 // Messages (DMs)
 const messageWebRoutes = require('./controllers/messages/routeController')
 app.use('/messages', messageWebRoutes)
 
+// "Allow this app?" consent page (OAuth2 authorization-code flow)
+const oauthWebRoutes = require('./controllers/oauth/routeController')
+app.use('/oauth', oauthWebRoutes)
+
 // ── API Routes (JSON) ──────────────────────────────────────────────────────────
 const apiRoutes = require('./routes/apiRoutes')           // auth + authors + posts
 app.use('/api', apiRoutes)
@@ -58,14 +74,22 @@ app.use('/api', commentRoutes)
 const messageRoutes = require('./routes/messageRoutes')   // direct messages
 app.use('/api', messageRoutes)
 
+const oauthRoutes = require('./routes/oauthRoutes')       // OAuth2 tokens, apps, approvals
+app.use('/api/oauth', oauthRoutes)
+
 const tagRoutes = require('./routes/tagRoutes')           // hashtags
 app.use('/api/tags', tagRoutes)
 
+const placeRoutes = require('./routes/placeRoutes')       // geotag places
+app.use('/api/places', placeRoutes)
+
+const collectionRoutes = require('./routes/collectionRoutes') // saved-post collections
+app.use('/api/collections', collectionRoutes)
+
 // Save/unsave + saved feed API routes
 const postApiController = require('./controllers/posts/apiController')
-const auth = require('./middleware/auth')
-app.post('/api/posts/:id/save', auth, postApiController.savePost)
-app.get('/api/authors/saved', auth, postApiController.getSaved)
+app.post('/api/posts/:id/save', auth.scope('write:posts'), postApiController.savePost)
+app.get('/api/authors/saved', auth.scope('read:posts'), postApiController.getSaved)
 
 // Root → redirect to sign-in
 app.get('/', (req, res) => {
@@ -1,48 +1,39 @@
 /**
- * Auth API controller: signup, login, and middleware to protect routes.
- * Used by API routes only (JSON responses).
+ * Auth API controller: signup, login, token refresh/logout, login sessions and author CRUD.
+ * Used by API routes only (JSON responses); routes are protected by middleware/auth.js.
  */
 const mongoose = require('mongoose')
 const Author = require('../../models/author')
+const Place = require('../../models/place')
+const Upload = require('../../models/upload')
+const RefreshToken = require('../../models/refreshToken')
+const Session = require('../../models/session')
+const LoginThrottle = require('../../models/loginThrottle')
+const ApiKey = require('../../models/apiKey')
+const FollowRequest = require('../../models/followRequest')
+const OneTimeToken = require('../../models/oneTimeToken')
+const DataExport = require('../../models/dataExport')
+const emails = require('../../services/emails')
+const dataExport = require('../../services/dataExport')
+const { ROLES, SCOPES, parseScopes } = require('../../services/permissions')
+const { checkPassword } = require('../../services/passwordPolicy')
+const auth = require('../../middleware/auth')
 const bcrypt = require('bcrypt')
-const jwt = require('jsonwebtoken')
+const QRCode = require('qrcode')
 
-/**
- * Middleware: protect routes by validating JWT.
- * Expects token in Authorization header (Bearer <token>) or query (?token=).
- * On success sets req.user to the author document; on failure sends 401 JSON.
- */
-exports.auth = async (req, res, next) => {
-  try {
-    // Get token from Authorization header (strip "Bearer ") or from query string
-    const token =
-      req.header('Authorization')?.replace('Bearer ', '') ||
-      req.query.token
-
-    // Reject if no token was sent
-    if (!token) throw new Error('No token provided')
-
-    // Decode and verify the JWT; throws if invalid or expired
-    const data = jwt.verify(token, process.env.JWT_SECRET || 'secret')
-    // Load the author document by ID from the token
-    const author = await Author.findOne({ _id: data._id })
-
-    // Reject if author was deleted after token was issued
-    if (!author) throw new Error('Author not found')
-
-    // Attach author to request so the next handler can use req.user
-    req.user = author
-    next()
-  } catch (error) {
-    // Send 401 Unauthorized with error message
-    res.status(401).json({ message: 'Not authorized', error: error.message })
-  }
-}
+// Someone else has (or had) the handle: duplicate key, model validation or Author#changeHandle
+const isHandleTaken = (error) =>
+  (error.code === 11000 && error.keyPattern?.handle) ||
+  error.message === 'Handle is already taken' ||
+  error.errors?.handle?.message === 'Handle is already taken'
 
 /**
  * POST signup: create a new author.
- * Body: name, email, password (all required).
- * Returns 201 with { author, token }; 400 on validation/duplicate error.
+ * Body: name, email, password (all required; password must meet services/passwordPolicy.js),
+ * handle (optional; derived from the name if omitted), bio, website, location, isPrivate (optional).
+ * Any other field is ignored.
+ * The account starts unverified and a verification link is emailed to the address.
+ * Returns 201 with { author, token, refreshToken }; 400 on validation/duplicate error; 409 if the handle is taken.
  */
 exports.createAuthor = async (req, res) => {
   try {
@@ -50,38 +41,514 @@ exports.createAuthor = async (req, res) => {
     if (!req.body.name || !req.body.email || !req.body.password) {
       return res.status(400).json({ message: 'Name, email, and password are required' })
     }
-    // Create a new Author from request body (password will be hashed by model pre-save)
-    const author = new Author(req.body)
+    const weakPassword = checkPassword(req.body.password, req.body)
+    if (weakPassword) return res.status(400).json({ message: weakPassword })
+    // Only the signup fields are taken: only the emailed link verifies an address, only admins grant
+    // roles, and the rest of the account starts empty (password hashed by model pre-save)
+    const author = Author.fromSignup(req.body)
     await author.save()
-    // Generate JWT so client can use it for protected requests
-    const token = await author.generateAuthToken()
-    res.status(201).json({ author, token })
+    // A mail outage should not block signup – the author can ask for a new link later
+    await author.sendVerificationEmail().catch((err) => console.error('Verification email failed:', err.message))
+    // Record the login session and issue a short-lived JWT plus a refresh token to renew it
+    const { token, refreshToken } = await author.startSession(req)
+    res.status(201).json({ author: author.toAccountJSON(), token, refreshToken })
   } catch (error) {
     // Duplicate email: return user-friendly message instead of raw Mongo error
     if (error.code === 11000 && error.keyPattern?.email) {
       return res.status(400).json({ message: 'Email already exists' })
     }
+    if (isHandleTaken(error)) return res.status(409).json({ message: 'Handle is already taken' })
     // Validation or other error
     res.status(400).json({ message: error.message })
   }
 }
 
+// 429 for a throttled login, telling the client when to retry (header and body)
+const tooManyLoginAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter))
+  res.status(429).json({ message: 'Too many login attempts', error: LoginThrottle.retryMessage(retryAfter), retryAfter })
+}
+
 /**
  * POST login: authenticate by email + password.
  * Body: email, password.
- * Returns { author, token }; 400 if credentials invalid.
+ * Returns { author, token, refreshToken }; 400 if credentials invalid.
+ * If the author has 2FA enabled, returns { twoFactorRequired: true, challengeToken } instead –
+ * finish with POST /auth/login/2fa.
+ * Failed attempts are counted per account and per IP: repeated failures must wait before trying
+ * again and eventually lock the account for a while – 429 with Retry-After (see models/loginThrottle.js).
  */
 exports.loginAuthor = async (req, res) => {
   try {
+    const keys = LoginThrottle.keysFor(req, req.body.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return tooManyLoginAttempts(res, retryAfter)
     // Find author by email
     const author = await Author.findOne({ email: req.body.email })
-    // If not found or password doesn't match hash, reject
+    // If not found or password doesn't match hash, count the failure and reject
     if (!author || !(await bcrypt.compare(req.body.password, author.password))) {
+      const wait = await LoginThrottle.recordFailure(keys)
+      if (wait) res.set('Retry-After', String(wait))
       return res.status(400).json({ message: 'Invalid login credentials' })
     }
-    // Generate JWT for this session
-    const token = await author.generateAuthToken()
-    res.json({ author, token })
+    // Password was right but a second factor is still needed – no tokens yet, and the failure count
+    // stays until the code is right too (loginTwoFactor)
+    if (author.twoFactorEnabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: author.generateTwoFactorChallenge() })
+    }
+    await LoginThrottle.clearAccount(author.email)
+    // Start a new session (device) with its JWT and refresh token
+    const { token, refreshToken } = await author.startSession(req)
+    res.json({ author: author.toAccountJSON(), token, refreshToken })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST login/2fa: second login step for authors with 2FA enabled.
+ * Body: challengeToken (from POST /auth/login, valid 5 minutes), code (authenticator code or recovery code).
+ * Returns { author, token, refreshToken }; 400 if fields missing, challenge expired or code invalid;
+ * 429 with Retry-After after too many wrong codes (counted like failed passwords).
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: 'Challenge token and code are required' })
+    }
+    let author
+    try {
+      author = await Author.findByTwoFactorChallenge(challengeToken)
+    } catch (error) {
+      return res.status(400).json({ message: 'Login attempt expired, please log in again' })
+    }
+    const keys = LoginThrottle.keysFor(req, author.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return tooManyLoginAttempts(res, retryAfter)
+    if (!(await author.verifyTwoFactorCode(code))) {
+      const wait = await LoginThrottle.recordFailure(keys)
+      if (wait) res.set('Retry-After', String(wait))
+      return res.status(400).json({ message: 'Invalid two-factor code' })
+    }
+    await LoginThrottle.clearAccount(author.email)
+    const { token, refreshToken } = await author.startSession(req)
+    res.json({ author: author.toAccountJSON(), token, refreshToken })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+// --- Two-factor authentication (auth required)
+
+/**
+ * POST 2fa/setup: start enrolment. Generates a new secret for the authenticator app.
+ * Returns 200 with { secret, otpauthUrl, qrCode } (qrCode is a PNG data URL); 400 if 2FA is already on.
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' })
+    }
+    const { secret, otpauthUrl } = await req.user.startTwoFactorSetup()
+    const qrCode = await QRCode.toDataURL(otpauthUrl)
+    res.status(200).json({ secret, otpauthUrl, qrCode })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST 2fa/enable: confirm enrolment with a code from the authenticator app.
+ * Body: code (required).
+ * Returns 200 with { message, recoveryCodes } – the codes are only ever shown here; 400 if the code is wrong.
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' })
+    }
+    if (!req.body.code) return res.status(400).json({ message: 'Code is required' })
+    const recoveryCodes = await req.user.enableTwoFactor(req.body.code)
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid code – start setup again if the problem persists' })
+    }
+    res.status(200).json({ message: 'Two-factor authentication enabled', recoveryCodes })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST 2fa/disable: turn 2FA off. Requires re-authentication with the current password
+ * and a current authenticator (or recovery) code.
+ * Body: password, code (both required).
+ * Returns 200 with { message }; 400 if 2FA is off, fields missing, or either check fails; 429 after
+ * too many wrong passwords or codes (counted like failed logins).
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' })
+    }
+    const { password, code } = req.body
+    if (!password || !code) return res.status(400).json({ message: 'Password and code are required' })
+    const keys = LoginThrottle.keysFor(req, req.user.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return tooManyLoginAttempts(res, retryAfter)
+    if (!(await bcrypt.compare(password, req.user.password))) {
+      await LoginThrottle.recordFailure(keys)
+      return res.status(400).json({ message: 'Incorrect password' })
+    }
+    if (!(await req.user.verifyTwoFactorCode(code))) {
+      await LoginThrottle.recordFailure(keys)
+      return res.status(400).json({ message: 'Invalid two-factor code' })
+    }
+    await LoginThrottle.clearAccount(req.user.email)
+    await req.user.disableTwoFactor()
+    res.status(200).json({ message: 'Two-factor authentication disabled' })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST refresh: swap a refresh token for a new access token + refresh token (rotation).
+ * Body: refreshToken (required). The presented token is revoked and cannot be used again;
+ * reusing a revoked token revokes every token from the same login.
+ * Returns 200 with { token, refreshToken }; 400 if missing; 401 if invalid, expired, reused, its
+ * login session has been logged out or the account is gone or scheduled for deletion.
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' })
+    }
+    // Revoke the presented token and issue the next one in its family (same checks as the cookie
+    // session: the author must still be active and the login session live)
+    const { token, refreshToken } = await auth.renewSession(req.body.refreshToken, req)
+    res.status(200).json({ token, refreshToken })
+  } catch (error) {
+    res.status(401).json({ message: 'Not authorized', error: error.message })
+  }
+}
+
+/**
+ * POST logout: end the login session the refresh token belongs to and revoke its tokens server-side.
+ * Body: refreshToken (required). Access tokens from the session stop working too.
+ * Returns 204 no content; 400 if missing.
+ */
+exports.logoutAuthor = async (req, res) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' })
+    }
+    await RefreshToken.revokeFamily(req.body.refreshToken)
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// --- Login sessions (auth required)
+
+// Shape a session for the client; `current` marks the one making the request
+const sessionJSON = (session, currentId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: String(session._id) === String(currentId),
+})
+
+/**
+ * GET sessions: list the author's active login sessions (devices), most recently used first.
+ * Returns 200 with { sessions: [{ _id, userAgent, ip, createdAt, lastSeenAt, current }] }.
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ author: req.user._id, revokedAt: null }).sort({ lastSeenAt: -1 })
+    res.status(200).json({ sessions: sessions.map((s) => sessionJSON(s, req.sessionId)) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE sessions/:id: log out one session (its access and refresh tokens stop working at once).
+ * Returns 204 no content; 400 if id invalid; 404 if not one of the author's active sessions.
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid session id' })
+    }
+    const session = await Session.findOne({ _id: req.params.id, author: req.user._id, revokedAt: null })
+    if (!session) return res.status(404).json({ message: 'Session not found' })
+    await Session.revoke(session._id)
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE sessions: log out everywhere – ends every session of the author, including this one, and
+ * revokes every app token and API key.
+ * Query: keepCurrent=true to stay logged in on the device making the request.
+ * Returns 204 no content.
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const keep = req.query.keepCurrent === 'true' ? req.sessionId : null
+    await req.user.logOutEverywhere(keep)
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// --- Password & email (auth required)
+
+/**
+ * PUT password: change the password. Requires the current password; every other device is logged
+ * out (the session making the change stays logged in) and the author is emailed.
+ * Body: currentPassword, newPassword (both required; newPassword must meet services/passwordPolicy.js).
+ * Returns 200 with { message }; 400 if fields missing, current password wrong, or new password too
+ * weak / unchanged; 429 after too many wrong current passwords (counted like failed logins).
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' })
+    }
+    const keys = LoginThrottle.keysFor(req, req.user.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return tooManyLoginAttempts(res, retryAfter)
+    if (!(await bcrypt.compare(currentPassword, req.user.password))) {
+      await LoginThrottle.recordFailure(keys)
+      return res.status(400).json({ message: 'Incorrect password' })
+    }
+    await LoginThrottle.clearAccount(req.user.email)
+
+    const weakPassword = checkPassword(newPassword, req.user)
+    if (weakPassword) return res.status(400).json({ message: weakPassword })
+    if (await bcrypt.compare(newPassword, req.user.password)) {
+      return res.status(400).json({ message: 'New password must be different from the current one' })
+    }
+    await req.user.changePassword(newPassword, req.sessionId)
+    res.status(200).json({ message: 'Password changed. Other devices have been logged out.' })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// Loose shape check – the confirmation email proves the address really works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * PUT email: ask to change the email address. Requires the current password. The login email only
+ * changes once the link sent to the new address is opened (POST email/confirm); the current
+ * address is notified.
+ * Body: password, email (both required).
+ * Returns 202 with { message, pendingEmail }; 400 if fields missing, invalid, unchanged or password
+ * wrong; 409 if another account uses the address; 429 after too many wrong passwords (counted like
+ * failed logins).
+ */
+exports.changeEmail = async (req, res) => {
+  try {
+    const { password } = req.body
+    const email = String(req.body.email || '').trim().toLowerCase()
+    if (!password || !email) return res.status(400).json({ message: 'Password and email are required' })
+    if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ message: 'Invalid email address' })
+    if (email === req.user.email) return res.status(400).json({ message: 'That is already your email address' })
+    const keys = LoginThrottle.keysFor(req, req.user.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return tooManyLoginAttempts(res, retryAfter)
+    if (!(await bcrypt.compare(password, req.user.password))) {
+      await LoginThrottle.recordFailure(keys)
+      return res.status(400).json({ message: 'Incorrect password' })
+    }
+    await LoginThrottle.clearAccount(req.user.email)
+    if (await Author.exists({ email })) return res.status(409).json({ message: 'Email already exists' })
+
+    await req.user.requestEmailChange(email)
+    res.status(202).json({ message: `Confirmation link sent to ${email}`, pendingEmail: email })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST email/confirm: finish an email change with the token from the link sent to the new address.
+ * The new address becomes the login email and counts as verified.
+ * Body: token (required).
+ * Returns 200 with { message, email }; 400 if the token is missing, invalid or expired; 409 if
+ * another account took the address in the meantime.
+ */
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    if (!req.body.token) return res.status(400).json({ message: 'Token is required' })
+    const author = await Author.confirmEmailChange(req.body.token)
+    if (!author) return res.status(400).json({ message: 'Invalid or expired confirmation token' })
+    res.status(200).json({ message: 'Email address changed', email: author.email })
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.email) {
+      return res.status(409).json({ message: 'Email already exists' })
+    }
+    res.status(400).json({ message: error.message })
+  }
+}
+
+// --- Personal API keys (auth required – a full login, not another key)
+
+/**
+ * GET api-keys: the author's active API keys (the keys themselves are never shown again).
+ * Returns 200 with { apiKeys: [{ _id, name, prefix, scopes, lastUsedAt, expiresAt, createdAt }] }.
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ author: req.user._id, revokedAt: null }).sort({ createdAt: -1 })
+    res.status(200).json({ apiKeys })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST api-keys: create a named API key limited to some scopes.
+ * Body: name (required), scopes (array or space-separated; at least one of GET /api/oauth/scopes),
+ * expiresInDays (optional; default never).
+ * Returns 201 with { apiKey, key } – `key` is only ever shown here; 400 on missing/unknown fields.
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body
+    if (!name) return res.status(400).json({ message: 'Name is required' })
+    const scopes = parseScopes(req.body.scopes)
+    if (!scopes.length) {
+      return res.status(400).json({ message: `At least one scope is required: ${Object.keys(SCOPES).join(', ')}` })
+    }
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({ message: 'expiresInDays must be a positive number' })
+    }
+    const { apiKey, key } = await ApiKey.generate(req.user._id, { name, scopes, expiresInDays: Number(expiresInDays) || null })
+    res.status(201).json({ apiKey, key })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE api-keys/:id: revoke an API key (it stops working immediately).
+ * Returns 204 no content; 400 if id invalid; 404 if not one of the author's active keys.
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid API key id' })
+    }
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, author: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    )
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' })
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST verify-email: confirm the author's email address with the token from the signup email.
+ * Body: token (required).
+ * Returns 200 with { message }; 400 if missing or invalid/expired/used.
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return res.status(400).json({ message: 'Token is required' })
+    }
+    const record = await OneTimeToken.consume(req.body.token, 'email-verification')
+    if (!record) return res.status(400).json({ message: 'Invalid or expired verification token' })
+
+    await Author.findByIdAndUpdate(record.author, { emailVerified: true })
+    res.status(200).json({ message: 'Email verified' })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST verify-email/resend: email a new verification link to the logged-in author (auth required).
+ * Earlier links stop working.
+ * Returns 200 with { message }; 400 if the email is already verified.
+ */
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' })
+    }
+    await req.user.sendVerificationEmail()
+    res.status(200).json({ message: `Verification email sent to ${req.user.email}` })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST forgot-password: email a single-use password-reset link.
+ * Body: email (required). Always answers the same way whether or not the email is
+ * registered, so the endpoint cannot be used to discover accounts.
+ * Returns 200 with { message }; 400 if email missing.
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    if (!req.body.email) {
+      return res.status(400).json({ message: 'Email is required' })
+    }
+    const author = await Author.findOne({ email: String(req.body.email).toLowerCase().trim() })
+    if (author) {
+      const token = await OneTimeToken.issue(author._id, 'password-reset', emails.PASSWORD_RESET_TTL_MINUTES)
+      // A failed send is only logged: an error here would reveal that the account exists
+      await emails.sendPasswordReset(author, token).catch((err) => console.error('Password reset email failed:', err.message))
+    }
+    res.status(200).json({ message: 'If that email is registered, a password reset link has been sent' })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST reset-password: set a new password using the token from the reset email.
+ * Body: token, password (both required; password must meet services/passwordPolicy.js).
+ * The token is consumed and every existing session (refresh token) is revoked.
+ * Returns 200 with { message }; 400 if fields missing, password too weak, or token invalid/expired/used.
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' })
+    }
+    // Length and character rules first; the personal-info check needs the author
+    const weakPassword = checkPassword(password)
+    if (weakPassword) return res.status(400).json({ message: weakPassword })
+
+    const record = await OneTimeToken.findValid(token, 'password-reset')
+    const author = record && (await Author.findById(record.author))
+    if (!author) return res.status(400).json({ message: 'Invalid or expired reset token' })
+    const personalPassword = checkPassword(password, author)
+    if (personalPassword) return res.status(400).json({ message: personalPassword })
+    // Use the token up only once the new password is accepted (atomic – a second request loses)
+    if (!(await OneTimeToken.consume(token, 'password-reset'))) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' })
+    }
+    await author.resetPassword(password)
+
+    res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' })
   } catch (error) {
     res.status(400).json({ message: error.message })
   }
@@ -96,8 +563,71 @@ exports.getProfile = async (req, res) => {
   try {
     // Re-fetch the author from DB and populate their posts (now that Post model exists)
     const author = await req.user.populate('posts')
-    // Send the populated author document (password hidden by toJSON)
-    res.status(200).json({ author })
+    // Send the populated author document with their own account details (password hidden)
+    res.status(200).json({ author: author.toAccountJSON() })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// --- Personal data export (auth required)
+
+/**
+ * POST profile/export: start building a .zip of everything the author owns (profile, posts and
+ * their images, comments, messages, followers/following, saved posts) in the background.
+ * If an export is already in progress, that one is returned instead.
+ * Returns 202 with { export, statusUrl } – poll statusUrl until status is 'ready'.
+ */
+exports.requestDataExport = async (req, res) => {
+  try {
+    const record = await dataExport.requestExport(req.user._id)
+    res.status(202).json({ export: record, statusUrl: `/api/authors/profile/export/${record._id}` })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// Load one of the requesting author's exports, or send the error response and return null
+const findOwnExport = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid export id' })
+    return null
+  }
+  const record = await DataExport.findOne({ _id: req.params.id, author: req.user._id })
+  if (!record) res.status(404).json({ message: 'Export not found' })
+  return record
+}
+
+/**
+ * GET profile/export/:id: status of a data export.
+ * Returns 200 with { export } (status pending | processing | ready | failed; downloadUrl once ready);
+ * 400 if id invalid; 404 if not found or not yours.
+ */
+exports.showDataExport = async (req, res) => {
+  try {
+    const record = await findOwnExport(req, res)
+    if (!record) return
+    res.status(200).json({ export: record })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET profile/export/:id/download: download the finished .zip.
+ * Returns 200 with the archive; 409 if it is not ready yet; 410 if it has expired; 400/404 as above.
+ */
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const record = await findOwnExport(req, res)
+    if (!record) return
+    if (record.status !== 'ready') {
+      return res.status(409).json({ message: `Export is not ready (status: ${record.status})` })
+    }
+    if (record.expiresAt <= new Date()) {
+      return res.status(410).json({ message: 'Export has expired, please request a new one' })
+    }
+    res.download(record.filePath, `flickgallery-data-${record.completedAt.toISOString().slice(0, 10)}.zip`)
   } catch (error) {
     res.status(500).json({ message: error.message })
   }
@@ -106,15 +636,17 @@ exports.getProfile = async (req, res) => {
 // --- Full CRUD for Author (coursework: one data model with full CRUD linked to database)
 
 /**
- * GET index: list all authors (JSON; password hidden via model toJSON).
+ * GET index: list all authors (login optional). Each is shown as in GET show: a private account's
+ * posts and follower lists are replaced by counts unless the caller is an approved follower.
  * Returns 200 with { authors: [...] }.
  */
 exports.indexAuthors = async (req, res) => {
   try {
-    // Fetch all authors from DB; sort by newest first (createdAt descending)
-    const authors = await Author.find({}).sort({ createdAt: -1 })
-    // Send as JSON; each author's password is stripped by model toJSON
-    res.status(200).json({ authors })
+    // Accounts pending deletion, and accounts that blocked the caller, are left out; newest first
+    const filter = { deletionScheduledFor: null }
+    if (req.user) filter.blocked = { $ne: req.user._id }
+    const authors = await Author.find(filter).sort({ createdAt: -1 })
+    res.status(200).json({ authors: authors.map((author) => author.toProfileJSON(req.user)) })
   } catch (error) {
     // DB or other server error
     res.status(500).json({ message: error.message })
@@ -122,7 +654,9 @@ exports.indexAuthors = async (req, res) => {
 }
 
 /**
- * GET show: one author by id.
+ * GET show: one author by id (login optional).
+ * A private account's posts and follower lists are replaced by counts (with contentHidden: true)
+ * unless the viewer is the author or an approved follower.
  * Returns 200 with { author }; 404 if not found.
  */
 exports.showAuthor = async (req, res) => {
@@ -132,17 +666,41 @@ exports.showAuthor = async (req, res) => {
       return res.status(400).json({ message: 'Invalid author id' })
     }
     const author = await Author.findById(req.params.id)
-    if (!author) return res.status(404).json({ message: 'Author not found' })
-    res.status(200).json({ author })
+    // Accounts pending deletion, and accounts that blocked the caller, are hidden as if already gone
+    if (!author || author.deletionScheduledFor || author.hasBlocked(req.user)) {
+      return res.status(404).json({ message: 'Author not found' })
+    }
+    res.status(200).json({ author: author.toProfileJSON(req.user) })
   } catch (error) {
     res.status(500).json({ message: error.message })
   }
 }
 
 /**
- * PUT update: update author by id (auth required; only own account).
- * Partial update; password only if provided and length >= 6.
- * Returns 200 with { author }; 403 if not own account; 404 if not found; 400 on validation error.
+ * GET by-handle/:handle: one author by handle (with or without the @; login optional, as for GET show).
+ * Returns 200 with { author }; 301 to the current handle if this is one the author used before; 404 if not found.
+ */
+exports.showAuthorByHandle = async (req, res) => {
+  try {
+    const { author, redirected } = await Author.findByHandle(req.params.handle)
+    if (!author || author.deletionScheduledFor || author.hasBlocked(req.user)) {
+      return res.status(404).json({ message: 'Author not found' })
+    }
+    if (redirected) return res.redirect(301, `/api/authors/by-handle/${author.handle}`)
+    res.status(200).json({ author: author.toProfileJSON(req.user) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * PUT update: update author by id (auth required; own account, or any account for admins).
+ * Partial update of profile fields; a new handle keeps the old one reserved and redirecting to
+ * this account. Passwords and emails are changed through /api/auth/password and /api/auth/email.
+ * place ({ id } or { name, lat, lng }, or null to clear) sets location to the place's name; a
+ * plain location text drops the place.
+ * Returns 200 with { author }; 403 if not allowed; 404 if not found; 400 on validation error
+ * (including an unknown place id or bad coordinates); 409 if the handle is taken.
  */
 exports.updateAuthor = async (req, res) => {
   try {
@@ -150,8 +708,8 @@ exports.updateAuthor = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid author id' })
     }
-    // Only allow updating your own account (req.user from auth middleware)
-    if (req.user._id.toString() !== req.params.id) {
+    // Only your own account, unless you are an admin (see services/permissions.js)
+    if (!req.can('author:update', req.params.id)) {
       return res.status(403).json({ message: 'Forbidden: you can only update your own account' })
     }
     // Whitelist: only these fields can be updated from the request body
@@ -161,26 +719,40 @@ exports.updateAuthor = async (req, res) => {
     allowed.forEach((key) => {
       if (req.body[key] !== undefined) updates[key] = req.body[key]
     })
-    // Allow password change only if provided and at least 6 chars (model will hash it)
-    if (req.body.password && req.body.password.length >= 6) updates.password = req.body.password
-
-    // Find the author by URL id and apply updates; new: true returns the updated doc
-    const author = await Author.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    )
+    // Credentials have their own endpoints, which check the current password
+    if (req.body.password !== undefined) {
+      return res.status(400).json({ message: 'Use PUT /api/auth/password to change your password' })
+    }
+    if (req.body.email !== undefined) {
+      return res.status(400).json({ message: 'Use PUT /api/auth/email to change your email address' })
+    }
+
+    // Find the author by URL id and apply updates (the handle goes through the model to keep its history)
+    const author = await Author.findById(req.params.id)
     if (!author) return res.status(404).json({ message: 'Author not found' })
-    res.status(200).json({ author })
+    if (req.body.handle !== undefined) await author.changeHandle(req.body.handle)
+    if (updates.location !== undefined) author.place = null
+    // A picture under /uploads must be one this author uploaded (models/upload.js)
+    if (Upload.filenameOf(updates.profilePicture)) await Upload.checkUrls(author._id, [updates.profilePicture])
+    const goingPublic = author.isPrivate && updates.isPrivate !== undefined && String(updates.isPrivate) === 'false'
+    author.set(updates)
+    if (req.body.place !== undefined) await Place.tag(author, req.body.place)
+    await author.save()
+    if (goingPublic) await author.approveAllFollowRequests()
+    res.status(200).json({ author: author.toAccountJSON() })
   } catch (error) {
+    if (isHandleTaken(error)) return res.status(409).json({ message: 'Handle is already taken' })
     // Validation or duplicate error from Mongoose
     res.status(400).json({ message: error.message })
   }
 }
 
 /**
- * DELETE: remove author by id (auth required; only own account).
- * Returns 204 no content; 403 if not own account; 404 if not found.
+ * DELETE: delete author by id (auth required; own account, or any account for admins).
+ * The account is scheduled for deletion and logged out everywhere; logging in again within the
+ * grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30) restores it. After that the author and all
+ * of their content are purged (see services/accountDeletion.js).
+ * Returns 202 with { message, deletionScheduledFor }; 403 if not allowed; 404 if not found.
  */
 exports.deleteAuthor = async (req, res) => {
   try {
@@ -188,15 +760,64 @@ exports.deleteAuthor = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid author id' })
     }
-    // Only allow deleting your own account
-    if (req.user._id.toString() !== req.params.id) {
+    // Only your own account, unless you are an admin
+    if (!req.can('author:delete', req.params.id)) {
       return res.status(403).json({ message: 'Forbidden: you can only delete your own account' })
     }
-    // Remove the author document from the database; returns the deleted doc or null
-    const author = await Author.findByIdAndDelete(req.params.id)
+    const author = await Author.findById(req.params.id)
     if (!author) return res.status(404).json({ message: 'Author not found' })
-    // 204 = success, no response body (REST convention for delete)
-    res.status(204).send()
+    await author.scheduleDeletion()
+    // 202 = accepted; the purge itself happens once the grace period ends
+    res.status(202).json({
+      message: 'Account scheduled for deletion. Log in again before the date below to restore it.',
+      deletionScheduledFor: author.deletionScheduledFor,
+    })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// --- Admin
+
+/**
+ * POST admin/authors/:id/unlock: clear an author's failed-login counter so they can log in again
+ * straight away (admin only).
+ * Returns 200 with { message }; 400 if id invalid; 404 if not found.
+ */
+exports.unlockAuthor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid author id' })
+    }
+    const author = await Author.findById(req.params.id)
+    if (!author) return res.status(404).json({ message: 'Author not found' })
+    await LoginThrottle.clearAccount(author.email)
+    res.status(200).json({ message: 'Account unlocked' })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * PUT admin/authors/:id/role: change an author's role (admin only).
+ * Body: role – one of user, moderator, admin.
+ * Returns 200 with { author }; 400 if id or role invalid, or an admin tries to demote themselves; 404 if not found.
+ */
+exports.setAuthorRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid author id' })
+    }
+    if (!ROLES.includes(req.body.role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` })
+    }
+    // Stops the last admin from locking everyone out of the admin tools by accident
+    if (req.user._id.toString() === req.params.id && req.body.role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' })
+    }
+    const author = await Author.findByIdAndUpdate(req.params.id, { role: req.body.role }, { new: true })
+    if (!author) return res.status(404).json({ message: 'Author not found' })
+    res.status(200).json({ author: author.toAccountJSON() })
   } catch (error) {
     res.status(500).json({ message: error.message })
   }
@@ -207,8 +828,10 @@ exports.deleteAuthor = async (req, res) => {
 /**
  * POST /authors/:id/follow – follow another author.
  * Auth required; cannot follow yourself.
- * Updates both authors' followers/following arrays atomically.
- * Returns 200 with { message, followingCount }.
+ * Updates both authors' followers/following arrays atomically. Private accounts get a follow
+ * request instead, which they approve or deny (see follow-requests below).
+ * Returns 200 with { message, followingCount }, or 202 with { message, requested: true } for a
+ * private account.
  */
 exports.followAuthor = async (req, res) => {
   try {
@@ -224,8 +847,14 @@ exports.followAuthor = async (req, res) => {
     const target = await Author.findById(req.params.id)
     if (!target) return res.status(404).json({ message: 'Author not found' })
 
-    // Call the follow method on the model (updates both documents)
-    await req.user.follow(req.params.id)
+    // Call the follow method on the model (updates both documents, or asks a private account)
+    const status = await req.user.follow(req.params.id)
+    if (status === 'blocked') {
+      return res.status(403).json({ message: 'Forbidden: you cannot follow this account' })
+    }
+    if (status === 'requested') {
+      return res.status(202).json({ message: `Follow request sent to ${target.name}`, requested: true })
+    }
 
     // Return updated following count so the client knows the new state
     res.status(200).json({
@@ -238,7 +867,7 @@ exports.followAuthor = async (req, res) => {
 }
 
 /**
- * POST /authors/:id/unfollow – unfollow an author.
+ * POST /authors/:id/unfollow – unfollow an author (or cancel a pending follow request).
  * Auth required.
  * Returns 200 with { message, followingCount }.
  */
@@ -268,3 +897,214 @@ exports.unfollowAuthor = async (req, res) => {
     res.status(400).json({ message: error.message })
   }
 }
+
+// --- Blocking and muting (auth required)
+
+// Load the author :id for a block/mute/close-friends action; responds 400/404 and resolves to null
+// if it can't
+const findOtherAuthor = async (req, res, selfMessage = 'You cannot block or mute yourself') => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid author id' })
+    return null
+  }
+  if (req.user._id.toString() === req.params.id) {
+    res.status(400).json({ message: selfMessage })
+    return null
+  }
+  const target = await Author.findById(req.params.id)
+  if (!target) res.status(404).json({ message: 'Author not found' })
+  return target
+}
+
+/**
+ * GET /authors/blocked – the authors the logged-in author has blocked.
+ * Returns 200 with { authors: [{ _id, name, handle, profilePicture }] }.
+ */
+exports.listBlocked = async (req, res) => {
+  try {
+    const author = await Author.findById(req.user._id).populate('blocked', 'name handle profilePicture')
+    res.status(200).json({ authors: author.blocked })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /authors/muted – the authors the logged-in author has muted.
+ * Returns 200 with { authors: [{ _id, name, handle, profilePicture }] }.
+ */
+exports.listMuted = async (req, res) => {
+  try {
+    const author = await Author.findById(req.user._id).populate('muted', 'name handle profilePicture')
+    res.status(200).json({ authors: author.muted })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/:id/block – block an author. Follows between you end both ways and pending follow
+ * requests are dropped; they can no longer see your profile or posts, follow, comment or message you.
+ * Returns 200 with { message }; 400 for a bad id or yourself; 404 if not found.
+ */
+exports.blockAuthor = async (req, res) => {
+  try {
+    const target = await findOtherAuthor(req, res)
+    if (!target) return
+    await req.user.block(target._id)
+    res.status(200).json({ message: `You blocked ${target.name}` })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/:id/unblock – unblock an author (follows are not restored).
+ * Returns 200 with { message }; 400 for a bad id or yourself; 404 if not found.
+ */
+exports.unblockAuthor = async (req, res) => {
+  try {
+    const target = await findOtherAuthor(req, res)
+    if (!target) return
+    await req.user.unblock(target._id)
+    res.status(200).json({ message: `You unblocked ${target.name}` })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/:id/mute – hide an author's posts from your feed without telling them.
+ * Returns 200 with { message }; 400 for a bad id or yourself; 404 if not found.
+ */
+exports.muteAuthor = async (req, res) => {
+  try {
+    const target = await findOtherAuthor(req, res)
+    if (!target) return
+    await req.user.mute(target._id)
+    res.status(200).json({ message: `You muted ${target.name}` })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/:id/unmute – show a muted author's posts in your feed again.
+ * Returns 200 with { message }; 400 for a bad id or yourself; 404 if not found.
+ */
+exports.unmuteAuthor = async (req, res) => {
+  try {
+    const target = await findOtherAuthor(req, res)
+    if (!target) return
+    await req.user.unmute(target._id)
+    res.status(200).json({ message: `You unmuted ${target.name}` })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+// --- Close friends (auth required)
+
+/**
+ * GET /authors/close-friends – the authors on the logged-in author's close-friends list.
+ * Returns 200 with { authors: [{ _id, name, handle, profilePicture }] }.
+ */
+exports.listCloseFriends = async (req, res) => {
+  try {
+    const author = await Author.findById(req.user._id).populate('closeFriends', 'name handle profilePicture')
+    res.status(200).json({ authors: author.closeFriends })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/close-friends/:id – add an author to your close friends; they will see your
+ * close-friends posts. They aren't told.
+ * Returns 200 with { message, closeFriendsCount }; 400 for a bad id or yourself; 403 if either of
+ * you has blocked the other; 404 if not found.
+ */
+exports.addCloseFriend = async (req, res) => {
+  try {
+    const target = await findOtherAuthor(req, res, 'You cannot add yourself to your close friends')
+    if (!target) return
+    if (target.isBlockedWith(req.user)) {
+      return res.status(403).json({ message: 'Forbidden: you cannot add this account' })
+    }
+    await req.user.addCloseFriend(target._id)
+    res.status(200).json({ message: `${target.name} is now a close friend`, closeFriendsCount: req.user.closeFriends.length })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /authors/close-friends/:id – remove an author from your close friends.
+ * Returns 204 no content; 400 for a bad id.
+ */
+exports.removeCloseFriend = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid author id' })
+    }
+    await req.user.removeCloseFriend(req.params.id)
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// --- Follow requests for private accounts (auth required)
+
+/**
+ * GET /authors/follow-requests – pending requests to follow the logged-in author, newest first.
+ * Returns 200 with { requests: [{ _id, requester: { _id, name, handle, profilePicture }, createdAt }] }.
+ */
+exports.listFollowRequests = async (req, res) => {
+  try {
+    const requests = await FollowRequest.find({ target: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('requester', 'name handle profilePicture')
+    res.status(200).json({ requests })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/follow-requests/:id/approve – let the requester follow you.
+ * Returns 200 with { message, followersCount }; 400 if id invalid; 404 if no such pending request.
+ */
+exports.approveFollowRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid follow request id' })
+    }
+    const requester = await req.user.approveFollowRequest(req.params.id)
+    if (!requester) return res.status(404).json({ message: 'Follow request not found' })
+    res.status(200).json({
+      message: `${requester.name} now follows you`,
+      followersCount: req.user.followers.length,
+    })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /authors/follow-requests/:id/deny – turn a follow request down (the requester is not told).
+ * Returns 204 no content; 400 if id invalid; 404 if no such pending request.
+ */
+exports.denyFollowRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid follow request id' })
+    }
+    if (!(await req.user.denyFollowRequest(req.params.id))) {
+      return res.status(404).json({ message: 'Follow request not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
@@ -1,58 +1,46 @@
 /**
- * Auth data controller — handles authentication, profile, explore, and follow logic.
- * Uses JWT for sessions; supports cookie and Authorization header tokens.
+ * Auth data controller — handles registration, login, profile, explore, and follow logic.
+ * Request authentication itself lives in middleware/auth.js (shared with the API routes).
  */
 const Author = require('../../models/author')
+const Post = require('../../models/post')
+const RefreshToken = require('../../models/refreshToken')
+const Session = require('../../models/session')
+const LoginThrottle = require('../../models/loginThrottle')
+const OneTimeToken = require('../../models/oneTimeToken')
+const FollowRequest = require('../../models/followRequest')
+const { visibleTo } = require('../../services/postVisibility')
+const { BIN_DAYS } = require('../../services/postArchive')
+const emails = require('../../services/emails')
 const bcrypt = require('bcrypt')
-const jwt = require('jsonwebtoken')
+const QRCode = require('qrcode')
+const { checkPassword } = require('../../services/passwordPolicy')
+const { setAuthCookies, clearAuthCookies } = require('../../middleware/auth')
 
-// ---------------------------------------------------------------------------
-// Auth middleware
-// ---------------------------------------------------------------------------
-
-/**
- * Protects routes by verifying JWT. Token can come from cookie, query param, or Authorization header.
- * Attaches decoded author to req.author; returns 401 if invalid or missing.
- */
-exports.auth = async (req, res, next) => {
-  try {
-    let token
-    if (req.cookies?.token) {
-      token = req.cookies.token
-    } else if (req.query.token) {
-      token = req.query.token
-    } else if (req.header('Authorization')) {
-      token = req.header('Authorization').replace('Bearer ', '')
-    } else {
-      throw new Error('No token provided')
-    }
-    const data = jwt.verify(token, process.env.JWT_SECRET || 'secret')
-    const author = await Author.findOne({ _id: data._id })
-    if (!author) throw new Error()
-    req.author = author
-    res.locals.data.token = token
-    next()
-  } catch (error) {
-    res.status(401).json({ message: 'Not authorized', error: error.message })
-  }
-}
 
 // ---------------------------------------------------------------------------
 // Registration & login
 // ---------------------------------------------------------------------------
 
 /**
- * Registers a new author. Hashes password via model pre-save; generates JWT and sets httpOnly cookie.
+ * Registers a new author. Hashes password via model pre-save; starts a login session (JWT + refresh token) and sets httpOnly cookies.
+ * The account starts unverified and a verification link is emailed to the address.
  * Handles duplicate email (Mongo E11000) with user-friendly message for web view.
  */
 exports.createAuthor = async (req, res, next) => {
   try {
-    const author = new Author(req.body)
+    const weakPassword = checkPassword(req.body.password, req.body)
+    if (weakPassword) return res.status(400).render('auth/SignUp', { error: weakPassword })
+    // Only the signup fields are taken: only the emailed link verifies an address, only admins grant
+    // roles, and the rest of the account starts empty
+    const author = Author.fromSignup(req.body)
     await author.save()
-    const token = await author.generateAuthToken()
+    // A mail outage should not block signup – the author can ask for a new link from their profile
+    await author.sendVerificationEmail().catch((err) => console.error('Verification email failed:', err.message))
+    const { token, refreshToken } = await author.startSession(req)
     res.locals.data.token = token
     req.author = author
-    res.cookie('token', token, { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'lax', maxAge: 7 * 24 * 60 * 60 * 1000 })
+    setAuthCookies(res, token, refreshToken)
     next()
   } catch (error) {
     if (error.code === 11000 && error.keyPattern?.email) {
@@ -63,46 +51,401 @@ exports.createAuthor = async (req, res, next) => {
   }
 }
 
+// Re-render the sign-in page with the lockout notice (429 + Retry-After)
+const renderLockedOut = (req, res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter))
+  res.status(429).render('auth/SignIn', {
+    next: req.body.next,
+    lockedOut: `Too many login attempts. For your security, logging in to this account is paused. ${LoginThrottle.retryMessage(retryAfter)}`,
+  })
+}
+
 /**
- * Logs in an existing author. Compares password with bcrypt; generates JWT and sets httpOnly cookie.
+ * Logs in an existing author. Compares password with bcrypt; starts a login session (JWT + refresh token) and sets httpOnly cookies.
  * Returns same error message for wrong email/password to avoid username enumeration.
+ * Authors with 2FA enabled get the code form instead of a session (see loginTwoFactor).
+ * Failed attempts are throttled per account and per IP (models/loginThrottle.js); while throttled
+ * the sign-in page shows a lockout notice.
+ * A `next` field (set when a page sent the browser to log in) is carried through to the redirect.
  */
 exports.loginAuthor = async (req, res, next) => {
   try {
     const { email, password } = req.body
+    const keys = LoginThrottle.keysFor(req, email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return renderLockedOut(req, res, retryAfter)
     const author = await Author.findOne({ email })
-    if (!author) {
-      return res.status(400).render('auth/SignIn', { error: 'Invalid login credentials' })
-    }
-    const isMatch = await bcrypt.compare(password, author.password)
+    const isMatch = author ? await bcrypt.compare(password, author.password) : false
     if (!isMatch) {
-      return res.status(400).render('auth/SignIn', { error: 'Invalid login credentials' })
+      const wait = await LoginThrottle.recordFailure(keys)
+      if (wait) res.set('Retry-After', String(wait))
+      return res.status(400).render('auth/SignIn', { error: 'Invalid login credentials', next: req.body.next })
+    }
+    // The failure count is only cleared once the whole login succeeds (after the code, with 2FA)
+    if (author.twoFactorEnabled) {
+      return res.render('auth/TwoFactorLogin', { challengeToken: author.generateTwoFactorChallenge(), next: req.body.next })
+    }
+    await LoginThrottle.clearAccount(author.email)
+    const { token, refreshToken } = await author.startSession(req)
+    res.locals.data.token = token
+    req.author = author
+    setAuthCookies(res, token, refreshToken)
+    next()
+  } catch (error) {
+    res.status(500).render('auth/SignIn', { error: 'Server error. Please try again.' })
+  }
+}
+
+/**
+ * Second login step: checks the authenticator/recovery code against the challenge issued by
+ * loginAuthor, then sets the auth cookies. Re-renders the code form on a wrong code; wrong codes
+ * count towards the same lockout as wrong passwords.
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body
+    let author
+    try {
+      author = await Author.findByTwoFactorChallenge(challengeToken)
+    } catch (error) {
+      return res.status(400).render('auth/SignIn', { error: 'Login attempt expired, please log in again' })
+    }
+    const keys = LoginThrottle.keysFor(req, author.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return renderLockedOut(req, res, retryAfter)
+    if (!(await author.verifyTwoFactorCode(code))) {
+      await LoginThrottle.recordFailure(keys)
+      return res.status(400).render('auth/TwoFactorLogin', { challengeToken, next: req.body.next, error: 'Invalid code, please try again' })
     }
-    const token = await author.generateAuthToken()
+    await LoginThrottle.clearAccount(author.email)
+    const { token, refreshToken } = await author.startSession(req)
     res.locals.data.token = token
     req.author = author
-    res.cookie('token', token, { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'lax', maxAge: 7 * 24 * 60 * 60 * 1000 })
+    setAuthCookies(res, token, refreshToken)
+    next()
+  } catch (error) {
+    res.status(500).render('auth/SignIn', { error: 'Server error. Please try again.' })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Email verification
+// ---------------------------------------------------------------------------
+
+/**
+ * Verifies the author's email from the link in the signup email (GET ?token=).
+ * Sets res.locals.data.success or .error for the sign-in page.
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const record = req.query.token ? await OneTimeToken.consume(req.query.token, 'email-verification') : null
+    if (record) {
+      await Author.findByIdAndUpdate(record.author, { emailVerified: true })
+      res.locals.data.success = 'Your email address is verified. Thanks!'
+    } else {
+      res.locals.data.error = 'That verification link is invalid or has expired. Log in and request a new one from your profile.'
+    }
     next()
   } catch (error) {
     res.status(500).render('auth/SignIn', { error: 'Server error. Please try again.' })
   }
 }
 
+/**
+ * Emails the logged-in author a new verification link (no-op if already verified).
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    if (!req.author.emailVerified) await req.author.sendVerificationEmail()
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Two-factor authentication settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Loads the 2FA settings page. While 2FA is off, passes the secret + QR code (PNG data URL) of
+ * the enrolment under way – started on the first visit and kept until it is confirmed, so
+ * reloading the page doesn't invalidate a QR code that was already scanned.
+ */
+exports.showTwoFactorSettings = async (req, res, next) => {
+  try {
+    res.locals.data.twoFactorEnabled = req.author.twoFactorEnabled
+    res.locals.data.recoveryCodesLeft = req.author.twoFactorRecoveryCodes.length
+    if (!req.author.twoFactorEnabled) {
+      const { secret, otpauthUrl } = await req.author.startTwoFactorSetup({ reuse: true })
+      res.locals.data.secret = secret
+      res.locals.data.qrCode = await QRCode.toDataURL(otpauthUrl)
+    }
+    res.locals.data.message = req.query.message
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+/**
+ * Confirms enrolment with a code from the app. On success shows the recovery codes (once);
+ * on a wrong code goes back to the settings page with an error.
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const recoveryCodes = await req.author.enableTwoFactor(req.body.code)
+    if (!recoveryCodes) {
+      return res.redirect('/authors/2fa?message=' + encodeURIComponent('That code was not right – check the app shows this account and try again.'))
+    }
+    res.locals.data.twoFactorEnabled = true
+    res.locals.data.recoveryCodes = recoveryCodes
+    res.locals.data.recoveryCodesLeft = recoveryCodes.length
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Turns 2FA off after re-checking the password and a current code. Wrong guesses count like
+ * failed logins, so this can't be used to try passwords or codes without limit.
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body
+    const keys = LoginThrottle.keysFor(req, req.author.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) {
+      return res.redirect('/authors/2fa?message=' + encodeURIComponent(`Too many wrong passwords or codes. ${LoginThrottle.retryMessage(retryAfter)}`))
+    }
+    const passwordOk = password && (await bcrypt.compare(password, req.author.password))
+    if (!passwordOk || !(await req.author.verifyTwoFactorCode(code))) {
+      await LoginThrottle.recordFailure(keys)
+      return res.redirect('/authors/2fa?message=' + encodeURIComponent('Incorrect password or code – two-factor authentication is still on.'))
+    }
+    await LoginThrottle.clearAccount(req.author.email)
+    await req.author.disableTwoFactor()
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Login sessions (devices)
+// ---------------------------------------------------------------------------
+
+/**
+ * Loads the author's active login sessions, most recently used first, and marks the current one.
+ */
+exports.showSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ author: req.author._id, revokedAt: null }).sort({ lastSeenAt: -1 })
+    res.locals.data.sessions = sessions
+    res.locals.data.currentSessionId = req.sessionId ? String(req.sessionId) : null
+    res.locals.data.message = req.query.message
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+/**
+ * Logs out one of the author's sessions (req.params.id). Logging out the current one also clears the cookies.
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, author: req.author._id, revokedAt: null })
+    if (!session) return res.status(404).send({ message: 'Session not found' })
+    await Session.revoke(session._id)
+    if (String(session._id) === String(req.sessionId)) {
+      clearAuthCookies(res)
+      return res.redirect('/authors/login')
+    }
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Logs out everywhere: ends every session of the author, including this browser, revokes every app
+ * token and API key, and clears the cookies.
+ */
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    await req.author.logOutEverywhere()
+    clearAuthCookies(res)
+    res.locals.data.token = null
+    req.author = null
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Password reset
+// ---------------------------------------------------------------------------
+
+/**
+ * Emails a password-reset link if the address belongs to an account.
+ * Always shows the same confirmation so the form cannot be used to discover accounts.
+ */
+exports.requestPasswordReset = async (req, res, next) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim()
+    const author = email ? await Author.findOne({ email }) : null
+    if (author) {
+      const token = await OneTimeToken.issue(author._id, 'password-reset', emails.PASSWORD_RESET_TTL_MINUTES)
+      // A failed send is only logged: an error here would reveal that the account exists
+      await emails.sendPasswordReset(author, token).catch((err) => console.error('Password reset email failed:', err.message))
+    }
+    res.locals.data.success = 'If that email is registered, we sent a link to reset your password.'
+    next()
+  } catch (error) {
+    res.status(500).render('auth/ForgotPassword', { error: 'Server error. Please try again.' })
+  }
+}
+
+/**
+ * Sets a new password from the reset form (token + password). Consumes the token and
+ * revokes every existing session; re-renders the form with an error if anything is wrong
+ * (a too-weak password keeps the link usable).
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body
+    const record = token ? await OneTimeToken.findValid(token, 'password-reset') : null
+    const author = record ? await Author.findById(record.author) : null
+    if (!author) {
+      return res.status(400).render('auth/ForgotPassword', { error: 'That reset link is invalid or has expired. Please request a new one.' })
+    }
+    const weakPassword = checkPassword(password, author)
+    if (weakPassword) return res.status(400).render('auth/ResetPassword', { token, error: weakPassword })
+    // Use the link up only once the new password is accepted
+    if (!(await OneTimeToken.consume(token, 'password-reset'))) {
+      return res.status(400).render('auth/ForgotPassword', { error: 'That reset link is invalid or has expired. Please request a new one.' })
+    }
+    await author.resetPassword(password)
+    res.locals.data.success = 'Your password has been reset. Please log in.'
+    next()
+  } catch (error) {
+    res.status(500).render('auth/ResetPassword', { token: req.body.token, error: 'Server error. Please try again.' })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Password & email (logged in)
+// ---------------------------------------------------------------------------
+
+// Re-render the password & email page with an error
+const renderCredentialsError = (req, res, status, error) =>
+  res.status(status).render('auth/Credentials', { author: req.author, token: res.locals.data.token, error })
+
+/**
+ * Changes the password from the "Password & email" page (current password required). Other devices
+ * are logged out; this one stays logged in. Wrong current passwords count towards the login lockout.
+ * Sets res.locals.data.message for the redirect.
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body
+    const keys = LoginThrottle.keysFor(req, req.author.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return renderCredentialsError(req, res, 429, `Too many wrong passwords. ${LoginThrottle.retryMessage(retryAfter)}`)
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, req.author.password))) {
+      await LoginThrottle.recordFailure(keys)
+      return renderCredentialsError(req, res, 400, 'Your current password is incorrect')
+    }
+    await LoginThrottle.clearAccount(req.author.email)
+    if (newPassword !== confirmPassword) return renderCredentialsError(req, res, 400, 'The new passwords do not match')
+    const weakPassword = checkPassword(newPassword, req.author)
+    if (weakPassword) return renderCredentialsError(req, res, 400, weakPassword)
+    if (await bcrypt.compare(newPassword, req.author.password)) {
+      return renderCredentialsError(req, res, 400, 'Your new password must be different from the current one')
+    }
+    await req.author.changePassword(newPassword, req.sessionId)
+    res.locals.data.message = 'Password changed. Your other devices have been logged out.'
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+/**
+ * Starts an email change from the "Password & email" page (current password required): emails a
+ * confirmation link to the new address. Wrong passwords count towards the login lockout.
+ * Sets res.locals.data.message for the redirect.
+ */
+exports.changeEmail = async (req, res, next) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase()
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return renderCredentialsError(req, res, 400, 'Please enter a valid email address')
+    if (email === req.author.email) return renderCredentialsError(req, res, 400, 'That is already your email address')
+    const keys = LoginThrottle.keysFor(req, req.author.email)
+    const retryAfter = await LoginThrottle.retryAfter(keys)
+    if (retryAfter) return renderCredentialsError(req, res, 429, `Too many wrong passwords. ${LoginThrottle.retryMessage(retryAfter)}`)
+    if (!req.body.password || !(await bcrypt.compare(req.body.password, req.author.password))) {
+      await LoginThrottle.recordFailure(keys)
+      return renderCredentialsError(req, res, 400, 'Your current password is incorrect')
+    }
+    await LoginThrottle.clearAccount(req.author.email)
+    if (await Author.exists({ email })) return renderCredentialsError(req, res, 409, 'Email already exists. Please use a different one.')
+    await req.author.requestEmailChange(email)
+    res.locals.data.message = `We sent a confirmation link to ${email}. Your email changes once you open it.`
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+/**
+ * Confirmation link from the email-change email (GET /authors/confirm-email?token=).
+ * Sets res.locals.data.success or .error for the sign-in page.
+ */
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const author = req.query.token ? await Author.confirmEmailChange(req.query.token) : null
+    if (author) {
+      res.locals.data.success = `Your email address is now ${author.email}. Use it next time you log in.`
+    } else {
+      res.locals.data.error = 'That confirmation link is invalid or has expired. Log in and change your email again.'
+    }
+    next()
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.email) {
+      res.locals.data.error = 'That email address is now used by another account.'
+      return next()
+    }
+    res.status(500).render('auth/SignIn', { error: 'Server error. Please try again.' })
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Profile (own)
 // ---------------------------------------------------------------------------
 
 /**
- * Fetches the logged-in user's profile with posts and saved posts populated.
- * Tab defaults to 'posts' for Posts/Saved toggle on profile page.
+ * Fetches the logged-in user's profile with posts and saved posts populated, plus their drafts and
+ * scheduled posts, archived posts and recently deleted posts for the tabs that list them.
+ * Tab defaults to 'posts' for Posts/Saved/Drafts/Archived/Recently deleted toggle on profile page.
  */
 exports.showProfile = async (req, res, next) => {
   try {
     const profile = await Author.findById(req.author._id)
       .populate({ path: 'posts', options: { sort: { createdAt: -1 } } })
-      .populate({ path: 'savedPosts', populate: { path: 'author', select: 'name' } })
+      .populate({ path: 'savedPosts', match: await visibleTo(req.author), populate: { path: 'author', select: 'name handle' } })
     if (!profile) throw new Error('Profile not found')
     res.locals.data.profile = profile
+    // Drafts first (newest first), then scheduled posts by publish time
+    res.locals.data.drafts = await Post.find({ author: req.author._id, status: { $in: ['draft', 'scheduled'] }, deletedAt: null })
+      .sort({ publishAt: 1, updatedAt: -1 })
+    res.locals.data.archived = await Post.find({ author: req.author._id, archivedAt: { $ne: null }, deletedAt: null })
+      .sort({ archivedAt: -1 })
+    res.locals.data.deleted = await Post.find({ author: req.author._id, deletedAt: { $ne: null } }).sort({ deletedAt: -1 })
+    res.locals.data.binDays = BIN_DAYS
     res.locals.data.tab = req.query.tab || 'posts'
     next()
   } catch (error) {
@@ -123,20 +466,51 @@ exports.editProfileView = async (req, res) => {
 }
 
 /**
- * Updates profile: bio, name (optional), and profile picture if multer uploaded a file.
+ * Updates profile: bio, name and handle (optional), private account, and profile picture if multer
+ * uploaded a file. Making the account public approves any pending follow requests.
+ * A taken or invalid handle re-renders the form with the error.
  */
 exports.updateProfile = async (req, res, next) => {
   try {
-    const updates = { bio: req.body.bio }
-    if (req.body.name) updates.name = req.body.name
-    if (req.file) updates.profilePicture = req.file.path
-    await Author.findByIdAndUpdate(req.author._id, updates)
+    const author = await Author.findById(req.author._id)
+    if (req.body.handle) {
+      try {
+        await author.changeHandle(req.body.handle)
+      } catch (error) {
+        return res.status(400).render('auth/EditProfile', { author, token: res.locals.data.token, error: error.message })
+      }
+    }
+    author.bio = req.body.bio
+    if (req.body.name) author.name = req.body.name
+    if (req.file) author.profilePicture = req.file.path
+    // Unchecked checkboxes are not submitted
+    const goingPublic = author.isPrivate && !req.body.isPrivate
+    author.isPrivate = Boolean(req.body.isPrivate)
+    await author.save()
+    if (goingPublic) await author.approveAllFollowRequests()
     next()
   } catch (error) {
     res.status(400).send({ message: error.message })
   }
 }
 
+/**
+ * Schedules the logged-in author's account for deletion, logs out everywhere and clears the cookies.
+ * Sets res.locals.data.success (with the purge date) for the sign-in page.
+ */
+exports.deleteAccount = async (req, res, next) => {
+  try {
+    await req.author.scheduleDeletion()
+    clearAuthCookies(res)
+    res.locals.data.token = null
+    res.locals.data.success = `Your account will be deleted on ${req.author.deletionScheduledFor.toDateString()}. Log in before then to keep it.`
+    req.author = null
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Followers / Following
 // ---------------------------------------------------------------------------
@@ -147,7 +521,7 @@ exports.updateProfile = async (req, res, next) => {
 exports.showFollowers = async (req, res, next) => {
   try {
     const author = await Author.findById(req.author._id)
-      .populate('followers', 'name profilePicture bio')
+      .populate('followers', 'name handle profilePicture bio')
     res.locals.data.users = author.followers
     res.locals.data.title = 'Followers'
     next()
@@ -162,7 +536,7 @@ exports.showFollowers = async (req, res, next) => {
 exports.showFollowing = async (req, res, next) => {
   try {
     const author = await Author.findById(req.author._id)
-      .populate('following', 'name profilePicture bio')
+      .populate('following', 'name handle profilePicture bio')
     res.locals.data.users = author.following
     res.locals.data.title = 'Following'
     next()
@@ -190,8 +564,11 @@ exports.explore = async (req, res, next) => {
           ],
         }
       : {}
+    // Accounts pending deletion, and accounts that blocked the viewer, are hidden
+    filter.deletionScheduledFor = null
+    filter.blocked = { $ne: req.author._id }
     res.locals.data.authors = await Author.find(filter)
-      .select('name profilePicture bio category followers followerCount')
+      .select('name handle profilePicture bio category followers followerCount')
       .sort({ followerCount: -1 })
       .limit(200)
     res.locals.data.query = q
@@ -202,21 +579,51 @@ exports.explore = async (req, res, next) => {
 }
 
 /**
- * Fetches a public author profile by ID. Excludes password; populates posts.
- * Sets isFollowing so the view can show Follow/Unfollow button correctly.
+ * Resolves /@handle to the author's id for showAuthorProfile. Old handles redirect (301) to the
+ * current one.
+ */
+exports.findAuthorByHandle = async (req, res, next) => {
+  try {
+    const { author, redirected } = await Author.findByHandle(req.params.handle)
+    if (!author || author.deletionScheduledFor) return res.status(404).send({ message: 'User not found' })
+    if (redirected) return res.redirect(301, `/@${author.handle}`)
+    req.params.id = String(author._id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Fetches a public author profile by ID. Excludes password; populates posts unless the account is
+ * private and the viewer isn't an approved follower (canViewContent).
+ * Sets isFollowing / followRequested so the view can show the Follow button correctly.
  */
 exports.showAuthorProfile = async (req, res, next) => {
   try {
-    const author = await Author.findById(req.params.id)
-      .select('-password')
-      .populate({ path: 'posts', options: { sort: { createdAt: -1 } } })
-    if (!author) return res.status(404).send({ message: 'User not found' })
+    const author = await Author.findById(req.params.id).select('-password')
+    // Accounts that blocked the viewer look like they don't exist
+    if (!author || author.deletionScheduledFor || author.hasBlocked(req.author)) {
+      return res.status(404).send({ message: 'User not found' })
+    }
+    const canViewContent = author.isVisibleTo(req.author)
+    if (canViewContent) {
+      await author.populate({ path: 'posts', match: await visibleTo(req.author), options: { sort: { createdAt: -1 } } })
+    }
     res.locals.data.author = author
+    res.locals.data.canViewContent = canViewContent
     res.locals.data.currentUser = req.author ? req.author._id : null
-    // Check if logged-in user already follows this author
+    // Check if logged-in user already follows this author (or is waiting for approval)
     res.locals.data.isFollowing = req.author
       ? req.author.following.some((f) => f.toString() === req.params.id)
       : false
+    res.locals.data.followRequested = req.author && !res.locals.data.isFollowing
+      ? Boolean(await FollowRequest.exists({ requester: req.author._id, target: author._id }))
+      : false
+    // Block / mute controls
+    res.locals.data.isBlocked = Boolean(req.author && req.author.hasBlocked(author))
+    res.locals.data.isMuted = Boolean(req.author && req.author.hasMuted(author))
+    res.locals.data.isCloseFriend = Boolean(req.author && req.author.hasCloseFriend(author))
     next()
   } catch (error) {
     res.status(400).send({ message: error.message })
@@ -228,11 +635,12 @@ exports.showAuthorProfile = async (req, res, next) => {
 // ---------------------------------------------------------------------------
 
 /**
- * Follows the author specified by req.params.id. Delegates to Author.follow().
+ * Follows the author specified by req.params.id (or asks, for a private account). Delegates to Author.follow().
  */
 exports.followAuthor = async (req, res, next) => {
   try {
-    await req.author.follow(req.params.id)
+    const status = await req.author.follow(req.params.id)
+    if (status === 'blocked') return res.status(403).send({ message: 'Forbidden: you cannot follow this account' })
     next()
   } catch (error) {
     res.status(400).send({ message: error.message })
@@ -240,7 +648,7 @@ exports.followAuthor = async (req, res, next) => {
 }
 
 /**
- * Unfollows the author specified by req.params.id. Delegates to Author.unfollow().
+ * Unfollows the author specified by req.params.id, or cancels a pending request. Delegates to Author.unfollow().
  */
 exports.unfollowAuthor = async (req, res, next) => {
   try {
@@ -251,16 +659,178 @@ exports.unfollowAuthor = async (req, res, next) => {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Blocking & muting
+// ---------------------------------------------------------------------------
+
+/**
+ * Blocks the author specified by req.params.id (ends follows both ways). Delegates to Author.block().
+ */
+exports.blockAuthor = async (req, res, next) => {
+  try {
+    if (req.params.id === req.author._id.toString()) return res.status(400).send({ message: 'You cannot block yourself' })
+    await req.author.block(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Unblocks the author specified by req.params.id.
+ */
+exports.unblockAuthor = async (req, res, next) => {
+  try {
+    await req.author.unblock(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Mutes the author specified by req.params.id (their posts leave the feed).
+ */
+exports.muteAuthor = async (req, res, next) => {
+  try {
+    if (req.params.id === req.author._id.toString()) return res.status(400).send({ message: 'You cannot mute yourself' })
+    await req.author.mute(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Unmutes the author specified by req.params.id.
+ */
+exports.unmuteAuthor = async (req, res, next) => {
+  try {
+    await req.author.unmute(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Loads the logged-in user's blocked accounts and sets res.locals.data.users for rendering.
+ */
+exports.showBlocked = async (req, res, next) => {
+  try {
+    const author = await Author.findById(req.author._id)
+      .populate('blocked', 'name handle profilePicture bio')
+    res.locals.data.users = author.blocked
+    res.locals.data.title = 'Blocked accounts'
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Close friends
+// ---------------------------------------------------------------------------
+
+/**
+ * Adds the author specified by req.params.id to the logged-in user's close friends.
+ */
+exports.addCloseFriend = async (req, res, next) => {
+  try {
+    if (req.params.id === req.author._id.toString()) {
+      return res.status(400).send({ message: 'You cannot add yourself to your close friends' })
+    }
+    const target = await Author.findById(req.params.id)
+    if (!target) return res.status(404).send({ message: 'User not found' })
+    if (target.isBlockedWith(req.author)) return res.status(403).send({ message: 'Forbidden: you cannot add this account' })
+    await req.author.addCloseFriend(target._id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Removes the author specified by req.params.id from the logged-in user's close friends.
+ */
+exports.removeCloseFriend = async (req, res, next) => {
+  try {
+    await req.author.removeCloseFriend(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Loads the logged-in user's close friends and sets res.locals.data.users for rendering.
+ */
+exports.showCloseFriends = async (req, res, next) => {
+  try {
+    const author = await Author.findById(req.author._id)
+      .populate('closeFriends', 'name handle profilePicture bio')
+    res.locals.data.users = author.closeFriends
+    res.locals.data.title = 'Close friends'
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Follow requests (private accounts)
+// ---------------------------------------------------------------------------
+
+/**
+ * Loads the pending requests to follow the logged-in author into res.locals.data.requests.
+ */
+exports.showFollowRequests = async (req, res, next) => {
+  try {
+    res.locals.data.requests = await FollowRequest.find({ target: req.author._id })
+      .sort({ createdAt: -1 })
+      .populate('requester', 'name handle profilePicture bio')
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+/**
+ * Approves the follow request req.params.id (the requester becomes a follower).
+ */
+exports.approveFollowRequest = async (req, res, next) => {
+  try {
+    await req.author.approveFollowRequest(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+/**
+ * Denies (removes) the follow request req.params.id.
+ */
+exports.denyFollowRequest = async (req, res, next) => {
+  try {
+    await req.author.denyFollowRequest(req.params.id)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Logout
 // ---------------------------------------------------------------------------
 
 /**
- * Clears the auth cookie and res.locals.data.token. Calls next() for response handling.
+ * Ends this browser's session server-side (refresh token family + access tokens), clears the auth cookies and res.locals.data.token.
+ * Calls next() for response handling.
  */
 exports.logout = async (req, res, next) => {
   try {
-    res.clearCookie('token')
+    if (req.cookies?.refreshToken) await RefreshToken.revokeFamily(req.cookies.refreshToken)
+    clearAuthCookies(res)
     res.locals.data.token = null
     if (req.author) req.author = null
     next()
@@ -4,6 +4,7 @@ const router = express.Router()
 const dataController = require('./dataController')
 const viewController = require('./viewController')
 const postsViewController = require('../posts/viewController')
+const auth = require('../../middleware/auth')
 const { upload, processImage } = require('../../middleware/upload')
 
 // Sign-up form
@@ -13,29 +14,79 @@ router.post('/', dataController.createAuthor, postsViewController.redirectHome)
 
 // Sign-in form
 router.get('/login', viewController.signIn)
-// Login → redirect to feed
-router.post('/login', dataController.loginAuthor, postsViewController.redirectHome)
+// Login → redirect to feed (or back to the page that asked for a login)
+router.post('/login', dataController.loginAuthor, viewController.redirectAfterLogin)
+// Second step for accounts with two-factor authentication
+router.post('/login/2fa', dataController.loginTwoFactor, viewController.redirectAfterLogin)
+
+// Forgot password → email a reset link
+router.get('/forgot-password', viewController.forgotPassword)
+router.post('/forgot-password', dataController.requestPasswordReset, viewController.forgotPassword)
+// Reset password from the emailed link → back to sign-in
+router.get('/reset-password', viewController.resetPassword)
+router.post('/reset-password', dataController.resetPassword, viewController.signInWithMessage)
+
+// Email verification link from the signup email → sign-in page with the result
+router.get('/verify-email', dataController.verifyEmail, viewController.signInWithMessage)
+// Resend the verification email (from the profile banner)
+router.post('/verify-email/resend', auth, dataController.resendVerificationEmail, viewController.redirectToProfile)
+
+// Two-factor authentication settings
+router.get('/2fa', auth, dataController.showTwoFactorSettings, viewController.twoFactorSettings)
+router.post('/2fa/enable', auth, dataController.enableTwoFactor, viewController.twoFactorSettings)
+router.post('/2fa/disable', auth, dataController.disableTwoFactor, viewController.redirectToTwoFactorSettings)
+
+// Password & email: change the password (logs out other devices) or start an email change
+router.get('/credentials', auth, viewController.credentials)
+router.put('/password', auth, dataController.changePassword, viewController.redirectToCredentials)
+router.put('/email', auth, dataController.changeEmail, viewController.redirectToCredentials)
+// Confirmation link sent to the new address → sign-in page with the result
+router.get('/confirm-email', dataController.confirmEmailChange, viewController.signInWithMessage)
+
+// Where you're logged in: list sessions, log one out, or log out everywhere
+router.get('/sessions', auth, dataController.showSessions, viewController.sessions)
+router.delete('/sessions/:id', auth, dataController.revokeSession, viewController.redirectToSessions)
+router.post('/sessions/logout-all', auth, dataController.revokeAllSessions, viewController.redirectToLogin)
 
 // Profile page
-router.get('/profile', dataController.auth, dataController.showProfile, viewController.showProfile)
+router.get('/profile', auth, dataController.showProfile, viewController.showProfile)
 
 // Edit profile form
-router.get('/edit', dataController.auth, dataController.editProfileView)
+router.get('/edit', auth, dataController.editProfileView)
 // Save profile edits
-router.put('/profile', dataController.auth, upload.single('profilePicture'), processImage, dataController.updateProfile, viewController.redirectToProfile)
+router.put('/profile', auth.beforeUpload, upload.single('profilePicture'), auth.csrfAfterUpload, processImage, dataController.updateProfile, viewController.redirectToProfile)
+// Delete account (restorable by logging in during the grace period) → sign-in page with the date
+router.delete('/profile', auth, dataController.deleteAccount, viewController.signInWithMessage)
+
+// Logout (CSRF-checked, but no valid login needed, so an expired session can still clear its cookies)
+router.post('/logout', auth.csrf, dataController.logout, viewController.redirectToLogin)
 
-// Logout
-router.post('/logout', dataController.logout, viewController.redirectToLogin)
+// Follow requests for a private account (must be before /:id wildcard)
+router.get('/follow-requests', auth, dataController.showFollowRequests, viewController.followRequests)
+router.post('/follow-requests/:id/approve', auth, dataController.approveFollowRequest, viewController.redirectToFollowRequests)
+router.post('/follow-requests/:id/deny', auth, dataController.denyFollowRequest, viewController.redirectToFollowRequests)
 
 // Followers / following lists (must be before /:id wildcard)
-router.get('/followers', dataController.auth, dataController.showFollowers, viewController.showFollowList)
-router.get('/following', dataController.auth, dataController.showFollowing, viewController.showFollowList)
+router.get('/followers', auth, dataController.showFollowers, viewController.showFollowList)
+router.get('/following', auth, dataController.showFollowing, viewController.showFollowList)
+router.get('/blocked', auth, dataController.showBlocked, viewController.showFollowList)
+router.get('/close-friends', auth, dataController.showCloseFriends, viewController.showFollowList)
 
 // Public author profile (view any user)
-router.get('/:id', dataController.auth, dataController.showAuthorProfile, viewController.showAuthorProfile)
+router.get('/:id', auth, dataController.showAuthorProfile, viewController.showAuthorProfile)
 
 // Follow / Unfollow from web
-router.post('/:id/follow', dataController.auth, dataController.followAuthor, viewController.redirectToAuthorProfile)
-router.post('/:id/unfollow', dataController.auth, dataController.unfollowAuthor, viewController.redirectToAuthorProfile)
+router.post('/:id/follow', auth, dataController.followAuthor, viewController.redirectToAuthorProfile)
+router.post('/:id/unfollow', auth, dataController.unfollowAuthor, viewController.redirectToAuthorProfile)
+
+// Block / mute an author
+router.post('/:id/block', auth, dataController.blockAuthor, viewController.redirectToAuthorProfile)
+router.post('/:id/unblock', auth, dataController.unblockAuthor, viewController.redirectToAuthorProfile)
+router.post('/:id/mute', auth, dataController.muteAuthor, viewController.redirectToAuthorProfile)
+router.post('/:id/unmute', auth, dataController.unmuteAuthor, viewController.redirectToAuthorProfile)
+
+// Add to / remove from close friends (the form sends ?_method=DELETE to remove)
+router.post('/:id/close-friend', auth, dataController.addCloseFriend, viewController.redirectToAuthorProfile)
+router.delete('/:id/close-friend', auth, dataController.removeCloseFriend, viewController.redirectToAuthorProfile)
 
 module.exports = router
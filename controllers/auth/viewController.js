@@ -5,9 +5,60 @@ const viewController = {
     res.render('auth/SignUp')
   },
 
-  // Renders the Sign In form (GET /authors/login)
+  // Renders the Sign In form (GET /authors/login?next=/page/to/return/to)
   signIn(req, res) {
-    res.render('auth/SignIn')
+    res.render('auth/SignIn', { next: req.query.next })
+  },
+
+  // After logging in: back to the page that asked for a login (same-site paths only), else the feed
+  redirectAfterLogin(req, res) {
+    const next = String(req.body.next || '')
+    res.redirect(/^\/(?![\/\\])/.test(next) ? next : '/posts')
+  },
+
+  // Renders the "Trouble logging in?" form (GET /authors/forgot-password), or its confirmation
+  forgotPassword(req, res) {
+    res.render('auth/ForgotPassword', { success: res.locals.data.success })
+  },
+
+  // Renders the choose-a-new-password form from the emailed link (GET /authors/reset-password?token=)
+  resetPassword(req, res) {
+    res.render('auth/ResetPassword', { token: req.query.token })
+  },
+
+  // Back to the Sign In form with a success or error message (after a password reset / email verification)
+  signInWithMessage(req, res) {
+    res.render('auth/SignIn', { success: res.locals.data.success, error: res.locals.data.error })
+  },
+
+  // Render the two-factor settings page (enrol with QR code, recovery codes, disable)
+  twoFactorSettings(req, res) {
+    res.render('auth/TwoFactorSettings', res.locals.data)
+  },
+
+  // Back to the two-factor settings page after turning 2FA off
+  redirectToTwoFactorSettings(req, res) {
+    res.redirect('/authors/2fa?message=' + encodeURIComponent('Two-factor authentication is off.'))
+  },
+
+  // Render the logged-in sessions (devices) page
+  sessions(req, res) {
+    res.render('auth/Sessions', res.locals.data)
+  },
+
+  // Back to the sessions page after logging one out
+  redirectToSessions(req, res) {
+    res.redirect('/authors/sessions?message=' + encodeURIComponent('Session logged out.'))
+  },
+
+  // Render the "Password & email" page
+  credentials(req, res) {
+    res.render('auth/Credentials', { author: req.author, token: res.locals.data.token, message: req.query.message })
+  },
+
+  // Back to the "Password & email" page with the outcome
+  redirectToCredentials(req, res) {
+    res.redirect('/authors/credentials?message=' + encodeURIComponent(res.locals.data.message))
   },
 
   // Redirect to login page after successful signup
@@ -38,6 +89,16 @@ const viewController = {
     })
   },
 
+  // Render the pending follow requests page
+  followRequests(req, res) {
+    res.render('authors/FollowRequests', { requests: res.locals.data.requests, token: res.locals.data.token })
+  },
+
+  // Back to the follow requests page after approving / denying one
+  redirectToFollowRequests(req, res) {
+    res.redirect('/authors/follow-requests')
+  },
+
   // Render the Explore / search page
   explore(req, res) {
     res.render('authors/Explore', {
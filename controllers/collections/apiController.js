@@ -0,0 +1,255 @@
+/**
+ * Collection API controller – named collections of saved posts (models/collection.js).
+ *
+ * Endpoints handled:
+ *   GET    /api/collections                            → listCollections   (auth)
+ *   POST   /api/collections                            → createCollection  (auth)
+ *   PUT    /api/collections/order                      → reorderCollections (auth)
+ *   GET    /api/collections/:id                        → showCollection    (public if shared, optional login)
+ *   PUT    /api/collections/:id                        → updateCollection  (owner)
+ *   DELETE /api/collections/:id                        → deleteCollection  (owner)
+ *   POST   /api/collections/:id/posts                  → addPost           (owner or collaborator)
+ *   DELETE /api/collections/:id/posts/:postId          → removePost        (owner or collaborator)
+ *   POST   /api/collections/:id/collaborators          → addCollaborator   (owner)
+ *   DELETE /api/collections/:id/collaborators/:authorId → removeCollaborator (owner, or the collaborator leaving)
+ *
+ * A collection the caller may not open is reported as not found. Posts are only returned (and
+ * counted) when the caller may see them (services/postVisibility.js).
+ */
+const mongoose = require('mongoose')
+const Collection = require('../../models/collection')
+const Author = require('../../models/author')
+const Post = require('../../models/post')
+const { visibleTo } = require('../../services/postVisibility')
+const { visiblePosts, summarise, addToCollection } = require('../../services/collections')
+
+// The fields the owner may set
+const EDITABLE = ['name', 'cover', 'sharing']
+
+// Load the collection :id if the caller may open it; responds 400/404 and resolves to null if not
+const findCollection = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid collection id' })
+    return null
+  }
+  const collection = await Collection.findById(req.params.id)
+  if (!collection || !collection.isVisibleTo(req.user)) {
+    res.status(404).json({ message: 'Collection not found' })
+    return null
+  }
+  return collection
+}
+
+/**
+ * GET /api/collections
+ * The logged-in author's collections in their order, then the ones they collaborate on. Each has
+ * postsCount and coverUrl.
+ * Returns 200 with { collections: [...] }.
+ */
+exports.listCollections = async (req, res) => {
+  try {
+    const collections = await Collection.forAuthor(req.user._id)
+    res.status(200).json({ collections: await summarise(collections, req.user) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/collections
+ * Create a collection, after the existing ones.
+ * Body: name (required), cover (optional image URL), sharing (optional: 'private' (default) or
+ * 'shared' – anyone with the link can see it).
+ * Returns 201 with { collection }; 400 on validation error.
+ */
+exports.createCollection = async (req, res) => {
+  try {
+    const collection = new Collection({ owner: req.user._id, position: await Collection.nextPosition(req.user._id) })
+    for (const field of EDITABLE) {
+      if (req.body[field] !== undefined) collection[field] = req.body[field]
+    }
+    await collection.save()
+    res.status(201).json({ collection })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * PUT /api/collections/order
+ * Reorder your collections. Body: ids (your collection ids in the new order; any left out follow
+ * in their current order).
+ * Returns 200 with { collections }; 400 if ids is not a list of your collections.
+ */
+exports.reorderCollections = async (req, res) => {
+  try {
+    await Collection.reorder(req.user._id, req.body.ids)
+    const collections = await Collection.forAuthor(req.user._id)
+    res.status(200).json({ collections: await summarise(collections, req.user) })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /api/collections/:id
+ * A collection with the posts in it the caller may see, most recently added first. Private
+ * collections are only found by their owner and collaborators.
+ * Returns 200 with { collection, posts }; 400 for bad id; 404 if not found.
+ */
+exports.showCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    await collection.populate([
+      { path: 'owner', select: 'name handle profilePicture' },
+      { path: 'collaborators', select: 'name handle profilePicture' },
+    ])
+    const [summary] = await summarise([collection], req.user)
+    res.status(200).json({ collection: summary, posts: await visiblePosts(collection, req.user) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * PUT /api/collections/:id
+ * Rename a collection, change its cover (an image URL, or '' for the latest post's image) or its
+ * sharing. Owner only. Body: any of { name, cover, sharing }.
+ * Returns 200 with { collection }; 400 on validation error; 403 if not the owner; 404 if not found.
+ */
+exports.updateCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).json({ message: 'Forbidden: only the owner can change this collection' })
+    }
+    for (const field of EDITABLE) {
+      if (req.body[field] !== undefined) collection[field] = req.body[field]
+    }
+    await collection.save()
+    res.status(200).json({ collection })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection (owner only). Its posts stay saved.
+ * Returns 204 no content; 400 for bad id; 403 if not the owner; 404 if not found.
+ */
+exports.deleteCollection = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).json({ message: 'Forbidden: only the owner can delete this collection' })
+    }
+    await collection.deleteOne()
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/collections/:id/posts
+ * Add a post you may see to a collection (owner or collaborator). Body: { postId }. When the owner
+ * adds it, it is saved for them too.
+ * Returns 200 with { collection }; 400 for bad ids; 403 if you can't add to it; 404 if the
+ * collection or post is not found.
+ */
+exports.addPost = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:curate', collection)) {
+      return res.status(403).json({ message: 'Forbidden: you can\'t add posts to this collection' })
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.body.postId)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+    if (!(await Post.exists(await visibleTo(req.user, { _id: req.body.postId })))) {
+      return res.status(404).json({ message: 'Post not found' })
+    }
+    await addToCollection(collection, req.body.postId, req.user)
+    res.status(200).json({ collection: await Collection.findById(collection._id) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /api/collections/:id/posts/:postId
+ * Take a post out of a collection (owner or collaborator). It stays in the owner's saved posts.
+ * Returns 204 no content; 400 for bad id; 403 if you can't change it; 404 if not found.
+ */
+exports.removePost = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:curate', collection)) {
+      return res.status(403).json({ message: 'Forbidden: you can\'t remove posts from this collection' })
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.postId)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+    await Collection.updateOne({ _id: collection._id }, { $pull: { posts: req.params.postId } })
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/collections/:id/collaborators
+ * Invite someone to add and remove posts (owner only). Body: { handle } or { authorId }.
+ * Returns 200 with { collection }; 400 when inviting yourself; 403 if not the owner; 404 if the
+ * collection or author is not found.
+ */
+exports.addCollaborator = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).json({ message: 'Forbidden: only the owner can invite collaborators' })
+    }
+    const { handle, authorId } = req.body
+    const author = handle
+      ? await Author.findOne({ handle: String(handle).replace(/^@/, '').toLowerCase() })
+      : mongoose.Types.ObjectId.isValid(authorId) ? await Author.findById(authorId) : null
+    if (!author || author.isBlockedWith(req.user)) return res.status(404).json({ message: 'Author not found' })
+    if (author._id.equals(collection.owner)) {
+      return res.status(400).json({ message: 'You already own this collection' })
+    }
+    await Collection.updateOne({ _id: collection._id }, { $addToSet: { collaborators: author._id } })
+    res.status(200).json({ collection: await Collection.findById(collection._id) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /api/collections/:id/collaborators/:authorId
+ * Remove a collaborator – the owner, or a collaborator leaving. The posts they added stay.
+ * Returns 204 no content; 400 for bad id; 403 if not allowed; 404 if not found.
+ */
+exports.removeCollaborator = async (req, res) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!mongoose.Types.ObjectId.isValid(req.params.authorId)) {
+      return res.status(400).json({ message: 'Invalid author id' })
+    }
+    const leaving = req.user._id.equals(req.params.authorId)
+    if (!leaving && !req.can('collection:update', collection)) {
+      return res.status(403).json({ message: 'Forbidden: only the owner can remove collaborators' })
+    }
+    await Collection.updateOne({ _id: collection._id }, { $pull: { collaborators: req.params.authorId } })
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
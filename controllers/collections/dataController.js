@@ -0,0 +1,210 @@
+const mongoose = require('mongoose')
+const Collection = require('../../models/collection')
+const Author = require('../../models/author')
+const Post = require('../../models/post')
+const { visibleTo } = require('../../services/postVisibility')
+const { visiblePosts, summarise, addToCollection } = require('../../services/collections')
+
+const dataController = {}
+
+// Load the collection :id if the viewer may open it; responds 404 and resolves to null if not
+const findCollection = async (req, res) => {
+  const collection = mongoose.Types.ObjectId.isValid(req.params.id) ? await Collection.findById(req.params.id) : null
+  if (!collection || !collection.isVisibleTo(req.author)) {
+    res.status(404).send({ message: 'Collection not found' })
+    return null
+  }
+  return collection
+}
+
+// Saved page — "All posts" plus your collections (in your order) and the ones you collaborate on
+dataController.index = async (req, res, next) => {
+  try {
+    const author = await Author.findById(req.author._id).populate({
+      path: 'savedPosts',
+      match: await visibleTo(req.author),
+      select: 'imageUrl',
+    })
+    res.locals.data.allCount = author.savedPosts.length
+    res.locals.data.allCover = author.savedPosts.length > 0 ? author.savedPosts[author.savedPosts.length - 1].imageUrl : ''
+    res.locals.data.collections = await summarise(await Collection.forAuthor(req.author._id), req.author)
+    res.locals.data.currentUserId = req.author._id.toString()
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// All saved posts, most recently saved first (leaving out posts the viewer can no longer see)
+dataController.allSaved = async (req, res, next) => {
+  try {
+    const author = await Author.findById(req.author._id).populate({
+      path: 'savedPosts',
+      match: await visibleTo(req.author),
+      populate: { path: 'author', select: 'name handle profilePicture' },
+    })
+    res.locals.data.posts = author.savedPosts.reverse()
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// One collection, with the posts in it the viewer may see
+dataController.show = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    await collection.populate([
+      { path: 'owner', select: 'name handle profilePicture' },
+      { path: 'collaborators', select: 'name handle profilePicture' },
+    ])
+    res.locals.data.collection = collection
+    res.locals.data.posts = await visiblePosts(collection, req.author)
+    res.locals.data.canUpdate = req.can('collection:update', collection)
+    res.locals.data.canCurate = req.can('collection:curate', collection)
+    res.locals.data.currentUserId = req.author._id.toString()
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Create a collection (after your existing ones)
+dataController.create = async (req, res, next) => {
+  try {
+    res.locals.data.collection = await Collection.create({
+      owner: req.author._id,
+      name: req.body.name,
+      position: await Collection.nextPosition(req.author._id),
+    })
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Rename a collection, change its cover or sharing (the owner only)
+dataController.update = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).send({ message: 'Forbidden: only the owner can change this collection' })
+    }
+    for (const field of ['name', 'cover', 'sharing']) {
+      if (req.body[field] !== undefined) collection[field] = req.body[field]
+    }
+    res.locals.data.collection = await collection.save()
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Delete a collection (the owner only) — its posts stay saved
+dataController.destroy = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).send({ message: 'Forbidden: only the owner can delete this collection' })
+    }
+    await collection.deleteOne()
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Move one of your collections a place up or down (body.direction)
+dataController.move = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).send({ message: 'Forbidden: only the owner can reorder collections' })
+    }
+    const ids = (await Collection.find({ owner: req.author._id }).sort({ position: 1, createdAt: 1 }).select('_id'))
+      .map((c) => String(c._id))
+    const from = ids.indexOf(String(collection._id))
+    const to = from + (req.body.direction === 'up' ? -1 : 1)
+    if (to >= 0 && to < ids.length) {
+      ids.splice(to, 0, ...ids.splice(from, 1))
+      await Collection.reorder(req.author._id, ids)
+    }
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Add a post the viewer may see to a collection (owner or collaborator)
+dataController.addPost = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:curate', collection)) {
+      return res.status(403).send({ message: 'Forbidden: you can\'t add posts to this collection' })
+    }
+    if (!(await Post.exists(await visibleTo(req.author, { _id: req.body.postId })))) {
+      return res.status(404).send({ message: 'Post not found' })
+    }
+    await addToCollection(collection, req.body.postId, req.author)
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Take a post out of a collection (owner or collaborator)
+dataController.removePost = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:curate', collection)) {
+      return res.status(403).send({ message: 'Forbidden: you can\'t remove posts from this collection' })
+    }
+    await Collection.updateOne({ _id: collection._id }, { $pull: { posts: req.params.postId } })
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Invite a collaborator by @handle (the owner only)
+dataController.addCollaborator = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    if (!req.can('collection:update', collection)) {
+      return res.status(403).send({ message: 'Forbidden: only the owner can invite collaborators' })
+    }
+    const author = await Author.findOne({ handle: String(req.body.handle || '').trim().replace(/^@/, '').toLowerCase() })
+    if (!author || author.isBlockedWith(req.author)) return res.status(404).send({ message: 'Author not found' })
+    if (!author._id.equals(collection.owner)) {
+      await Collection.updateOne({ _id: collection._id }, { $addToSet: { collaborators: author._id } })
+    }
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Remove a collaborator — the owner, or a collaborator leaving
+dataController.removeCollaborator = async (req, res, next) => {
+  try {
+    const collection = await findCollection(req, res)
+    if (!collection) return
+    res.locals.data.leaving = req.author._id.equals(req.params.authorId)
+    if (!res.locals.data.leaving && !req.can('collection:update', collection)) {
+      return res.status(403).send({ message: 'Forbidden: only the owner can remove collaborators' })
+    }
+    await Collection.updateOne({ _id: collection._id }, { $pull: { collaborators: req.params.authorId } })
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+module.exports = dataController
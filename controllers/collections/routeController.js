@@ -0,0 +1,35 @@
+const express = require('express')
+const router = express.Router()
+
+const viewController = require('./viewController')
+const dataController = require('./dataController')
+const auth = require('../../middleware/auth')
+
+// Saved page – "All posts" and your collections (GET /saved)
+router.get('/', auth, dataController.index, viewController.index)
+
+// All saved posts (GET /saved/all)
+router.get('/all', auth, dataController.allSaved, viewController.allSaved)
+
+// Create a collection (POST /saved)
+router.post('/', auth, dataController.create, viewController.redirectToCollection)
+
+// One collection (GET /saved/:id) – shared collections open for anyone with the link
+router.get('/:id', auth, dataController.show, viewController.show)
+
+// Rename / change cover or sharing (PUT /saved/:id) and delete (DELETE /saved/:id) – the owner only
+router.put('/:id', auth, dataController.update, viewController.redirectToCollection)
+router.delete('/:id', auth, dataController.destroy, viewController.redirectToIndex)
+
+// Move a collection up or down the list (POST /saved/:id/move)
+router.post('/:id/move', auth, dataController.move, viewController.redirectToIndex)
+
+// Add / remove posts (owner or collaborator)
+router.post('/:id/posts', auth, dataController.addPost, viewController.stayOnPage)
+router.delete('/:id/posts/:postId', auth, dataController.removePost, viewController.stayOnPage)
+
+// Invite / remove collaborators
+router.post('/:id/collaborators', auth, dataController.addCollaborator, viewController.redirectToCollection)
+router.delete('/:id/collaborators/:authorId', auth, dataController.removeCollaborator, viewController.redirectAfterCollaborator)
+
+module.exports = router
@@ -0,0 +1,61 @@
+const RESOURCE_PATH = '/saved'
+
+const viewController = {
+
+  // The Saved page: "All posts" and your collections
+  index(req, res) {
+    res.render('collections/Collections', {
+      collections: res.locals.data.collections,
+      allCount: res.locals.data.allCount,
+      allCover: res.locals.data.allCover,
+      currentUserId: res.locals.data.currentUserId,
+      token: res.locals.data.token,
+    })
+  },
+
+  // All saved posts, as a collection page without a collection
+  allSaved(req, res) {
+    res.render('collections/Collection', {
+      collection: null,
+      posts: res.locals.data.posts,
+      token: res.locals.data.token,
+    })
+  },
+
+  // One collection
+  show(req, res) {
+    res.render('collections/Collection', {
+      collection: res.locals.data.collection,
+      posts: res.locals.data.posts,
+      canUpdate: res.locals.data.canUpdate,
+      canCurate: res.locals.data.canCurate,
+      currentUserId: res.locals.data.currentUserId,
+      token: res.locals.data.token,
+    })
+  },
+
+  // To the collection after creating or changing it
+  redirectToCollection(req, res) {
+    res.redirect(`${RESOURCE_PATH}/${res.locals.data.collection?._id || req.params.id}`)
+  },
+
+  // Back to the Saved page after deleting or reordering a collection (or leaving one)
+  redirectToIndex(req, res) {
+    res.redirect(RESOURCE_PATH)
+  },
+
+  // After removing a collaborator: the owner stays on the collection, a collaborator who left goes back
+  redirectAfterCollaborator(req, res) {
+    res.redirect(res.locals.data.leaving ? RESOURCE_PATH : `${RESOURCE_PATH}/${req.params.id}`)
+  },
+
+  // Stay on the same page (after adding a post to a collection from the post itself)
+  stayOnPage(req, res) {
+    const ref = req.get('referer') || `${RESOURCE_PATH}/${req.params.id}`
+    const url = new URL(ref, 'http://localhost')
+    url.searchParams.delete('token')
+    res.redirect(url.pathname + url.search + url.hash)
+  },
+}
+
+module.exports = viewController
@@ -3,26 +3,27 @@
  *
  * Endpoints:
  *   POST   /api/posts/:id/comments      → createComment  (auth required)
- *   GET    /api/posts/:id/comments      → listComments   (public)
+ *   GET    /api/posts/:id/comments      → listComments   (public, optional login)
  *   DELETE /api/comments/:id            → deleteComment  (auth + owner)
  *   POST   /api/comments/:id/like       → likeComment    (auth required)
  */
 const mongoose = require('mongoose')
 const Comment = require('../../models/comment')
 const Post = require('../../models/post')
+const { visibleTo } = require('../../services/postVisibility')
 
 /**
  * POST /api/posts/:id/comments
  * Add a comment to a post.
  * Body: content (required)
- * Returns 201 with { comment }; 400 for bad post id or missing content; 404 if post not found.
+ * Returns 201 with { comment }; 400 for bad post id or missing content; 404 if post not found or not visible.
  */
 exports.createComment = async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid post id' })
     }
-    const post = await Post.findById(req.params.id)
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id }))
     if (!post) return res.status(404).json({ message: 'Post not found' })
 
     const comment = new Comment({
@@ -37,7 +38,7 @@ exports.createComment = async (req, res) => {
     await post.save()
 
     // Return comment with author details populated
-    await comment.populate('author', 'name profilePicture')
+    await comment.populate('author', 'name handle profilePicture')
 
     res.status(201).json({ comment })
   } catch (error) {
@@ -48,20 +49,20 @@ exports.createComment = async (req, res) => {
 /**
  * GET /api/posts/:id/comments
  * List all comments on a post, oldest first.
- * Public – no auth required.
- * Returns 200 with { comments, count }; 400 for bad id; 404 if post not found.
+ * Public – no auth required, but only for posts the caller may see (services/postVisibility.js).
+ * Returns 200 with { comments, count }; 400 for bad id; 404 if post not found or not visible.
  */
 exports.listComments = async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid post id' })
     }
-    const post = await Post.findById(req.params.id)
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id }))
     if (!post) return res.status(404).json({ message: 'Post not found' })
 
     const comments = await Comment.find({ post: req.params.id })
       .sort({ createdAt: 1 })
-      .populate('author', 'name profilePicture')
+      .populate('author', 'name handle profilePicture')
 
     res.status(200).json({ comments, count: comments.length })
   } catch (error) {
@@ -71,9 +72,9 @@ exports.listComments = async (req, res) => {
 
 /**
  * DELETE /api/comments/:id
- * Delete a comment – only the comment author can delete it.
+ * Delete a comment – the comment author, or a moderator/admin, can delete it.
  * Also removes the comment _id from the Post's comments array.
- * Returns 204; 400 for bad id; 403 if not owner; 404 if not found.
+ * Returns 204; 400 for bad id; 403 if not allowed; 404 if not found.
  */
 exports.deleteComment = async (req, res) => {
   try {
@@ -83,7 +84,7 @@ exports.deleteComment = async (req, res) => {
     const comment = await Comment.findById(req.params.id)
     if (!comment) return res.status(404).json({ message: 'Comment not found' })
 
-    if (comment.author.toString() !== req.user._id.toString()) {
+    if (!req.can('comment:delete', comment)) {
       return res.status(403).json({ message: 'Forbidden: you can only delete your own comments' })
     }
 
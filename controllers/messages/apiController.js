@@ -18,7 +18,8 @@ const Author = require('../../models/author')
  * POST /api/messages
  * Send a direct message to another user.
  * Body: recipientId (required), content (required)
- * Returns 201 with { message }; 400 for bad id or missing fields; 404 if recipient not found.
+ * Returns 201 with { message }; 400 for bad id or missing fields; 403 if either of you has blocked the
+ * other; 404 if recipient not found.
  */
 exports.sendMessage = async (req, res) => {
   try {
@@ -33,6 +34,10 @@ exports.sendMessage = async (req, res) => {
 
     const recipient = await Author.findById(recipientId)
     if (!recipient) return res.status(404).json({ message: 'Recipient not found' })
+    // Neither side of a block can message the other
+    if (recipient.isBlockedWith(req.user)) {
+      return res.status(403).json({ message: 'Forbidden: you cannot message this account' })
+    }
 
     const message = new Message({
       sender: req.user._id,
@@ -41,8 +46,8 @@ exports.sendMessage = async (req, res) => {
     })
     await message.save()
     await message.populate([
-      { path: 'sender', select: 'name profilePicture' },
-      { path: 'recipient', select: 'name profilePicture' },
+      { path: 'sender', select: 'name handle profilePicture' },
+      { path: 'recipient', select: 'name handle profilePicture' },
     ])
 
     res.status(201).json({ message })
@@ -60,7 +65,7 @@ exports.getInbox = async (req, res) => {
   try {
     const messages = await Message.find({ recipient: req.user._id })
       .sort({ createdAt: -1 })
-      .populate('sender', 'name profilePicture')
+      .populate('sender', 'name handle profilePicture')
 
     const unreadCount = messages.filter(m => !m.read).length
 
@@ -79,7 +84,7 @@ exports.getSent = async (req, res) => {
   try {
     const messages = await Message.find({ sender: req.user._id })
       .sort({ createdAt: -1 })
-      .populate('recipient', 'name profilePicture')
+      .populate('recipient', 'name handle profilePicture')
 
     res.status(200).json({ messages })
   } catch (error) {
@@ -105,8 +110,8 @@ exports.getConversation = async (req, res) => {
       ],
     })
       .sort({ createdAt: 1 })
-      .populate('sender', 'name profilePicture')
-      .populate('recipient', 'name profilePicture')
+      .populate('sender', 'name handle profilePicture')
+      .populate('recipient', 'name handle profilePicture')
 
     // Mark unread messages in this conversation as read
     await Message.updateMany(
@@ -133,16 +138,12 @@ exports.getMessage = async (req, res) => {
     }
 
     const message = await Message.findById(req.params.id)
-      .populate('sender', 'name profilePicture')
-      .populate('recipient', 'name profilePicture')
+      .populate('sender', 'name handle profilePicture')
+      .populate('recipient', 'name handle profilePicture')
 
     if (!message) return res.status(404).json({ message: 'Message not found' })
 
-    const userId = req.user._id.toString()
-    const isSender = message.sender._id.toString() === userId
-    const isRecipient = message.recipient._id.toString() === userId
-
-    if (!isSender && !isRecipient) {
+    if (!req.can('message:read', message)) {
       return res.status(403).json({ message: 'Forbidden: you are not a participant in this message' })
     }
 
@@ -154,8 +155,8 @@ exports.getMessage = async (req, res) => {
 
 /**
  * DELETE /api/messages/:id
- * Delete a message – only the sender can delete it.
- * Returns 204; 400 for bad id; 403 if not sender; 404 if not found.
+ * Delete a message – the sender, or a moderator/admin, can delete it.
+ * Returns 204; 400 for bad id; 403 if not allowed; 404 if not found.
  */
 exports.deleteMessage = async (req, res) => {
   try {
@@ -166,7 +167,7 @@ exports.deleteMessage = async (req, res) => {
     const message = await Message.findById(req.params.id)
     if (!message) return res.status(404).json({ message: 'Message not found' })
 
-    if (message.sender.toString() !== req.user._id.toString()) {
+    if (!req.can('message:delete', message)) {
       return res.status(403).json({ message: 'Forbidden: only the sender can delete a message' })
     }
 
@@ -191,7 +192,7 @@ exports.markAsRead = async (req, res) => {
     const message = await Message.findById(req.params.id)
     if (!message) return res.status(404).json({ message: 'Message not found' })
 
-    if (message.recipient.toString() !== req.user._id.toString()) {
+    if (!req.can('message:markRead', message)) {
       return res.status(403).json({ message: 'Forbidden: only the recipient can mark a message as read' })
     }
 
@@ -18,8 +18,8 @@ exports.getInboxForView = async (req, res, next) => {
       $or: [{ sender: userId }, { recipient: userId }],
     })
       .sort({ createdAt: -1 })
-      .populate('sender', 'name profilePicture')
-      .populate('recipient', 'name profilePicture')
+      .populate('sender', 'name handle profilePicture')
+      .populate('recipient', 'name handle profilePicture')
       .lean()
 
     const convMap = new Map()
@@ -69,7 +69,7 @@ exports.getConversationForView = async (req, res, next) => {
       return res.redirect('/messages')
     }
 
-    const otherUser = await Author.findById(otherId).select('name profilePicture').lean()
+    const otherUser = await Author.findById(otherId).select('name handle profilePicture').lean()
     if (!otherUser) return res.redirect('/messages')
 
     const messages = await Message.find({
@@ -79,8 +79,8 @@ exports.getConversationForView = async (req, res, next) => {
       ],
     })
       .sort({ createdAt: 1 })
-      .populate('sender', 'name profilePicture')
-      .populate('recipient', 'name profilePicture')
+      .populate('sender', 'name handle profilePicture')
+      .populate('recipient', 'name handle profilePicture')
       .lean()
 
     await Message.updateMany(
@@ -98,13 +98,12 @@ exports.getConversationForView = async (req, res, next) => {
 }
 
 /**
- * Delete a message – only the sender can delete (auth required).
+ * Delete a message – the sender (or a moderator) can delete (auth required).
  * Puts recipientId in res.locals for redirect after delete.
  */
 exports.deleteMessageFromWeb = async (req, res, next) => {
   try {
     const messageId = req.params.id
-    const userId = req.author._id
 
     if (!mongoose.Types.ObjectId.isValid(messageId)) {
       return res.status(400).send({ message: 'Invalid message id' })
@@ -113,7 +112,7 @@ exports.deleteMessageFromWeb = async (req, res, next) => {
     const message = await Message.findById(messageId)
     if (!message) return res.status(404).send({ message: 'Message not found' })
 
-    if (message.sender.toString() !== userId.toString()) {
+    if (!req.can('message:delete', message)) {
       return res.status(403).send({ message: 'Forbidden: only the sender can delete a message' })
     }
 
@@ -146,6 +145,9 @@ exports.sendMessageFromWeb = async (req, res, next) => {
 
     const recipient = await Author.findById(recipientId)
     if (!recipient) return res.status(404).send({ message: 'Recipient not found' })
+    if (recipient.isBlockedWith(req.author)) {
+      return res.status(403).send({ message: 'Forbidden: you cannot message this account' })
+    }
 
     const message = new Message({
       sender: req.author._id,
@@ -1,19 +1,19 @@
 const express = require('express')
 const router = express.Router()
-const authDataController = require('../auth/dataController')
+const auth = require('../../middleware/auth')
 const dataController = require('./dataController')
 const viewController = require('./viewController')
 
 // Inbox – list of conversations
-router.get('/', authDataController.auth, dataController.getInboxForView, viewController.inbox)
+router.get('/', auth, dataController.getInboxForView, viewController.inbox)
 
 // Delete message (only sender) – explicit POST route
-router.post('/:id/delete', authDataController.auth, dataController.deleteMessageFromWeb, viewController.redirectAfterDelete)
+router.post('/:id/delete', auth, dataController.deleteMessageFromWeb, viewController.redirectAfterDelete)
 
 // Conversation with a specific user
-router.get('/:userId', authDataController.auth, dataController.getConversationForView, viewController.conversation)
+router.get('/:userId', auth, dataController.getConversationForView, viewController.conversation)
 
 // Send message (form POST)
-router.post('/', authDataController.auth, dataController.sendMessageFromWeb, viewController.redirectToConversation)
+router.post('/', auth, auth.requireVerifiedEmail('message'), dataController.sendMessageFromWeb, viewController.redirectToConversation)
 
 module.exports = router
@@ -0,0 +1,225 @@
+/**
+ * OAuth2 API controller – lets third-party apps act for an author with the scopes the author
+ * approved (authorization-code flow with PKCE; the consent page is in dataController.js).
+ *
+ * The token and revoke endpoints follow RFC 6749 / RFC 7009: form or JSON bodies, client
+ * credentials as client_id/client_secret fields or HTTP Basic, and errors as
+ * { error, error_description }. The other endpoints use the usual { message } errors.
+ */
+const mongoose = require('mongoose')
+const OAuthClient = require('../../models/oauthClient')
+const OAuthCode = require('../../models/oauthCode')
+const OAuthToken = require('../../models/oauthToken')
+const { SCOPES } = require('../../services/permissions')
+
+// RFC 6749 §5.2 error response
+const oauthError = (res, status, error, description) => {
+  res.set('Cache-Control', 'no-store')
+  res.status(status).json({ error, error_description: description })
+}
+
+// Client credentials from HTTP Basic auth, else from the body
+const clientCredentials = (req) => {
+  const basic = (req.header('Authorization') || '').match(/^Basic\s+(.+)$/)
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':')
+    return { clientId: decodeURIComponent(id || ''), clientSecret: decodeURIComponent(secret || '') }
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret }
+}
+
+// Look up and authenticate the calling app; null if unknown or the secret is wrong
+const authenticateClient = async (req) => {
+  const { clientId, clientSecret } = clientCredentials(req)
+  if (!clientId) return null
+  const client = await OAuthClient.findOne({ clientId: String(clientId) })
+  return client && client.verifySecret(clientSecret) ? client : null
+}
+
+// --- Token endpoints (authenticated by client credentials, not a login)
+
+/**
+ * POST token: exchange an authorization code (grant_type=authorization_code with code,
+ * redirect_uri and code_verifier) or a refresh token (grant_type=refresh_token with refresh_token)
+ * for a new token pair. Confidential clients also send their client_secret.
+ * Returns 200 with { access_token, token_type, expires_in, refresh_token, scope };
+ * 400 invalid_request / invalid_grant / unsupported_grant_type; 401 invalid_client.
+ */
+exports.token = async (req, res) => {
+  try {
+    const client = await authenticateClient(req)
+    if (!client) return oauthError(res, 401, 'invalid_client', 'Unknown client or wrong client secret')
+
+    const grantType = req.body.grant_type
+    let tokens
+    if (grantType === 'authorization_code') {
+      const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body
+      if (!code || !redirectUri || !codeVerifier) {
+        return oauthError(res, 400, 'invalid_request', 'code, redirect_uri and code_verifier are required')
+      }
+      const grant = await OAuthCode.consume(code, { client: client._id, redirectUri, codeVerifier })
+      if (!grant) {
+        return oauthError(res, 400, 'invalid_grant', 'Authorization code is invalid, expired or already used')
+      }
+      tokens = await OAuthToken.issue({ client: client._id, author: grant.author, scopes: grant.scopes })
+    } else if (grantType === 'refresh_token') {
+      if (!req.body.refresh_token) return oauthError(res, 400, 'invalid_request', 'refresh_token is required')
+      tokens = await OAuthToken.refresh(req.body.refresh_token, client._id)
+      if (!tokens) return oauthError(res, 400, 'invalid_grant', 'Refresh token is invalid, expired or revoked')
+    } else {
+      return oauthError(res, 400, 'unsupported_grant_type', 'grant_type must be authorization_code or refresh_token')
+    }
+
+    res.set('Cache-Control', 'no-store')
+    res.status(200).json(tokens)
+  } catch (error) {
+    oauthError(res, 500, 'server_error', error.message)
+  }
+}
+
+/**
+ * POST revoke: revoke an access or refresh token (and the other half of its pair).
+ * Body: token (required), plus client credentials.
+ * Returns 200 even for unknown tokens (RFC 7009); 400 invalid_request; 401 invalid_client.
+ */
+exports.revoke = async (req, res) => {
+  try {
+    const client = await authenticateClient(req)
+    if (!client) return oauthError(res, 401, 'invalid_client', 'Unknown client or wrong client secret')
+    if (!req.body.token) return oauthError(res, 400, 'invalid_request', 'token is required')
+    await OAuthToken.revokeToken(req.body.token, client._id)
+    res.status(200).json({})
+  } catch (error) {
+    oauthError(res, 500, 'server_error', error.message)
+  }
+}
+
+/**
+ * GET scopes: every scope an app (or API key) can ask for.
+ * Returns 200 with { scopes: [{ scope, description }] }.
+ */
+exports.listScopes = (req, res) => {
+  res.status(200).json({
+    scopes: Object.entries(SCOPES).map(([scope, description]) => ({ scope, description })),
+  })
+}
+
+// --- Apps the author has registered (auth required)
+
+/**
+ * GET clients: the apps the author has registered.
+ * Returns 200 with { clients }.
+ */
+exports.listClients = async (req, res) => {
+  try {
+    const clients = await OAuthClient.find({ owner: req.user._id }).sort({ createdAt: -1 })
+    res.status(200).json({ clients })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST clients: register an app.
+ * Body: name, redirectUris (array of absolute http(s) URLs; both required),
+ * confidential (true for server-side apps that can keep a secret).
+ * Returns 201 with { client, clientSecret } – clientSecret (confidential apps only) is never shown again.
+ */
+exports.createClient = async (req, res) => {
+  try {
+    const { name, confidential } = req.body
+    const redirectUris = [].concat(req.body.redirectUris || [])
+    if (!name || !redirectUris.length) {
+      return res.status(400).json({ message: 'Name and at least one redirect URI are required' })
+    }
+    const invalid = redirectUris.find((uri) => {
+      try {
+        const url = new URL(uri)
+        return !['http:', 'https:'].includes(url.protocol) || url.hash
+      } catch {
+        return true
+      }
+    })
+    if (invalid) return res.status(400).json({ message: `Invalid redirect URI: ${invalid}` })
+
+    const { client, clientSecret } = await OAuthClient.register(req.user._id, {
+      name,
+      redirectUris,
+      confidential: confidential === true || confidential === 'true',
+    })
+    res.status(201).json({ client, clientSecret })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE clients/:id: remove an app the author registered; every token it holds stops working.
+ * Returns 204 no content; 400 if id invalid; 404 if not one of the author's apps.
+ */
+exports.deleteClient = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid client id' })
+    }
+    const client = await OAuthClient.findOneAndDelete({ _id: req.params.id, owner: req.user._id })
+    if (!client) return res.status(404).json({ message: 'Client not found' })
+    await OAuthToken.deleteMany({ client: client._id })
+    await OAuthCode.deleteMany({ client: client._id })
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// --- Apps the author has approved (auth required)
+
+/**
+ * GET authorizations: the apps that can currently act for the author, with the scopes granted.
+ * Returns 200 with { authorizations: [{ clientId, name, scopes, authorizedAt }] }.
+ */
+exports.listAuthorizations = async (req, res) => {
+  try {
+    const tokens = await OAuthToken.find({
+      author: req.user._id,
+      revokedAt: null,
+      refreshExpiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: 1 })
+      .populate('client', 'clientId name')
+
+    // One entry per app; the scopes granted most recently win
+    const byClient = new Map()
+    for (const token of tokens) {
+      if (!token.client) continue
+      const entry = byClient.get(token.client.clientId)
+      byClient.set(token.client.clientId, {
+        clientId: token.client.clientId,
+        name: token.client.name,
+        scopes: token.scopes,
+        authorizedAt: entry?.authorizedAt || token.createdAt,
+      })
+    }
+    res.status(200).json({ authorizations: [...byClient.values()] })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE authorizations/:clientId: take away an app's access to the author's account.
+ * Returns 204 no content; 404 if the app is unknown.
+ */
+exports.revokeAuthorization = async (req, res) => {
+  try {
+    const client = await OAuthClient.findOne({ clientId: String(req.params.clientId) })
+    if (!client) return res.status(404).json({ message: 'Client not found' })
+    await OAuthToken.updateMany(
+      { client: client._id, author: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    )
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * OAuth data controller – the consent page where an author lets a third-party app act for them
+ * (GET/POST /oauth/authorize, the first half of the authorization-code flow).
+ * The app then swaps the code for tokens at POST /api/oauth/token (see apiController.js).
+ */
+const OAuthClient = require('../../models/oauthClient')
+const OAuthCode = require('../../models/oauthCode')
+const { SCOPES, parseScopes } = require('../../services/permissions')
+
+// Append query parameters to the app's redirect URI
+const redirectWith = (redirectUri, params) => {
+  const url = new URL(redirectUri)
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value)
+  }
+  return url.toString()
+}
+
+/**
+ * Check an authorization request (query string on GET, form fields on POST).
+ * Resolves to { client, scopes, redirectUri, state, codeChallenge } or, when the request is bad,
+ * { error } – with `redirectTo` once the redirect URI is trusted (RFC 6749 §4.1.2.1: never
+ * redirect to an unregistered URI, show the error instead).
+ */
+const checkAuthorizeRequest = async (params) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state } = params
+  const client = clientId ? await OAuthClient.findOne({ clientId: String(clientId) }) : null
+  if (!client) return { error: 'This app is not registered.' }
+  if (!redirectUri || !client.allowsRedirect(redirectUri)) {
+    return { error: 'This app sent an invalid redirect URI.' }
+  }
+
+  const fail = (error, description) => ({
+    error: description,
+    redirectTo: redirectWith(redirectUri, { error, error_description: description, state }),
+  })
+  if (params.response_type !== 'code') return fail('unsupported_response_type', 'response_type must be code')
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    return fail('invalid_request', 'PKCE is required: send code_challenge with code_challenge_method=S256')
+  }
+  const scopes = parseScopes(params.scope)
+  if (!scopes.length) return fail('invalid_scope', `scope must include at least one of: ${Object.keys(SCOPES).join(' ')}`)
+
+  return { client, scopes, redirectUri, state, codeChallenge: params.code_challenge }
+}
+
+/**
+ * GET /oauth/authorize – validate the app's request and show the consent page.
+ * Bad requests go back to the app with an error, or show the error when the app can't be trusted.
+ */
+exports.showAuthorize = async (req, res, next) => {
+  try {
+    const request = await checkAuthorizeRequest(req.query)
+    if (request.redirectTo) return res.redirect(request.redirectTo)
+    if (request.error) return res.status(400).render('oauth/Authorize', { error: request.error })
+
+    res.locals.data.client = { name: request.client.name, clientId: request.client.clientId }
+    res.locals.data.scopes = request.scopes.map((scope) => ({ scope, description: SCOPES[scope] }))
+    res.locals.data.request = {
+      response_type: 'code',
+      client_id: request.client.clientId,
+      redirect_uri: request.redirectUri,
+      scope: request.scopes.join(' '),
+      state: request.state,
+      code_challenge: request.codeChallenge,
+      code_challenge_method: 'S256',
+    }
+    res.locals.data.author = req.author
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
+
+/**
+ * POST /oauth/authorize – the author's answer. "Allow" issues a one-time code; either way the
+ * browser goes back to the app's redirect URI (with code & state, or error=access_denied).
+ */
+exports.decideAuthorize = async (req, res, next) => {
+  try {
+    const request = await checkAuthorizeRequest(req.body)
+    if (request.redirectTo) return res.redirect(request.redirectTo)
+    if (request.error) return res.status(400).render('oauth/Authorize', { error: request.error })
+
+    if (req.body.decision !== 'allow') {
+      res.locals.data.redirectTo = redirectWith(request.redirectUri, {
+        error: 'access_denied',
+        error_description: 'The author denied the request',
+        state: request.state,
+      })
+      return next()
+    }
+
+    const code = await OAuthCode.issue({
+      client: request.client._id,
+      author: req.author._id,
+      scopes: request.scopes,
+      redirectUri: request.redirectUri,
+      codeChallenge: request.codeChallenge,
+    })
+    res.locals.data.redirectTo = redirectWith(request.redirectUri, { code, state: request.state })
+    next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
+  }
+}
@@ -0,0 +1,12 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../../middleware/auth')
+const dataController = require('./dataController')
+const viewController = require('./viewController')
+
+// Consent page – authors who aren't logged in sign in first and come back here
+router.get('/authorize', auth.orRedirectToLogin, dataController.showAuthorize, viewController.authorize)
+// Allow / deny → back to the app
+router.post('/authorize', auth, dataController.decideAuthorize, viewController.redirectToClient)
+
+module.exports = router
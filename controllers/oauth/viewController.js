@@ -0,0 +1,13 @@
+const viewController = {
+  // Render the "Allow this app?" consent page
+  authorize(req, res) {
+    res.render('oauth/Authorize', res.locals.data)
+  },
+
+  // Back to the app with the code (or the refusal)
+  redirectToClient(req, res) {
+    res.redirect(res.locals.data.redirectTo)
+  },
+}
+
+module.exports = viewController
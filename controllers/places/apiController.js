@@ -0,0 +1,60 @@
+const mongoose = require('mongoose')
+const Place = require('../../models/place')
+const Post = require('../../models/post')
+const { visibleTo } = require('../../services/postVisibility')
+
+/**
+ * GET /api/places?q=&lat=&lng=
+ * Search places to tag a post with: by name (q, anywhere in it) and/or nearest to a point
+ * (lat, lng). Without either, the most recently used places. At most 20.
+ * Returns 200 with { places }; 400 for out-of-range coordinates.
+ */
+exports.searchPlaces = async (req, res) => {
+  try {
+    const filter = {}
+    const q = String(req.query.q || '').trim()
+    // Typed text, not a pattern
+    if (q) filter.name = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
+
+    let query
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      let coordinates
+      try {
+        coordinates = Place.parseCoordinates(req.query.lat, req.query.lng)
+      } catch (error) {
+        return res.status(400).json({ message: error.message })
+      }
+      // $nearSphere returns the closest first
+      query = Place.find({ ...filter, geo: { $nearSphere: { $geometry: { type: 'Point', coordinates } } } })
+    } else {
+      query = Place.find(filter).sort({ updatedAt: -1 })
+    }
+
+    const places = await query.limit(20)
+    res.status(200).json({ places })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /api/places/:id
+ * A place and the posts tagged with it that are visible to the caller, newest first.
+ * Returns 200 with { place, count, posts }; 400 for bad id; 404 if not found.
+ */
+exports.showPlace = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid place id' })
+    }
+    const place = await Place.findById(req.params.id)
+    if (!place) return res.status(404).json({ message: 'Place not found' })
+
+    const posts = await Post.find(await visibleTo(req.user, { place: place._id }))
+      .populate('author', 'name handle profilePicture')
+      .sort({ createdAt: -1 })
+    res.status(200).json({ place, count: posts.length, posts })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
@@ -4,40 +4,104 @@
  *
  * Endpoints handled:
  *   POST   /api/posts                   → createPost   (auth required)
- *   GET    /api/posts                   → indexPosts   (public)
- *   GET    /api/posts/:id               → showPost     (public)
+ *   GET    /api/posts                   → indexPosts   (public, optional login)
+ *   GET    /api/posts/:id               → showPost     (public, optional login)
  *   PUT    /api/posts/:id               → updatePost   (auth + ownership)
  *   DELETE /api/posts/:id               → deletePost   (auth + ownership)
- *   GET    /api/authors/:id/posts       → listByAuthor (public)
+ *   GET    /api/posts/nearby            → nearbyPosts  (public, optional login)
+ *   GET    /api/posts/drafts            → listDrafts   (auth)
+ *   PUT    /api/posts/:id/schedule      → schedulePost (auth + ownership)
+ *   DELETE /api/posts/:id/schedule      → cancelSchedule (auth + ownership)
+ *   POST   /api/posts/:id/publish       → publishNow   (auth + ownership)
+ *   GET    /api/posts/archived          → listArchived (auth)
+ *   POST   /api/posts/:id/archive       → archive      (auth + ownership)
+ *   DELETE /api/posts/:id/archive       → unarchive    (auth + ownership)
+ *   GET    /api/posts/deleted           → listDeleted  (auth)
+ *   POST   /api/posts/:id/restore       → restore      (auth + ownership)
+ *   POST   /api/posts/:id/repost        → repost       (auth)
+ *   DELETE /api/posts/:id/repost        → undoRepost   (auth)
+ *   GET    /api/posts/:id/reposts       → listReposts  (public, optional login)
+ *   GET    /api/posts/:id/revisions     → listRevisions (public, optional login)
+ *   POST   /api/posts/:id/revisions/:revisionId/restore → restoreRevision (auth + ownership)
+ *   GET    /api/authors/:id/posts       → listByAuthor (public, optional login)
+ *
+ * Every read only returns posts the caller may see (services/postVisibility.js); a post they may
+ * not see is reported as not found. Drafts and scheduled posts (services/postScheduler.js) are only
+ * returned to their author, by listDrafts; archived and deleted posts (services/postArchive.js) by
+ * listArchived and listDeleted.
  */
 const mongoose = require('mongoose')
 const Post = require('../../models/post')
 const Author = require('../../models/author')
+const PostRevision = require('../../models/postRevision')
+const Repost = require('../../models/repost')
+const Place = require('../../models/place')
+const Upload = require('../../models/upload')
+const { visibleTo } = require('../../services/postVisibility')
+const { scheduleFromBody, publishPost } = require('../../services/postScheduler')
+const { purgeAt, archivePost, unarchivePost, binPost, restorePost, purgePost } = require('../../services/postArchive')
+const reposts = require('../../services/reposts')
+const { unsavePost } = require('../../services/collections')
+
+// Turn body.media (image URLs, or { url } objects as the post returned them) into media items for
+// `author`. Each must be an http(s) URL or one of their own uploads (models/upload.js); an item that
+// names one of the post's `current` images by _id and url keeps that _id. Throws for anything else
+const toMedia = async (media, author, current = []) => {
+  if (!Array.isArray(media)) throw new Error('media must be an array of image URLs')
+  const urls = media.map((item) => (typeof item === 'string' ? item : item?.url))
+  await Upload.checkUrls(author._id, urls)
+  return urls.map((url, index) => {
+    const kept = current.find((item) => String(item._id) === String(media[index]?._id) && item.url === url)
+    return kept ? { _id: kept._id, url } : { url }
+  })
+}
 
 /**
  * POST /api/posts
  * Create a new post for the logged-in author.
- * Body: caption (required), imageUrl (optional), hashtags (optional array).
+ * Body: caption (required), media (optional array of up to 10 image URLs, shown in that order) or
+ * imageUrl (optional, a single image) – http(s) URLs, or /uploads URLs of images you uploaded,
+ * hashtags (optional array – #tags in the caption are added
+ * to them, and @handles in it are stored as mentions),
+ * audience (optional: 'public' (default), 'followers' or 'closeFriends'),
+ * status (optional: 'draft' to keep it unpublished) or publishAt (optional: a future date to
+ * publish it at).
+ * place (optional: { id } of a known place, or { name, lat, lng } – see models/place.js) or
+ * location (optional plain text).
  * likesCount always starts at 0 — users cannot set it directly.
  * Returns 201 with { post }; 400 on validation error.
  */
 exports.createPost = async (req, res) => {
   try {
+    if (req.body.imageUrl) await Upload.checkUrls(req.user._id, [req.body.imageUrl])
     const post = new Post({
       // Link post to the currently authenticated author
       author: req.user._id,
       caption: req.body.caption,
       imageUrl: req.body.imageUrl || '',
+      // Several images make a carousel; the first is the cover (imageUrl)
+      media: req.body.media !== undefined ? await toMedia(req.body.media, req.user) : undefined,
       // likesCount always starts at 0 – users cannot manually set likes
       likesCount: 0,
       // Validate that hashtags is an array before using it
       hashtags: Array.isArray(req.body.hashtags) ? req.body.hashtags : [],
+      // Who may see it (services/postVisibility.js); the model rejects unknown values
+      audience: req.body.audience,
+      authorIsPrivate: req.user.isPrivate,
+      // Published now unless it is a draft or scheduled
+      ...scheduleFromBody(req.body),
+      location: req.body.location,
     })
+    // Geotag it (a place replaces any plain location text)
+    if (req.body.place) await Place.tag(post, req.body.place)
 
     await post.save()
 
-    // Push the new post _id into the Author's posts array (one-to-many relationship)
-    await Author.findByIdAndUpdate(req.user._id, { $push: { posts: post._id } })
+    // Push the new post _id into the Author's posts array (one-to-many relationship); drafts and
+    // scheduled posts join it when they are published
+    if (post.status === 'published') {
+      await Author.findByIdAndUpdate(req.user._id, { $push: { posts: post._id } })
+    }
 
     res.status(201).json({ post })
   } catch (error) {
@@ -47,8 +111,8 @@ exports.createPost = async (req, res) => {
 
 /**
  * GET /api/posts?page=1&limit=10
- * List posts, newest first. Supports pagination via query params.
- * Public – no auth required.
+ * List the posts visible to the caller, newest first. Supports pagination via query params.
+ * Public – no auth required (anonymous callers get public posts only).
  * Returns 200 with { posts, total, page, pages }.
  */
 exports.indexPosts = async (req, res) => {
@@ -57,9 +121,10 @@ exports.indexPosts = async (req, res) => {
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10))
     const skip = (page - 1) * limit
 
+    const filter = await visibleTo(req.user)
     const [posts, total] = await Promise.all([
-      Post.find({}).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('author', 'name profilePicture'),
-      Post.countDocuments(),
+      Post.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('author', 'name handle profilePicture'),
+      Post.countDocuments(filter),
     ])
 
     res.status(200).json({ posts, total, page, pages: Math.ceil(total / limit) })
@@ -71,8 +136,9 @@ exports.indexPosts = async (req, res) => {
 /**
  * GET /api/posts/:id
  * Get a single post by its MongoDB _id. Populates full author profile.
- * Public – no auth required.
- * Returns 200 with { post }; 400 if id is malformed; 404 if not found.
+ * Public – no auth required, but followers-only posts and private accounts' posts need a login
+ * that may see them.
+ * Returns 200 with { post }; 400 if id is malformed; 404 if not found or not visible.
  */
 exports.showPost = async (req, res) => {
   try {
@@ -81,8 +147,8 @@ exports.showPost = async (req, res) => {
       return res.status(400).json({ message: 'Invalid post id' })
     }
 
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'name profilePicture bio location')
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id }))
+      .populate('author', 'name handle profilePicture bio location')
 
     if (!post) return res.status(404).json({ message: 'Post not found' })
 
@@ -95,8 +161,12 @@ exports.showPost = async (req, res) => {
 /**
  * PUT /api/posts/:id
  * Update a post – only the author who created it can update it.
- * Allowed fields: caption, imageUrl, hashtags.
+ * Allowed fields: caption, media, imageUrl, hashtags, audience, place (null removes it).
+ * A new caption re-derives hashtags (its #tags plus any sent with it) and mentions.
+ * media replaces the whole list, so reordering is sending it back in the new order; imageUrl on its
+ * own only replaces the cover image.
  * likesCount is NOT updatable here – use POST /api/posts/:id/like instead.
+ * Changing the caption, hashtags or images stores a revision and sets editedAt.
  * Returns 200 with { post }; 400 for bad id/validation; 403 if not owner; 404 if not found.
  */
 exports.updatePost = async (req, res) => {
@@ -107,17 +177,27 @@ exports.updatePost = async (req, res) => {
     }
 
     const post = await Post.findById(req.params.id)
-    if (!post) return res.status(404).json({ message: 'Post not found' })
+    // Posts in the bin can only be restored
+    if (!post || post.deletedAt) return res.status(404).json({ message: 'Post not found' })
 
     // Only the post's author can update it
-    if (post.author.toString() !== req.user._id.toString()) {
+    if (!req.can('post:update', post)) {
       return res.status(403).json({ message: 'Forbidden: you can only update your own posts' })
     }
 
+    // Taken before any change so the edit can be recorded as a revision
+    const before = PostRevision.snapshot(post)
+
     // likesCount is intentionally excluded – it should only change via a dedicated like endpoint
-    const allowed = ['caption', 'imageUrl', 'hashtags']
+    const allowed = ['caption', 'media', 'imageUrl', 'hashtags', 'audience']
+    if (req.body.place !== undefined) await Place.tag(post, req.body.place)
+    // Images must be external URLs or the author's own uploads
+    const media = req.body.media !== undefined ? await toMedia(req.body.media, req.user, post.media) : undefined
+    if (req.body.imageUrl) await Upload.checkUrls(req.user._id, [req.body.imageUrl])
     allowed.forEach((key) => {
-      if (key === 'hashtags') {
+      if (key === 'media') {
+        if (media !== undefined) post.media = media
+      } else if (key === 'hashtags') {
         // Ensure hashtags is always stored as an array
         if (req.body.hashtags !== undefined) {
           post.hashtags = Array.isArray(req.body.hashtags) ? req.body.hashtags : []
@@ -127,7 +207,7 @@ exports.updatePost = async (req, res) => {
       }
     })
 
-    await post.save()
+    await PostRevision.saveEdit(post, before, req.user._id)
 
     res.status(200).json({ post })
   } catch (error) {
@@ -137,9 +217,11 @@ exports.updatePost = async (req, res) => {
 
 /**
  * DELETE /api/posts/:id
- * Delete a post – only the author who created it can delete it.
- * Also removes the post _id from the Author's posts array.
- * Returns 204 no content; 400 for bad id; 403 if not owner; 404 if not found.
+ * Delete a post – the author who created it, or a moderator/admin, can delete it.
+ * The author's own posts go to their recently deleted bin (restorable for 30 days with
+ * POST /api/posts/:id/restore); deleting a post that is already in the bin, or someone else's post
+ * as a moderator, deletes it for good.
+ * Returns 204 no content; 400 for bad id; 403 if not allowed; 404 if not found.
  */
 exports.deletePost = async (req, res) => {
   try {
@@ -151,15 +233,14 @@ exports.deletePost = async (req, res) => {
     const post = await Post.findById(req.params.id)
     if (!post) return res.status(404).json({ message: 'Post not found' })
 
-    // Only the post's author can delete it
-    if (post.author.toString() !== req.user._id.toString()) {
+    // The post's author, or a moderator (see services/permissions.js)
+    if (!req.can('post:delete', post)) {
       return res.status(403).json({ message: 'Forbidden: you can only delete your own posts' })
     }
 
-    await post.deleteOne()
-
-    // Remove the post _id from the Author's posts array to keep the relationship clean
-    await Author.findByIdAndUpdate(req.user._id, { $pull: { posts: post._id } })
+    // A moderator's removal can't be undone by the author
+    const ownPost = post.author.equals(req.user._id)
+    if (!ownPost || !(await binPost(post))) await purgePost(post)
 
     // 204 No Content – REST convention for a successful delete
     res.status(204).send()
@@ -168,11 +249,313 @@ exports.deletePost = async (req, res) => {
   }
 }
 
+// Nearby search radius in metres
+const DEFAULT_RADIUS_M = 5000
+const MAX_RADIUS_M = 50000
+
+/**
+ * GET /api/posts/nearby?lat=&lng=&radius=
+ * Geotagged posts visible to the caller within radius metres (default 5000, at most 50000) of a
+ * point, nearest first (at most 50). Each post has its place and its distance in metres.
+ * Public – no auth required.
+ * Returns 200 with { posts }; 400 for missing or out-of-range lat/lng or radius.
+ */
+exports.nearbyPosts = async (req, res) => {
+  try {
+    const radius = req.query.radius === undefined ? DEFAULT_RADIUS_M : Number(req.query.radius)
+    if (!(radius > 0 && radius <= MAX_RADIUS_M)) {
+      return res.status(400).json({ message: `radius must be between 1 and ${MAX_RADIUS_M} metres` })
+    }
+    let coordinates
+    try {
+      coordinates = Place.parseCoordinates(req.query.lat, req.query.lng)
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    // $geoNear must be the first stage; it sorts by distance and applies the visibility filter
+    const posts = await Post.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates },
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query: await visibleTo(req.user),
+        },
+      },
+      { $limit: 50 },
+    ])
+    await Post.populate(posts, [
+      { path: 'author', select: 'name handle profilePicture' },
+      { path: 'place', select: 'name geo' },
+    ])
+    posts.forEach((post) => { post.distance = Math.round(post.distance) })
+
+    res.status(200).json({ posts })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+// Load the post :id for an action only its author may take; responds 400/403/404 and resolves
+// to null if it can't. Posts in the bin are only found when asked for with { deleted: true }
+const findOwnPost = async (req, res, { deleted = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid post id' })
+    return null
+  }
+  const post = await Post.findById(req.params.id)
+  if (!post || Boolean(post.deletedAt) !== deleted) {
+    res.status(404).json({ message: 'Post not found' })
+    return null
+  }
+  if (!req.can('post:update', post)) {
+    res.status(403).json({ message: 'Forbidden: you can only update your own posts' })
+    return null
+  }
+  return post
+}
+
+/**
+ * GET /api/posts/drafts?status=draft|scheduled
+ * The logged-in author's unpublished posts: drafts (newest first), then scheduled posts (next to be
+ * published first). Edit them with PUT /api/posts/:id.
+ * Returns 200 with { posts: [...] }.
+ */
+exports.listDrafts = async (req, res) => {
+  try {
+    const statuses = ['draft', 'scheduled'].includes(req.query.status) ? [req.query.status] : ['draft', 'scheduled']
+    // Drafts have no publishAt, so they sort first
+    const posts = await Post.find({ author: req.user._id, status: { $in: statuses }, deletedAt: null })
+      .sort({ publishAt: 1, updatedAt: -1 })
+    res.status(200).json({ posts })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * PUT /api/posts/:id/schedule
+ * Schedule a draft, or reschedule a scheduled post. Body: { publishAt } (a future date).
+ * Returns 200 with { post }; 400 for bad id/date or if the post is already published;
+ * 403 if not owner; 404 if not found.
+ */
+exports.schedulePost = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (post.status === 'published') return res.status(400).json({ message: 'Post is already published' })
+    if (!req.body.publishAt) return res.status(400).json({ message: 'publishAt is required' })
+
+    Object.assign(post, scheduleFromBody({ publishAt: req.body.publishAt }))
+    await post.save()
+
+    res.status(200).json({ post })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /api/posts/:id/schedule
+ * Cancel a scheduled post's publishing – it stays as a draft.
+ * Returns 200 with { post }; 400 for bad id or if the post is not scheduled; 403 if not owner;
+ * 404 if not found.
+ */
+exports.cancelSchedule = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (post.status !== 'scheduled') return res.status(400).json({ message: 'Post is not scheduled' })
+
+    post.status = 'draft'
+    await post.save()
+
+    res.status(200).json({ post })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/posts/:id/publish
+ * Publish a draft or scheduled post right away.
+ * Returns 200 with { post }; 400 for bad id or if the post is already published; 403 if not owner;
+ * 404 if not found.
+ */
+exports.publishNow = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (!(await publishPost(post))) return res.status(400).json({ message: 'Post is already published' })
+
+    res.status(200).json({ post: await Post.findById(post._id) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /api/posts/archived
+ * The logged-in author's archived posts, most recently archived first.
+ * Returns 200 with { posts: [...] }.
+ */
+exports.listArchived = async (req, res) => {
+  try {
+    const posts = await Post.find({ author: req.user._id, archivedAt: { $ne: null }, deletedAt: null }).sort({ archivedAt: -1 })
+    res.status(200).json({ posts })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/posts/:id/archive
+ * Archive a published post: it is hidden from everyone else (and from its author's profile) until
+ * it is unarchived. Likes, comments and saves are kept.
+ * Returns 200 with { post }; 400 for bad id or if the post is not published or already archived;
+ * 403 if not owner; 404 if not found.
+ */
+exports.archive = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (post.status !== 'published') return res.status(400).json({ message: 'Only published posts can be archived' })
+    if (!(await archivePost(post))) return res.status(400).json({ message: 'Post is already archived' })
+
+    res.status(200).json({ post: await Post.findById(post._id) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /api/posts/:id/archive
+ * Unarchive a post – it is shown again, in its original place.
+ * Returns 200 with { post }; 400 for bad id or if the post is not archived; 403 if not owner;
+ * 404 if not found.
+ */
+exports.unarchive = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (!(await unarchivePost(post))) return res.status(400).json({ message: 'Post is not archived' })
+
+    res.status(200).json({ post: await Post.findById(post._id) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /api/posts/deleted
+ * The logged-in author's recently deleted posts, most recently deleted first, each with purgeAt –
+ * when it will be deleted for good.
+ * Returns 200 with { posts: [...] }.
+ */
+exports.listDeleted = async (req, res) => {
+  try {
+    const posts = await Post.find({ author: req.user._id, deletedAt: { $ne: null } }).sort({ deletedAt: -1 })
+    res.status(200).json({ posts: posts.map((post) => ({ ...post.toJSON(), purgeAt: purgeAt(post) })) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/posts/:id/restore
+ * Take a post out of the recently deleted bin, back to where it was (published, archived or a
+ * draft).
+ * Returns 200 with { post }; 400 for bad id; 403 if not owner; 404 if not found or not in the bin.
+ */
+exports.restore = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res, { deleted: true })
+    if (!post) return
+    await restorePost(post)
+
+    res.status(200).json({ post: await Post.findById(post._id) })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /api/posts/:id/revisions
+ * The edit history of your own post, newest first: each revision has the earlier version (caption,
+ * hashtags, media), the editor, when (createdAt) and the changes ({ field, from, to }).
+ * Only the author sees it – earlier versions may hold text they edited out on purpose.
+ * Returns 200 with { revisions: [...] }; 400 for bad id; 404 if not found or not your post.
+ */
+exports.listRevisions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+
+    // Other people's posts are reported as not found, whether or not they may see them
+    const post = await Post.findById(req.params.id).select('author')
+    if (!post || !req.can('post:update', post)) {
+      return res.status(404).json({ message: 'Post not found' })
+    }
+
+    const revisions = await PostRevision.find({ post: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('editor', 'name handle profilePicture')
+
+    res.status(200).json({ revisions })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * POST /api/posts/:id/revisions/:revisionId/restore
+ * Put an earlier version of the post back (owner only). The restore is recorded as a new revision,
+ * so it can be undone the same way.
+ * Returns 200 with { post }; 400 for bad ids; 403 if not owner; 404 if the post (or revision) is not
+ * found or the post is in the bin.
+ */
+exports.restoreRevision = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.revisionId)) {
+      return res.status(400).json({ message: 'Invalid revision id' })
+    }
+
+    const post = await Post.findById(req.params.id)
+    // Posts in the bin can only be restored
+    if (!post || post.deletedAt) return res.status(404).json({ message: 'Post not found' })
+
+    if (!req.can('post:update', post)) {
+      return res.status(403).json({ message: 'Forbidden: you can only update your own posts' })
+    }
+
+    const revision = await PostRevision.findOne({ _id: req.params.revisionId, post: post._id })
+    if (!revision) return res.status(404).json({ message: 'Revision not found' })
+
+    const before = PostRevision.snapshot(post)
+    post.caption = revision.caption
+    post.hashtags = revision.hashtags
+    post.media = revision.media.map((item) => ({ _id: item._id, url: item.url }))
+    await PostRevision.saveEdit(post, before, req.user._id, { restoredFrom: revision._id })
+
+    res.status(200).json({ post })
+  } catch (error) {
+    res.status(400).json({ message: error.message })
+  }
+}
+
 /**
  * GET /api/authors/:id/posts
  * List all posts by a specific author. Populates author name and avatar for consistency.
- * Public – no auth required.
- * Returns 200 with { posts: [...] }; 400 for bad id; 404 if author not found.
+ * Public – no auth required, except that a private account's posts are only listed for the
+ * author and their approved followers.
+ * Returns 200 with { posts: [...] }; 400 for bad id; 403 if the account is private; 404 if author not found
+ * (or has blocked the caller).
  */
 exports.listByAuthor = async (req, res) => {
   try {
@@ -182,11 +565,15 @@ exports.listByAuthor = async (req, res) => {
     }
 
     const author = await Author.findById(req.params.id)
-    if (!author) return res.status(404).json({ message: 'Author not found' })
+    if (!author || author.hasBlocked(req.user)) return res.status(404).json({ message: 'Author not found' })
+    if (!author.isVisibleTo(req.user)) {
+      return res.status(403).json({ message: 'Forbidden: this account is private' })
+    }
 
-    const posts = await Post.find({ author: req.params.id })
+    // Followers-only posts are left out for everyone else
+    const posts = await Post.find(await visibleTo(req.user, { author: author._id }))
       .sort({ createdAt: -1 })
-      .populate('author', 'name profilePicture')
+      .populate('author', 'name handle profilePicture')
 
     res.status(200).json({ posts })
   } catch (error) {
@@ -198,7 +585,7 @@ exports.listByAuthor = async (req, res) => {
  * POST /api/posts/:id/like
  * Toggle like on a post. Adds user to likedBy (and increments likesCount) if not
  * already liked; removes and decrements if already liked.
- * Returns 200 with { likesCount, liked: true|false }.
+ * Returns 200 with { likesCount, liked: true|false }; 404 if not found or not visible.
  */
 exports.likePost = async (req, res) => {
   try {
@@ -206,7 +593,7 @@ exports.likePost = async (req, res) => {
       return res.status(400).json({ message: 'Invalid post id' })
     }
 
-    const post = await Post.findById(req.params.id)
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id }))
     if (!post) return res.status(404).json({ message: 'Post not found' })
 
     const userId = req.user._id
@@ -228,40 +615,118 @@ exports.likePost = async (req, res) => {
 
 /**
  * POST /api/posts/:id/save
- * Toggle bookmark. Returns { saved: true|false }.
+ * Toggle bookmark. Unsaving also takes the post out of your collections (see /api/collections).
+ * Returns { saved: true|false }; 404 if not found or not visible.
  */
 exports.savePost = async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid post id' })
     }
-    const post = await Post.findById(req.params.id)
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id }))
     if (!post) return res.status(404).json({ message: 'Post not found' })
 
     const userId = req.user._id
     const author = await Author.findById(userId)
     const alreadySaved = author.savedPosts.some(id => id.toString() === req.params.id)
 
-    await Author.findByIdAndUpdate(
-      userId,
-      alreadySaved
-        ? { $pull: { savedPosts: req.params.id } }
-        : { $addToSet: { savedPosts: req.params.id } }
-    )
+    if (alreadySaved) {
+      await unsavePost(userId, post._id)
+    } else {
+      await Author.findByIdAndUpdate(userId, { $addToSet: { savedPosts: req.params.id } })
+    }
     res.status(200).json({ saved: !alreadySaved })
   } catch (error) {
     res.status(500).json({ message: error.message })
   }
 }
 
+/**
+ * POST /api/posts/:id/repost
+ * Repost a post you may see (not your own) to your followers' feeds. Body: caption (optional – a
+ * quote shown above the original; @handles in it are stored as mentions).
+ * Needs a verified email, like creating a post (see UNVERIFIED_RESTRICTIONS).
+ * Returns 201 with { repost }; 400 for bad id, your own post or a validation error; 403 if your
+ * email is not verified; 404 if not found or not visible; 409 if you have already reposted it.
+ */
+exports.repost = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id }))
+    if (!post) return res.status(404).json({ message: 'Post not found' })
+    if (await Repost.exists({ post: post._id, author: req.user._id })) {
+      return res.status(409).json({ message: 'You have already reposted this post' })
+    }
+
+    const repost = await reposts.repost(post, req.user._id, req.body.caption)
+    res.status(201).json({ repost })
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: 'You have already reposted this post' })
+    res.status(400).json({ message: error.message })
+  }
+}
+
+/**
+ * DELETE /api/posts/:id/repost
+ * Undo your repost of a post.
+ * Returns 204 no content; 400 for bad id; 404 if you have not reposted it.
+ */
+exports.undoRepost = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+    if (!(await reposts.undoRepost(req.params.id, req.user._id))) {
+      return res.status(404).json({ message: 'Repost not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
+/**
+ * GET /api/posts/:id/reposts
+ * Who reposted a post, newest first, with their quotes. Public for anyone who may see the post;
+ * reposts by private accounts are only listed for their followers, and blocks hide them both ways.
+ * Returns 200 with { repostsCount, reposts: [...] }; 400 for bad id; 404 if not found or not visible.
+ */
+exports.listReposts = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' })
+    }
+    const post = await Post.findOne(await visibleTo(req.user, { _id: req.params.id })).select('repostsCount')
+    if (!post) return res.status(404).json({ message: 'Post not found' })
+
+    const [privateIds, blockedByIds] = await Promise.all([
+      Author.distinct('_id', { isPrivate: true, _id: { $nin: req.user ? [...req.user.following, req.user._id] : [] } }),
+      req.user ? Author.distinct('_id', { blocked: req.user._id }) : [],
+    ])
+    const hidden = [...privateIds, ...blockedByIds, ...(req.user?.blocked || [])]
+    const list = await Repost.find({ post: post._id, author: { $nin: hidden } })
+      .sort({ createdAt: -1 })
+      .populate('author', 'name handle profilePicture')
+
+    res.status(200).json({ repostsCount: post.repostsCount, reposts: list })
+  } catch (error) {
+    res.status(500).json({ message: error.message })
+  }
+}
+
 /**
  * GET /api/authors/saved
- * Get all bookmarked posts for the logged-in user.
+ * Get all bookmarked posts for the logged-in user (leaving out any they can no longer see).
  */
 exports.getSaved = async (req, res) => {
   try {
-    const author = await Author.findById(req.user._id)
-      .populate({ path: 'savedPosts', populate: { path: 'author', select: 'name profilePicture' } })
+    const author = await Author.findById(req.user._id).populate({
+      path: 'savedPosts',
+      match: await visibleTo(req.user),
+      populate: { path: 'author', select: 'name handle profilePicture' },
+    })
     res.status(200).json({ posts: author.savedPosts.reverse() })
   } catch (error) {
     res.status(500).json({ message: error.message })
@@ -1,28 +1,44 @@
+const mongoose = require('mongoose')
 const Post = require('../../models/post')
-const Author = require('../../models/author')
 const Comment = require('../../models/comment')
+const PostRevision = require('../../models/postRevision')
+const Repost = require('../../models/repost')
+const Place = require('../../models/place')
+const Collection = require('../../models/collection')
+const { visibleTo } = require('../../services/postVisibility')
+const { scheduleFromBody, publishPost } = require('../../services/postScheduler')
+const { archivePost, unarchivePost, binPost, restorePost, purgePost } = require('../../services/postArchive')
+const reposts = require('../../services/reposts')
+const { unsavePost } = require('../../services/collections')
 
 const dataController = {}
 
-// Get posts for feed (following + self, newest first)
+// The fields the new-post form may set; likes, reposts, comments and the like always start empty
+const CREATABLE = ['caption', 'location', 'audience']
+
+// Get posts for feed (following + self, newest first; muted authors left out), with the reposts
+// those authors made of posts the viewer may see, attributed to them
 dataController.index = async (req, res, next) => {
   try {
     const currentUser = req.author
     const followingIds = [...currentUser.following, currentUser._id]
+    const feed = { author: { $in: followingIds, $nin: currentUser.muted } }
+    const visible = await visibleTo(currentUser)
+    const populatePost = [
+      { path: 'author', select: 'name handle profilePicture' },
+      { path: 'comments', populate: { path: 'author', select: 'name handle profilePicture' } },
+    ]
 
-    res.locals.data.posts = await Post.find({
-      author: { $in: followingIds },
-      isPrivate: false,
-    })
-      .populate('author', 'name profilePicture')
-      .populate({
-        path: 'comments',
-        populate: { path: 'author', select: 'name profilePicture' },
-      })
+    const posts = await Post.find({ $and: [feed, visible] })
+      .populate(populatePost)
       .sort({ createdAt: -1 })
       .limit(20)
+    const feedReposts = await reposts.feedReposts(currentUser, 20, populatePost)
+    res.locals.data.items = reposts.mergeFeed(posts, feedReposts, 20)
 
     res.locals.data.currentUserId = currentUser._id.toString()
+    const repostedIds = await Repost.find({ author: currentUser._id }).distinct('post')
+    res.locals.data.repostedPostIds = repostedIds.map(id => id.toString())
     // Pass saved post ids so bookmark icons render correctly
     const Author = require('../../models/author')
     const authorDoc = await Author.findById(currentUser._id).select('savedPosts')
@@ -33,14 +49,39 @@ dataController.index = async (req, res, next) => {
   }
 }
 
-// Create a new post (image upload via multer)
+// Recently used places for the new-post place picker
+dataController.newForm = async (req, res, next) => {
+  try {
+    res.locals.data.places = await Place.find().sort({ updatedAt: -1 }).limit(50)
+    next()
+  } catch (error) {
+    res.status(400).send({ message: error.message })
+  }
+}
+
+// Create a new post (up to 10 images uploaded via multer, kept in the order they were chosen);
+// "Save draft" or a publishAt keeps it unpublished for now. The location is geotagged when it names
+// a known place or comes with coordinates ("Use my location")
 dataController.create = async (req, res, next) => {
   try {
-    req.body.author = req.author._id
-    req.body.imageUrl = req.file.path
-    res.locals.data.post = await Post.create(req.body)
-    req.author.posts.push(res.locals.data.post._id)
-    await req.author.save()
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).send({ message: 'Please choose at least one image' })
+    }
+    const post = new Post({
+      author: req.author._id,
+      authorIsPrivate: req.author.isPrivate,
+      media: req.files.map((file) => ({ url: file.path })),
+      ...scheduleFromBody(req.body),
+    })
+    for (const field of CREATABLE) {
+      if (req.body[field] !== undefined) post[field] = req.body[field]
+    }
+    await Place.tag(post, { name: req.body.location, lat: req.body.lat, lng: req.body.lng })
+    res.locals.data.post = await post.save()
+    if (res.locals.data.post.status === 'published') {
+      req.author.posts.push(res.locals.data.post._id)
+      await req.author.save()
+    }
     next()
   } catch (error) {
     res.status(400).send({ message: error.message })
@@ -50,6 +91,9 @@ dataController.create = async (req, res, next) => {
 // Add a comment to a post
 dataController.addComment = async (req, res, next) => {
   try {
+    if (!(await Post.exists(await visibleTo(req.author, { _id: req.params.postId })))) {
+      return res.status(404).send({ message: 'Post not found' })
+    }
     const { content } = req.body
     const comment = await Comment.create({
       author: req.author._id,
@@ -63,12 +107,12 @@ dataController.addComment = async (req, res, next) => {
   }
 }
 
-// Delete a comment — only the comment author can do this
+// Delete a comment — the comment author or a moderator
 dataController.deleteComment = async (req, res, next) => {
   try {
     const comment = await Comment.findById(req.params.commentId)
     if (!comment) return res.status(404).send({ message: 'Comment not found' })
-    if (comment.author.toString() !== req.author._id.toString()) {
+    if (!req.can('comment:delete', comment)) {
       return res.status(403).send({ message: 'Forbidden: you can only delete your own comments' })
     }
     await comment.deleteOne()
@@ -79,17 +123,80 @@ dataController.deleteComment = async (req, res, next) => {
   }
 }
 
-// Show a single post with author + comments
+// Show a single post with author + comments (404 if the viewer may not see it)
 dataController.show = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id)
+    const post = await Post.findOne(await visibleTo(req.author, { _id: req.params.id }))
       .populate('author')
       .populate({ path: 'comments', populate: { path: 'author' } })
+    if (!post) return res.status(404).send({ message: 'Post not found' })
     res.locals.data.post = post
     res.locals.data.currentUserId = req.author._id.toString()
+    // Moderators see delete buttons on everyone's post and comments
+    res.locals.data.canModerate = req.can('content:moderate')
+    res.locals.data.reposted = Boolean(await Repost.exists({ post: post._id, author: req.author._id }))
     const AuthorModel = require('../../models/author')
     const authorDoc = await AuthorModel.findById(req.author._id).select('savedPosts')
     res.locals.data.savedPostIds = authorDoc.savedPosts.map(id => id.toString())
+    // The viewer's collections (and ones they collaborate on) for the "Save to collection" menu
+    res.locals.data.collections = await Collection.forAuthor(req.author._id)
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Load a post for its edit form (the author only; not while it is in the bin)
+dataController.edit = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id)
+    if (!post || post.deletedAt) return res.status(404).send({ message: 'Post not found' })
+    if (!req.can('post:update', post)) {
+      return res.status(403).send({ message: 'Forbidden: you can only edit your own posts' })
+    }
+    res.locals.data.post = post
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Update a post from the edit form: caption, audience, and the images – body.remove lists the
+// image ids to drop, body.order[<image id>] the position to move each one to. An unpublished post
+// is also (re)scheduled from body.publishAt (empty keeps it a draft), or published by "Publish now"
+dataController.update = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id)
+    if (!post || post.deletedAt) return res.status(404).send({ message: 'Post not found' })
+    if (!req.can('post:update', post)) {
+      return res.status(403).send({ message: 'Forbidden: you can only edit your own posts' })
+    }
+    const before = PostRevision.snapshot(post)
+    if (req.body.caption !== undefined) post.caption = req.body.caption
+    if (req.body.audience) post.audience = req.body.audience
+
+    const removed = [].concat(req.body.remove || [])
+    const order = req.body.order || {}
+    const kept = post.media
+      .map((item, index) => ({ item, index, position: Number(order[item._id]) || index + 1 }))
+      .filter(({ item }) => !removed.includes(String(item._id)))
+    if (kept.length === 0) return res.status(400).send({ message: 'A post needs at least one image' })
+    // Ties keep the current order
+    kept.sort((a, b) => a.position - b.position || a.index - b.index)
+    post.media = kept.map(({ item }) => item)
+
+    const unpublished = post.status !== 'published'
+    const publishNow = unpublished && req.body.publish === 'now'
+    if (unpublished && !publishNow) {
+      Object.assign(post, req.body.publishAt ? scheduleFromBody({ publishAt: req.body.publishAt }) : { status: 'draft' })
+    }
+
+    await PostRevision.saveEdit(post, before, req.author._id)
+    if (publishNow) {
+      await publishPost(post)
+      post.status = 'published'
+    }
+    res.locals.data.post = post
     next()
   } catch (err) {
     res.status(400).send({ message: err.message })
@@ -99,7 +206,7 @@ dataController.show = async (req, res, next) => {
 // Like/unlike a post — toggles based on whether user already liked it
 dataController.likePost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id)
+    const post = await Post.findOne(await visibleTo(req.author, { _id: req.params.id }))
     if (!post) return res.status(404).send({ message: 'Post not found' })
 
     const userId = req.author._id
@@ -122,12 +229,39 @@ dataController.likePost = async (req, res, next) => {
   }
 }
 
-// Hashtag feed — all posts with a given tag
+// Repost a post the viewer may see, with an optional quote (body.caption)
+dataController.repost = async (req, res, next) => {
+  try {
+    const post = await Post.findOne(await visibleTo(req.author, { _id: req.params.id }))
+    if (!post) return res.status(404).send({ message: 'Post not found' })
+    if (await Repost.exists({ post: post._id, author: req.author._id })) {
+      return res.status(409).send({ message: 'You have already reposted this post' })
+    }
+    await reposts.repost(post, req.author._id, req.body.caption)
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Undo your repost of a post
+dataController.undoRepost = async (req, res, next) => {
+  try {
+    if (!(await reposts.undoRepost(req.params.id, req.author._id))) {
+      return res.status(404).send({ message: 'Repost not found' })
+    }
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Hashtag feed — all posts with a given tag that the viewer may see
 dataController.hashtagFeed = async (req, res, next) => {
   try {
     const tag = req.params.tag.toLowerCase().replace(/^#/, '')
-    res.locals.data.posts = await Post.find({ hashtags: tag })
-      .populate('author', 'name profilePicture')
+    res.locals.data.posts = await Post.find(await visibleTo(req.author, { hashtags: tag }))
+      .populate('author', 'name handle profilePicture')
       .sort({ createdAt: -1 })
     res.locals.data.tag = tag
     next()
@@ -136,16 +270,34 @@ dataController.hashtagFeed = async (req, res, next) => {
   }
 }
 
+// Place page — the place and the posts tagged with it that the viewer may see
+dataController.placeFeed = async (req, res, next) => {
+  try {
+    const place = mongoose.Types.ObjectId.isValid(req.params.id) ? await Place.findById(req.params.id) : null
+    if (!place) return res.status(404).send({ message: 'Place not found' })
+    res.locals.data.place = place
+    res.locals.data.posts = await Post.find(await visibleTo(req.author, { place: place._id }))
+      .populate('author', 'name handle profilePicture')
+      .sort({ createdAt: -1 })
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
 // Toggle save / unsave a post
 dataController.toggleSave = async (req, res, next) => {
   try {
     const Author = require('../../models/author')
     const userId = req.author._id
     const postId = req.params.id
+    if (!(await Post.exists(await visibleTo(req.author, { _id: postId })))) {
+      return res.status(404).send({ message: 'Post not found' })
+    }
     const author = await Author.findById(userId)
     const alreadySaved = author.savedPosts.some(id => id.toString() === postId)
     if (alreadySaved) {
-      await Author.findByIdAndUpdate(userId, { $pull: { savedPosts: postId } })
+      await unsavePost(userId, postId)
     } else {
       await Author.findByIdAndUpdate(userId, { $addToSet: { savedPosts: postId } })
     }
@@ -155,28 +307,68 @@ dataController.toggleSave = async (req, res, next) => {
   }
 }
 
-// Saved posts feed
-dataController.savedFeed = async (req, res, next) => {
+// Delete a post (owner or a moderator). The owner's post goes to their recently deleted bin, unless
+// it is already there ("Delete forever"); a moderator's removal is permanent
+dataController.deletePost = async (req, res, next) => {
   try {
-    const Author = require('../../models/author')
-    const author = await Author.findById(req.author._id)
-      .populate({ path: 'savedPosts', populate: { path: 'author', select: 'name profilePicture' } })
-    res.locals.data.posts = author.savedPosts.reverse()
+    const post = await Post.findById(req.params.id)
+    if (!post || !req.can('post:delete', post)) {
+      return res.status(403).send({ message: 'Not authorized to delete this post' })
+    }
+    const ownPost = post.author.equals(req.author._id)
+    if (!ownPost || !(await binPost(post))) await purgePost(post)
+    res.locals.data.ownPost = ownPost
     next()
   } catch (err) {
     res.status(400).send({ message: err.message })
   }
 }
 
-// Delete a post (only owner can delete)
-dataController.deletePost = async (req, res, next) => {
+// Load one of your own posts for an archive/restore action; responds 403/404 and resolves to null if
+// it can't
+const findOwnPost = async (req, res) => {
+  const post = mongoose.Types.ObjectId.isValid(req.params.id) ? await Post.findById(req.params.id) : null
+  if (!post) {
+    res.status(404).send({ message: 'Post not found' })
+    return null
+  }
+  if (!req.can('post:update', post)) {
+    res.status(403).send({ message: 'Forbidden: you can only change your own posts' })
+    return null
+  }
+  return post
+}
+
+// Archive a post (hidden from everyone else until unarchived)
+dataController.archive = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id)
-    if (!post || post.author.toString() !== req.author._id.toString()) {
-      return res.status(403).send({ message: 'Not authorized to delete this post' })
-    }
-    await Post.findByIdAndDelete(req.params.id)
-    await Author.findByIdAndUpdate(req.author._id, { $pull: { posts: req.params.id } })
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (!(await archivePost(post))) return res.status(400).send({ message: 'Only published posts can be archived' })
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Show an archived post again
+dataController.unarchive = async (req, res, next) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (!(await unarchivePost(post))) return res.status(400).send({ message: 'Post is not archived' })
+    next()
+  } catch (err) {
+    res.status(400).send({ message: err.message })
+  }
+}
+
+// Take a post out of the recently deleted bin
+dataController.restore = async (req, res, next) => {
+  try {
+    const post = await findOwnPost(req, res)
+    if (!post) return
+    if (!(await restorePost(post))) return res.status(400).send({ message: 'Post is not in Recently deleted' })
     next()
   } catch (err) {
     res.status(400).send({ message: err.message })
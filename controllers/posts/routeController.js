@@ -3,34 +3,50 @@ const router = express.Router()
 
 const viewController = require('./viewController')
 const dataController = require('./dataController')
-const authDataController = require('../auth/dataController')
+const auth = require('../../middleware/auth')
 const { upload, processImage } = require('../../middleware/upload')
 
 // Feed page (GET /posts)
-router.get('/', authDataController.auth, dataController.index, viewController.index)
+router.get('/', auth, dataController.index, viewController.index)
 
 // New Post Form (GET /posts/new)
-router.get('/new', authDataController.auth, viewController.newView)
+router.get('/new', auth, dataController.newForm, viewController.newView)
 
-// Create New Post (POST /posts)
-router.post('/', authDataController.auth, upload.single('image'), processImage, dataController.create, viewController.redirectShow)
+// Create New Post (POST /posts) – up to 10 images, shown as a carousel
+router.post('/', auth.beforeUpload, auth.requireVerifiedEmail('post'), upload.array('images', 10), auth.csrfAfterUpload, processImage, dataController.create, viewController.redirectShow)
 
 // Like a post (POST /posts/:id/like)
-router.post('/:id/like', authDataController.auth, dataController.likePost, viewController.stayOnPost)
+router.post('/:id/like', auth, dataController.likePost, viewController.stayOnPost)
 
 // Save / unsave a post (POST /posts/:id/save)
-router.post('/:id/save', authDataController.auth, dataController.toggleSave, viewController.stayOnPost)
+router.post('/:id/save', auth, dataController.toggleSave, viewController.stayOnPost)
+
+// Repost a post, optionally with a quote (needs a verified email, like posting), or undo it
+// (POST, DELETE /posts/:id/repost)
+router.post('/:id/repost', auth, auth.requireVerifiedEmail('post'), dataController.repost, viewController.stayOnPost)
+router.delete('/:id/repost', auth, dataController.undoRepost, viewController.stayOnPost)
 
 // Add a comment to a post (POST /posts/:postId/comments)
-router.post('/:postId/comments', authDataController.auth, dataController.addComment, viewController.stayOnPage)
+router.post('/:postId/comments', auth, dataController.addComment, viewController.stayOnPage)
 
 // Delete a comment (DELETE /posts/:postId/comments/:commentId — only the comment author)
-router.delete('/:postId/comments/:commentId', authDataController.auth, dataController.deleteComment, viewController.stayOnPage)
+router.delete('/:postId/comments/:commentId', auth, dataController.deleteComment, viewController.stayOnPage)
+
+// Edit Post Form (GET /posts/:id/edit) and Update Post (PUT /posts/:id) – caption, audience, image order
+router.get('/:id/edit', auth, dataController.edit, viewController.edit)
+router.put('/:id', auth, dataController.update, viewController.redirectToPost)
 
 // Show Single Post (GET /posts/:id)
-router.get('/:id', authDataController.auth, dataController.show, viewController.show)
+router.get('/:id', auth, dataController.show, viewController.show)
+
+// Delete Post (DELETE /posts/:id) – to Recently deleted, or for good if it is already there
+router.delete('/:id', auth, dataController.deletePost, viewController.redirectToProfile)
+
+// Archive / unarchive a post (POST, DELETE /posts/:id/archive)
+router.post('/:id/archive', auth, dataController.archive, viewController.redirectToArchive)
+router.delete('/:id/archive', auth, dataController.unarchive, viewController.redirectToPost)
 
-// Delete Post (DELETE /posts/:id)
-router.delete('/:id', authDataController.auth, dataController.deletePost, viewController.redirectToProfile)
+// Restore a post from Recently deleted (POST /posts/:id/restore)
+router.post('/:id/restore', auth, dataController.restore, viewController.stayOnPage)
 
 module.exports = router
@@ -9,7 +9,7 @@ const viewController = {
 
   // Show the upload a new post form
   newView(req, res) {
-    res.render('posts/NewPost', { token: res.locals.data.token })
+    res.render('posts/NewPost', { token: res.locals.data.token, places: res.locals.data.places })
   },
 
   // Stay on the same page (after adding/deleting a comment)
@@ -37,17 +37,36 @@ const viewController = {
       token: res.locals.data.token,
       currentUserId: res.locals.data.currentUserId,
       savedPostIds: res.locals.data.savedPostIds || [],
+      reposted: res.locals.data.reposted,
+      collections: res.locals.data.collections || [],
     })
   },
 
-  // Redirect to feed after creating a post
+  // Show the edit form for one of your posts
+  edit(req, res) {
+    res.render('posts/EditPost', { post: res.locals.data.post, token: res.locals.data.token })
+  },
+
+  // Back to the post after editing or unarchiving it (to the drafts tab while it is unpublished)
+  redirectToPost(req, res) {
+    if (res.locals.data.post && res.locals.data.post.status !== 'published') return res.redirect('/authors/profile?tab=drafts')
+    res.redirect(`${RESOURCE_PATH}/${req.params.id}`)
+  },
+
+  // Redirect to feed after creating a post (to the drafts tab for a draft or scheduled post)
   redirectShow(req, res) {
+    if (res.locals.data.post.status !== 'published') return res.redirect('/authors/profile?tab=drafts')
     res.redirect(RESOURCE_PATH)
   },
 
-  // Redirect to profile after deleting a post
+  // Redirect to profile after deleting a post (your own: to Recently deleted)
   redirectToProfile(req, res) {
-    res.redirect('/authors/profile')
+    res.redirect(res.locals.data.ownPost ? '/authors/profile?tab=deleted' : '/authors/profile')
+  },
+
+  // Redirect to the profile's Archived tab after archiving a post
+  redirectToArchive(req, res) {
+    res.redirect('/authors/profile?tab=archived')
   },
 
   // Hashtag feed page
@@ -59,9 +78,10 @@ const viewController = {
     })
   },
 
-  // Saved posts page
-  savedFeed(req, res) {
-    res.render('posts/Saved', {
+  // Place page (posts tagged with a place)
+  placeFeed(req, res) {
+    res.render('posts/PlaceFeed', {
+      place: res.locals.data.place,
       posts: res.locals.data.posts,
       token: res.locals.data.token,
     })
@@ -1,12 +1,15 @@
 const Post = require('../../models/post')
+const { visibleTo } = require('../../services/postVisibility')
 
 /**
  * GET /api/tags
  * Returns all unique hashtags with their post count, sorted by popularity.
+ * Only posts visible to the caller are counted.
  */
 exports.listTags = async (req, res) => {
   try {
     const tags = await Post.aggregate([
+      { $match: await visibleTo(req.user) },
       { $unwind: '$hashtags' },
       { $group: { _id: '$hashtags', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
@@ -20,13 +23,13 @@ exports.listTags = async (req, res) => {
 
 /**
  * GET /api/tags/:tag
- * Returns all posts that contain the given hashtag, newest first.
+ * Returns all posts visible to the caller that contain the given hashtag, newest first.
  */
 exports.showTag = async (req, res) => {
   try {
     const tag = req.params.tag.toLowerCase().replace(/^#/, '')
-    const posts = await Post.find({ hashtags: tag })
-      .populate('author', 'name profilePicture')
+    const posts = await Post.find(await visibleTo(req.user, { hashtags: tag }))
+      .populate('author', 'name handle profilePicture')
       .sort({ createdAt: -1 })
     res.status(200).json({ tag, count: posts.length, posts })
   } catch (error) {
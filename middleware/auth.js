@@ -1,30 +1,221 @@
+/**
+ * Authentication layer shared by the web (JSX) routes and the /api routes.
+ *
+ * Credentials are read by pluggable strategies, tried in order; the first one that finds
+ * credentials on the request decides the outcome:
+ *   - apiKey: Authorization: Bearer fgk_… (or X-API-Key) – personal API keys (models/apiKey.js)
+ *   - oauth:  Authorization: Bearer fgo_… – tokens issued to third-party apps (models/oauthToken.js)
+ *   - bearer: Authorization: Bearer <jwt> – used by API clients
+ *   - cookie: httpOnly `token` cookie, renewed from the `refreshToken` cookie once the short-lived
+ *             access token has expired – used by the browser
+ *
+ * API keys and app tokens are *scoped*: they only work on routes declared with
+ * auth.scope('<scope>') and only if they hold that scope (see SCOPES in services/permissions.js).
+ * Plain `auth` routes (account security, admin, ...) need a full login. Logins have every scope.
+ *
+ * Cookie-authenticated requests that change state (POST/PUT/PATCH/DELETE) must also carry the
+ * CSRF token (double-submit: `csrfToken` cookie + `_csrf` form field or X-CSRF-Token header).
+ * Bearer requests skip the check because browsers never attach that header on their own.
+ * Upload forms (multipart) are authenticated with auth.beforeUpload instead, and their `_csrf`
+ * field checked by auth.csrfAfterUpload once multer has parsed the body.
+ *
+ * Access tokens carry the id of the login session they belong to (`sid`); a token whose session
+ * has been logged out is rejected even before it expires.
+ *
+ * On success sets req.user and req.author (the same Author document), req.sessionId, req.scopes
+ * (null for a full login), req.can(action, resource) (see services/permissions.js) and
+ * res.locals.data.token. Every failure is the same 401 JSON response, whichever route or strategy
+ * was involved; a scoped credential on a route it may not use gets 403.
+ */
+const crypto = require('crypto')
+const fs = require('fs')
 // JWT library to verify and decode tokens
 const jwt = require('jsonwebtoken')
 // Author model to load the user from the database
 const Author = require('../models/author')
+const RefreshToken = require('../models/refreshToken')
+const Session = require('../models/session')
+const ApiKey = require('../models/apiKey')
+const OAuthToken = require('../models/oauthToken')
+const { can } = require('../services/permissions')
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+// Actions an author may not take until their email is verified, e.g. UNVERIFIED_RESTRICTIONS=post,message
+// (set it to an empty string to allow everything)
+const UNVERIFIED_RESTRICTIONS = (process.env.UNVERIFIED_RESTRICTIONS ?? 'post,message')
+  .split(',')
+  .map((a) => a.trim())
+  .filter(Boolean)
+
+// Both auth cookies live as long as the refresh token; the access JWT inside expires much sooner
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  maxAge: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000,
+}
+
+// Load the author a credential belongs to; throws if they are gone or their account is being deleted
+const activeAuthor = async (authorId) => {
+  const author = await Author.findById(authorId)
+  if (!author) throw new Error('User not found')
+  if (author.deletionScheduledFor) throw new Error('Account scheduled for deletion')
+  return author
+}
+
+// Verify an access token, check its session is still live (recording activity) and load its
+// author; throws if invalid, expired, not tied to a session, logged out or the author is gone
+const loadAuthor = async (token, req) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret')
+  if (!decoded.sid || !(await Session.touch(decoded.sid, req))) throw new Error('Session expired')
+  return { author: await activeAuthor(decoded._id), sessionId: decoded.sid }
+}
+
+// Swap a refresh token for a new access + refresh token pair (rotation), as long as its author is
+// still active and its login session is live; throws otherwise. Used by the cookie strategy and
+// POST /api/auth/refresh
+const renewSession = async (rawRefreshToken, req) => {
+  const { authorId, refreshToken, family } = await RefreshToken.rotate(rawRefreshToken)
+  const author = await activeAuthor(authorId)
+  // The family is the login session; refreshing counts as activity on it, and a session that has
+  // been logged out (or is unknown) is not renewed
+  if (!(await Session.touch(family, req))) throw new Error('Session expired')
+  return { author, token: author.generateAuthToken(family), refreshToken, sessionId: family }
+}
 
 /**
- * Protect routes: validate JWT, load author, set req.user.
- * Token from query (?token=) or Authorization header (Bearer <token>).
+ * Strategies: each has a name, a `detect(req)` that says whether the request carries its kind of
+ * credentials, and an `authenticate(req, res)` that resolves to { author, token, sessionId, scopes }
+ * or throws (`scopes` only for scoped credentials). Add new ones with auth.use(strategy).
  */
-const auth = async (req, res, next) => {
+const bearerValue = (req) => (req.header('Authorization') || '').replace(/^Bearer\s+/, '').trim()
+
+const strategies = [
+  {
+    name: 'apiKey',
+    csrf: false,
+    detect: (req) => Boolean(req.header('X-API-Key')) || ApiKey.looksLikeKey(bearerValue(req)),
+    authenticate: async (req) => {
+      const apiKey = await ApiKey.authenticate(req.header('X-API-Key') || bearerValue(req))
+      if (!apiKey) throw new Error('Invalid API key')
+      return { author: await activeAuthor(apiKey.author), token: null, scopes: apiKey.scopes }
+    },
+  },
+  {
+    name: 'oauth',
+    csrf: false,
+    detect: (req) => OAuthToken.looksLikeToken(bearerValue(req)),
+    authenticate: async (req) => {
+      const record = await OAuthToken.findByAccessToken(bearerValue(req))
+      if (!record) throw new Error('Invalid or expired access token')
+      return { author: await activeAuthor(record.author), token: null, scopes: record.scopes }
+    },
+  },
+  {
+    name: 'bearer',
+    csrf: false,
+    detect: (req) => /^Bearer /.test(req.header('Authorization') || ''),
+    authenticate: async (req) => {
+      const token = bearerValue(req)
+      if (!token) throw new Error('Token missing')
+      return { ...(await loadAuthor(token, req)), token }
+    },
+  },
+  {
+    name: 'cookie',
+    csrf: true,
+    detect: (req) => Boolean(req.cookies?.token || req.cookies?.refreshToken),
+    authenticate: async (req, res) => {
+      try {
+        if (!req.cookies.token) throw new Error('Token missing')
+        return { ...(await loadAuthor(req.cookies.token, req)), token: req.cookies.token }
+      } catch (error) {
+        // Access token missing or expired – rotate the refresh token and start a fresh pair
+        if (!req.cookies.refreshToken) throw error
+        const { author, token, refreshToken, sessionId } = await renewSession(req.cookies.refreshToken, req)
+        setAuthCookies(res, token, refreshToken)
+        return { author, token, sessionId }
+      }
+    },
+  },
+]
+
+// Compare two strings without leaking how many leading characters matched
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a))
+  const bufB = Buffer.from(String(b))
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+// Make sure the browser has a CSRF cookie and expose the value to views as `csrfToken`
+const issueCsrfToken = (req, res) => {
+  let csrfToken = req.cookies?.csrfToken
+  if (!csrfToken) {
+    csrfToken = crypto.randomBytes(32).toString('hex')
+    res.cookie('csrfToken', csrfToken, { ...COOKIE_OPTIONS })
+  }
+  res.locals.csrfToken = csrfToken
+  return csrfToken
+}
+
+// Forms send `_csrf` in the body (never the URL, which ends up in logs and Referer headers)
+const verifyCsrf = (req, csrfToken) => {
+  if (SAFE_METHODS.includes(req.method)) return true
+  const sent = req.body?._csrf || req.header('X-CSRF-Token')
+  return Boolean(sent) && safeEqual(sent, csrfToken)
+}
+
+/**
+ * Build the middleware for a route. `scope` (optional) is the scope an API key or app token needs
+ * to use the route; without one, only a full login is accepted. With `optional`, requests without
+ * any credentials carry on anonymously (req.user = null). With `csrfAfterUpload`, the CSRF check
+ * of a multipart cookie request is left to auth.csrfAfterUpload.
+ * Picks the strategy matching the request, authenticates, enforces CSRF for cookie sessions and
+ * scopes for scoped credentials, then sets req.user / req.author.
+ * Responds 401, or 403 for a bad CSRF token or a missing scope.
+ */
+const authenticate = (scope, { optional = false, csrfAfterUpload = false } = {}) => async (req, res, next) => {
   try {
-    // Get token from query string (?token=...) or from Authorization header (Bearer <token>)
-    const token = req.query.token || req.headers.authorization?.split(' ')[1]
+    const strategy = strategies.find((s) => s.detect(req))
+    if (!strategy && optional) {
+      req.user = null
+      req.author = null
+      req.scopes = null
+      req.can = () => false
+      return next()
+    }
+    // Reject request if no credentials were provided
+    if (!strategy) throw new Error('Token missing')
 
-    // Reject request if no token was provided
-    if (!token) throw new Error('Token missing')
+    // Checked before authenticating, so a request without the CSRF token never rotates the
+    // refresh cookie
+    if (strategy.csrf) {
+      const csrfToken = issueCsrfToken(req, res)
+      req.csrfAfterUpload = csrfAfterUpload && Boolean(req.is('multipart/form-data'))
+      if (!req.csrfAfterUpload && !verifyCsrf(req, csrfToken)) {
+        return res.status(403).json({ message: 'Forbidden: invalid CSRF token' })
+      }
+    }
 
-    // Verify token and decode payload; throws if token is invalid or expired
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret')
-    // Load the author from the database using the ID stored in the token
-    const user = await Author.findById(decoded._id)
+    const { author, token, sessionId = null, scopes = null } = await strategy.authenticate(req, res)
 
-    // Reject if author was deleted after the token was issued
-    if (!user) throw new Error('User not found')
+    // API keys and app tokens only reach routes that declare a scope they hold
+    if (scopes && !scope) {
+      return res.status(403).json({ message: 'Forbidden: this endpoint requires a full login, not an API key or app token' })
+    }
+    if (scopes && !scopes.includes(scope)) {
+      return res.status(403).json({ message: `Forbidden: missing scope ${scope}` })
+    }
 
-    // Attach the author to the request so the next handler can use req.user
-    req.user = user
+    // Attach the author to the request so the next handler can use req.user (API) or req.author (web)
+    req.user = author
+    req.author = author
+    req.authStrategy = strategy.name
+    req.sessionId = sessionId
+    req.scopes = scopes
+    req.can = (action, resource) => can(author, action, resource)
+    res.locals.data.token = token
     // Continue to the next middleware or route handler
     next()
   } catch (err) {
@@ -33,5 +224,85 @@ const auth = async (req, res, next) => {
   }
 }
 
+// Full login required (Bearer JWT or cookie session)
+const auth = authenticate(null)
+
+// Full login, or an API key / app token holding `scope`, e.g. router.post('/posts', auth.scope('write:posts'), ...)
+auth.scope = (scope) => authenticate(scope)
+
+// Public routes whose answer depends on who is asking (e.g. private profiles): anonymous requests
+// are allowed, but credentials that are sent must be valid
+auth.optional = (scope = null) => authenticate(scope, { optional: true })
+
+// Upload forms (multipart/form-data): their `_csrf` field is only parsed by multer, so the CSRF
+// check waits for auth.csrfAfterUpload, which must come right after the upload middleware, e.g.
+//   router.post('/', auth.beforeUpload, upload.array('images', 10), auth.csrfAfterUpload, ...)
+auth.beforeUpload = authenticate(null, { csrfAfterUpload: true })
+
+auth.csrfAfterUpload = (req, res, next) => {
+  if (!req.csrfAfterUpload || verifyCsrf(req, res.locals.csrfToken)) return next()
+  // Don't keep the files of a forged request
+  for (const file of [req.file, ...(req.files || [])].filter(Boolean)) fs.unlink(file.path, () => {})
+  res.status(403).json({ message: 'Forbidden: invalid CSRF token' })
+}
+
+// CSRF check alone, for cookie forms that must work even once the login itself has expired
+// (e.g. logging out): the `_csrf` field must match the browser's `csrfToken` cookie
+auth.csrf = (req, res, next) => {
+  const csrfToken = req.cookies?.csrfToken
+  if (csrfToken && verifyCsrf(req, csrfToken)) return next()
+  res.status(403).json({ message: 'Forbidden: invalid CSRF token' })
+}
+
+// For pages (not APIs): browsers without any login are sent to the sign-in page and brought back afterwards
+auth.orRedirectToLogin = (req, res, next) => {
+  if (strategies.some((s) => s.detect(req))) return auth(req, res, next)
+  res.redirect('/authors/login?next=' + encodeURIComponent(req.originalUrl))
+}
+
+/**
+ * Route guard placed after auth: blocks authors with an unverified email from `action`
+ * (e.g. 'post', 'message') when that action is listed in UNVERIFIED_RESTRICTIONS.
+ * Responds 403 with a message explaining how to verify.
+ */
+auth.requireVerifiedEmail = (action) => (req, res, next) => {
+  if (req.user.emailVerified || !UNVERIFIED_RESTRICTIONS.includes(action)) return next()
+  res.status(403).json({
+    message: 'Forbidden: please verify your email address first',
+    error: `Unverified accounts cannot ${action}. Use the link we emailed you, or request a new one.`,
+  })
+}
+
+/**
+ * Route guard placed after auth for permissions that don't depend on a resource
+ * (e.g. auth.authorize('author:manage') on admin routes). Responds 403 if not allowed.
+ */
+auth.authorize = (action) => (req, res, next) => {
+  if (can(req.user, action)) return next()
+  res.status(403).json({ message: 'Forbidden: you do not have permission to do that' })
+}
+
+// Register an extra strategy; it is tried before the built-in ones
+auth.use = (strategy) => {
+  strategies.unshift(strategy)
+}
+
+// Set the access-token and refresh-token cookies after login, signup or a refresh
+const setAuthCookies = (res, token, refreshToken) => {
+  res.cookie('token', token, { ...COOKIE_OPTIONS })
+  res.cookie('refreshToken', refreshToken, { ...COOKIE_OPTIONS })
+}
+
+// Remove every cookie the layer sets (logout)
+const clearAuthCookies = (res) => {
+  res.clearCookie('token')
+  res.clearCookie('refreshToken')
+  res.clearCookie('csrfToken')
+}
+
+auth.setAuthCookies = setAuthCookies
+auth.renewSession = renewSession
+auth.clearAuthCookies = clearAuthCookies
+
 // Export the middleware so routes can use it (e.g. router.get('/profile', auth, ...))
 module.exports = auth
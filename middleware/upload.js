@@ -2,6 +2,7 @@ const multer = require('multer')
 const path = require('path')
 const fs = require('fs')
 const sharp = require('sharp')
+const Upload = require('../models/upload')
 
 const UPLOAD_DIR = process.env.UPLOAD_PATH || 'public/uploads'
 
@@ -30,12 +31,11 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
 })
 
-const processImage = async (req, res, next) => {
-  if (!req.file) return next()
-
-  const originalPath = path.join(UPLOAD_DIR, req.file.filename)
+// Resize one uploaded file and point file.path at the public URL
+const processFile = async (file) => {
+  const originalPath = path.join(UPLOAD_DIR, file.filename)
   // Always output .jpg so browsers can display it regardless of input format
-  const outputFilename = 'processed-' + path.parse(req.file.filename).name + '.jpg'
+  const outputFilename = 'processed-' + path.parse(file.filename).name + '.jpg'
   const outputPath = path.join(UPLOAD_DIR, outputFilename)
 
   try {
@@ -47,13 +47,24 @@ const processImage = async (req, res, next) => {
     // Remove the original to save space
     fs.unlink(originalPath, () => {})
 
-    req.file.filename = outputFilename
-    req.file.path = '/uploads/' + outputFilename
-    next()
+    file.filename = outputFilename
+    file.path = '/uploads/' + outputFilename
   } catch (err) {
     // sharp failed (e.g. unsupported format) — serve the original file as-is
-    req.file.path = '/uploads/' + req.file.filename
+    file.path = '/uploads/' + file.filename
+  }
+}
+
+// Works after upload.single() (req.file) and upload.array() (req.files, processed in order). The
+// files are recorded as the logged-in author's (models/upload.js)
+const processImage = async (req, res, next) => {
+  try {
+    const files = [...(req.file ? [req.file] : []), ...(req.files || [])]
+    for (const file of files) await processFile(file)
+    await Upload.record(req.user._id, files)
     next()
+  } catch (error) {
+    res.status(500).send({ message: error.message })
   }
 }
 
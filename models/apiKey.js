@@ -0,0 +1,79 @@
+/**
+ * ApiKey model – a named, long-lived personal key an author creates for scripts and tools
+ * (e.g. analytics), limited to the scopes chosen when it was created.
+ * Keys look like `fgk_…` and are sent as `Authorization: Bearer fgk_…` (or an X-API-Key header).
+ * Only a SHA-256 hash is stored; the raw key is shown once, when it is created.
+ */
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const { SCOPES } = require('../services/permissions')
+
+const KEY_PREFIX = 'fgk_'
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // The author the key acts as
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // Label chosen by the author, e.g. "Analytics dashboard"
+    name: { type: String, required: true, trim: true, maxLength: 100 },
+    // First characters of the key, so the author can tell keys apart
+    prefix: { type: String, required: true },
+    // SHA-256 hash of the raw key
+    keyHash: { type: String, required: true, unique: true },
+    // What the key may do (see services/permissions.js)
+    scopes: [{ type: String, enum: Object.keys(SCOPES) }],
+    lastUsedAt: { type: Date, default: null },
+    // null = never expires
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+apiKeySchema.index({ author: 1, revokedAt: 1 })
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex')
+
+// Never send the hash
+apiKeySchema.methods.toJSON = function () {
+  const key = this.toObject()
+  delete key.keyHash
+  return key
+}
+
+// Is this an API key (rather than a JWT or OAuth token)?
+apiKeySchema.statics.looksLikeKey = (value) => String(value || '').startsWith(KEY_PREFIX)
+
+// Create a key. Resolves to { apiKey, key } – `key` is the raw value, returned only this once.
+apiKeySchema.statics.generate = async function (authorId, { name, scopes, expiresInDays }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url')
+  const apiKey = await this.create({
+    author: authorId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  })
+  return { apiKey, key }
+}
+
+// Look up a raw key; resolves to the ApiKey if it is valid (not revoked or expired), else null.
+// Records lastUsedAt (at most once a minute).
+apiKeySchema.statics.authenticate = async function (key) {
+  const apiKey = await this.findOne({ keyHash: hashKey(key), revokedAt: null })
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    apiKey.lastUsedAt = new Date()
+    await apiKey.save()
+  }
+  return apiKey
+}
+
+// Revoke every API key an author has (e.g. after a password change)
+apiKeySchema.statics.revokeAllForAuthor = function (authorId) {
+  return this.updateMany({ author: authorId, revokedAt: null }, { revokedAt: new Date() })
+}
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema)
+module.exports = ApiKey
@@ -3,23 +3,98 @@
  * Supports full CRUD via API; password hashing and JWT for auth.
  * Refs (posts, comments, followers, following) support future endpoints and dataset/seed data.
  */
+const crypto = require('crypto')
 const mongoose = require('mongoose')
 const bcrypt = require('bcrypt')
 const jwt = require('jsonwebtoken')
+const RefreshToken = require('./refreshToken')
+const Session = require('./session')
+const OAuthToken = require('./oauthToken')
+const ApiKey = require('./apiKey')
+const OneTimeToken = require('./oneTimeToken')
+const FollowRequest = require('./followRequest')
+const emails = require('../services/emails')
+const totp = require('../services/totp')
+const { ROLES } = require('../services/permissions')
+
+// Two-factor login challenges are signed with a derived secret so they can never pass as access tokens
+const twoFactorChallengeSecret = () => (process.env.JWT_SECRET || 'secret') + ':2fa-challenge'
+
+// Days a deleted account can still be restored (by logging in) before it is purged
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30
+
+// Handles: 3–30 lowercase letters, digits, underscores and single dots (not at either end)
+const HANDLE_PATTERN = /^(?=.{3,30}$)[a-z0-9_](?:[a-z0-9_]|\.(?!\.))*[a-z0-9_]$/
+// Handles that would clash with site paths or impersonate the service
+const RESERVED_HANDLES = new Set([
+  'admin', 'administrator', 'api', 'authors', 'explore', 'flickgallery', 'help', 'login', 'logout',
+  'me', 'messages', 'moderator', 'oauth', 'posts', 'profile', 'root', 'saved', 'settings', 'signup',
+  'support', 'system', 'tags',
+])
+
+// Recovery codes are compared case-insensitively and ignoring spaces/dashes, and stored hashed
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex')
 
 // define the schema for the author model
 const authorSchema = new mongoose.Schema(
   {
     // Required for signup and API validation
     name: { type: String, required: true, trim: true },
+    // Unique public username (/@handle); chosen at signup or derived from the name, changeable later
+    handle: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: (value) => HANDLE_PATTERN.test(value) && !RESERVED_HANDLES.has(value),
+        message: (props) => `"${props.value}" is not a valid handle: use 3–30 letters, numbers, underscores or dots`,
+      },
+    },
+    // Handles the author used before – links to them redirect here, and nobody else can claim them
+    previousHandles: [
+      {
+        _id: false,
+        handle: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
     email: { type: String, required: true, unique: true, trim: true, lowercase: true },
     password: { type: String, required: true, minLength: 6 },
+    // What the author may do beyond their own content – see services/permissions.js; set with `npm run set-role`
+    role: { type: String, enum: ROLES, default: 'user' },
+    // Set once the author opens the verification link emailed at signup
+    emailVerified: { type: Boolean, default: false },
+    // New address waiting to be confirmed from the link emailed to it (see requestEmailChange)
+    pendingEmail: { type: String, trim: true, lowercase: true, default: null },
+
+    // Optional TOTP two-factor authentication (secrets never leave the server – see toJSON)
+    twoFactorEnabled: { type: Boolean, default: false },
+    // Base32 secret shared with the author's authenticator app
+    twoFactorSecret: { type: String, default: null },
+    // Secret generated by /2fa/setup, promoted to twoFactorSecret once a code confirms it
+    twoFactorPendingSecret: { type: String, default: null },
+    // SHA-256 hashes of the unused one-time recovery codes
+    twoFactorRecoveryCodes: [{ type: String }],
+    // Last accepted TOTP time step – stops the same code being replayed
+    twoFactorLastStep: { type: Number, default: null },
+
+    // Account deletion (see services/accountDeletion.js): set when the author deletes their account;
+    // the account and its content are purged once deletionScheduledFor passes
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null },
 
     // Profile fields
     bio: { type: String, default: '', maxLength: 500 },
     profilePicture: { type: String, default: '/images/default-avatar.png', trim: true },
     website: { type: String, trim: true, default: '' },
+    // Where the author is based: free text, or the name of `place` when one is picked
     location: { type: String, trim: true, default: '' },
+    place: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', default: null },
+    // Private accounts approve each follower (see models/followRequest.js); only approved followers
+    // see their posts and follower lists
     isPrivate: { type: Boolean, default: false },
 
     // Influencer-specific fields (sourced from Kaggle Instagram Influencers dataset)
@@ -37,20 +112,83 @@ const authorSchema = new mongoose.Schema(
     comments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comment' }],
     // Posts the user has bookmarked
     savedPosts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
+    // Authors this author has blocked (they can't see, follow or contact this author) and muted
+    // (their posts are left out of this author's feed). Neither is shown to anyone else.
+    blocked: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+    muted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+    // Hand-picked authors who see this author's close-friends posts (Post.audience); not shown to anyone
+    closeFriends: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
   },
   { timestamps: true }
 )
 
 // email already has unique: true in schema (Mongoose creates the index); no duplicate index needed
+authorSchema.index({ 'previousHandles.handle': 1 })
+// "Who has blocked this viewer?" – asked on every post read (services/postVisibility.js)
+authorSchema.index({ blocked: 1 })
+// "Whose close friend is this viewer?" – likewise
+authorSchema.index({ closeFriends: 1 })
+
+// Account details only the author themselves gets back (toAccountJSON), never other people
+const PRIVATE_ACCOUNT_FIELDS = [
+  'email',
+  'pendingEmail',
+  'emailVerified',
+  'role',
+  'deletionRequestedAt',
+  'deletionScheduledFor',
+  'savedPosts',
+]
+
+// What a signup form or request may set; everything else (verification, role, 2FA, handle
+// history, relationships, ...) starts at its default
+const SIGNUP_FIELDS = ['name', 'email', 'password', 'handle', 'bio', 'website', 'location', 'isPrivate']
+
+// A new, unsaved author from a signup body
+authorSchema.statics.fromSignup = function (body) {
+  const author = new this()
+  SIGNUP_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) author[field] = body[field]
+  })
+  return author
+}
+
+// The author as their own account responses show it ("me": login, profile, updates): everything
+// but the password, 2FA secrets and their block / mute / close-friends lists
+authorSchema.methods.toAccountJSON = function () {
+  const author = this.toObject()
+  delete author.password
+  delete author.twoFactorSecret
+  delete author.twoFactorPendingSecret
+  delete author.twoFactorRecoveryCodes
+  delete author.twoFactorLastStep
+  delete author.blocked
+  delete author.muted
+  delete author.closeFriends
+  return author
+}
 
 // Never send password in JSON 
 // automatically removes the password field when sending author data in an API response. Safer!
+// This is what everyone else sees (lists, profiles, populated authors), so the private account
+// details are left out too
 authorSchema.methods.toJSON = function () {
-  const author = this.toObject()
-  delete author.password
+  const author = this.toAccountJSON()
+  PRIVATE_ACCOUNT_FIELDS.forEach((field) => delete author[field])
   return author
 }
 
+// Give accounts without a handle (new signups that didn't choose one, older accounts) one derived
+// from their name; a chosen handle must not be someone else's current or previous handle
+authorSchema.pre('validate', async function (next) {
+  if (!this.handle) {
+    this.handle = await this.constructor.availableHandle(this.name || this.email?.split('@')[0])
+  } else if (this.isModified('handle') && !(await this.constructor.isHandleAvailable(this.handle, this._id))) {
+    this.invalidate('handle', 'Handle is already taken', this.handle)
+  }
+  next()
+})
+
 // Hash password before saving
 // Before saving a user, this checks if the password is new or changed, and then hashes it using bcrypt.
 authorSchema.pre('save', async function (next) {
@@ -60,39 +198,258 @@ authorSchema.pre('save', async function (next) {
   next()
 })
 
+// Posts keep a copy of their author's isPrivate (see services/postVisibility.js): update it when
+// the account goes private or public
+authorSchema.pre('save', function (next) {
+  this.$locals.privacyChanged = !this.isNew && this.isModified('isPrivate')
+  next()
+})
+authorSchema.post('save', async function () {
+  if (!this.$locals.privacyChanged) return
+  await mongoose.model('Post').updateMany({ author: this._id }, { authorIsPrivate: this.isPrivate })
+})
+
 // Generate JWT token for API auth – use same secret as middleware/auth.js (env preferred)
-// This method creates a JWT token containing the author’s ID. 
-// You’ll use this for logging in and accessing protected routes.
-authorSchema.methods.generateAuthToken = function () {
+// This method creates a short-lived JWT access token containing the author’s ID.
+// You’ll use this for logging in and accessing protected routes; when it expires the
+// client swaps its refresh token for a new one (see models/refreshToken.js).
+// `sid` ties the token to its login session so logging that session out stops it straight away.
+authorSchema.methods.generateAuthToken = function (sessionId) {
+  // Every access token belongs to a login session, so logging that session out revokes it
+  if (!sessionId) throw new Error('Session expired')
   const secret = process.env.JWT_SECRET || 'secret'
-  return jwt.sign({ _id: this._id }, secret)
+  return jwt.sign({ _id: this._id, sid: String(sessionId) }, secret, { expiresIn: process.env.JWT_EXPIRES_IN || '15m' })
+}
+
+// Log in from a request: record a session (device, IP) and issue its access + refresh tokens.
+// The session id doubles as the refresh-token family. Logging in during the deletion grace
+// period restores the account.
+authorSchema.methods.startSession = async function (req) {
+  if (this.deletionScheduledFor) await this.cancelDeletion()
+  const session = await Session.start(this._id, req)
+  const refreshToken = await RefreshToken.issue(this._id, String(session._id))
+  return { token: this.generateAuthToken(session._id), refreshToken, session }
+}
+
+// Set where the author is based to a Place (or clear it with null), keeping location in step
+authorSchema.methods.setPlace = function (place) {
+  this.place = place ? place._id : null
+  this.location = place ? place.name : ''
+}
+
+// Change the handle, keeping the old one in previousHandles (so old links redirect). Throws if the
+// new handle is invalid (message starts with "Invalid") or belongs to someone else ("taken").
+// Call save() afterwards.
+authorSchema.methods.changeHandle = async function (value) {
+  const handle = String(value || '').trim().replace(/^@/, '').toLowerCase()
+  if (handle === this.handle) return
+  if (!HANDLE_PATTERN.test(handle) || RESERVED_HANDLES.has(handle)) {
+    throw new Error('Invalid handle: use 3–30 letters, numbers, underscores or dots')
+  }
+  if (!(await this.constructor.isHandleAvailable(handle, this._id))) throw new Error('Handle is already taken')
+  if (this.handle) {
+    // Taking back one of your own old handles removes it from the history
+    this.previousHandles = this.previousHandles.filter((h) => h.handle !== handle)
+    this.previousHandles.push({ handle: this.handle, changedAt: new Date() })
+  }
+  this.handle = handle
+}
+
+// Log out everywhere: end every session and refresh token (except the session `keepSessionId`, if
+// given) and revoke every app token and API key, which were all handed out on the strength of a login
+authorSchema.methods.logOutEverywhere = async function (keepSessionId = null) {
+  await Session.revokeAllForAuthor(this._id, keepSessionId)
+  await RefreshToken.revokeAllForAuthor(this._id, keepSessionId)
+  await OAuthToken.revokeAllForAuthor(this._id)
+  await ApiKey.revokeAllForAuthor(this._id)
+}
+
+// Set a new password (hashed by the pre-save hook) and log out everywhere, so nothing obtained
+// with the old password keeps working
+authorSchema.methods.resetPassword = async function (newPassword) {
+  this.password = newPassword
+  await this.save()
+  await this.logOutEverywhere()
+}
+
+// Change the password (the caller has already checked the current one) and log out everywhere
+// except the session making the change. Emails the author.
+authorSchema.methods.changePassword = async function (newPassword, keepSessionId = null) {
+  this.password = newPassword
+  await this.save()
+  await this.logOutEverywhere(keepSessionId)
+  await emails.sendPasswordChanged(this).catch((err) => console.error('Password change email failed:', err.message))
+}
+
+// Start moving the account to a new email address: nothing changes until the link emailed to the
+// new address is opened (confirmEmailChange). The current address is told about the request.
+authorSchema.methods.requestEmailChange = async function (newEmail) {
+  this.pendingEmail = newEmail
+  await this.save()
+  const token = await OneTimeToken.issue(this._id, 'email-change', emails.EMAIL_VERIFICATION_TTL_MINUTES)
+  await emails.sendEmailChangeConfirmation(this, this.pendingEmail, token)
+  await emails.sendEmailChangeNotice(this, this.pendingEmail).catch((err) => console.error('Email change notice failed:', err.message))
+}
+
+// Finish an email change from its one-time token. Resolves to the author, or null if the token is
+// invalid/expired/used or there is no pending change. Throws (E11000) if the address was taken meanwhile.
+authorSchema.statics.confirmEmailChange = async function (token) {
+  const record = await OneTimeToken.consume(token, 'email-change')
+  if (!record) return null
+  const author = await this.findById(record.author)
+  if (!author || !author.pendingEmail) return null
+  author.email = author.pendingEmail
+  author.pendingEmail = null
+  // Opening the link proves the author owns the new address
+  author.emailVerified = true
+  await author.save()
+  return author
+}
+
+// Delete the account after the grace period: log out everywhere now; purged later unless restored
+authorSchema.methods.scheduleDeletion = async function () {
+  this.deletionRequestedAt = new Date()
+  this.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  await this.save()
+  await this.logOutEverywhere()
+}
+
+// Restore an account that is waiting to be deleted
+authorSchema.methods.cancelDeletion = async function () {
+  this.deletionRequestedAt = null
+  this.deletionScheduledFor = null
+  await this.save()
+}
+
+// Issue a fresh email-verification token and email the link (earlier links stop working)
+authorSchema.methods.sendVerificationEmail = async function () {
+  const token = await OneTimeToken.issue(this._id, 'email-verification', emails.EMAIL_VERIFICATION_TTL_MINUTES)
+  await emails.sendEmailVerification(this, token)
+}
+
+// --- Two-factor authentication (TOTP)
+
+// Start enrolment: create a pending secret and return it with its otpauth:// URI (for the QR code).
+// With `{ reuse: true }` an enrolment already under way keeps its secret, so an app that scanned
+// it still gives codes that work.
+authorSchema.methods.startTwoFactorSetup = async function ({ reuse = false } = {}) {
+  if (!reuse || !this.twoFactorPendingSecret) {
+    this.twoFactorPendingSecret = totp.generateSecret()
+    await this.save()
+  }
+  return {
+    secret: this.twoFactorPendingSecret,
+    otpauthUrl: totp.keyUri({ account: this.email, issuer: 'FlickGallery', secret: this.twoFactorPendingSecret }),
+  }
+}
+
+// Replace the recovery codes with 10 new ones; returns the raw codes (shown to the author once)
+authorSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const hex = crypto.randomBytes(5).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode)
+  return codes
+}
+
+// Finish enrolment: a code from the app confirms the pending secret. Returns the recovery codes,
+// or null if the code is wrong.
+authorSchema.methods.enableTwoFactor = async function (code) {
+  if (!this.twoFactorPendingSecret) return null
+  const step = totp.verify(code, this.twoFactorPendingSecret)
+  if (step === null) return null
+  this.twoFactorSecret = this.twoFactorPendingSecret
+  this.twoFactorPendingSecret = null
+  this.twoFactorEnabled = true
+  this.twoFactorLastStep = step
+  const codes = this.generateRecoveryCodes()
+  await this.save()
+  return codes
 }
 
-// Follow: add another author to "this" author's following list (and add this to their followers)
+// Turn 2FA off and forget the secret and recovery codes
+authorSchema.methods.disableTwoFactor = async function () {
+  this.twoFactorEnabled = false
+  this.twoFactorSecret = null
+  this.twoFactorPendingSecret = null
+  this.twoFactorRecoveryCodes = []
+  this.twoFactorLastStep = null
+  await this.save()
+}
+
+// Check a second-factor code: a current TOTP code (each accepted once) or an unused recovery code
+// (which is then used up). Returns true/false.
+authorSchema.methods.verifyTwoFactorCode = async function (code) {
+  if (!this.twoFactorEnabled || !code) return false
+  const step = totp.verify(code, this.twoFactorSecret)
+  if (step !== null && (this.twoFactorLastStep === null || step > this.twoFactorLastStep)) {
+    this.twoFactorLastStep = step
+    await this.save()
+    return true
+  }
+  const index = this.twoFactorRecoveryCodes.indexOf(hashRecoveryCode(code))
+  if (index !== -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1)
+    await this.save()
+    return true
+  }
+  return false
+}
+
+// Short-lived token proving the password step of login passed; exchanged for real tokens with a 2FA code
+authorSchema.methods.generateTwoFactorChallenge = function () {
+  return jwt.sign({ _id: this._id }, twoFactorChallengeSecret(), { expiresIn: '5m' })
+}
+
+// Load the author a login challenge was issued to; throws if it is invalid or expired
+authorSchema.statics.findByTwoFactorChallenge = async function (challengeToken) {
+  const decoded = jwt.verify(challengeToken, twoFactorChallengeSecret())
+  const author = await this.findById(decoded._id)
+  if (!author) throw new Error('Author not found')
+  return author
+}
+
+// Add `follower` → `target` on both sides (no-op for either side that already has it)
+const addFollow = async (follower, target) => {
+  if (!follower.following.some((f) => f.equals(target._id))) {
+    follower.following.push(target._id)
+    await follower.save()
+  }
+  if (!target.followers.some((f) => f.equals(follower._id))) {
+    target.followers.push(follower._id)
+    await target.save()
+  }
+}
+
+// Follow another author. Private accounts get a follow request instead, which they approve or deny.
+// Resolves to 'following', 'requested', 'blocked' (either side has blocked the other) or null if
+// the author doesn't exist.
 authorSchema.methods.follow = async function (userId) {
   // Normalise to string so we can compare ObjectIds safely
   const id = userId.toString()
   // If we already follow them, do nothing (avoid duplicates)
-  if (this.following.some((f) => f.toString() === id)) return
-  // Add their ID to our "following" array
-  this.following.push(userId)
-  // Persist our document
-  await this.save()
+  if (this.following.some((f) => f.toString() === id)) return 'following'
 
   // Get the other author's document so we can update their "followers" list
   const Author = mongoose.model('Author')
   const target = await Author.findById(userId)
-  // If they exist and don't already have us in followers, add us
-  if (target && !target.followers.some((f) => f.toString() === this._id.toString())) {
-    target.followers.push(this._id)
-    await target.save()
+  if (!target) return null
+  if (this.isBlockedWith(target)) return 'blocked'
+  if (target.isPrivate) {
+    await FollowRequest.open(this._id, target._id)
+    return 'requested'
   }
+  await addFollow(this, target)
+  return 'following'
 }
 
-// Unfollow: remove another author from "this" author's following list (and remove this from their followers)
+// Unfollow: remove another author from "this" author's following list (and remove this from their
+// followers); also cancels a pending follow request
 authorSchema.methods.unfollow = async function (userId) {
   // Normalise to string for comparison
   const id = userId.toString()
+  await FollowRequest.deleteOne({ requester: this._id, target: userId })
   // Remove their ID from our "following" array (keep everyone except userId)
   this.following = this.following.filter((f) => f.toString() !== id)
   // Persist our document
@@ -108,5 +465,171 @@ authorSchema.methods.unfollow = async function (userId) {
   }
 }
 
+// Approve a follow request made to this author; the requester becomes a follower.
+// Resolves to the requester, or null if there is no such request.
+authorSchema.methods.approveFollowRequest = async function (requestId) {
+  const request = await FollowRequest.findOneAndDelete({ _id: requestId, target: this._id })
+  if (!request) return null
+  const requester = await mongoose.model('Author').findById(request.requester)
+  if (requester) await addFollow(requester, this)
+  return requester
+}
+
+// Deny a follow request made to this author; resolves to true if there was one
+authorSchema.methods.denyFollowRequest = async function (requestId) {
+  const request = await FollowRequest.findOneAndDelete({ _id: requestId, target: this._id })
+  return Boolean(request)
+}
+
+// Going public approves everyone still waiting (there is nothing left to approve them for)
+authorSchema.methods.approveAllFollowRequests = async function () {
+  const requests = await FollowRequest.find({ target: this._id }).select('_id')
+  for (const request of requests) await this.approveFollowRequest(request._id)
+}
+
+// Has this author blocked `user` (an author or an id)?
+authorSchema.methods.hasBlocked = function (user) {
+  if (!user) return false
+  const id = String(user._id || user)
+  return this.blocked.some((b) => String(b) === id)
+}
+
+// Has either this author or `other` blocked the other one?
+authorSchema.methods.isBlockedWith = function (other) {
+  return this.hasBlocked(other) || Boolean(other?.hasBlocked?.(this))
+}
+
+// Has this author muted `user` (an author or an id)?
+authorSchema.methods.hasMuted = function (user) {
+  if (!user) return false
+  const id = String(user._id || user)
+  return this.muted.some((m) => String(m) === id)
+}
+
+// Block another author: follows and close-friend entries between the two end (both ways), pending
+// follow requests are dropped, and from now on they can't see this author's profile or posts,
+// follow, comment or send messages to them. Resolves to the blocked author, or null if they don't exist.
+authorSchema.methods.block = async function (userId) {
+  const target = await mongoose.model('Author').findById(userId)
+  if (!target) return null
+  if (!this.hasBlocked(target)) this.blocked.push(target._id)
+  this.following.pull(target._id)
+  this.followers.pull(target._id)
+  this.closeFriends.pull(target._id)
+  await this.save()
+  target.following.pull(this._id)
+  target.followers.pull(this._id)
+  target.closeFriends.pull(this._id)
+  await target.save()
+  await FollowRequest.deleteMany({
+    $or: [{ requester: this._id, target: target._id }, { requester: target._id, target: this._id }],
+  })
+  return target
+}
+
+// Unblock an author (they don't get their follow back)
+authorSchema.methods.unblock = async function (userId) {
+  this.blocked.pull(userId)
+  await this.save()
+}
+
+// Mute an author: their posts stop showing in this author's feed. They aren't told, and nothing
+// else changes (follows stay as they are).
+authorSchema.methods.mute = async function (userId) {
+  if (!this.hasMuted(userId)) this.muted.push(userId)
+  await this.save()
+}
+
+authorSchema.methods.unmute = async function (userId) {
+  this.muted.pull(userId)
+  await this.save()
+}
+
+// Is `user` (an author or an id) on this author's close-friends list?
+authorSchema.methods.hasCloseFriend = function (user) {
+  if (!user) return false
+  const id = String(user._id || user)
+  return this.closeFriends.some((f) => String(f) === id)
+}
+
+authorSchema.methods.addCloseFriend = async function (userId) {
+  if (!this.hasCloseFriend(userId)) this.closeFriends.push(userId)
+  await this.save()
+}
+
+authorSchema.methods.removeCloseFriend = async function (userId) {
+  this.closeFriends.pull(userId)
+  await this.save()
+}
+
+// Can `viewer` (an author, or null when logged out) see this author's posts and follower lists?
+// Public accounts: anyone. Private accounts: the author and their approved followers.
+authorSchema.methods.isVisibleTo = function (viewer) {
+  if (!this.isPrivate) return true
+  if (!viewer) return false
+  const viewerId = String(viewer._id)
+  return String(this._id) === viewerId || this.followers.some((f) => String(f._id || f) === viewerId)
+}
+
+// JSON for someone else's profile: private accounts only show their post and follower *counts* to
+// viewers who aren't approved followers (`contentHidden: true`). Your own profile includes your
+// account details (toAccountJSON)
+authorSchema.methods.toProfileJSON = function (viewer) {
+  if (viewer && String(viewer._id) === String(this._id)) return this.toAccountJSON()
+  const author = this.toJSON()
+  if (this.isVisibleTo(viewer)) return author
+  const { posts, followers, following } = author
+  delete author.posts
+  delete author.followers
+  delete author.following
+  delete author.comments
+  return {
+    ...author,
+    postsCount: posts.length,
+    followersCount: followers.length,
+    followingCount: following.length,
+    contentHidden: true,
+  }
+}
+
+// Turn a display name into a handle candidate, e.g. "Jordan Blake!" → "jordan.blake"
+authorSchema.statics.handleFromName = (name) => {
+  const base = String(name || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/\s+/g, '.')
+    .replace(/[^a-z0-9_.]/g, '')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 24)
+    .replace(/\.+$/, '')
+  return base.length >= 3 && !RESERVED_HANDLES.has(base) ? base : `${base || 'user'}_${crypto.randomInt(1000, 9999)}`
+}
+
+// Is `handle` free (not anyone else's current or previous handle)?
+authorSchema.statics.isHandleAvailable = async function (handle, exceptAuthorId = null) {
+  const owner = await this.findOne({ $or: [{ handle }, { 'previousHandles.handle': handle }] }).select('_id')
+  return !owner || (exceptAuthorId && owner._id.equals(exceptAuthorId))
+}
+
+// First free handle based on a name: "jordan.blake", then "jordan.blake1", "jordan.blake2", ...
+authorSchema.statics.availableHandle = async function (name) {
+  const base = this.handleFromName(name)
+  for (let n = 0; ; n++) {
+    const candidate = n ? `${base}${n}` : base
+    if (await this.isHandleAvailable(candidate)) return candidate
+  }
+}
+
+// Find an author by handle (with or without the @). Resolves to { author, redirected } where
+// `redirected` is true when it is one of their old handles; author is null if nobody has it.
+authorSchema.statics.findByHandle = async function (value) {
+  const handle = String(value || '').trim().replace(/^@/, '').toLowerCase()
+  const author = await this.findOne({ handle })
+  if (author) return { author, redirected: false }
+  const previous = await this.findOne({ 'previousHandles.handle': handle })
+  return { author: previous, redirected: Boolean(previous) }
+}
+
 const Author = mongoose.model('Author', authorSchema)
 module.exports = Author
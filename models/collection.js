@@ -0,0 +1,75 @@
+/**
+ * Collection model – a named set of an Author's saved posts (e.g. "Outfit ideas").
+ * Author.savedPosts stays the list of everything saved ("All posts"); a collection groups some of
+ * them. The owner can share a collection (anyone logged in with the link can see it) and invite
+ * collaborators, who may add and remove posts. What a collection shows is always filtered through
+ * the post visibility policy (services/collections.js).
+ */
+const mongoose = require('mongoose')
+const { can } = require('../services/permissions')
+
+// 'private' – the owner and collaborators only; 'shared' – anyone with the link
+const SHARING = ['private', 'shared']
+
+const collectionSchema = new mongoose.Schema(
+  {
+    // The author the collection belongs to
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // Display name
+    name: { type: String, required: true, trim: true, maxLength: 50 },
+    // Posts in the collection, in the order they were added
+    posts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
+    // Optional cover image URL – otherwise the most recently added post's image is shown
+    cover: { type: String, trim: true, default: '' },
+    // Where it comes in the owner's list of collections (lowest first)
+    position: { type: Number, default: 0 },
+    // Who can see it
+    sharing: { type: String, enum: SHARING, default: 'private' },
+    // Authors invited to add and remove posts too
+    collaborators: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+  },
+  { timestamps: true }
+)
+
+collectionSchema.index({ owner: 1, position: 1 })
+collectionSchema.index({ collaborators: 1 })
+
+// Can `viewer` (an Author, or null) open this collection?
+collectionSchema.methods.isVisibleTo = function (viewer) {
+  return this.sharing === 'shared' || can(viewer, 'collection:curate', this)
+}
+
+// The collections an author owns (in their order), then the ones they collaborate on
+collectionSchema.statics.forAuthor = async function (authorId) {
+  const [owned, shared] = await Promise.all([
+    this.find({ owner: authorId }).sort({ position: 1, createdAt: 1 }),
+    this.find({ collaborators: authorId }).sort({ createdAt: 1 }).populate('owner', 'name handle'),
+  ])
+  return [...owned, ...shared]
+}
+
+// A new collection goes after the owner's existing ones
+collectionSchema.statics.nextPosition = async function (ownerId) {
+  const last = await this.findOne({ owner: ownerId }).sort({ position: -1 }).select('position')
+  return last ? last.position + 1 : 0
+}
+
+/**
+ * Put the owner's collections in the order of `ids`; collections left out keep their relative order
+ * after those listed. Throws if an id is not one of theirs.
+ */
+collectionSchema.statics.reorder = async function (ownerId, ids) {
+  if (!Array.isArray(ids)) throw new Error('ids must be an array of collection ids')
+  const owned = await this.find({ owner: ownerId }).sort({ position: 1, createdAt: 1 }).select('_id')
+  const ownedIds = owned.map((c) => String(c._id))
+  const listed = [...new Set(ids.map(String))]
+  if (listed.some((id) => !ownedIds.includes(id))) throw new Error('Collection not found')
+  const order = [...listed, ...ownedIds.filter((id) => !listed.includes(id))]
+  if (order.length === 0) return
+  await this.bulkWrite(
+    order.map((id, position) => ({ updateOne: { filter: { _id: id, owner: ownerId }, update: { $set: { position } } } }))
+  )
+}
+
+const Collection = mongoose.model('Collection', collectionSchema)
+module.exports = Collection
@@ -4,6 +4,7 @@
  * When a comment is created its _id is pushed into Post.comments.
  */
 const mongoose = require('mongoose')
+const { extractHashtags, mentionedAuthorIds } = require('../services/textEntities')
 
 const commentSchema = new mongoose.Schema(
   {
@@ -13,6 +14,10 @@ const commentSchema = new mongoose.Schema(
     author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
     // The text content of the comment
     content: { type: String, required: true, trim: true, maxLength: 500 },
+    // #tags in the content (normalised like Post.hashtags)
+    hashtags: [{ type: String }],
+    // Authors @mentioned in the content
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
     // Like count on the comment (incremented via dedicated endpoint)
     likesCount: { type: Number, default: 0, min: 0 },
   },
@@ -22,5 +27,12 @@ const commentSchema = new mongoose.Schema(
 // Index for fast lookup of all comments on a post
 commentSchema.index({ post: 1, createdAt: -1 })
 
+// Keep hashtags and mentions in step with the content (services/textEntities.js)
+commentSchema.pre('validate', async function () {
+  if (!this.isModified('content')) return
+  this.hashtags = extractHashtags(this.content)
+  this.mentions = await mentionedAuthorIds(this.content)
+})
+
 const Comment = mongoose.model('Comment', commentSchema)
 module.exports = Comment
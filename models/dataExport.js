@@ -0,0 +1,38 @@
+/**
+ * DataExport model – one "download my data" request by an author.
+ * The archive is built in the background (services/dataExport.js); this record tracks its
+ * progress and where the finished .zip lives on disk. Archives expire after a few days.
+ */
+const mongoose = require('mongoose')
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    // The author whose data is exported (and the only one allowed to download it)
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // pending → processing → ready (or failed)
+    status: { type: String, enum: ['pending', 'processing', 'ready', 'failed'], default: 'pending' },
+    // Path of the finished archive on the server – never sent to clients
+    filePath: { type: String, default: null },
+    // Archive size in bytes, once ready
+    fileSize: { type: Number, default: null },
+    // Why building the archive failed
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+    // After this the archive can no longer be downloaded and is removed
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+dataExportSchema.index({ author: 1, createdAt: -1 })
+
+// Hide the server path; add the download link once the archive is ready
+dataExportSchema.methods.toJSON = function () {
+  const data = this.toObject()
+  delete data.filePath
+  if (data.status === 'ready') data.downloadUrl = `/api/authors/profile/export/${data._id}/download`
+  return data
+}
+
+const DataExport = mongoose.model('DataExport', dataExportSchema)
+module.exports = DataExport
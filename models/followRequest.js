@@ -0,0 +1,32 @@
+/**
+ * FollowRequest model – a pending request to follow a private account.
+ * Following a private author (Author#follow) creates one; the author approves it (the requester
+ * becomes a follower) or denies it (the request is simply removed). Unfollowing cancels it.
+ */
+const mongoose = require('mongoose')
+
+const followRequestSchema = new mongoose.Schema(
+  {
+    // The author who wants to follow
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // The private author being asked
+    target: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+  },
+  { timestamps: true }
+)
+
+// One pending request per pair; the owner lists theirs newest first
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true })
+followRequestSchema.index({ target: 1, createdAt: -1 })
+
+// Create the request unless it already exists
+followRequestSchema.statics.open = function (requesterId, targetId) {
+  return this.updateOne(
+    { requester: requesterId, target: targetId },
+    { $setOnInsert: { requester: requesterId, target: targetId } },
+    { upsert: true }
+  )
+}
+
+const FollowRequest = mongoose.model('FollowRequest', followRequestSchema)
+module.exports = FollowRequest
@@ -0,0 +1,86 @@
+/**
+ * LoginThrottle model – failed-login counters used for brute-force protection.
+ * There is one record per account (keyed by the submitted email, whether or not it exists, so
+ * lockouts do not reveal which emails are registered) and one per client IP.
+ *
+ * Each failure increments the counter. Past `delayAfter` failures the key has to wait before the
+ * next attempt (1s, 2s, 4s, ...); at `lockAfter` failures it is locked out for LOGIN_LOCKOUT_MINUTES.
+ * Counters are forgotten once a key has had no failures for that long (TTL index on expiresAt).
+ */
+const mongoose = require('mongoose')
+
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+
+// Per-kind policy: progressive delay after `delayAfter` failures, lockout at `lockAfter`
+const POLICIES = {
+  account: { delayAfter: 3, lockAfter: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5 },
+  ip: { delayAfter: 10, lockAfter: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50 },
+}
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    // 'account:<email>' or 'ip:<address>'
+    key: { type: String, required: true, unique: true },
+    // Failed attempts since the counter was last reset
+    failures: { type: Number, default: 0 },
+    // No attempts are accepted for this key before this time
+    lockedUntil: { type: Date, default: null },
+    // MongoDB removes the record after this (TTL index below)
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+)
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// The keys a login attempt counts against
+loginThrottleSchema.statics.keysFor = function (req, email) {
+  return [`account:${String(email || '').toLowerCase().trim()}`, `ip:${req.ip}`]
+}
+
+// Seconds until these keys may try again (0 = allowed now)
+loginThrottleSchema.statics.retryAfter = async function (keys) {
+  const now = new Date()
+  const locked = await this.find({ key: { $in: keys }, lockedUntil: { $gt: now }, expiresAt: { $gt: now } })
+  const until = Math.max(0, ...locked.map((doc) => doc.lockedUntil.getTime()))
+  return until ? Math.ceil((until - now.getTime()) / 1000) : 0
+}
+
+// Count a failed attempt against every key. Resolves to the seconds before the next attempt is allowed.
+loginThrottleSchema.statics.recordFailure = async function (keys) {
+  const now = Date.now()
+  let wait = 0
+  for (const key of keys) {
+    const policy = POLICIES[key.split(':')[0]]
+    // Start a fresh counter if the old one has expired but not been swept yet
+    await this.deleteOne({ key, expiresAt: { $lte: new Date(now) } })
+    const doc = await this.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $setOnInsert: { expiresAt: new Date(now + LOCKOUT_MS) } },
+      { upsert: true, new: true }
+    )
+    let lockMs = 0
+    if (doc.failures >= policy.lockAfter) lockMs = LOCKOUT_MS
+    else if (doc.failures >= policy.delayAfter) lockMs = Math.min(1000 * 2 ** (doc.failures - policy.delayAfter), LOCKOUT_MS)
+    doc.lockedUntil = lockMs ? new Date(now + lockMs) : null
+    // Keep the counter until LOGIN_LOCKOUT_MINUTES after the last failure (or the end of the lock)
+    doc.expiresAt = new Date(now + lockMs + LOCKOUT_MS)
+    await doc.save()
+    wait = Math.max(wait, Math.ceil(lockMs / 1000))
+  }
+  return wait
+}
+
+// Reset an account's counter – after a successful login, or when an admin unlocks it
+loginThrottleSchema.statics.clearAccount = function (email) {
+  return this.deleteOne({ key: `account:${String(email || '').toLowerCase().trim()}` })
+}
+
+// Human-readable wait, e.g. "Try again in 15 minutes."
+loginThrottleSchema.statics.retryMessage = function (seconds) {
+  const [amount, unit] = seconds < 60 ? [seconds, 'second'] : [Math.ceil(seconds / 60), 'minute']
+  return `Try again in ${amount} ${unit}${amount === 1 ? '' : 's'}.`
+}
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema)
+module.exports = LoginThrottle
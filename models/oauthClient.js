@@ -0,0 +1,68 @@
+/**
+ * OAuthClient model – a third-party app registered by an author so it can ask other authors
+ * for access through the OAuth2 authorization-code flow (with PKCE).
+ * Confidential clients (server-side apps) also get a client secret; public clients (mobile,
+ * single-page apps) rely on PKCE alone. Only a hash of the secret is stored.
+ */
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+const oauthClientSchema = new mongoose.Schema(
+  {
+    // The author who registered (and manages) the app
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // Shown to authors on the consent screen
+    name: { type: String, required: true, trim: true, maxLength: 100 },
+    // Public identifier sent as client_id
+    clientId: { type: String, required: true, unique: true },
+    // SHA-256 hash of the client secret (null for public clients)
+    clientSecretHash: { type: String, default: null },
+    // Exact URLs the authorization code may be sent back to
+    redirectUris: {
+      type: [{ type: String, trim: true }],
+      validate: [(uris) => uris.length > 0, 'At least one redirect URI is required'],
+    },
+  },
+  { timestamps: true }
+)
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex')
+
+// Hide the secret hash; say whether the client is confidential
+oauthClientSchema.methods.toJSON = function () {
+  const client = this.toObject()
+  client.confidential = Boolean(client.clientSecretHash)
+  delete client.clientSecretHash
+  return client
+}
+
+// Register an app. Resolves to { client, clientSecret } – clientSecret (confidential clients only)
+// is returned just this once.
+oauthClientSchema.statics.register = async function (ownerId, { name, redirectUris, confidential }) {
+  const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : null
+  const client = await this.create({
+    owner: ownerId,
+    name,
+    clientId: crypto.randomBytes(16).toString('hex'),
+    clientSecretHash: clientSecret ? hashSecret(clientSecret) : null,
+    redirectUris,
+  })
+  return { client, clientSecret }
+}
+
+// Is this one of the app's registered redirect URIs?
+oauthClientSchema.methods.allowsRedirect = function (uri) {
+  return this.redirectUris.includes(uri)
+}
+
+// Check a client secret (public clients have none to check)
+oauthClientSchema.methods.verifySecret = function (secret) {
+  if (!this.clientSecretHash) return true
+  if (!secret) return false
+  const a = Buffer.from(hashSecret(secret))
+  const b = Buffer.from(this.clientSecretHash)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema)
+module.exports = OAuthClient
@@ -0,0 +1,70 @@
+/**
+ * OAuthCode model – a short-lived, single-use authorization code, issued when an author approves
+ * an app and exchanged by the app for tokens at POST /api/oauth/token.
+ * Stores the PKCE code_challenge so only the app that started the flow (and holds the
+ * code_verifier) can redeem the code. Only a SHA-256 hash of the code is stored.
+ */
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+// Authorization codes are meant to be redeemed immediately
+const CODE_TTL_MS = 10 * 60 * 1000
+
+const oauthCodeSchema = new mongoose.Schema(
+  {
+    codeHash: { type: String, required: true, unique: true },
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'OAuthClient', required: true },
+    // The author who approved the request
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    scopes: [{ type: String }],
+    // Must be sent again, unchanged, when the code is redeemed
+    redirectUri: { type: String, required: true },
+    // BASE64URL(SHA256(code_verifier)) – S256 is the only method accepted
+    codeChallenge: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+oauthCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value))
+
+// Issue a code for an approved request; returns the raw code
+oauthCodeSchema.statics.issue = async function ({ client, author, scopes, redirectUri, codeChallenge }) {
+  const code = crypto.randomBytes(32).toString('base64url')
+  await this.create({
+    codeHash: sha256(code).digest('hex'),
+    client,
+    author,
+    scopes,
+    redirectUri,
+    codeChallenge,
+    expiresAt: new Date(Date.now() + CODE_TTL_MS),
+  })
+  return code
+}
+
+// Redeem a raw code (atomically) for the app that sent it: the client, redirect URI and PKCE
+// verifier must all match the authorization request. Resolves to the code document, or null if it
+// is unknown, expired, already used or not this app's – a wrong guess leaves the code usable by the
+// app it was issued to.
+oauthCodeSchema.statics.consume = function (code, { client, redirectUri, codeVerifier }) {
+  if (!codeVerifier) return Promise.resolve(null)
+  return this.findOneAndUpdate(
+    {
+      codeHash: sha256(code).digest('hex'),
+      client,
+      redirectUri: String(redirectUri),
+      codeChallenge: sha256(codeVerifier).digest('base64url'),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  )
+}
+
+const OAuthCode = mongoose.model('OAuthCode', oauthCodeSchema)
+module.exports = OAuthCode
@@ -0,0 +1,91 @@
+/**
+ * OAuthToken model – an access token (1 hour, `fgo_…`) and refresh token (30 days) issued to an
+ * app for one author, limited to the scopes the author approved.
+ * Refreshing revokes the old pair and issues a new one. Only SHA-256 hashes are stored.
+ */
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+const ACCESS_TOKEN_PREFIX = 'fgo_'
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+const oauthTokenSchema = new mongoose.Schema(
+  {
+    client: { type: mongoose.Schema.Types.ObjectId, ref: 'OAuthClient', required: true },
+    // The author the app acts for
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    scopes: [{ type: String }],
+    accessTokenHash: { type: String, required: true, unique: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    accessExpiresAt: { type: Date, required: true },
+    // MongoDB removes the record once the refresh token has expired (TTL index below)
+    refreshExpiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+oauthTokenSchema.index({ author: 1, client: 1 })
+oauthTokenSchema.index({ refreshExpiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// Is this an OAuth access token (rather than a JWT or API key)?
+oauthTokenSchema.statics.looksLikeToken = (value) => String(value || '').startsWith(ACCESS_TOKEN_PREFIX)
+
+// Issue a token pair. Resolves to the RFC 6749 token response body.
+oauthTokenSchema.statics.issue = async function ({ client, author, scopes }) {
+  const accessToken = ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url')
+  const refreshToken = crypto.randomBytes(32).toString('base64url')
+  await this.create({
+    client,
+    author,
+    scopes,
+    accessTokenHash: hashToken(accessToken),
+    refreshTokenHash: hashToken(refreshToken),
+    accessExpiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000),
+    refreshExpiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  })
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken,
+    scope: scopes.join(' '),
+  }
+}
+
+// Resolves to the token record for a valid (unexpired, unrevoked) access token, else null
+oauthTokenSchema.statics.findByAccessToken = function (accessToken) {
+  return this.findOne({ accessTokenHash: hashToken(accessToken), revokedAt: null, accessExpiresAt: { $gt: new Date() } })
+}
+
+// Swap a refresh token for a new pair (same client, author and scopes); null if it is not valid
+// for this client
+oauthTokenSchema.statics.refresh = async function (refreshToken, clientId) {
+  const old = await this.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), client: clientId, revokedAt: null, refreshExpiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  )
+  if (!old) return null
+  return this.issue({ client: old.client, author: old.author, scopes: old.scopes })
+}
+
+// Revoke the pair an access or refresh token belongs to, if it was issued to this client
+// (RFC 7009 – unknown tokens are ignored)
+oauthTokenSchema.statics.revokeToken = function (token, clientId) {
+  const hash = hashToken(token)
+  return this.updateOne(
+    { $or: [{ accessTokenHash: hash }, { refreshTokenHash: hash }], client: clientId, revokedAt: null },
+    { revokedAt: new Date() }
+  )
+}
+
+// Revoke every token pair issued for an author, to any app (e.g. after a password change)
+oauthTokenSchema.statics.revokeAllForAuthor = function (authorId) {
+  return this.updateMany({ author: authorId, revokedAt: null }, { revokedAt: new Date() })
+}
+
+const OAuthToken = mongoose.model('OAuthToken', oauthTokenSchema)
+module.exports = OAuthToken
@@ -0,0 +1,61 @@
+/**
+ * OneTimeToken model – single-use, expiring tokens sent to an author by email
+ * (e.g. password reset links). Only a SHA-256 hash is stored; the raw token only
+ * ever appears in the email. A token is tied to one purpose and can be consumed once.
+ */
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+const oneTimeTokenSchema = new mongoose.Schema(
+  {
+    // The author the token was issued to
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // What the token may be used for, e.g. 'password-reset'
+    purpose: { type: String, required: true },
+    // SHA-256 hash of the raw token
+    tokenHash: { type: String, required: true, unique: true },
+    // After this the token is rejected; MongoDB removes it via the TTL index below
+    expiresAt: { type: Date, required: true },
+    // Set when the token is used – a used token can never be used again
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+oneTimeTokenSchema.index({ author: 1, purpose: 1 })
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Issue a token for an author and purpose, valid for ttlMinutes. Any earlier unused token for
+// the same purpose is invalidated so only the most recent email works. Returns the raw token.
+oneTimeTokenSchema.statics.issue = async function (authorId, purpose, ttlMinutes) {
+  await this.updateMany({ author: authorId, purpose, usedAt: null }, { usedAt: new Date() })
+  const token = crypto.randomBytes(32).toString('hex')
+  await this.create({
+    author: authorId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  })
+  return token
+}
+
+// Look up a raw token without using it up (e.g. to check a form before consuming it); null if it
+// is unknown, expired, used or for a different purpose
+oneTimeTokenSchema.statics.findValid = function (token, purpose) {
+  return this.findOne({ tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } })
+}
+
+// Mark a raw token as used (atomically) and return its document, or null if it is unknown,
+// expired, already used or was issued for a different purpose.
+oneTimeTokenSchema.statics.consume = function (token, purpose) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  )
+}
+
+const OneTimeToken = mongoose.model('OneTimeToken', oneTimeTokenSchema)
+module.exports = OneTimeToken
@@ -0,0 +1,116 @@
+/**
+ * Place model – a named location with coordinates that posts (and authors) can be tagged with.
+ * Places are created on demand the first time someone tags a post with a new name and position;
+ * tagging again with the same name close by reuses the existing place, so its page
+ * (/places/:id) collects every post taken there.
+ */
+const mongoose = require('mongoose')
+
+// Two tags with the same name this close together (metres) are the same place
+const SAME_PLACE_RADIUS_M = 200
+const EARTH_RADIUS_M = 6378100
+
+// A GeoJSON point – coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['Point'], default: 'Point', required: true },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: [
+        (coordinates) => coordinates.length === 2 && Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90,
+        'Coordinates must be [longitude, latitude]',
+      ],
+    },
+  },
+  { _id: false }
+)
+
+const placeSchema = new mongoose.Schema(
+  {
+    // Display name, e.g. "Santa Monica Pier"
+    name: { type: String, required: true, trim: true, maxLength: 100 },
+    // Where it is
+    geo: { type: pointSchema, required: true },
+  },
+  { timestamps: true }
+)
+
+placeSchema.index({ geo: '2dsphere' })
+placeSchema.index({ name: 1 })
+
+// Add lat and lng alongside the GeoJSON point for clients that don't speak GeoJSON
+placeSchema.methods.toJSON = function () {
+  const data = this.toObject()
+  data.lat = data.geo.coordinates[1]
+  data.lng = data.geo.coordinates[0]
+  return data
+}
+
+// Form fields left empty arrive as ''
+const isBlank = (value) => value === undefined || value === null || value === ''
+
+// Parse a latitude/longitude pair from request input into [lng, lat]; throws if either is missing
+// or out of range
+placeSchema.statics.parseCoordinates = function (lat, lng) {
+  const latitude = Number(lat)
+  const longitude = Number(lng)
+  if (isBlank(lat) || isBlank(lng) || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    throw new Error('lat and lng must be numbers')
+  }
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error('lat must be between -90 and 90 and lng between -180 and 180')
+  }
+  return [longitude, latitude]
+}
+
+/**
+ * The place a post or profile is being tagged with, from request input:
+ *   { id }             – an existing place
+ *   { name, lat, lng } – the place with that name within SAME_PLACE_RADIUS_M, or a new one
+ *   { name }           – the most recently used place with exactly that name, if any
+ * Resolves to the place, or null when there is nothing to tag (no input, or an unknown name
+ * without coordinates). Throws on an unknown id or bad coordinates.
+ */
+placeSchema.statics.fromInput = async function ({ id, name, lat, lng } = {}) {
+  if (id) {
+    const place = mongoose.Types.ObjectId.isValid(id) ? await this.findById(id) : null
+    if (!place) throw new Error('Place not found')
+    return place
+  }
+  const placeName = String(name || '').trim()
+  if (!placeName) return null
+  const namePattern = new RegExp(`^${placeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+
+  if (isBlank(lat) && isBlank(lng)) {
+    return this.findOne({ name: namePattern }).sort({ updatedAt: -1 })
+  }
+  const coordinates = this.parseCoordinates(lat, lng)
+  const nearby = await this.findOne({
+    name: namePattern,
+    geo: { $geoWithin: { $centerSphere: [coordinates, SAME_PLACE_RADIUS_M / EARTH_RADIUS_M] } },
+  })
+  if (nearby) {
+    // Keep it at the top of the recently used places
+    nearby.updatedAt = new Date()
+    return nearby.save()
+  }
+  return this.create({ name: placeName, geo: { type: 'Point', coordinates } })
+}
+
+/**
+ * Tag a post or an author (anything with setPlace) with the place from request input (see
+ * fromInput), or clear it when input is empty. A name there is no place for is kept as plain
+ * location text. Resolves to the place, or null.
+ */
+placeSchema.statics.tag = async function (doc, input) {
+  const place = input ? await this.fromInput(input) : null
+  doc.setPlace(place)
+  if (!place && input?.name) doc.location = String(input.name).trim()
+  return place
+}
+
+const Place = mongoose.model('Place', placeSchema)
+module.exports = Place
+// Posts store their place's point too, so they can be searched by distance
+module.exports.pointSchema = pointSchema
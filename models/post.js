@@ -1,10 +1,28 @@
 /**
  * Post model – content created by an Author (Instagram-style).
  * Each post belongs to one Author.
- * When a post is created its _id is pushed into Author.posts.
- * When deleted it is removed from Author.posts and all its Comments are deleted.
+ * When a post is published its _id is pushed into Author.posts; archiving or deleting it takes it
+ * out again. A deleted post stays in its author's bin for 30 days before it and its Comments are
+ * removed for good (services/postArchive.js).
  */
 const mongoose = require('mongoose')
+const { normaliseHashtag, extractHashtags, mentionedAuthorIds } = require('../services/textEntities')
+const { pointSchema } = require('./place')
+
+// Post audiences, widest first
+const AUDIENCES = ['public', 'followers', 'closeFriends']
+
+// Publishing states: a draft is only seen by its author, a scheduled post is published
+// automatically at publishAt (services/postScheduler.js), a published post is live
+const STATUSES = ['draft', 'scheduled', 'published']
+
+// Images per post (a carousel when there is more than one)
+const MAX_MEDIA = 10
+
+// One image of a post; its _id lets clients refer to it when reordering
+const mediaSchema = new mongoose.Schema({
+  url: { type: String, trim: true, required: true },
+})
 
 const postSchema = new mongoose.Schema(
   {
@@ -12,25 +30,114 @@ const postSchema = new mongoose.Schema(
     author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
     // Caption text (up to 2200 chars like Instagram)
     caption: { type: String, required: true, trim: true, maxLength: 2200 },
-    // URL to the post image
+    // Ordered images; the first one is the cover
+    media: {
+      type: [mediaSchema],
+      validate: [(items) => items.length <= MAX_MEDIA, `A post can have at most ${MAX_MEDIA} images`],
+    },
+    // URL of the cover image (media[0]) – what grids and single-image clients show
     imageUrl: { type: String, trim: true, default: '' },
-    // Optional location tag
+    // Optional location tag – the place's name for geotagged posts (older posts only have this text)
     location: { type: String, trim: true, default: '' },
+    // The place the post is tagged with (see setPlace)
+    place: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', default: null },
+    // The place's coordinates, copied here so posts can be searched by distance
+    geo: { type: pointSchema, default: undefined },
     // Like count – kept in sync with likedBy.length
     likesCount: { type: Number, default: 0, min: 0 },
     // Users who liked this post (used to toggle the heart and prevent double-likes)
     likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
-    // Hashtags stored as an array of strings
+    // How many times it has been reposted – kept in sync with the Repost documents
+    repostsCount: { type: Number, default: 0, min: 0 },
+    // Hashtags stored as an array of strings – the #tags in the caption plus any the client sent
     hashtags: [{ type: String, trim: true, lowercase: true }],
+    // Authors @mentioned in the caption
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
     // References to Comment documents on this post
     comments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comment' }],
-    // Whether only followers can see this post
+    // Who may see this post (see services/postVisibility.js): everyone, the author's followers, or
+    // only the people on the author's close-friends list
+    audience: { type: String, enum: AUDIENCES, default: 'public' },
+    // Whether only some people can see this post – kept in step with audience (posts from before
+    // audience existed only have this: true meant followers-only)
     isPrivate: { type: Boolean, default: false },
+    // Whether the author's account is private – copied from the author when the post is created
+    // and updated by the Author model when they change it, so reads need not look authors up
+    authorIsPrivate: { type: Boolean, default: false },
+    // When the caption, hashtags or images were last edited (null if never) – shown as "Edited";
+    // the history is kept in PostRevision
+    editedAt: { type: Date, default: null },
+    // Publishing state (posts from before drafts existed are published)
+    status: { type: String, enum: STATUSES, default: 'published' },
+    // When a scheduled post goes live
+    publishAt: { type: Date, default: null },
+    // When the author archived the post (null if not archived) – hidden from everyone else
+    archivedAt: { type: Date, default: null },
+    // When the post was moved to the recently deleted bin (null if not deleted)
+    deletedAt: { type: Date, default: null },
   },
   { timestamps: true }
 )
 
 postSchema.index({ author: 1, createdAt: -1 })
+// The scheduler looks up scheduled posts that are due
+postSchema.index({ status: 1, publishAt: 1 })
+// The bin purge looks up posts deleted long enough ago
+postSchema.index({ deletedAt: 1 })
+// Nearby search (GET /api/posts/nearby); posts without a place have no geo and are left out
+postSchema.index({ geo: '2dsphere' })
+
+// Older clients may still send isPrivate on its own; otherwise audience decides
+postSchema.pre('validate', function (next) {
+  if (this.isPrivate && this.audience === 'public' && !this.isModified('audience')) this.audience = 'followers'
+  this.isPrivate = this.audience !== 'public'
+  next()
+})
+
+// Keep imageUrl and media in step: media decides the cover, except that a client that only sends
+// imageUrl replaces the cover image and leaves the rest of the carousel alone
+postSchema.pre('validate', function (next) {
+  if (this.isModified('imageUrl') && !this.isModified('media')) {
+    const [cover, ...rest] = this.media
+    this.media = this.imageUrl ? [{ ...(cover ? cover.toObject() : {}), url: this.imageUrl }, ...rest] : rest
+  }
+  this.imageUrl = this.media[0]?.url || ''
+  next()
+})
+
+// Parse #tags and @handles out of the caption (services/textEntities.js). Tags sent with this
+// change are kept; an edited caption otherwise re-derives the hashtags from scratch
+postSchema.pre('validate', async function () {
+  if (!this.isModified('caption') && !this.isModified('hashtags')) return
+  const sent = this.isModified('hashtags') ? this.hashtags.map(normaliseHashtag) : []
+  this.hashtags = [...new Set([...extractHashtags(this.caption), ...sent])].filter(Boolean)
+  if (this.isModified('caption')) this.mentions = await mentionedAuthorIds(this.caption)
+})
+
+// A scheduled post needs its publish time; other states don't keep one
+postSchema.pre('validate', function (next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'A scheduled post needs a publishAt time')
+  }
+  if (this.status !== 'scheduled') this.publishAt = null
+  next()
+})
+
+// Posts from before carousels only have imageUrl: read them as a one-image carousel (saved as
+// such the next time the images change)
+postSchema.post('init', function () {
+  if (this.isSelected('media') && this.media.length === 0 && this.imageUrl) {
+    this.media = [{ url: this.imageUrl }]
+    this.unmarkModified('media')
+  }
+})
+
+// Tag the post with a Place (or clear it with null), keeping location and geo in step
+postSchema.methods.setPlace = function (place) {
+  this.place = place ? place._id : null
+  this.geo = place ? place.geo : undefined
+  this.location = place ? place.name : ''
+}
 
 const Post = mongoose.model('Post', postSchema)
 module.exports = Post
@@ -0,0 +1,80 @@
+/**
+ * PostRevision model – one edit of a Post.
+ * Each revision keeps the version of the post from before the edit (caption, hashtags and images),
+ * who made the edit and when, and which of those fields changed. Restoring a revision puts that
+ * earlier version back, which is itself recorded as a new edit.
+ */
+const mongoose = require('mongoose')
+
+// The parts of a post that are versioned
+const TRACKED_FIELDS = ['caption', 'hashtags', 'media']
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    // The post that was edited
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    // Who made the edit
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // The post as it was before the edit – what restoring this revision brings back
+    caption: { type: String, default: '' },
+    hashtags: [{ type: String }],
+    media: [{ url: { type: String, required: true } }],
+    // The fields the edit changed, with their values before and after (images as lists of URLs)
+    changes: [
+      {
+        _id: false,
+        field: { type: String, enum: TRACKED_FIELDS, required: true },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Set when the edit was restoring an earlier revision
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'PostRevision', default: null },
+  },
+  { timestamps: true }
+)
+
+// A post's history, newest first
+postRevisionSchema.index({ post: 1, createdAt: -1 })
+
+// The versioned fields of a post, as plain values
+postRevisionSchema.statics.snapshot = function (post) {
+  return {
+    caption: post.caption,
+    hashtags: [...post.hashtags],
+    media: post.media.map((item) => ({ _id: item._id, url: item.url })),
+  }
+}
+
+// The fields that differ between two snapshots, as { field, from, to }
+postRevisionSchema.statics.diff = function (before, after) {
+  const comparable = {
+    caption: (s) => s.caption,
+    hashtags: (s) => s.hashtags,
+    media: (s) => s.media.map((item) => item.url),
+  }
+  return TRACKED_FIELDS.map((field) => ({
+    field,
+    from: comparable[field](before),
+    to: comparable[field](after),
+  })).filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to))
+}
+
+/**
+ * Save an edited post and record the edit. `before` is the snapshot taken before the changes were
+ * applied. When a versioned field of a published post changed, the post is marked edited and a
+ * revision is stored; resolves to that revision, or null when nothing was recorded.
+ */
+postRevisionSchema.statics.saveEdit = async function (post, before, editorId, { restoredFrom = null } = {}) {
+  // Validating first runs the Post hooks that derive media from imageUrl
+  await post.validate()
+  // Drafts and scheduled posts are not versioned until they are published
+  const changes = post.status === 'published' ? this.diff(before, this.snapshot(post)) : []
+  if (changes.length > 0) post.editedAt = new Date()
+  await post.save()
+  if (changes.length === 0) return null
+  return this.create({ post: post._id, editor: editorId, ...before, changes, restoredFrom })
+}
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema)
+module.exports = PostRevision
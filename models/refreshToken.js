@@ -0,0 +1,145 @@
+/**
+ * RefreshToken model – a long-lived, single-use token that can be swapped for a new access token.
+ * Only a SHA-256 hash of the token is stored, so a database leak does not leak usable tokens.
+ * Every login starts a new "family"; each refresh revokes the presented token and issues the next
+ * one in the same family. Presenting an already-revoked token means it was stolen or replayed,
+ * so the whole family is revoked and the user has to log in again – except for a token rotated in
+ * the last REFRESH_TOKEN_GRACE_SECONDS, which parallel requests from one page all present at once:
+ * those get the token it was already swapped for, never another one.
+ */
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+// How long a refresh token stays valid (days) – configurable via env
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7
+// How long a token that has just been rotated may still be presented (parallel requests)
+const REFRESH_TOKEN_GRACE_MS = (parseInt(process.env.REFRESH_TOKEN_GRACE_SECONDS) || 10) * 1000
+
+// A family is a login session (models/session.js); end it too when the family is killed.
+// Looked up lazily because session.js requires this module.
+const endSession = (family) =>
+  mongoose.isValidObjectId(family)
+    ? mongoose.model('Session').updateOne({ _id: family, revokedAt: null }, { revokedAt: new Date() })
+    : null
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // The author this token belongs to
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // SHA-256 hash of the raw token (the raw value is only ever sent to the client)
+    tokenHash: { type: String, required: true, unique: true },
+    // Shared by every token descended from the same login (the Session _id)
+    family: { type: String, required: true },
+    // Hard expiry – MongoDB removes the document once this passes (TTL index below)
+    expiresAt: { type: Date, required: true },
+    // Set when the token is swapped for the next one (not on logout), for the grace window
+    rotatedAt: { type: Date, default: null },
+    // The token it was swapped for, encrypted with a key only this token's raw value gives (see
+    // sealSuccessor) – handed back to a parallel request within the grace window
+    replacedBy: { type: String, default: null },
+    // Set when the token is rotated or logged out; a revoked token can never be used again
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+// Fast lookup of all tokens in a family (used for reuse detection / logout)
+refreshTokenSchema.index({ family: 1 })
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Hash a raw token the same way everywhere
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// A fresh raw token
+const generateToken = () => crypto.randomBytes(48).toString('hex')
+
+// Encrypt the successor of `token` with a key derived from `token` itself, so only someone
+// presenting the old token can read it back (a database leak alone gives nothing usable)
+const successorKey = (token) => crypto.createHash('sha256').update(`successor:${token}`).digest()
+const sealSuccessor = (token, successor) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', successorKey(token), iv)
+  const data = Buffer.concat([cipher.update(successor, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64')).join('.')
+}
+const openSuccessor = (token, sealed) => {
+  const [iv, tag, data] = sealed.split('.').map((part) => Buffer.from(part, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', successorKey(token), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8')
+}
+
+// Issue a new refresh token for an author. Pass a family to continue an existing chain.
+// Returns the raw token string (never stored).
+refreshTokenSchema.statics.issue = async function (authorId, family, token = generateToken()) {
+  await this.create({
+    author: authorId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  })
+  return token
+}
+
+// Was this token swapped for the next one only a moment ago?
+const justRotated = (doc) => Boolean(doc?.rotatedAt) && Date.now() - doc.rotatedAt.getTime() < REFRESH_TOKEN_GRACE_MS
+
+// Swap a raw refresh token for the next one in its family.
+// Returns { authorId, refreshToken, family }; throws if the token is unknown, expired or already used.
+// A token rotated within the grace window (e.g. by a parallel request from the same page) gets the
+// same next token back instead of counting as reuse – a copy replayed in that window shares it with
+// the real client, so whichever of them uses it second is caught as reuse. A logged-out family still
+// fails on its session.
+refreshTokenSchema.statics.rotate = async function (token) {
+  const doc = await this.findOne({ tokenHash: hashToken(token) })
+  if (!doc) throw new Error('Invalid refresh token')
+  const result = (refreshToken) => ({ authorId: doc.author, refreshToken, family: doc.family })
+  const reused = async () => {
+    // Reuse of a revoked token: someone else has a copy, so kill the whole family
+    await this.updateMany({ family: doc.family, revokedAt: null }, { revokedAt: new Date() })
+    await endSession(doc.family)
+    throw new Error('Refresh token reuse detected')
+  }
+
+  if (doc.revokedAt) {
+    if (justRotated(doc) && doc.replacedBy) return result(openSuccessor(token, doc.replacedBy))
+    return reused()
+  }
+  if (doc.expiresAt <= new Date()) throw new Error('Refresh token expired')
+
+  // Revoke atomically so two concurrent refreshes cannot both rotate it; the one that loses the
+  // race gets the winner's successor
+  const now = new Date()
+  const successor = generateToken()
+  const revoked = await this.findOneAndUpdate(
+    { _id: doc._id, revokedAt: null },
+    { revokedAt: now, rotatedAt: now, replacedBy: sealSuccessor(token, successor) }
+  )
+  if (!revoked) {
+    const winner = await this.findById(doc._id)
+    if (justRotated(winner) && winner.replacedBy) return result(openSuccessor(token, winner.replacedBy))
+    return reused()
+  }
+
+  return result(await this.issue(doc.author, doc.family, successor))
+}
+
+// Revoke the family a raw refresh token belongs to and end its session (logout). Unknown tokens are ignored.
+refreshTokenSchema.statics.revokeFamily = async function (token) {
+  const doc = await this.findOne({ tokenHash: hashToken(token) })
+  if (!doc) return
+  await this.updateMany({ family: doc.family, revokedAt: null }, { revokedAt: new Date() })
+  await endSession(doc.family)
+}
+
+// Revoke every refresh token an author holds (e.g. after a password reset) – logs out everywhere,
+// except the login whose family is `exceptFamily` (if given)
+refreshTokenSchema.statics.revokeAllForAuthor = function (authorId, exceptFamily) {
+  const filter = { author: authorId, revokedAt: null }
+  if (exceptFamily) filter.family = { $ne: String(exceptFamily) }
+  return this.updateMany(filter, { revokedAt: new Date() })
+}
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema)
+module.exports = RefreshToken
@@ -0,0 +1,36 @@
+/**
+ * Repost model – an Author resharing someone else's Post with their followers, optionally with a
+ * quote caption of their own.
+ * Each repost belongs to one Author and points at the original Post, whose repostsCount counts
+ * them. A repost is only shown to people who may see the original, and is removed with it.
+ */
+const mongoose = require('mongoose')
+const { mentionedAuthorIds } = require('../services/textEntities')
+
+const repostSchema = new mongoose.Schema(
+  {
+    // The original post
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    // Who reposted it
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // Optional quote shown above the original (a plain repost has none)
+    caption: { type: String, trim: true, maxLength: 2200, default: '' },
+    // Authors @mentioned in the quote
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+  },
+  { timestamps: true }
+)
+
+// One repost of a post per author
+repostSchema.index({ post: 1, author: 1 }, { unique: true })
+// Reposts by the authors someone follows, newest first (the feed)
+repostSchema.index({ author: 1, createdAt: -1 })
+
+// Keep mentions in step with the quote (services/textEntities.js)
+repostSchema.pre('validate', async function () {
+  if (!this.isModified('caption')) return
+  this.mentions = await mentionedAuthorIds(this.caption)
+})
+
+const Repost = mongoose.model('Repost', repostSchema)
+module.exports = Repost
@@ -0,0 +1,72 @@
+/**
+ * Session model – one record per login (device/browser), so authors can see where they are
+ * logged in and log out individual devices.
+ * A session owns one refresh-token family (RefreshToken.family === session _id) and its id is
+ * carried in every access token (`sid` claim), so revoking a session takes effect immediately.
+ */
+const mongoose = require('mongoose')
+const RefreshToken = require('./refreshToken')
+
+// Only write lastSeenAt once a minute, not on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // The author who logged in
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // Browser / client that logged in (User-Agent header)
+    userAgent: { type: String, default: '', maxLength: 500 },
+    // IP address seen at login, then the most recent one
+    ip: { type: String, default: '' },
+    // Last authenticated request made with this session
+    lastSeenAt: { type: Date, default: Date.now },
+    // Set on logout / remote logout; a revoked session can never be used again
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+)
+
+sessionSchema.index({ author: 1, revokedAt: 1, lastSeenAt: -1 })
+
+// Create a session for a login request
+sessionSchema.statics.start = function (authorId, req) {
+  return this.create({
+    author: authorId,
+    userAgent: String(req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip || '',
+  })
+}
+
+// Record activity on a session (throttled). Resolves to the session, or null if it is unknown or revoked.
+sessionSchema.statics.touch = async function (sessionId, req) {
+  if (!mongoose.isValidObjectId(sessionId)) return null
+  const session = await this.findById(sessionId)
+  if (!session || session.revokedAt) return null
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    session.lastSeenAt = new Date()
+    session.ip = req.ip || session.ip
+    await session.save()
+  }
+  return session
+}
+
+// Log out one session: revoke it and every refresh token it owns
+sessionSchema.statics.revoke = async function (sessionId) {
+  await this.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() })
+  await RefreshToken.updateMany({ family: String(sessionId), revokedAt: null }, { revokedAt: new Date() })
+}
+
+// Log out every session an author has (optionally keeping one, e.g. the current device)
+sessionSchema.statics.revokeAllForAuthor = async function (authorId, exceptSessionId) {
+  const filter = { author: authorId, revokedAt: null }
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId }
+  const sessions = await this.find(filter).select('_id')
+  await this.updateMany(filter, { revokedAt: new Date() })
+  await RefreshToken.updateMany(
+    { family: { $in: sessions.map((s) => String(s._id)) }, revokedAt: null },
+    { revokedAt: new Date() }
+  )
+}
+
+const Session = mongoose.model('Session', sessionSchema)
+module.exports = Session
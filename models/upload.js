@@ -0,0 +1,61 @@
+/**
+ * Upload model – one record per image file the server stored under /uploads, and the author who
+ * uploaded it (middleware/upload.js). Posts and profiles only hold image URLs, which clients send,
+ * so this is what says whose file it is: only its uploader may use it, and only deleting their
+ * posts or account removes it from disk.
+ */
+const mongoose = require('mongoose')
+
+// URLs of files we stored; anything else under /uploads is not ours to hand out
+const UPLOAD_URL = /^\/uploads\/([\w.-]+)$/
+const EXTERNAL_URL = /^https?:\/\/\S+$/i
+
+const uploadSchema = new mongoose.Schema(
+  {
+    // Who uploaded it
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true },
+    // Name of the file in the upload directory (its URL is /uploads/<filename>)
+    filename: { type: String, required: true, unique: true },
+  },
+  { timestamps: true }
+)
+
+uploadSchema.index({ author: 1 })
+
+// The stored file name behind an /uploads URL, or null for any other URL
+uploadSchema.statics.filenameOf = function (url) {
+  const match = typeof url === 'string' && url.match(UPLOAD_URL)
+  return match ? match[1] : null
+}
+
+// Record files (multer's req.file / req.files, after processing) as uploaded by `authorId`
+uploadSchema.statics.record = function (authorId, files) {
+  if (files.length === 0) return Promise.resolve([])
+  return this.insertMany(files.map((file) => ({ author: authorId, filename: file.filename })))
+}
+
+// Which of these URLs' files `authorId` uploaded, as a Set of file names
+uploadSchema.statics.ownedFilenames = async function (authorId, urls) {
+  const filenames = urls.map((url) => this.filenameOf(url)).filter(Boolean)
+  if (filenames.length === 0) return new Set()
+  return new Set(await this.find({ author: authorId, filename: { $in: filenames } }).distinct('filename'))
+}
+
+/**
+ * Check image URLs a client sent for `authorId`: each must be an http(s) URL, or the /uploads URL
+ * of a file they uploaded themselves. Throws a message for the client otherwise.
+ */
+uploadSchema.statics.checkUrls = async function (authorId, urls) {
+  for (const url of urls) {
+    if (typeof url !== 'string' || (!EXTERNAL_URL.test(url) && !this.filenameOf(url))) {
+      throw new Error('Images must be http(s) URLs or images you uploaded')
+    }
+  }
+  const owned = await this.ownedFilenames(authorId, urls)
+  if (urls.some((url) => this.filenameOf(url) && !owned.has(this.filenameOf(url)))) {
+    throw new Error('You can only use images you uploaded')
+  }
+}
+
+const Upload = mongoose.model('Upload', uploadSchema)
+module.exports = Upload
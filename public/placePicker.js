@@ -0,0 +1,38 @@
+// New-post place picker: "Use my location" fills in the coordinates so the typed place name is
+// geotagged there; picking one of the suggested places uses that place as it is
+document.addEventListener('DOMContentLoaded', () => {
+    const locationField = document.getElementById('location');
+    const latField = document.getElementById('placeLat');
+    const lngField = document.getElementById('placeLng');
+    const useMyLocation = document.getElementById('useMyLocation');
+    const coordsLabel = document.getElementById('placeCoords');
+    if (!locationField || !useMyLocation) return;
+
+    const setCoords = (lat, lng) => {
+        latField.value = lat;
+        lngField.value = lng;
+        coordsLabel.textContent = lat === '' ? '' : `${Number(lat).toFixed(4)}, ${Number(lng).toFixed(4)}`;
+    };
+
+    if (!navigator.geolocation) {
+        useMyLocation.style.display = 'none';
+    }
+
+    useMyLocation.addEventListener('click', () => {
+        coordsLabel.textContent = 'Locating…';
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setCoords(position.coords.latitude, position.coords.longitude);
+                if (!locationField.value) locationField.focus();
+            },
+            () => { coordsLabel.textContent = 'Could not get your location'; },
+            { timeout: 10000 }
+        );
+    });
+
+    // A suggested place already has its coordinates
+    locationField.addEventListener('input', () => {
+        const options = Array.from(document.querySelectorAll('#known-places option'));
+        if (options.some((option) => option.value === locationField.value)) setCoords('', '');
+    });
+});
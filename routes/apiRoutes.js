@@ -7,31 +7,90 @@ const auth = require('../middleware/auth')
 // --- Auth (no token required) ---
 router.post('/auth/signup', authController.createAuthor)
 router.post('/auth/login', authController.loginAuthor)
+router.post('/auth/login/2fa', authController.loginTwoFactor)
+router.post('/auth/refresh', authController.refreshToken)
+router.post('/auth/logout', authController.logoutAuthor)
+router.post('/auth/forgot-password', authController.forgotPassword)
+router.post('/auth/reset-password', authController.resetPassword)
+router.post('/auth/verify-email', authController.verifyEmail)
+router.post('/auth/email/confirm', authController.confirmEmailChange)
 
+// --- Account security (auth required) ---
+router.post('/auth/verify-email/resend', auth, authController.resendVerificationEmail)
+router.post('/auth/2fa/setup', auth, authController.setupTwoFactor)
+router.post('/auth/2fa/enable', auth, authController.enableTwoFactor)
+router.post('/auth/2fa/disable', auth, authController.disableTwoFactor)
+router.put('/auth/password', auth, authController.changePassword)
+router.put('/auth/email', auth, authController.changeEmail)
+router.get('/auth/sessions', auth, authController.listSessions)
+router.delete('/auth/sessions', auth, authController.revokeAllSessions) // log out everywhere
+router.delete('/auth/sessions/:id', auth, authController.revokeSession)
+router.get('/auth/api-keys', auth, authController.listApiKeys)
+router.post('/auth/api-keys', auth, authController.createApiKey)
+router.delete('/auth/api-keys/:id', auth, authController.revokeApiKey)
+
+// --- Admin ---
+router.post('/admin/authors/:id/unlock', auth, auth.authorize('author:manage'), authController.unlockAuthor)
+router.put('/admin/authors/:id/role', auth, auth.authorize('author:manage'), authController.setAuthorRole)
 
 // --- Authors ---
-router.get('/authors', authController.indexAuthors)
-router.get('/authors/profile', auth, authController.getProfile) // Must be before /authors/:id
-router.get('/authors/saved', auth, postController.getSaved)     // Must be before /authors/:id
-router.get('/authors/:id', authController.showAuthor)
-router.put('/authors/:id', auth, authController.updateAuthor)
+// auth.scope('<scope>'): also open to API keys / app tokens holding that scope
+router.get('/authors', auth.optional('read:profile'), authController.indexAuthors)
+router.get('/authors/profile', auth.scope('read:profile'), authController.getProfile) // Must be before /authors/:id
+router.get('/authors/saved', auth.scope('read:posts'), postController.getSaved)       // Must be before /authors/:id
+router.get('/authors/follow-requests', auth.scope('read:profile'), authController.listFollowRequests) // Must be before /authors/:id
+router.post('/authors/follow-requests/:id/approve', auth.scope('write:profile'), authController.approveFollowRequest)
+router.post('/authors/follow-requests/:id/deny', auth.scope('write:profile'), authController.denyFollowRequest)
+router.get('/authors/blocked', auth.scope('read:profile'), authController.listBlocked)           // Must be before /authors/:id
+router.get('/authors/muted', auth.scope('read:profile'), authController.listMuted)               // Must be before /authors/:id
+router.get('/authors/close-friends', auth.scope('read:profile'), authController.listCloseFriends) // Must be before /authors/:id
+router.post('/authors/close-friends/:id', auth.scope('write:profile'), authController.addCloseFriend)
+router.delete('/authors/close-friends/:id', auth.scope('write:profile'), authController.removeCloseFriend)
+// auth.optional: public, but private accounts show more to the author and approved followers
+router.get('/authors/by-handle/:handle', auth.optional('read:profile'), authController.showAuthorByHandle)
+router.post('/authors/profile/export', auth, authController.requestDataExport)
+router.get('/authors/profile/export/:id', auth, authController.showDataExport)
+router.get('/authors/profile/export/:id/download', auth, authController.downloadDataExport)
+router.get('/authors/:id', auth.optional('read:profile'), authController.showAuthor)
+router.put('/authors/:id', auth.scope('write:profile'), authController.updateAuthor)
 router.delete('/authors/:id', auth, authController.deleteAuthor)
 
 
 // Social: follow / unfollow (auth required)
-router.post('/authors/:id/follow', auth, authController.followAuthor)
-router.post('/authors/:id/unfollow', auth, authController.unfollowAuthor)
+router.post('/authors/:id/follow', auth.scope('write:profile'), authController.followAuthor)
+router.post('/authors/:id/unfollow', auth.scope('write:profile'), authController.unfollowAuthor)
+
+// Block / mute (auth required)
+router.post('/authors/:id/block', auth.scope('write:profile'), authController.blockAuthor)
+router.post('/authors/:id/unblock', auth.scope('write:profile'), authController.unblockAuthor)
+router.post('/authors/:id/mute', auth.scope('write:profile'), authController.muteAuthor)
+router.post('/authors/:id/unmute', auth.scope('write:profile'), authController.unmuteAuthor)
 
 
-// Posts by a specific author (public)
-router.get('/authors/:id/posts', postController.listByAuthor)
+// Posts by a specific author (public, except private accounts)
+router.get('/authors/:id/posts', auth.optional('read:posts'), postController.listByAuthor)
 
 // --- Posts ---
-router.post('/posts', auth, postController.createPost)           // Create (auth required)
-router.get('/posts', postController.indexPosts)                   // List all (public)
-router.get('/posts/:id', postController.showPost)                 // Get one (public)
-router.put('/posts/:id', auth, postController.updatePost)         // Update own post (auth required)
-router.delete('/posts/:id', auth, postController.deletePost)      // Delete own post (auth required)
-router.post('/posts/:id/like', auth, postController.likePost)     // Like a post (auth required)
+router.post('/posts', auth.scope('write:posts'), auth.requireVerifiedEmail('post'), postController.createPost) // Create (auth + verified email)
+router.get('/posts', auth.optional('read:posts'), postController.indexPosts)      // List visible posts (public)
+router.get('/posts/nearby', auth.optional('read:posts'), postController.nearbyPosts) // Geotagged posts near a point (public) – before /posts/:id
+router.get('/posts/drafts', auth.scope('read:posts'), postController.listDrafts) // Own drafts and scheduled posts – before /posts/:id
+router.get('/posts/archived', auth.scope('read:posts'), postController.listArchived) // Own archived posts – before /posts/:id
+router.get('/posts/deleted', auth.scope('read:posts'), postController.listDeleted) // Own recently deleted posts – before /posts/:id
+router.get('/posts/:id', auth.optional('read:posts'), postController.showPost)    // Get one (public if visible)
+router.put('/posts/:id', auth.scope('write:posts'), postController.updatePost)    // Update own post (auth required)
+router.delete('/posts/:id', auth.scope('write:posts'), postController.deletePost) // Delete own post (auth required)
+router.put('/posts/:id/schedule', auth.scope('write:posts'), postController.schedulePost)       // Schedule / reschedule own unpublished post
+router.delete('/posts/:id/schedule', auth.scope('write:posts'), postController.cancelSchedule)  // Cancel scheduling (back to draft)
+router.post('/posts/:id/publish', auth.scope('write:posts'), postController.publishNow)         // Publish own draft now
+router.post('/posts/:id/archive', auth.scope('write:posts'), postController.archive)            // Archive own post
+router.delete('/posts/:id/archive', auth.scope('write:posts'), postController.unarchive)        // Unarchive
+router.post('/posts/:id/restore', auth.scope('write:posts'), postController.restore)            // Restore own post from the bin
+router.get('/posts/:id/revisions', auth.scope('read:posts'), postController.listRevisions) // Edit history (own post)
+router.post('/posts/:id/revisions/:revisionId/restore', auth.scope('write:posts'), postController.restoreRevision) // Restore an earlier version (own post)
+router.post('/posts/:id/like', auth.scope('write:posts'), postController.likePost) // Like a post (auth required)
+router.post('/posts/:id/repost', auth.scope('write:posts'), auth.requireVerifiedEmail('post'), postController.repost) // Repost (optionally with a quote; verified email)
+router.delete('/posts/:id/repost', auth.scope('write:posts'), postController.undoRepost) // Undo your repost
+router.get('/posts/:id/reposts', auth.optional('read:posts'), postController.listReposts) // Who reposted (public if visible)
 
 module.exports = router
@@ -0,0 +1,22 @@
+const express = require('express')
+const router = express.Router()
+const collectionController = require('../controllers/collections/apiController')
+const auth = require('../middleware/auth')
+
+// Your collections (saved posts are read:posts / write:posts, like /api/posts/:id/save)
+router.get('/', auth.scope('read:posts'), collectionController.listCollections)
+router.post('/', auth.scope('write:posts'), collectionController.createCollection)
+router.put('/order', auth.scope('write:posts'), collectionController.reorderCollections) // Before /:id
+
+// One collection – public when shared, but a login also sees the private ones it may open
+router.get('/:id', auth.optional('read:posts'), collectionController.showCollection)
+router.put('/:id', auth.scope('write:posts'), collectionController.updateCollection)
+router.delete('/:id', auth.scope('write:posts'), collectionController.deleteCollection)
+
+// Posts and collaborators
+router.post('/:id/posts', auth.scope('write:posts'), collectionController.addPost)
+router.delete('/:id/posts/:postId', auth.scope('write:posts'), collectionController.removePost)
+router.post('/:id/collaborators', auth.scope('write:posts'), collectionController.addCollaborator)
+router.delete('/:id/collaborators/:authorId', auth.scope('write:posts'), collectionController.removeCollaborator)
+
+module.exports = router
@@ -4,11 +4,11 @@ const auth = require('../middleware/auth')
 const commentCtrl = require('../controllers/comments/apiController')
 
 // Comments on a post
-router.post('/posts/:id/comments', auth, commentCtrl.createComment)
-router.get('/posts/:id/comments', commentCtrl.listComments)
+router.post('/posts/:id/comments', auth.scope('write:comments'), commentCtrl.createComment)
+router.get('/posts/:id/comments', auth.optional('read:posts'), commentCtrl.listComments)
 
 // Individual comment actions
-router.delete('/comments/:id', auth, commentCtrl.deleteComment)
-router.post('/comments/:id/like', auth, commentCtrl.likeComment)
+router.delete('/comments/:id', auth.scope('write:comments'), commentCtrl.deleteComment)
+router.post('/comments/:id/like', auth.scope('write:comments'), commentCtrl.likeComment)
 
 module.exports = router
@@ -3,13 +3,13 @@ const router = express.Router()
 const auth = require('../middleware/auth')
 const msgCtrl = require('../controllers/messages/apiController')
 
-// All message routes require authentication
-router.post('/messages', auth, msgCtrl.sendMessage)
-router.get('/messages/inbox', auth, msgCtrl.getInbox)
-router.get('/messages/sent', auth, msgCtrl.getSent)
-router.get('/messages/conversation/:userId', auth, msgCtrl.getConversation)
-router.get('/messages/:id', auth, msgCtrl.getMessage)
-router.delete('/messages/:id', auth, msgCtrl.deleteMessage)
-router.put('/messages/:id/read', auth, msgCtrl.markAsRead)
+// All message routes require authentication (a login, or an API key / app token with the scope)
+router.post('/messages', auth.scope('write:messages'), auth.requireVerifiedEmail('message'), msgCtrl.sendMessage)
+router.get('/messages/inbox', auth.scope('read:messages'), msgCtrl.getInbox)
+router.get('/messages/sent', auth.scope('read:messages'), msgCtrl.getSent)
+router.get('/messages/conversation/:userId', auth.scope('read:messages'), msgCtrl.getConversation)
+router.get('/messages/:id', auth.scope('read:messages'), msgCtrl.getMessage)
+router.delete('/messages/:id', auth.scope('write:messages'), msgCtrl.deleteMessage)
+router.put('/messages/:id/read', auth.scope('write:messages'), msgCtrl.markAsRead)
 
 module.exports = router
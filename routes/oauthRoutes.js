@@ -0,0 +1,20 @@
+const express = require('express')
+const router = express.Router()
+const oauthController = require('../controllers/oauth/apiController')
+const auth = require('../middleware/auth')
+
+// --- Used by apps (client credentials, no login)
+router.post('/token', oauthController.token)
+router.post('/revoke', oauthController.revoke)
+router.get('/scopes', oauthController.listScopes)
+
+// --- Apps the author has registered
+router.get('/clients', auth, oauthController.listClients)
+router.post('/clients', auth, oauthController.createClient)
+router.delete('/clients/:id', auth, oauthController.deleteClient)
+
+// --- Apps the author has approved
+router.get('/authorizations', auth, oauthController.listAuthorizations)
+router.delete('/authorizations/:clientId', auth, oauthController.revokeAuthorization)
+
+module.exports = router
@@ -0,0 +1,10 @@
+const express = require('express')
+const router = express.Router()
+const placeController = require('../controllers/places/apiController')
+const auth = require('../middleware/auth')
+
+// Public, but a login also sees the followers-only posts it may see
+router.get('/', auth.optional('read:posts'), placeController.searchPlaces)
+router.get('/:id', auth.optional('read:posts'), placeController.showPlace)
+
+module.exports = router
@@ -1,8 +1,10 @@
 const express = require('express')
 const router = express.Router()
 const tagController = require('../controllers/tags/apiController')
+const auth = require('../middleware/auth')
 
-router.get('/', tagController.listTags)
-router.get('/:tag', tagController.showTag)
+// Public, but a login also sees the followers-only posts it may see
+router.get('/', auth.optional('read:posts'), tagController.listTags)
+router.get('/:tag', auth.optional('read:posts'), tagController.showTag)
 
 module.exports = router
@@ -0,0 +1,50 @@
+/**
+ * Record who uploaded the files already in the upload directory (models/upload.js), for uploads
+ * from before the server kept track. Each file goes to the author of the oldest post (or edit
+ * history) showing it, or else to the author whose profile picture it is – the web only ever
+ * stored a file for the post or profile it was uploaded with. Files already recorded are left as
+ * they are, so it is safe to run more than once. Until it has run, older files are never deleted.
+ *
+ * Run: npm run backfill-upload-owners
+ */
+require('dotenv').config()
+const mongoose = require('mongoose')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const PostRevision = require('../models/postRevision')
+const Upload = require('../models/upload')
+
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    const owners = new Map()
+    const claim = (url, author) => {
+      const filename = Upload.filenameOf(url)
+      if (filename && !owners.has(filename)) owners.set(filename, author)
+    }
+
+    const posts = await Post.find({}).sort({ createdAt: 1 }).select('author imageUrl media').lean()
+    for (const post of posts) {
+      const urls = [post.imageUrl, ...(post.media || []).map((m) => m.url)]
+      urls.forEach((url) => claim(url, post.author))
+    }
+    const revisions = await PostRevision.find({}).sort({ createdAt: 1 }).populate('post', 'author').lean()
+    for (const revision of revisions) {
+      if (revision.post) revision.media.forEach((m) => claim(m.url, revision.post.author))
+    }
+    const authors = await Author.find({ profilePicture: /^\/uploads\// }).sort({ createdAt: 1 }).select('profilePicture').lean()
+    for (const author of authors) claim(author.profilePicture, author._id)
+
+    const known = new Set(await Upload.distinct('filename'))
+    const missing = [...owners].filter(([filename]) => !known.has(filename))
+    await Upload.insertMany(missing.map(([filename, author]) => ({ filename, author })))
+    console.log(`Recorded the owners of ${missing.length} uploaded file(s).`)
+  } catch (err) {
+    console.error('Backfill error:', err.message)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+backfill()
@@ -473,6 +473,20 @@ function loadFromJson() {
   return JSON.parse(fs.readFileSync(SEED_JSON, 'utf8'))
 }
 
+// Give each seeded author a unique @handle derived from their Instagram name (cristiano → @cristiano)
+function assignHandles(authors) {
+  const seen = new Set()
+  for (const author of authors) {
+    const base = author.handle || Author.handleFromName(author.name)
+    let handle = base
+    let n = 0
+    while (seen.has(handle)) { n++; handle = `${base}${n}` }
+    seen.add(handle)
+    author.handle = handle
+  }
+  return authors
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
@@ -491,6 +505,7 @@ async function seed() {
     console.log('Using seed-authors.json fallback')
     authorDocs = loadFromJson()
   }
+  assignHandles(authorDocs)
 
   try {
     await mongoose.connect(process.env.MONGO_URI)
@@ -512,16 +527,19 @@ async function seed() {
     let authorsCreated = 0, authorsSkipped = 0
     for (const doc of authorDocs) {
       const exists = await Author.findOne({ email: doc.email })
+      // A signup may already own the derived handle – fall back to the next free one
+      if (!(await Author.isHandleAvailable(doc.handle, exists?._id))) doc.handle = await Author.availableHandle(doc.handle)
       if (exists) {
-        // Update category + profilePicture on existing authors
-        await Author.updateOne(
-          { email: doc.email },
-          { $set: { category: doc.category, profilePicture: doc.profilePicture } }
-        )
+        // Update category + profilePicture on existing authors (seeded emails count as verified);
+        // accounts seeded before handles existed get one now
+        const updates = { category: doc.category, profilePicture: doc.profilePicture, emailVerified: true }
+        if (!exists.handle) updates.handle = doc.handle
+        await Author.updateOne({ email: doc.email }, { $set: updates })
         authorsSkipped++
         continue
       }
-      await new Author(doc).save()
+      // Seeded accounts use placeholder @example.com addresses, so mark them verified up front
+      await new Author({ ...doc, emailVerified: true }).save()
       authorsCreated++
     }
     console.log(`Authors — created: ${authorsCreated}, skipped (updated category): ${authorsSkipped}`)
@@ -0,0 +1,32 @@
+/**
+ * Set an author's role, e.g. to create the first admin.
+ *
+ * Run: npm run set-role -- <email> <role>
+ *   e.g. npm run set-role -- jane@example.com admin
+ */
+require('dotenv').config()
+const mongoose = require('mongoose')
+const Author = require('../models/author')
+
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2)
+  const roles = Author.schema.path('role').enumValues
+  if (!email || !roles.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${roles.join('|')}>`)
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    const author = await Author.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true })
+    if (!author) throw new Error(`No author with email ${email}`)
+    console.log(`${author.email} is now ${author.role}.`)
+  } catch (err) {
+    console.error('Set role error:', err.message)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+setRole()
@@ -0,0 +1,38 @@
+/**
+ * Mark the accounts created before email verification existed as verified, so UNVERIFIED_RESTRICTIONS
+ * doesn't suddenly stop them posting or messaging. Without a date, only accounts that never had the
+ * emailVerified field are changed, so it is safe to run more than once. With a date (when the
+ * upgrade was deployed), every account created before it is marked verified as well – for accounts
+ * that were saved since the upgrade and so already store emailVerified: false.
+ *
+ * Run: npm run verify-existing-emails [-- <created-before>]
+ *   e.g. npm run verify-existing-emails -- 2024-05-01
+ */
+require('dotenv').config()
+const mongoose = require('mongoose')
+const Author = require('../models/author')
+
+const verifyExisting = async () => {
+  const [createdBefore] = process.argv.slice(2)
+  const before = createdBefore ? new Date(createdBefore) : null
+  if (before && Number.isNaN(before.getTime())) {
+    console.error('Usage: npm run verify-existing-emails [-- <created-before, e.g. 2024-05-01>]')
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    const filter = before
+      ? { $or: [{ emailVerified: { $exists: false } }, { emailVerified: false, createdAt: { $lt: before } }] }
+      : { emailVerified: { $exists: false } }
+    const { modifiedCount } = await Author.updateMany(filter, { emailVerified: true })
+    console.log(`Marked ${modifiedCount} existing account(s) as verified.`)
+  } catch (err) {
+    console.error('Verify existing emails error:', err.message)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+verifyExisting()
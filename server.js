@@ -1,9 +1,18 @@
 require('dotenv').config()
 const app = require('./app')
 const db = require('./models/db')
+const { startPurgeJob } = require('./services/accountDeletion')
+const { startCleanupJob } = require('./services/dataExport')
+const { startPublishJob } = require('./services/postScheduler')
+const { startBinPurgeJob } = require('./services/postArchive')
+const { syncAuthorPrivacy } = require('./services/postVisibility')
+const mailer = require('./services/mailer')
 
 const PORT = process.env.PORT || 3000
 
+// Refuse to start without a way to send mail (e.g. production with no SMTP_URL)
+mailer.checkConfig()
+
 const startServer = () => {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`)
@@ -14,6 +23,16 @@ if (process.env.MONGO_URI) {
   db.once('open', () => {
     console.log('Connected to MongoDB')
     startServer()
+    // Copy each author's private setting onto posts from before posts kept it
+    syncAuthorPrivacy().catch((error) => console.error('Author privacy sync failed:', error.message))
+    // Purge accounts whose deletion grace period has ended
+    startPurgeJob()
+    // Remove expired data-export archives
+    startCleanupJob()
+    // Publish scheduled posts when their time comes
+    startPublishJob()
+    // Delete posts that have been in the bin for 30 days
+    startBinPurgeJob()
   })
   db.on('error', (error) => {
     console.error('MongoDB connection error:', error.message)
@@ -0,0 +1,148 @@
+/**
+ * Account deletion pipeline.
+ * Deleting an account first schedules it (Author.scheduleDeletion) – the author is logged out
+ * everywhere and can restore the account by logging in again during the grace period.
+ * Once the grace period is over, purgeAuthor removes everything the author owns and every
+ * reference to them across the Post, Comment, Message and Author collections, plus their
+ * uploaded images. startPurgeJob runs that check periodically from server.js.
+ */
+const fs = require('fs/promises')
+const path = require('path')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const Comment = require('../models/comment')
+const Message = require('../models/message')
+const Session = require('../models/session')
+const RefreshToken = require('../models/refreshToken')
+const OneTimeToken = require('../models/oneTimeToken')
+const ApiKey = require('../models/apiKey')
+const OAuthClient = require('../models/oauthClient')
+const OAuthCode = require('../models/oauthCode')
+const OAuthToken = require('../models/oauthToken')
+const FollowRequest = require('../models/followRequest')
+const PostRevision = require('../models/postRevision')
+const Repost = require('../models/repost')
+const Collection = require('../models/collection')
+const Upload = require('../models/upload')
+const { removeExports } = require('./dataExport')
+
+const UPLOAD_DIR = process.env.UPLOAD_PATH || 'public/uploads'
+
+// How often the background job looks for accounts whose grace period is over
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+/**
+ * Remove files `authorId` uploaded (models/upload.js): all of them, or those behind `urls`. A file
+ * still shown by a post, an edit history or a profile stays. Files other authors uploaded and
+ * external URLs (e.g. Kaggle avatars) are never touched, whatever URLs a post holds.
+ */
+const removeUploads = async (authorId, urls = null) => {
+  const query = { author: authorId }
+  if (urls) query.filename = { $in: urls.map((url) => Upload.filenameOf(url)).filter(Boolean) }
+  const filenames = await Upload.find(query).distinct('filename')
+  for (const filename of filenames) {
+    const url = `/uploads/${filename}`
+    const inUse = await Promise.all([
+      Post.exists({ $or: [{ 'media.url': url }, { imageUrl: url }] }),
+      PostRevision.exists({ 'media.url': url }),
+      Author.exists({ profilePicture: url }),
+    ])
+    if (inUse.some(Boolean)) continue
+    await fs.unlink(path.join(UPLOAD_DIR, filename)).catch(() => {})
+    await Upload.deleteOne({ filename })
+  }
+}
+
+/**
+ * Permanently delete an author and everything tied to them:
+ * - their posts (with every comment on them, their edit history and reposts) and uploaded images
+ * - their comments on other posts, their likes and reposts, and their direct messages (both directions)
+ * - their collections, their entries in other authors' followers / following / savedPosts /
+ *   comments lists and collections, and their @mentions in other posts, comments and reposts
+ * - their sessions, tokens and data exports, profile picture and finally the author document.
+ */
+const purgeAuthor = async (authorId) => {
+  const author = await Author.findById(authorId)
+  if (!author) return
+
+  // Their posts, and every comment left on them (by anyone)
+  const posts = await Post.find({ author: author._id }).select('_id')
+  const postIds = posts.map((p) => p._id)
+  const commentsOnPosts = await Comment.find({ post: { $in: postIds } }).select('_id')
+  // Their comments on other people's posts
+  const ownComments = await Comment.find({ author: author._id, post: { $nin: postIds } }).select('_id post')
+  const commentIds = [...commentsOnPosts, ...ownComments].map((c) => c._id)
+
+  await Comment.deleteMany({ _id: { $in: commentIds } })
+  await Post.updateMany({ comments: { $in: commentIds } }, { $pull: { comments: { $in: commentIds } } })
+  // Their images go with the author document, at the end
+  await Post.deleteMany({ _id: { $in: postIds } })
+  await PostRevision.deleteMany({ post: { $in: postIds } })
+
+  // Likes: each liked post holds the id once, so the count drops by exactly one
+  await Post.updateMany({ likedBy: author._id }, { $pull: { likedBy: author._id }, $inc: { likesCount: -1 } })
+  // Reposts of their posts, and theirs of other posts (one per post, like likes)
+  const repostedIds = await Repost.find({ author: author._id }).distinct('post')
+  await Post.updateMany({ _id: { $in: repostedIds } }, { $inc: { repostsCount: -1 } })
+  await Repost.deleteMany({ $or: [{ author: author._id }, { post: { $in: postIds } }] })
+
+  await Message.deleteMany({ $or: [{ sender: author._id }, { recipient: author._id }] })
+
+  // References held by other authors
+  await Author.updateMany({ followers: author._id }, { $pull: { followers: author._id } })
+  await Author.updateMany({ following: author._id }, { $pull: { following: author._id } })
+  await FollowRequest.deleteMany({ $or: [{ requester: author._id }, { target: author._id }] })
+  await Author.updateMany({ blocked: author._id }, { $pull: { blocked: author._id } })
+  await Author.updateMany({ muted: author._id }, { $pull: { muted: author._id } })
+  await Author.updateMany({ closeFriends: author._id }, { $pull: { closeFriends: author._id } })
+  await Author.updateMany({ savedPosts: { $in: postIds } }, { $pull: { savedPosts: { $in: postIds } } })
+  await Author.updateMany({ comments: { $in: commentIds } }, { $pull: { comments: { $in: commentIds } } })
+  // @mentions of them in other people's captions, comments and repost quotes (the text stays as written)
+  await Post.updateMany({ mentions: author._id }, { $pull: { mentions: author._id } })
+  await Comment.updateMany({ mentions: author._id }, { $pull: { mentions: author._id } })
+  await Repost.updateMany({ mentions: author._id }, { $pull: { mentions: author._id } })
+  // Their collections go; in others' they stop collaborating and their posts drop out
+  await Collection.deleteMany({ owner: author._id })
+  await Collection.updateMany({ collaborators: author._id }, { $pull: { collaborators: author._id } })
+  await Collection.updateMany({ posts: { $in: postIds } }, { $pull: { posts: { $in: postIds } } })
+
+  await Session.deleteMany({ author: author._id })
+  await RefreshToken.deleteMany({ author: author._id })
+  await OneTimeToken.deleteMany({ author: author._id })
+  await ApiKey.deleteMany({ author: author._id })
+  // Access granted to apps, and the apps the author registered (with every grant they hold)
+  const clientIds = await OAuthClient.find({ owner: author._id }).distinct('_id')
+  await OAuthToken.deleteMany({ $or: [{ author: author._id }, { client: { $in: clientIds } }] })
+  await OAuthCode.deleteMany({ $or: [{ author: author._id }, { client: { $in: clientIds } }] })
+  await OAuthClient.deleteMany({ _id: { $in: clientIds } })
+  await removeExports(author._id)
+
+  await Author.deleteOne({ _id: author._id })
+  // Every image they uploaded (posts, edit history, profile pictures)
+  await removeUploads(author._id)
+}
+
+/**
+ * Purge every account whose grace period has ended. Returns how many were removed.
+ */
+const purgeDueAccounts = async () => {
+  const due = await Author.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id')
+  for (const { _id } of due) {
+    await purgeAuthor(_id)
+  }
+  return due.length
+}
+
+/**
+ * Run purgeDueAccounts now and then every hour. The timer does not keep the process alive.
+ */
+const startPurgeJob = (intervalMs = PURGE_INTERVAL_MS) => {
+  const run = () =>
+    purgeDueAccounts()
+      .then((count) => count && console.log(`Purged ${count} deleted account(s)`))
+      .catch((err) => console.error('Account purge failed:', err.message))
+  run()
+  return setInterval(run, intervalMs).unref()
+}
+
+module.exports = { purgeAuthor, purgeDueAccounts, startPurgeJob, removeUploads }
@@ -0,0 +1,59 @@
+/**
+ * Saved posts and named collections (models/collection.js).
+ * Saving a post into a collection also saves it (Author.savedPosts – "All posts"), and unsaving a
+ * post takes it out of the author's collections. Posts in a collection are read through the post
+ * visibility policy, so a shared collection never shows anyone a post they may not see.
+ */
+const Post = require('../models/post')
+const Author = require('../models/author')
+const Collection = require('../models/collection')
+const { visibleTo } = require('./postVisibility')
+const { can } = require('./permissions')
+
+/**
+ * The posts in a collection that `viewer` may see, most recently added first.
+ */
+const visiblePosts = async (collection, viewer) => {
+  const posts = await Post.find(await visibleTo(viewer, { _id: { $in: collection.posts } }))
+    .populate('author', 'name handle profilePicture')
+  const order = collection.posts.map(String).reverse()
+  return posts.sort((a, b) => order.indexOf(String(a._id)) - order.indexOf(String(b._id)))
+}
+
+/**
+ * Collections as listed: plain objects with postsCount and coverUrl (the chosen cover, or the
+ * image of the most recently added post), both counting only the posts `viewer` may see.
+ */
+const summarise = async (collections, viewer) => {
+  const ids = collections.flatMap((collection) => collection.posts)
+  const visible = await Post.find(await visibleTo(viewer, { _id: { $in: ids } })).select('imageUrl')
+  const images = new Map(visible.map((post) => [String(post._id), post.imageUrl]))
+  return collections.map((collection) => {
+    const shown = collection.posts.map(String).filter((id) => images.has(id))
+    return {
+      ...collection.toJSON(),
+      postsCount: shown.length,
+      coverUrl: collection.cover || (shown.length > 0 ? images.get(shown[shown.length - 1]) : ''),
+    }
+  })
+}
+
+/**
+ * Add a post to a collection. When the owner adds it, it is saved for them too.
+ */
+const addToCollection = async (collection, postId, author) => {
+  await Collection.updateOne({ _id: collection._id }, { $addToSet: { posts: postId } })
+  if (can(author, 'collection:update', collection)) {
+    await Author.updateOne({ _id: author._id }, { $addToSet: { savedPosts: postId } })
+  }
+}
+
+/**
+ * Unsave a post: it leaves the author's saved posts and every collection they own.
+ */
+const unsavePost = async (authorId, postId) => {
+  await Author.updateOne({ _id: authorId }, { $pull: { savedPosts: postId } })
+  await Collection.updateMany({ owner: authorId }, { $pull: { posts: postId } })
+}
+
+module.exports = { visiblePosts, summarise, addToCollection, unsavePost }
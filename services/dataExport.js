@@ -0,0 +1,187 @@
+/**
+ * "Download my data": builds a .zip of everything an author owns, in the background.
+ *
+ * Archive layout:
+ *   profile.json, posts.json, comments.json, reposts.json, messages.json (sent and received),
+ *   followers.json, following.json, saved-posts.json, collections.json (the ones they own)
+ *   media/  – the author's uploaded images (profile picture and post images)
+ *
+ * requestExport creates the DataExport record and returns straight away; the archive is written
+ * to DATA_EXPORT_DIR and the record moves to `ready` (or `failed`). Archives expire after
+ * DATA_EXPORT_TTL_DAYS and are removed by startCleanupJob (started from server.js). A build that
+ * has not finished within DATA_EXPORT_TIMEOUT_MINUTES (e.g. the server restarted mid-build) is
+ * marked failed, so the author can request a new one.
+ */
+const fs = require('fs')
+const path = require('path')
+const archiver = require('archiver')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const Comment = require('../models/comment')
+const Repost = require('../models/repost')
+const Collection = require('../models/collection')
+const Message = require('../models/message')
+const DataExport = require('../models/dataExport')
+const Upload = require('../models/upload')
+const { visibleTo } = require('./postVisibility')
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || 'exports'
+const UPLOAD_DIR = process.env.UPLOAD_PATH || 'public/uploads'
+const DATA_EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS) || 7
+const DATA_EXPORT_TIMEOUT_MINUTES = parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES) || 60
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000
+
+
+// Gather everything the author owns as plain JSON-ready objects
+const collectData = async (authorId) => {
+  const author = await Author.findById(authorId)
+  if (!author) throw new Error('Author not found')
+  const profile = author.toAccountJSON()
+  delete profile.followers
+  delete profile.following
+  delete profile.posts
+  delete profile.comments
+  delete profile.savedPosts
+
+  // Saved posts the author can no longer see are left out
+  const savedMatch = await visibleTo(author)
+  const [posts, comments, reposts, messages, withRelations, collections] = await Promise.all([
+    Post.find({ author: authorId }).sort({ createdAt: -1 }).lean(),
+    Comment.find({ author: authorId }).sort({ createdAt: -1 }).lean(),
+    Repost.find({ author: authorId }).sort({ createdAt: -1 }).lean(),
+    Message.find({ $or: [{ sender: authorId }, { recipient: authorId }] })
+      .sort({ createdAt: 1 })
+      .populate('sender recipient', 'name')
+      .lean(),
+    Author.findById(authorId)
+      .populate('followers following', 'name')
+      .populate({ path: 'savedPosts', match: savedMatch, select: 'caption imageUrl media author createdAt', populate: { path: 'author', select: 'name' } })
+      .lean(),
+    Collection.find({ owner: authorId }).sort({ position: 1 }).populate('collaborators', 'name').lean(),
+  ])
+
+  return {
+    profile,
+    posts,
+    comments,
+    reposts,
+    messages: messages.map((m) => ({ ...m, direction: String(m.sender?._id) === String(authorId) ? 'sent' : 'received' })),
+    followers: withRelations.followers,
+    following: withRelations.following,
+    savedPosts: withRelations.savedPosts,
+    collections,
+  }
+}
+
+// Write the archive for an export record and mark it ready (or failed)
+const buildExport = async (exportId) => {
+  const record = await DataExport.findById(exportId)
+  if (!record) return
+  record.status = 'processing'
+  await record.save()
+
+  const filePath = path.join(EXPORT_DIR, `export-${record.author}-${record._id}.zip`)
+  try {
+    const data = await collectData(record.author)
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true })
+
+    const output = fs.createWriteStream(filePath)
+    const archive = archiver('zip', { zlib: { level: 9 } })
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve)
+      archive.on('error', reject)
+    })
+    archive.pipe(output)
+
+    archive.append(JSON.stringify(data.profile, null, 2), { name: 'profile.json' })
+    archive.append(JSON.stringify(data.posts, null, 2), { name: 'posts.json' })
+    archive.append(JSON.stringify(data.comments, null, 2), { name: 'comments.json' })
+    archive.append(JSON.stringify(data.reposts, null, 2), { name: 'reposts.json' })
+    archive.append(JSON.stringify(data.messages, null, 2), { name: 'messages.json' })
+    archive.append(JSON.stringify(data.followers, null, 2), { name: 'followers.json' })
+    archive.append(JSON.stringify(data.following, null, 2), { name: 'following.json' })
+    archive.append(JSON.stringify(data.savedPosts, null, 2), { name: 'saved-posts.json' })
+    archive.append(JSON.stringify(data.collections, null, 2), { name: 'collections.json' })
+
+    // Files the author uploaded themselves (models/upload.js; missing files are skipped) – not
+    // whatever /uploads URLs their posts hold. Lean posts from before carousels only have imageUrl
+    const postImages = data.posts.flatMap((p) => (p.media?.length ? p.media.map((m) => m.url) : [p.imageUrl]))
+    const owned = await Upload.ownedFilenames(record.author, [data.profile.profilePicture, ...postImages])
+    for (const filename of owned) {
+      const file = path.join(UPLOAD_DIR, filename)
+      if (fs.existsSync(file)) archive.file(file, { name: `media/${filename}` })
+    }
+
+    await archive.finalize()
+    await finished
+
+    record.status = 'ready'
+    record.filePath = filePath
+    record.fileSize = archive.pointer()
+    record.completedAt = new Date()
+    record.expiresAt = new Date(Date.now() + DATA_EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000)
+    await record.save()
+  } catch (err) {
+    await fs.promises.unlink(filePath).catch(() => {})
+    record.status = 'failed'
+    record.error = err.message
+    await record.save()
+  }
+}
+
+/**
+ * Mark exports still pending or processing DATA_EXPORT_TIMEOUT_MINUTES after their last update as
+ * failed (only one author's when authorId is given). Returns how many were marked.
+ */
+const failStaleExports = async (authorId, now = new Date()) => {
+  const filter = {
+    status: { $in: ['pending', 'processing'] },
+    updatedAt: { $lte: new Date(now.getTime() - DATA_EXPORT_TIMEOUT_MINUTES * 60 * 1000) },
+  }
+  if (authorId) filter.author = authorId
+  const { modifiedCount } = await DataExport.updateMany(filter, {
+    $set: { status: 'failed', error: 'The export did not finish in time, please try again', completedAt: now },
+  })
+  return modifiedCount
+}
+
+/**
+ * Start an export for an author. If one is already pending or processing (and not stale) it is
+ * returned instead of starting another. Resolves to the DataExport record; the archive is built in
+ * the background.
+ */
+const requestExport = async (authorId) => {
+  await failStaleExports(authorId)
+  const inProgress = await DataExport.findOne({ author: authorId, status: { $in: ['pending', 'processing'] } })
+  if (inProgress) return inProgress
+  const record = await DataExport.create({ author: authorId })
+  setImmediate(() => buildExport(record._id).catch((err) => console.error('Data export failed:', err.message)))
+  return record
+}
+
+/**
+ * Delete expired archives (file and record), or every export of one author when authorId is given.
+ */
+const removeExports = async (authorId) => {
+  const filter = authorId ? { author: authorId } : { expiresAt: { $ne: null, $lte: new Date() } }
+  const expired = await DataExport.find(filter)
+  for (const record of expired) {
+    if (record.filePath) await fs.promises.unlink(record.filePath).catch(() => {})
+  }
+  await DataExport.deleteMany({ _id: { $in: expired.map((r) => r._id) } })
+  return expired.length
+}
+
+/**
+ * Remove expired archives and give up on stale builds now and then every hour. The timer does not
+ * keep the process alive.
+ */
+const startCleanupJob = (intervalMs = CLEANUP_INTERVAL_MS) => {
+  const run = () =>
+    Promise.all([removeExports(), failStaleExports()])
+      .catch((err) => console.error('Data export cleanup failed:', err.message))
+  run()
+  return setInterval(run, intervalMs).unref()
+}
+
+module.exports = { requestExport, buildExport, collectData, failStaleExports, removeExports, startCleanupJob }
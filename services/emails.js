@@ -0,0 +1,131 @@
+/**
+ * Email templates – builds and sends each kind of account email through services/mailer.js.
+ * Links point at APP_URL (e.g. https://flickgallery.onrender.com) so they work from any inbox.
+ */
+const mailer = require('./mailer')
+
+// Minutes a password-reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = 60
+// Minutes an email-verification link stays valid (24 hours)
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60
+
+// Escape user-supplied text (e.g. names) before putting it in HTML email bodies
+const escapeHtml = (str) =>
+  String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+
+// Absolute URL for a path in the web app
+const appUrl = (pathname) => {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`
+  return base.replace(/\/$/, '') + pathname
+}
+
+/**
+ * Email a password-reset link containing the raw one-time token.
+ */
+exports.sendPasswordReset = (author, token) => {
+  const link = appUrl(`/authors/reset-password?token=${token}`)
+  return mailer.send({
+    to: author.email,
+    subject: 'Reset your FlickGallery password',
+    text:
+      `Hi ${author.name},\n\n` +
+      `Someone asked to reset the password for your FlickGallery account. ` +
+      `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:\n\n${link}\n\n` +
+      `If it wasn't you, ignore this email – your password has not changed.`,
+    html:
+      `<p>Hi ${escapeHtml(author.name)},</p>` +
+      `<p>Someone asked to reset the password for your FlickGallery account. ` +
+      `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:</p>` +
+      `<p><a href="${link}">Reset my password</a></p>` +
+      `<p>If it wasn't you, ignore this email – your password has not changed.</p>`,
+  })
+}
+
+/**
+ * Email a link that confirms the author owns their email address.
+ */
+exports.sendEmailVerification = (author, token) => {
+  const link = appUrl(`/authors/verify-email?token=${token}`)
+  return mailer.send({
+    to: author.email,
+    subject: 'Confirm your FlickGallery email address',
+    text:
+      `Hi ${author.name},\n\n` +
+      `Welcome to FlickGallery! Please confirm this is your email address by opening this link ` +
+      `within 24 hours:\n\n${link}\n\n` +
+      `If you didn't create an account, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(author.name)},</p>` +
+      `<p>Welcome to FlickGallery! Please confirm this is your email address by opening this link ` +
+      `within 24 hours:</p>` +
+      `<p><a href="${link}">Verify my email</a></p>` +
+      `<p>If you didn't create an account, you can ignore this email.</p>`,
+  })
+}
+
+/**
+ * Tell the author their password was changed (so they notice if it wasn't them).
+ */
+exports.sendPasswordChanged = (author) => {
+  const link = appUrl('/authors/forgot-password')
+  return mailer.send({
+    to: author.email,
+    subject: 'Your FlickGallery password was changed',
+    text:
+      `Hi ${author.name},\n\n` +
+      `The password for your FlickGallery account was just changed, and every other device was logged out.\n\n` +
+      `If it wasn't you, reset your password now:\n\n${link}`,
+    html:
+      `<p>Hi ${escapeHtml(author.name)},</p>` +
+      `<p>The password for your FlickGallery account was just changed, and every other device was logged out.</p>` +
+      `<p>If it wasn't you, <a href="${link}">reset your password now</a>.</p>`,
+  })
+}
+
+/**
+ * Email a link to the *new* address that confirms an email change.
+ */
+exports.sendEmailChangeConfirmation = (author, newEmail, token) => {
+  const link = appUrl(`/authors/confirm-email?token=${token}`)
+  return mailer.send({
+    to: newEmail,
+    subject: 'Confirm your new FlickGallery email address',
+    text:
+      `Hi ${author.name},\n\n` +
+      `You asked to use this address for your FlickGallery account. Open this link within 24 hours ` +
+      `to confirm it:\n\n${link}\n\n` +
+      `Until then you keep logging in with your current address. If you didn't ask for this, ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(author.name)},</p>` +
+      `<p>You asked to use this address for your FlickGallery account. Open this link within 24 hours ` +
+      `to confirm it:</p>` +
+      `<p><a href="${link}">Confirm my new email</a></p>` +
+      `<p>Until then you keep logging in with your current address. If you didn't ask for this, ignore this email.</p>`,
+  })
+}
+
+/**
+ * Warn the *current* address that someone asked to move the account to another email.
+ */
+exports.sendEmailChangeNotice = (author, newEmail) => {
+  const link = appUrl('/authors/forgot-password')
+  return mailer.send({
+    to: author.email,
+    subject: 'Your FlickGallery email address is being changed',
+    text:
+      `Hi ${author.name},\n\n` +
+      `Someone asked to change the email address of your FlickGallery account to ${newEmail}. ` +
+      `Nothing changes until the new address is confirmed.\n\n` +
+      `If it wasn't you, reset your password now:\n\n${link}`,
+    html:
+      `<p>Hi ${escapeHtml(author.name)},</p>` +
+      `<p>Someone asked to change the email address of your FlickGallery account to ${escapeHtml(newEmail)}. ` +
+      `Nothing changes until the new address is confirmed.</p>` +
+      `<p>If it wasn't you, <a href="${link}">reset your password now</a>.</p>`,
+  })
+}
+
+exports.PASSWORD_RESET_TTL_MINUTES = PASSWORD_RESET_TTL_MINUTES
+exports.EMAIL_VERIFICATION_TTL_MINUTES = EMAIL_VERIFICATION_TTL_MINUTES
+exports.appUrl = appUrl
+exports.escapeHtml = escapeHtml
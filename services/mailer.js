@@ -0,0 +1,102 @@
+/**
+ * Mailer – sends transactional email (password resets, verification links, ...) through a
+ * pluggable transport so the rest of the app never talks to SMTP directly.
+ *
+ * Built-in transports:
+ *   - smtp:   delivers via nodemailer to the server in SMTP_URL
+ *   - outbox: writes each message as a JSON file into MAIL_OUTBOX_DIR (default mail-outbox/),
+ *             so development and tests work without an SMTP server
+ *
+ * MAIL_TRANSPORT selects one by name; otherwise smtp is used when SMTP_URL is set. Without either,
+ * development and tests (NODE_ENV unset, development or test) fall back to the outbox; anywhere
+ * else that is refused, as the outbox would keep reset links on disk – checkConfig() (called from
+ * server.js) stops the server from starting that way.
+ * Extra transports can be added with registerTransport(name, { send(message) }).
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const nodemailer = require('nodemailer')
+
+const MAIL_FROM = process.env.MAIL_FROM || 'FlickGallery <no-reply@flickgallery.local>'
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || 'mail-outbox'
+// Where the outbox may be used without being asked for by name
+const OUTBOX_ENVIRONMENTS = ['development', 'test']
+
+let smtpTransport = null
+
+const transports = {
+  smtp: {
+    send: async (message) => {
+      // Created lazily so the app starts fine without SMTP configured
+      if (!smtpTransport) smtpTransport = nodemailer.createTransport(process.env.SMTP_URL)
+      await smtpTransport.sendMail(message)
+    },
+  },
+  outbox: {
+    send: async (message) => {
+      await fs.promises.mkdir(OUTBOX_DIR, { recursive: true })
+      // Timestamp first so a directory listing is in send order
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`
+      const record = { ...message, sentAt: new Date().toISOString() }
+      await fs.promises.writeFile(path.join(OUTBOX_DIR, filename), JSON.stringify(record, null, 2))
+    },
+  },
+}
+
+// Name of the transport for this process (read on every send so tests can switch it via env)
+const transportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT
+  if (process.env.SMTP_URL) return 'smtp'
+  if (OUTBOX_ENVIRONMENTS.includes(process.env.NODE_ENV || 'development')) return 'outbox'
+  throw new Error('No mail transport configured: set SMTP_URL, or MAIL_TRANSPORT=outbox to keep mail on disk')
+}
+
+const currentTransport = () => {
+  const name = transportName()
+  const transport = transports[name]
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`)
+  return transport
+}
+
+/**
+ * Throw if mail could not be sent with the current settings (no transport, or an unknown one).
+ * Called at startup so a misconfigured server fails fast instead of on the first email.
+ */
+exports.checkConfig = () => {
+  currentTransport()
+}
+
+/**
+ * Send one email. message: { to, subject, text, html? }. Rejects if the transport fails.
+ */
+exports.send = async (message) => {
+  await currentTransport().send({ from: MAIL_FROM, ...message })
+}
+
+/**
+ * Add (or replace) a transport. transport: { send: async (message) => {} }.
+ */
+exports.registerTransport = (name, transport) => {
+  transports[name] = transport
+}
+
+/**
+ * Read every message currently in the outbox, oldest first (development / tests only).
+ */
+exports.readOutbox = async () => {
+  let files
+  try {
+    files = await fs.promises.readdir(OUTBOX_DIR)
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+  const messages = await Promise.all(
+    files
+      .filter((f) => f.endsWith('.json'))
+      .sort()
+      .map(async (f) => JSON.parse(await fs.promises.readFile(path.join(OUTBOX_DIR, f), 'utf8')))
+  )
+  return messages
+}
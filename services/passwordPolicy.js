@@ -0,0 +1,50 @@
+/**
+ * Password strength policy – checked whenever a password is chosen (signup, reset, change).
+ *
+ * A password must:
+ *   - be at least PASSWORD_MIN_LENGTH characters (default 8) and at most 72 bytes (bcrypt's limit –
+ *     anything longer would be silently ignored when comparing)
+ *   - mix at least two kinds of character (letters, digits, symbols), unless it is a long
+ *     passphrase (16+ characters)
+ *   - not be one of the most common passwords
+ *   - not contain the author's name, handle or the first part of their email
+ */
+const PASSWORD_MIN_LENGTH = Math.max(parseInt(process.env.PASSWORD_MIN_LENGTH) || 8, 6)
+const PASSPHRASE_LENGTH = 16
+const MAX_BYTES = 72
+
+// Most common leaked passwords (that would otherwise pass the rules above)
+const COMMON_PASSWORDS = new Set([
+  '12345678', '123456789', '1234567890', 'password1', 'password123', 'passw0rd', 'qwerty123',
+  'qwertyuiop', '1q2w3e4r', '1qaz2wsx', 'abc12345', 'abcd1234', 'iloveyou1', 'welcome1',
+  'welcome123', 'letmein1', 'admin123', 'sunshine1', 'football1', 'monkey123', 'princess1',
+  'trustno1', 'zaq12wsx', 'michael1', 'superman1', 'baseball1', 'p@ssw0rd', 'p@ssword',
+  'flickgallery', 'flickgallery1', 'instagram1',
+])
+
+/**
+ * Check a new password for `author` (anything with name / handle / email; optional).
+ * Returns a message explaining what is wrong, or null if the password is acceptable.
+ */
+const checkPassword = (password, author = {}) => {
+  const value = String(password || '')
+  if (value.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+  if (Buffer.byteLength(value) > MAX_BYTES) return `Password must be at most ${MAX_BYTES} bytes`
+
+  const kinds = [/[a-z]/i, /\d/, /[^a-z\d]/i].filter((re) => re.test(value)).length
+  if (kinds < 2 && value.length < PASSPHRASE_LENGTH) {
+    return `Password must mix letters, numbers or symbols (or be at least ${PASSPHRASE_LENGTH} characters long)`
+  }
+
+  const lower = value.toLowerCase()
+  if (COMMON_PASSWORDS.has(lower)) return 'Password is too common – choose something harder to guess'
+
+  const personal = [author.name, author.handle, String(author.email || '').split('@')[0]]
+    .flatMap((part) => String(part || '').toLowerCase().split(/[\s._-]+/))
+    .filter((part) => part.length >= 3)
+  if (personal.some((part) => lower.includes(part))) return 'Password must not contain your name, username or email'
+
+  return null
+}
+
+module.exports = { PASSWORD_MIN_LENGTH, checkPassword }
@@ -0,0 +1,79 @@
+/**
+ * Role-based permissions – the one place that decides who may do what.
+ *
+ * Roles are ranked: user < moderator < admin (each role can do everything the one below can).
+ *   - user:      manage their own account and content
+ *   - moderator: also remove other authors' posts, comments and messages
+ *   - admin:     also manage other accounts (update, delete, unlock, change roles)
+ *
+ * Controllers ask `req.can('post:delete', post)` (set by middleware/auth.js) instead of comparing
+ * ids by hand; routes that need a permission without a resource use auth.authorize(action).
+ *
+ * SCOPES limit what an API key or OAuth app token may do on the author's behalf (a normal login
+ * is not limited). Routes declare the scope they need with auth.scope('write:posts').
+ */
+const ROLES = ['user', 'moderator', 'admin']
+
+// scope → description shown when an author creates an API key or approves an app
+const SCOPES = {
+  'read:profile': 'See your profile, and profiles as you see them (including private ones you follow)',
+  'write:profile': 'Edit your profile and follow or unfollow people',
+  'read:posts': 'See your saved posts, and posts as you see them (including followers-only ones)',
+  'write:posts': 'Create, edit, delete, like and save posts',
+  'write:comments': 'Write, delete and like comments',
+  'read:messages': 'Read your direct messages',
+  'write:messages': 'Send, delete and mark direct messages as read',
+}
+
+// True if the user's role is at least `role`
+const hasRole = (user, role) => ROLES.indexOf(user?.role || 'user') >= ROLES.indexOf(role)
+
+// True if `ref` (an ObjectId or a populated document) is the user
+const isSelf = (user, ref) => Boolean(user && ref) && String(ref._id || ref) === String(user._id)
+
+/**
+ * action → (user, resource) => boolean
+ */
+const RULES = {
+  // Only the author may edit what a post says; moderators may take it down
+  'post:update': (user, post) => isSelf(user, post.author),
+  'post:delete': (user, post) => isSelf(user, post.author) || hasRole(user, 'moderator'),
+
+  'comment:delete': (user, comment) => isSelf(user, comment.author) || hasRole(user, 'moderator'),
+
+  // Saved-post collections: the owner manages them; collaborators may add and remove posts
+  'collection:update': (user, collection) => isSelf(user, collection.owner),
+  'collection:curate': (user, collection) =>
+    isSelf(user, collection.owner) || collection.collaborators.some((ref) => isSelf(user, ref)),
+
+  // Direct messages stay private to the two participants
+  'message:read': (user, message) => isSelf(user, message.sender) || isSelf(user, message.recipient),
+  'message:markRead': (user, message) => isSelf(user, message.recipient),
+  'message:delete': (user, message) => isSelf(user, message.sender) || hasRole(user, 'moderator'),
+
+  // `author` is the account being changed
+  'author:update': (user, author) => isSelf(user, author) || hasRole(user, 'admin'),
+  'author:delete': (user, author) => isSelf(user, author) || hasRole(user, 'admin'),
+  // Admin tools: unlock logins, change roles
+  'author:manage': (user) => hasRole(user, 'admin'),
+
+  // Show moderation controls (e.g. delete buttons on other people's content)
+  'content:moderate': (user) => hasRole(user, 'moderator'),
+}
+
+/**
+ * Can `user` perform `action` (on `resource`)? Unknown actions are always denied.
+ */
+const can = (user, action, resource) => {
+  const rule = RULES[action]
+  if (!rule || !user) return false
+  return rule(user, resource)
+}
+
+// Split a space- or comma-separated scope string (or array) and keep only known scopes
+const parseScopes = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/)
+  return [...new Set(list.filter((scope) => Object.hasOwn(SCOPES, scope)))]
+}
+
+module.exports = { ROLES, SCOPES, can, hasRole, parseScopes }
@@ -0,0 +1,139 @@
+/**
+ * Archived and recently deleted posts.
+ * Archiving hides a published post from everyone but its author until they unarchive it. Deleting
+ * a post moves it to its author's "recently deleted" bin instead of removing it: it can be restored
+ * for BIN_DAYS, after which startBinPurgeJob (run from server.js) deletes it for good. Both are
+ * left out of every read (services/postVisibility.js) and of the author's posts list.
+ */
+const Post = require('../models/post')
+const Author = require('../models/author')
+const Comment = require('../models/comment')
+const PostRevision = require('../models/postRevision')
+const Repost = require('../models/repost')
+const Collection = require('../models/collection')
+const { removeUploads } = require('./accountDeletion')
+
+// How long a deleted post stays in the bin
+const BIN_DAYS = 30
+const BIN_MS = BIN_DAYS * 24 * 60 * 60 * 1000
+
+// How often the background job looks for posts whose time in the bin is over
+const BIN_PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+// When a post in the bin will be deleted for good
+const purgeAt = (post) => new Date(post.deletedAt.getTime() + BIN_MS)
+
+// Put a post back in its author's posts list if it is live again
+const relist = async (postId) => {
+  const post = await Post.findById(postId).select('author status archivedAt deletedAt')
+  if (post && post.status === 'published' && !post.archivedAt && !post.deletedAt) {
+    await Author.findByIdAndUpdate(post.author, { $addToSet: { posts: post._id } })
+  }
+}
+
+/**
+ * Archive a published post. Resolves to false if it is not published, or already archived or
+ * deleted.
+ */
+const archivePost = async (post, now = new Date()) => {
+  const { modifiedCount } = await Post.updateOne(
+    { _id: post._id, status: 'published', archivedAt: null, deletedAt: null },
+    { $set: { archivedAt: now } }
+  )
+  if (modifiedCount === 0) return false
+  await Author.findByIdAndUpdate(post.author, { $pull: { posts: post._id } })
+  return true
+}
+
+/**
+ * Show an archived post again. Resolves to false if it was not archived (or is in the bin).
+ */
+const unarchivePost = async (post) => {
+  const { modifiedCount } = await Post.updateOne(
+    { _id: post._id, archivedAt: { $ne: null }, deletedAt: null },
+    { $set: { archivedAt: null } }
+  )
+  if (modifiedCount === 0) return false
+  await relist(post._id)
+  return true
+}
+
+/**
+ * Move a post to the bin. Resolves to false if it is already there.
+ */
+const binPost = async (post, now = new Date()) => {
+  const { modifiedCount } = await Post.updateOne({ _id: post._id, deletedAt: null }, { $set: { deletedAt: now } })
+  if (modifiedCount === 0) return false
+  await Author.findByIdAndUpdate(post.author, { $pull: { posts: post._id } })
+  return true
+}
+
+/**
+ * Take a post out of the bin, back to where it was (published, archived or a draft). Resolves to
+ * false if it was not in the bin.
+ */
+const restorePost = async (post) => {
+  const { modifiedCount } = await Post.updateOne({ _id: post._id, deletedAt: { $ne: null } }, { $set: { deletedAt: null } })
+  if (modifiedCount === 0) return false
+  await relist(post._id)
+  return true
+}
+
+/**
+ * Permanently delete a post: its comments, edit history, reposts and uploaded images, and every
+ * reference to it (its author's posts, everyone's saved posts and collections).
+ */
+const purgePost = async (post) => {
+  const commentIds = await Comment.find({ post: post._id }).distinct('_id')
+  await Comment.deleteMany({ _id: { $in: commentIds } })
+  await Author.updateMany({ comments: { $in: commentIds } }, { $pull: { comments: { $in: commentIds } } })
+
+  // Images dropped in an edit stay on disk while a revision can restore them
+  const revisions = await PostRevision.find({ post: post._id }).select('media')
+  const imageUrls = new Set([post, ...revisions].flatMap((p) => p.media.map((m) => m.url)))
+  await Post.deleteOne({ _id: post._id })
+  await PostRevision.deleteMany({ post: post._id })
+  await Repost.deleteMany({ post: post._id })
+  await removeUploads(post.author, [...imageUrls])
+
+  await Author.findByIdAndUpdate(post.author, { $pull: { posts: post._id } })
+  await Author.updateMany({ savedPosts: post._id }, { $pull: { savedPosts: post._id } })
+  await Collection.updateMany({ posts: post._id }, { $pull: { posts: post._id } })
+}
+
+/**
+ * Permanently delete every post that has been in the bin for BIN_DAYS. Returns how many were
+ * removed.
+ */
+const purgeExpiredPosts = async (now = new Date()) => {
+  const expired = await Post.find({ deletedAt: { $ne: null, $lte: new Date(now.getTime() - BIN_MS) } })
+    .select('_id author imageUrl media')
+  for (const post of expired) {
+    await purgePost(post)
+  }
+  return expired.length
+}
+
+/**
+ * Run purgeExpiredPosts now and then every hour. The timer does not keep the process alive.
+ */
+const startBinPurgeJob = (intervalMs = BIN_PURGE_INTERVAL_MS) => {
+  const run = () =>
+    purgeExpiredPosts()
+      .then((count) => count && console.log(`Purged ${count} deleted post(s)`))
+      .catch((err) => console.error('Deleted post purge failed:', err.message))
+  run()
+  return setInterval(run, intervalMs).unref()
+}
+
+module.exports = {
+  BIN_DAYS,
+  purgeAt,
+  archivePost,
+  unarchivePost,
+  binPost,
+  restorePost,
+  purgePost,
+  purgeExpiredPosts,
+  startBinPurgeJob,
+}
@@ -0,0 +1,69 @@
+/**
+ * Drafts and scheduled posts.
+ * A post can be created as a draft (only its author sees it) or scheduled for a publishAt time.
+ * Until it is published it is left out of every read (services/postVisibility.js) and of its
+ * author's posts list. startPublishJob runs publishDuePosts periodically from server.js, which
+ * publishes scheduled posts once their time has come.
+ */
+const Post = require('../models/post')
+const Author = require('../models/author')
+
+const PUBLISH_INTERVAL_MS = 60 * 1000
+
+/**
+ * The status and publishAt for a post from a request body: status 'draft' keeps it as a draft,
+ * otherwise a publishAt schedules it and no publishAt publishes it now. Throws if publishAt is not
+ * a valid date in the future.
+ */
+const scheduleFromBody = ({ status, publishAt } = {}) => {
+  if (status === 'draft') return { status: 'draft', publishAt: null }
+  if (!publishAt) return { status: 'published', publishAt: null }
+  const date = new Date(publishAt)
+  if (Number.isNaN(date.getTime())) throw new Error('publishAt must be a valid date')
+  if (date <= new Date()) throw new Error('publishAt must be in the future')
+  return { status: 'scheduled', publishAt: date }
+}
+
+/**
+ * Publish a draft or scheduled post now. Its createdAt becomes the publish time so it shows up as
+ * new in feeds, and it joins its author's posts. Resolves to false if it was already published (or
+ * is in the bin).
+ */
+const publishPost = async (post, now = new Date()) => {
+  const { modifiedCount } = await Post.updateOne(
+    { _id: post._id, status: { $ne: 'published' }, deletedAt: null },
+    { $set: { status: 'published', publishAt: null, createdAt: now } },
+    // createdAt is immutable for Mongoose timestamps unless asked
+    { overwriteImmutable: true }
+  )
+  if (modifiedCount === 0) return false
+  await Author.findByIdAndUpdate(post.author, { $addToSet: { posts: post._id } })
+  return true
+}
+
+/**
+ * Publish every scheduled post whose time has come (unless it is in the bin). Returns how many were
+ * published.
+ */
+const publishDuePosts = async (now = new Date()) => {
+  const due = await Post.find({ status: 'scheduled', publishAt: { $lte: now }, deletedAt: null }).select('_id author')
+  let published = 0
+  for (const post of due) {
+    if (await publishPost(post, now)) published++
+  }
+  return published
+}
+
+/**
+ * Run publishDuePosts now and then every minute. The timer does not keep the process alive.
+ */
+const startPublishJob = (intervalMs = PUBLISH_INTERVAL_MS) => {
+  const run = () =>
+    publishDuePosts()
+      .then((count) => count && console.log(`Published ${count} scheduled post(s)`))
+      .catch((err) => console.error('Scheduled publishing failed:', err.message))
+  run()
+  return setInterval(run, intervalMs).unref()
+}
+
+module.exports = { scheduleFromBody, publishPost, publishDuePosts, startPublishJob }
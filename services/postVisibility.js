@@ -0,0 +1,73 @@
+/**
+ * Post visibility policy – who may see which posts. Every endpoint and page that returns posts
+ * reads them through visibleTo(), so the rules live in one place.
+ *
+ * A post is visible to a viewer when:
+ *   - the viewer wrote it, or
+ *   - its audience is 'followers' (or 'public') and the viewer follows its author (for a private
+ *     account: an approved follower), or
+ *   - its audience is 'closeFriends' and the author has the viewer on their close-friends list, or
+ *   - it is a public post and its author's account is not private.
+ * Anonymous viewers (no login) only get the last case. Whatever the above says, nobody sees posts
+ * by an author who has blocked them, nor by an author they have blocked, nor posts that are not
+ * published yet, archived or deleted.
+ *
+ * Public posts are matched on isPrivate: false (kept in step with audience by the Post model), so
+ * posts from before audiences existed keep their followers-only setting. Whether the author's
+ * account is private is read from the post's own authorIsPrivate copy, so a read doesn't have to
+ * list every private account.
+ */
+const Author = require('../models/author')
+const Post = require('../models/post')
+
+// Drafts and scheduled posts (services/postScheduler.js), archived posts and posts in the bin
+// (services/postArchive.js) are not returned by any read, not even to their author, who has their
+// own endpoints for them instead; posts from before drafts have no status
+const live = { status: { $nin: ['draft', 'scheduled'] }, archivedAt: null, deletedAt: null }
+
+/**
+ * The Mongo filter for the posts `viewer` (an Author, or null) may see, given the ids of the
+ * authors who have blocked the viewer and of the authors who count the viewer as a close friend.
+ * Pure, so it can be tested without a database.
+ */
+const visiblePostsFilter = (viewer, { blockedByIds = [], closeFriendOfIds = [] } = {}) => {
+  const publicPosts = { isPrivate: false, authorIsPrivate: { $ne: true } }
+  if (!viewer) return { $and: [live, publicPosts] }
+  const visible = {
+    $or: [
+      { author: viewer._id },
+      { author: { $in: viewer.following || [] }, audience: { $ne: 'closeFriends' } },
+      { author: { $in: closeFriendOfIds }, audience: 'closeFriends' },
+      publicPosts,
+    ],
+  }
+  const hidden = [...blockedByIds, ...(viewer.blocked || [])]
+  return { $and: [live, visible, ...(hidden.length ? [{ author: { $nin: hidden } }] : [])] }
+}
+
+/**
+ * Resolves to a filter for Post.find / findOne / countDocuments / populate({ match }) that adds the
+ * visibility rules to `conditions`, e.g. Post.find(await visibleTo(req.user, { hashtags: tag })).
+ */
+const visibleTo = async (viewer, conditions = {}) => {
+  if (!viewer) return { $and: [conditions, visiblePostsFilter(null)] }
+  const [blockedByIds, closeFriendOfIds] = await Promise.all([
+    Author.distinct('_id', { blocked: viewer._id }),
+    Author.distinct('_id', { closeFriends: viewer._id }),
+  ])
+  return { $and: [conditions, visiblePostsFilter(viewer, { blockedByIds, closeFriendOfIds })] }
+}
+
+/**
+ * Brings every post's authorIsPrivate in line with its author's account – for posts from before
+ * the copy existed. Run once at startup (server.js); the Author model keeps it up to date after.
+ */
+const syncAuthorPrivacy = async () => {
+  const privateAuthorIds = await Author.distinct('_id', { isPrivate: true })
+  await Promise.all([
+    Post.updateMany({ author: { $in: privateAuthorIds }, authorIsPrivate: { $ne: true } }, { authorIsPrivate: true }),
+    Post.updateMany({ author: { $nin: privateAuthorIds }, authorIsPrivate: true }, { authorIsPrivate: false }),
+  ])
+}
+
+module.exports = { visiblePostsFilter, visibleTo, syncAuthorPrivacy }
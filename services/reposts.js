@@ -0,0 +1,73 @@
+/**
+ * Reposts and quote-shares.
+ * An author can repost a post they may see (not their own), once, with an optional quote caption.
+ * Reposts show up in their followers' feeds attributed to them, but only for people who may see
+ * the original (services/postVisibility.js) – so they disappear with it when it is archived,
+ * deleted or made more private. The original keeps a repostsCount.
+ */
+const Post = require('../models/post')
+const Repost = require('../models/repost')
+const { visibleTo } = require('./postVisibility')
+
+/**
+ * Repost `post` as `authorId`, with an optional quote caption. Resolves to the repost; throws if
+ * the post is the author's own.
+ */
+const repost = async (post, authorId, caption = '') => {
+  if (post.author.equals(authorId)) throw new Error('You cannot repost your own post')
+  const created = await Repost.create({ post: post._id, author: authorId, caption })
+  await Post.updateOne({ _id: post._id }, { $inc: { repostsCount: 1 } })
+  return created
+}
+
+/**
+ * Undo `authorId`'s repost of `postId`. Resolves to false if they had not reposted it.
+ */
+const undoRepost = async (postId, authorId) => {
+  const { deletedCount } = await Repost.deleteOne({ post: postId, author: authorId })
+  if (deletedCount === 0) return false
+  await Post.updateOne({ _id: postId, repostsCount: { $gt: 0 } }, { $inc: { repostsCount: -1 } })
+  return true
+}
+
+/**
+ * The reposts for `viewer`'s feed: those made by the authors they follow (and by themselves), newest
+ * first, at most `limit`, with the original populated (`populate` is applied to it). Authors the
+ * viewer muted are left out both as reposters and as authors of the original, as are reposts of
+ * posts the viewer may not see (or that are gone).
+ */
+const feedReposts = async (viewer, limit, populate = []) => {
+  const muted = viewer.muted || []
+  const reposts = await Repost.find({ author: { $in: [...viewer.following, viewer._id], $nin: muted } })
+    .populate('author', 'name handle profilePicture')
+    .populate({ path: 'post', match: await visibleTo(viewer, { author: { $nin: muted } }), populate })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+  return reposts.filter((repost) => repost.post)
+}
+
+/**
+ * Merge a feed's posts and reposts (each with its original populated) into feed items
+ * { post, repost }, newest first by when they were posted or reposted, at most `limit`. A post
+ * shows up once, at its most recent appearance; quote reposts always show, as they add a caption.
+ */
+const mergeFeed = (posts, reposts, limit) => {
+  const items = [
+    ...posts.map((post) => ({ post, repost: null, at: post.createdAt })),
+    ...reposts.map((repost) => ({ post: repost.post, repost, at: repost.createdAt })),
+  ].sort((a, b) => new Date(b.at) - new Date(a.at))
+
+  const shown = new Set()
+  return items
+    .filter(({ post, repost }) => {
+      if (repost && repost.caption) return true
+      const id = String(post._id)
+      if (shown.has(id)) return false
+      shown.add(id)
+      return true
+    })
+    .slice(0, limit)
+    .map(({ post, repost }) => ({ post, repost }))
+}
+
+module.exports = { repost, undoRepost, feedReposts, mergeFeed }
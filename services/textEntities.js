@@ -0,0 +1,51 @@
+/**
+ * #hashtags and @mentions in free text (post captions, comments).
+ * The Post and Comment models use this to keep their hashtags and mentions in step with the text,
+ * and the views to render them as links (#tag → /tags/:tag, @handle → /@handle).
+ */
+const mongoose = require('mongoose')
+
+// A #tag (letters, digits, underscores) or an @handle (as in Author: letters, digits, underscores
+// and single dots, not ending in a dot), not glued to a preceding word – so emails and "&#39;" are
+// left alone
+const ENTITY_PATTERN = /(?<![\p{L}\p{N}_&#@])(?:#([\p{L}\p{N}_]+)|@([a-z0-9_](?:[a-z0-9_]|\.(?=[a-z0-9_]))*))/giu
+
+// A hashtag as stored: no leading #, trimmed and lowercase
+const normaliseHashtag = (tag) => String(tag).trim().replace(/^#/, '').toLowerCase()
+
+/**
+ * Split text into pieces: { type: 'text', value }, { type: 'tag', value: '#Travel', tag: 'travel' }
+ * and { type: 'mention', value: '@Jane.Doe', handle: 'jane.doe' }. Joining the values gives back
+ * the text.
+ */
+const tokenize = (text) => {
+  const source = String(text || '')
+  const tokens = []
+  let last = 0
+  for (const match of source.matchAll(ENTITY_PATTERN)) {
+    if (match.index > last) tokens.push({ type: 'text', value: source.slice(last, match.index) })
+    tokens.push(
+      match[1]
+        ? { type: 'tag', value: match[0], tag: match[1].toLowerCase() }
+        : { type: 'mention', value: match[0], handle: match[2].toLowerCase() }
+    )
+    last = match.index + match[0].length
+  }
+  if (last < source.length) tokens.push({ type: 'text', value: source.slice(last) })
+  return tokens
+}
+
+// The distinct hashtags in text, normalised, in order of first use
+const extractHashtags = (text) => [...new Set(tokenize(text).filter((t) => t.type === 'tag').map((t) => t.tag))]
+
+// The distinct @handles in text, lowercase, in order of first use
+const extractHandles = (text) => [...new Set(tokenize(text).filter((t) => t.type === 'mention').map((t) => t.handle))]
+
+// Ids of the authors @mentioned in text (by their current handle; unknown handles are ignored)
+const mentionedAuthorIds = async (text) => {
+  const handles = extractHandles(text)
+  if (handles.length === 0) return []
+  return mongoose.model('Author').distinct('_id', { handle: { $in: handles } })
+}
+
+module.exports = { normaliseHashtag, tokenize, extractHashtags, extractHandles, mentionedAuthorIds }
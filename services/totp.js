@@ -0,0 +1,81 @@
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication – the 6-digit, 30-second codes shown by
+ * authenticator apps such as Google Authenticator, 1Password or Authy.
+ * Secrets are base32 strings (what the apps expect in otpauth:// URIs).
+ */
+const crypto = require('crypto')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const DIGITS = 6
+const PERIOD_SECONDS = 30
+
+const base32Encode = (buffer) => {
+  let bits = ''
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0')
+  let out = ''
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  }
+  return out
+}
+
+const base32Decode = (str) => {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s/g, '')
+  let bits = ''
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) throw new Error('Invalid base32 secret')
+    bits += value.toString(2).padStart(5, '0')
+  }
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+// Current 30-second time step
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS)
+
+/**
+ * Generate a new random secret (160 bits, base32-encoded).
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * The code for a secret at a given time step (HOTP with SHA-1, as authenticator apps use).
+ */
+const generate = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+exports.generate = generate
+
+/**
+ * Check a code against a secret, allowing `window` steps of clock drift either side.
+ * Returns the matching time step (so callers can refuse to accept it twice) or null.
+ */
+exports.verify = (code, secret, { window = 1, now = Date.now() } = {}) => {
+  const clean = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(clean)) return null
+  const step = currentStep(now)
+  for (let i = -window; i <= window; i++) {
+    const candidate = generate(secret, step + i)
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(clean))) return step + i
+  }
+  return null
+}
+
+/**
+ * otpauth:// URI for enrolment – encode it as a QR code or let the user type the secret.
+ */
+exports.keyUri = ({ account, issuer, secret }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(PERIOD_SECONDS) })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+exports.base32Encode = base32Encode
+exports.base32Decode = base32Decode
@@ -0,0 +1,27 @@
+const Author = require('../models/author')
+const Post = require('../models/post')
+const Comment = require('../models/comment')
+const Repost = require('../models/repost')
+const { purgeAuthor } = require('../services/accountDeletion')
+const { describeDb, useDatabase } = require('./db')
+
+describeDb('account purge', () => {
+  useDatabase()
+
+  test("drops the author from mentions in other people's posts, comments and reposts", async () => {
+    const leaving = await Author.create({ name: 'Leaving', handle: 'leaving', email: 'leaving@example.com', password: 'Correct-horse-9' })
+    const staying = await Author.create({ name: 'Staying', handle: 'staying', email: 'staying@example.com', password: 'Correct-horse-9' })
+    const other = await Author.create({ name: 'Other', handle: 'other', email: 'other@example.com', password: 'Correct-horse-9' })
+
+    const post = await Post.create({ author: other._id, caption: 'With @leaving and @staying', imageUrl: '/a.jpg' })
+    const comment = await Comment.create({ post: post._id, author: other._id, content: 'Hi @leaving' })
+    const repost = await Repost.create({ post: post._id, author: staying._id, caption: 'Look @leaving' })
+    expect(post.mentions).toHaveLength(2)
+
+    await purgeAuthor(leaving._id)
+
+    expect((await Post.findById(post._id)).mentions.map(String)).toEqual([String(staying._id)])
+    expect((await Comment.findById(comment._id)).mentions).toHaveLength(0)
+    expect((await Repost.findById(repost._id)).mentions).toHaveLength(0)
+  })
+})
@@ -1,6 +1,20 @@
 const request = require('supertest')
+const jwt = require('jsonwebtoken')
+const bcrypt = require('bcrypt')
 
 const app = require('../app')
+const auth = require('../middleware/auth')
+const LoginThrottle = require('../models/loginThrottle')
+const OAuthCode = require('../models/oauthCode')
+const Author = require('../models/author')
+const RefreshToken = require('../models/refreshToken')
+const OneTimeToken = require('../models/oneTimeToken')
+const Session = require('../models/session')
+const OAuthToken = require('../models/oauthToken')
+const ApiKey = require('../models/apiKey')
+const emails = require('../services/emails')
+const authApi = require('../controllers/auth/apiController')
+const authWeb = require('../controllers/auth/dataController')
 describe('API smoke tests (no DB dependency)', () => {
   test('signup rejects missing required fields (400)', async () => {
     const res = await request(app).post('/api/auth/signup').send({ email: 'x@example.com' })
@@ -8,6 +22,53 @@ describe('API smoke tests (no DB dependency)', () => {
     expect(res.body).toHaveProperty('message')
   })
 
+  test('signup only takes the signup fields from the body', () => {
+    const other = '507f1f77bcf86cd799439011'
+    const author = Author.fromSignup({
+      name: 'Sam', email: 'sam@example.com', password: 'Correct-horse-9', handle: 'sam', bio: 'Hi',
+      emailVerified: true, role: 'admin', previousHandles: [{ handle: 'taylor' }], twoFactorEnabled: true,
+      twoFactorSecret: 'JBSWY3DPEHPK3PXP', pendingEmail: 'x@example.com', followers: [other], blocked: [other],
+      deletionScheduledFor: new Date(),
+    })
+    expect(author).toMatchObject({ name: 'Sam', email: 'sam@example.com', handle: 'sam', bio: 'Hi' })
+    expect(author).toMatchObject({ emailVerified: false, role: 'user', twoFactorEnabled: false, twoFactorSecret: null })
+    expect(author).toMatchObject({ pendingEmail: null, deletionScheduledFor: null })
+    expect(author.previousHandles).toEqual([])
+    expect(author.followers).toEqual([])
+    expect(author.blocked).toEqual([])
+  })
+
+  test('the author list hides private accounts\' lists like a profile does', async () => {
+    const other = '507f1f77bcf86cd799439011'
+    const hidden = new Author({ name: 'Hidden', handle: 'hidden', isPrivate: true, followers: [other], following: [other], posts: [other] })
+    const open = new Author({ name: 'Open', handle: 'open', followers: [other] })
+    const find = jest.spyOn(Author, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([hidden, open]) })
+
+    const res = await request(app).get('/api/authors')
+    expect(res.statusCode).toBe(200)
+    expect(find).toHaveBeenCalledWith({ deletionScheduledFor: null })
+    find.mockRestore()
+    const [first, second] = res.body.authors
+    expect(first).toMatchObject({ name: 'Hidden', contentHidden: true, followersCount: 1, followingCount: 1, postsCount: 1 })
+    expect(first).not.toHaveProperty('followers')
+    expect(first).not.toHaveProperty('posts')
+    expect(second.followers).toEqual([other])
+    expect(second).not.toHaveProperty('email')
+  })
+
+  test('signup rejects a weak password (400)', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ name: 'Sam', email: 'sam@example.com', password: 'password1' })
+    expect(res.statusCode).toBe(400)
+    expect(res.body.message).toMatch(/too common/)
+  })
+
+  test('password and email changes require authentication (401)', async () => {
+    expect((await request(app).put('/api/auth/password').send({ currentPassword: 'a', newPassword: 'b' })).statusCode).toBe(401)
+    expect((await request(app).put('/api/auth/email').send({ password: 'a', email: 'b@example.com' })).statusCode).toBe(401)
+  })
+
   test('root route redirects to sign-in page', async () => {
     const res = await request(app).get('/')
     expect(res.statusCode).toBe(302)
@@ -66,6 +127,483 @@ describe('API smoke tests (no DB dependency)', () => {
     expect(res.statusCode).toBe(401)
   })
 
+  test('expired access token is rejected (401)', async () => {
+    const expired = jwt.sign(
+      { _id: '507f1f77bcf86cd799439011', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET || 'secret'
+    )
+    const res = await request(app)
+      .get('/api/authors/profile')
+      .set('Authorization', `Bearer ${expired}`)
+    expect(res.statusCode).toBe(401)
+    expect(res.body).toHaveProperty('error', 'jwt expired')
+  })
+
+  test('refresh rejects missing refresh token (400)', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({})
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toHaveProperty('message', 'Refresh token is required')
+  })
+
+  test('logout rejects missing refresh token (400)', async () => {
+    const res = await request(app).post('/api/auth/logout').send({})
+    expect(res.statusCode).toBe(400)
+  })
+
+  test('second login step rejects missing challenge or code (400)', async () => {
+    const res = await request(app).post('/api/auth/login/2fa').send({ code: '123456' })
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toHaveProperty('message', 'Challenge token and code are required')
+  })
+
+  test('second login step rejects an access token used as a challenge (400)', async () => {
+    const accessToken = jwt.sign({ _id: '507f1f77bcf86cd799439011' }, process.env.JWT_SECRET || 'secret')
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: accessToken, code: '123456' })
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toHaveProperty('message', 'Login attempt expired, please log in again')
+  })
+
+  test('2FA setup rejects missing token (401)', async () => {
+    const res = await request(app).post('/api/auth/2fa/setup')
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('verify-email rejects missing token (400)', async () => {
+    const res = await request(app).post('/api/auth/verify-email').send({})
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toHaveProperty('message', 'Token is required')
+  })
+
+  test('resend verification email rejects missing token (401)', async () => {
+    const res = await request(app).post('/api/auth/verify-email/resend')
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('forgot-password rejects missing email (400)', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({})
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toHaveProperty('message', 'Email is required')
+  })
+
+  test('forgot-password answers the same when the email cannot be sent', async () => {
+    jest.spyOn(Author, 'findOne').mockResolvedValue(new Author({ name: 'Sam', email: 'sam@example.com' }))
+    jest.spyOn(OneTimeToken, 'issue').mockResolvedValue('tok')
+    jest.spyOn(emails, 'sendPasswordReset').mockRejectedValue(new Error('SMTP down'))
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'sam@example.com' })
+    jest.restoreAllMocks()
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body).toEqual({ message: 'If that email is registered, a password reset link has been sent' })
+  })
+
+  test('reset-password rejects a password that is too short (400)', async () => {
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'abc', password: '123' })
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toHaveProperty('message', 'Password must be at least 8 characters')
+  })
+
+  test('web routes share the API 401 response when not signed in', async () => {
+    const res = await request(app).get('/posts')
+    expect(res.statusCode).toBe(401)
+    expect(res.body).toEqual({ message: 'Not authorized', error: 'Token missing' })
+  })
+
+  test('tokens in the query string are not accepted', async () => {
+    const token = jwt.sign({ _id: '507f1f77bcf86cd799439011' }, process.env.JWT_SECRET || 'secret')
+    const res = await request(app).get(`/api/authors/profile?token=${token}`)
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('session list requires authentication (401)', async () => {
+    const res = await request(app).get('/api/auth/sessions')
+    expect(res.statusCode).toBe(401)
+    const del = await request(app).delete('/api/auth/sessions')
+    expect(del.statusCode).toBe(401)
+  })
+
+  test('access tokens tied to an unknown session are rejected (401)', async () => {
+    const token = jwt.sign({ _id: '507f1f77bcf86cd799439011', sid: 'not-a-session' }, process.env.JWT_SECRET || 'secret')
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`)
+    expect(res.statusCode).toBe(401)
+    expect(res.body).toHaveProperty('error', 'Session expired')
+  })
+
+  test('access tokens without a session are rejected (401)', async () => {
+    const token = jwt.sign({ _id: '507f1f77bcf86cd799439011' }, process.env.JWT_SECRET || 'secret')
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`)
+    expect(res.statusCode).toBe(401)
+    expect(res.body).toHaveProperty('error', 'Session expired')
+  })
+
+  test('access tokens are never signed without a session', () => {
+    expect(() => new Author({ name: 'A' }).generateAuthToken(null)).toThrow('Session expired')
+  })
+
+  test('the refresh cookie is not rotated for a request without the CSRF token', async () => {
+    const rotate = jest.spyOn(RefreshToken, 'rotate')
+    const res = await request(app)
+      .post('/api/posts/507f1f77bcf86cd799439011/save')
+      .set('Cookie', ['refreshToken=abc', 'csrfToken=xyz'])
+    rotate.mockRestore()
+
+    expect(res.statusCode).toBe(403)
+    expect(rotate).not.toHaveBeenCalled()
+  })
+
+  test('a CSRF token in the query string is not accepted', async () => {
+    const res = await request(app)
+      .post('/api/posts/507f1f77bcf86cd799439011/save?_csrf=xyz')
+      .set('Cookie', ['token=abc', 'csrfToken=xyz'])
+    expect(res.statusCode).toBe(403)
+    expect(res.body).toEqual({ message: 'Forbidden: invalid CSRF token' })
+  })
+
+  test('the logout form needs the CSRF token, but not a valid login', async () => {
+    const revokeFamily = jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue()
+    const forged = await request(app).post('/authors/logout').set('Cookie', ['refreshToken=abc', 'csrfToken=xyz'])
+    expect(forged.statusCode).toBe(403)
+    expect(revokeFamily).not.toHaveBeenCalled()
+
+    const res = await request(app)
+      .post('/authors/logout')
+      .type('form')
+      .send({ _csrf: 'xyz' })
+      .set('Cookie', ['refreshToken=abc', 'csrfToken=xyz'])
+    expect(res.statusCode).toBe(302)
+    expect(res.headers.location).toBe('/authors/login')
+    expect(revokeFamily).toHaveBeenCalledWith('abc')
+    revokeFamily.mockRestore()
+  })
+
+  test('upload forms have their CSRF field checked once the body is parsed', () => {
+    const res = { locals: { csrfToken: 'xyz' }, status: jest.fn().mockReturnThis(), json: jest.fn() }
+    const next = jest.fn()
+
+    auth.csrfAfterUpload({ method: 'POST', csrfAfterUpload: true, body: { _csrf: 'xyz' }, header: () => undefined }, res, next)
+    expect(next).toHaveBeenCalledTimes(1)
+
+    auth.csrfAfterUpload({ method: 'POST', csrfAfterUpload: true, body: {}, header: () => undefined }, res, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(res.status).toHaveBeenCalledWith(403)
+  })
+
+  test('refresh tokens of an account scheduled for deletion are not renewed', async () => {
+    const rotate = jest.spyOn(RefreshToken, 'rotate')
+      .mockResolvedValue({ authorId: '507f1f77bcf86cd799439011', refreshToken: 'next', family: '507f1f77bcf86cd799439012' })
+    const findById = jest.spyOn(Author, 'findById')
+      .mockResolvedValue(new Author({ name: 'A', deletionScheduledFor: new Date() }))
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'old' })
+    rotate.mockRestore()
+    findById.mockRestore()
+
+    expect(res.statusCode).toBe(401)
+    expect(res.body).toHaveProperty('error', 'Account scheduled for deletion')
+  })
+
+  test('data export requires authentication (401)', async () => {
+    const res = await request(app).post('/api/authors/profile/export')
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('admin unlock requires authentication (401)', async () => {
+    const res = await request(app).post('/api/admin/authors/507f1f77bcf86cd799439011/unlock')
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('admin-only permission guard lets admins through (403 otherwise)', () => {
+    const guard = auth.authorize('author:manage')
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+    const next = jest.fn()
+    guard({ user: { role: 'user' } }, res, next)
+    guard({ user: { role: 'moderator' } }, res, next)
+    expect(res.status).toHaveBeenCalledTimes(2)
+    expect(res.status).toHaveBeenCalledWith(403)
+    guard({ user: { role: 'admin' } }, res, next)
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+
+  test('login lockout message rounds the wait to something readable', () => {
+    expect(LoginThrottle.retryMessage(1)).toBe('Try again in 1 second.')
+    expect(LoginThrottle.retryMessage(60)).toBe('Try again in 1 minute.')
+    expect(LoginThrottle.retryMessage(14 * 60 + 5)).toBe('Try again in 15 minutes.')
+  })
+
+  test('a right password alone does not reset the lockout count when 2FA is on', async () => {
+    const author = {
+      email: 'sam@example.com',
+      password: await bcrypt.hash('Right-password-1', 4),
+      twoFactorEnabled: true,
+      generateTwoFactorChallenge: () => 'challenge',
+    }
+    jest.spyOn(LoginThrottle, 'retryAfter').mockResolvedValue(0)
+    const clearAccount = jest.spyOn(LoginThrottle, 'clearAccount').mockResolvedValue({})
+    jest.spyOn(Author, 'findOne').mockResolvedValue(author)
+
+    const res = await request(app).post('/api/auth/login').send({ email: author.email, password: 'Right-password-1' })
+    expect(res.body).toEqual({ twoFactorRequired: true, challengeToken: 'challenge' })
+    expect(clearAccount).not.toHaveBeenCalled()
+
+    const page = { render: jest.fn(), locals: { data: {} } }
+    await authWeb.loginAuthor({ body: { email: author.email, password: 'Right-password-1' }, ip: '10.0.0.1' }, page, jest.fn())
+    expect(page.render).toHaveBeenCalledWith('auth/TwoFactorLogin', expect.objectContaining({ challengeToken: 'challenge' }))
+    expect(clearAccount).not.toHaveBeenCalled()
+    jest.restoreAllMocks()
+  })
+
+  test('wrong passwords when changing the email count towards the login lockout', async () => {
+    const author = { email: 'sam@example.com', password: await bcrypt.hash('Right-password-1', 4) }
+    const body = { email: 'new@example.com', password: 'wrong' }
+    const recordFailure = jest.spyOn(LoginThrottle, 'recordFailure').mockResolvedValue(0)
+    const retryAfter = jest.spyOn(LoginThrottle, 'retryAfter').mockResolvedValue(0)
+    const mockRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), render: jest.fn(), set: jest.fn(), locals: { data: {} } })
+
+    const apiRes = mockRes()
+    await authApi.changeEmail({ user: author, body, ip: '10.0.0.1' }, apiRes)
+    expect(apiRes.status).toHaveBeenCalledWith(400)
+    const webRes = mockRes()
+    await authWeb.changeEmail({ author, body, ip: '10.0.0.1' }, webRes, jest.fn())
+    expect(webRes.status).toHaveBeenCalledWith(400)
+    expect(recordFailure).toHaveBeenCalledTimes(2)
+    expect(recordFailure).toHaveBeenCalledWith(['account:sam@example.com', 'ip:10.0.0.1'])
+
+    // Once locked, the password is not even checked
+    retryAfter.mockResolvedValue(60)
+    const lockedApi = mockRes()
+    await authApi.changeEmail({ user: author, body: { ...body, password: 'Right-password-1' }, ip: '10.0.0.1' }, lockedApi)
+    expect(lockedApi.status).toHaveBeenCalledWith(429)
+    expect(lockedApi.set).toHaveBeenCalledWith('Retry-After', '60')
+    const lockedWeb = mockRes()
+    await authWeb.changeEmail({ author, body: { ...body, password: 'Right-password-1' }, ip: '10.0.0.1' }, lockedWeb, jest.fn())
+    expect(lockedWeb.status).toHaveBeenCalledWith(429)
+    expect(recordFailure).toHaveBeenCalledTimes(2)
+
+    recordFailure.mockRestore()
+    retryAfter.mockRestore()
+  })
+
+  test('wrong passwords and codes when turning 2FA off count towards the login lockout', async () => {
+    const author = {
+      email: 'sam@example.com',
+      password: await bcrypt.hash('Right-password-1', 4),
+      twoFactorEnabled: true,
+      verifyTwoFactorCode: jest.fn().mockResolvedValue(false),
+      disableTwoFactor: jest.fn(),
+    }
+    const recordFailure = jest.spyOn(LoginThrottle, 'recordFailure').mockResolvedValue(0)
+    const retryAfter = jest.spyOn(LoginThrottle, 'retryAfter').mockResolvedValue(0)
+    const mockRes = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), redirect: jest.fn(), set: jest.fn() })
+
+    const wrongPassword = mockRes()
+    await authApi.disableTwoFactor({ user: author, body: { password: 'wrong', code: '123456' }, ip: '10.0.0.1' }, wrongPassword)
+    expect(wrongPassword.status).toHaveBeenCalledWith(400)
+    const wrongCode = mockRes()
+    await authApi.disableTwoFactor({ user: author, body: { password: 'Right-password-1', code: '123456' }, ip: '10.0.0.1' }, wrongCode)
+    expect(wrongCode.json).toHaveBeenCalledWith({ message: 'Invalid two-factor code' })
+    const webRes = mockRes()
+    await authWeb.disableTwoFactor({ author, body: { password: 'Right-password-1', code: '123456' }, ip: '10.0.0.1' }, webRes, jest.fn())
+    expect(webRes.redirect).toHaveBeenCalled()
+    expect(recordFailure).toHaveBeenCalledTimes(3)
+    expect(recordFailure).toHaveBeenCalledWith(['account:sam@example.com', 'ip:10.0.0.1'])
+
+    // Once locked, neither the password nor the code is checked
+    retryAfter.mockResolvedValue(60)
+    author.verifyTwoFactorCode.mockResolvedValue(true)
+    const locked = mockRes()
+    await authApi.disableTwoFactor({ user: author, body: { password: 'Right-password-1', code: '123456' }, ip: '10.0.0.1' }, locked)
+    expect(locked.status).toHaveBeenCalledWith(429)
+    expect(locked.set).toHaveBeenCalledWith('Retry-After', '60')
+    const lockedWeb = mockRes()
+    await authWeb.disableTwoFactor({ author, body: { password: 'Right-password-1', code: '123456' }, ip: '10.0.0.1' }, lockedWeb, jest.fn())
+    expect(lockedWeb.redirect).toHaveBeenCalledWith(expect.stringContaining('Too%20many'))
+    expect(author.disableTwoFactor).not.toHaveBeenCalled()
+    expect(recordFailure).toHaveBeenCalledTimes(3)
+
+    recordFailure.mockRestore()
+    retryAfter.mockRestore()
+  })
+
+  test('reloading the 2FA settings page keeps the secret of the enrolment under way', async () => {
+    const save = jest.spyOn(Author.prototype, 'save').mockResolvedValue()
+    const author = new Author({ name: 'Sam', email: 'sam@example.com', password: 'Right-password-1' })
+    const show = async () => {
+      const res = { locals: { data: {} } }
+      await authWeb.showTwoFactorSettings({ author, query: {} }, res, jest.fn())
+      return res.locals.data.secret
+    }
+
+    const first = await show()
+    expect(first).toBeTruthy()
+    expect(await show()).toBe(first)
+    expect(save).toHaveBeenCalledTimes(1)
+    // Only the API's explicit setup call starts over
+    expect((await author.startTwoFactorSetup()).secret).not.toBe(first)
+    save.mockRestore()
+  })
+
+  test('changing the password or logging out everywhere also revokes app tokens and API keys', async () => {
+    const revoked = [Session, RefreshToken, OAuthToken, ApiKey].map((model) => jest.spyOn(model, 'revokeAllForAuthor').mockResolvedValue())
+    jest.spyOn(Author.prototype, 'save').mockResolvedValue()
+    jest.spyOn(emails, 'sendPasswordChanged').mockResolvedValue()
+    const author = new Author({ name: 'Sam', email: 'sam@example.com', password: 'Right-password-1' })
+
+    await author.changePassword('Another-password-2', 'current-session')
+    expect(revoked[0]).toHaveBeenCalledWith(author._id, 'current-session')
+    expect(revoked[1]).toHaveBeenCalledWith(author._id, 'current-session')
+    expect(revoked[2]).toHaveBeenCalledWith(author._id)
+    expect(revoked[3]).toHaveBeenCalledWith(author._id)
+
+    revoked.forEach((spy) => spy.mockClear())
+    const res = { status: jest.fn().mockReturnThis(), send: jest.fn() }
+    await authApi.revokeAllSessions({ user: author, query: {}, sessionId: 'current-session' }, res)
+    expect(res.status).toHaveBeenCalledWith(204)
+    revoked.forEach((spy) => expect(spy).toHaveBeenCalledTimes(1))
+    jest.restoreAllMocks()
+  })
+
+  test('API key management requires authentication (401)', async () => {
+    const res = await request(app).post('/api/auth/api-keys').send({ name: 'Stats', scopes: 'read:posts' })
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('OAuth scopes are listed publicly', async () => {
+    const res = await request(app).get('/api/oauth/scopes')
+    expect(res.statusCode).toBe(200)
+    expect(res.body.scopes).toContainEqual(expect.objectContaining({ scope: 'write:posts' }))
+  })
+
+  test('OAuth token endpoint rejects requests without a client (401 invalid_client)', async () => {
+    const res = await request(app).post('/api/oauth/token').type('form').send({ grant_type: 'authorization_code' })
+    expect(res.statusCode).toBe(401)
+    expect(res.body).toHaveProperty('error', 'invalid_client')
+  })
+
+  test('OAuth consent page sends anonymous browsers to log in first', async () => {
+    const res = await request(app).get('/oauth/authorize?client_id=abc&response_type=code')
+    expect(res.statusCode).toBe(302)
+    expect(res.headers.location).toBe('/authors/login?next=' + encodeURIComponent('/oauth/authorize?client_id=abc&response_type=code'))
+  })
+
+  test('PKCE code verifier must match the S256 challenge', async () => {
+    const verifier = 'a-long-random-code-verifier-from-the-app-1234567890'
+    const challenge = require('crypto').createHash('sha256').update(verifier).digest('base64url')
+    const findOneAndUpdate = jest.spyOn(OAuthCode, 'findOneAndUpdate').mockResolvedValue(null)
+    const client = '507f1f77bcf86cd799439011'
+
+    await OAuthCode.consume('code', { client, redirectUri: 'https://app.example/cb', codeVerifier: verifier })
+    expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ client, redirectUri: 'https://app.example/cb', codeChallenge: challenge })
+    // Without a verifier the code is not even looked up, let alone used up
+    expect(await OAuthCode.consume('code', { client, redirectUri: 'https://app.example/cb' })).toBeNull()
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1)
+    findOneAndUpdate.mockRestore()
+  })
+
+  test('handles are derived from display names', () => {
+    expect(Author.handleFromName('Jordan Blake')).toBe('jordan.blake')
+    expect(Author.handleFromName('  Zoë  O\'Brien!! ')).toBe('zoe.obrien')
+    expect(Author.handleFromName('admin')).toMatch(/^admin_\d{4}$/)
+    expect(Author.handleFromName('')).toMatch(/^user_\d{4}$/)
+  })
+
+  test('handle profile pages require sign-in like other profiles (401)', async () => {
+    const res = await request(app).get('/@jordan.blake')
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('follow requests require authentication (401)', async () => {
+    expect((await request(app).get('/api/authors/follow-requests')).statusCode).toBe(401)
+    expect((await request(app).post('/api/authors/follow-requests/abc/approve')).statusCode).toBe(401)
+  })
+
+  test('account details are only returned to the author themselves', () => {
+    const author = new Author({ name: 'Sam', email: 'sam@example.com', password: 'x', pendingEmail: 'new@example.com' })
+    const stranger = new Author({ name: 'Stranger', email: 'stranger@example.com', password: 'x' })
+
+    const publicJSON = author.toJSON()
+    for (const field of ['email', 'pendingEmail', 'emailVerified', 'role', 'deletionScheduledFor', 'savedPosts', 'password']) {
+      expect(publicJSON).not.toHaveProperty(field)
+    }
+    expect(author.toProfileJSON(stranger)).not.toHaveProperty('pendingEmail')
+    expect(author.toProfileJSON(author)).toMatchObject({ email: 'sam@example.com', pendingEmail: 'new@example.com', role: 'user' })
+    expect(author.toAccountJSON()).not.toHaveProperty('password')
+  })
+
+  test('private profiles hide their lists from non-followers', () => {
+    const follower = new Author({ name: 'Fan', email: 'fan@example.com', password: 'x' })
+    const stranger = new Author({ name: 'Stranger', email: 'stranger@example.com', password: 'x' })
+    const author = new Author({ name: 'Priv', email: 'priv@example.com', password: 'x', isPrivate: true })
+    author.followers.push(follower._id)
+
+    expect(author.isVisibleTo(follower)).toBe(true)
+    expect(author.isVisibleTo(author)).toBe(true)
+    expect(author.isVisibleTo(stranger)).toBe(false)
+    expect(author.isVisibleTo(null)).toBe(false)
+
+    const hidden = author.toProfileJSON(stranger)
+    expect(hidden).toMatchObject({ contentHidden: true, followersCount: 1, postsCount: 0 })
+    expect(hidden).not.toHaveProperty('followers')
+    expect(hidden).not.toHaveProperty('password')
+    expect(author.toProfileJSON(follower)).toHaveProperty('followers')
+  })
+
+  test('block and mute require authentication (401)', async () => {
+    expect((await request(app).post('/api/authors/507f1f77bcf86cd799439011/block')).statusCode).toBe(401)
+    expect((await request(app).get('/api/authors/blocked')).statusCode).toBe(401)
+  })
+
+  test('blocks and mutes are private and checked from either side', () => {
+    const alice = new Author({ name: 'Alice', email: 'alice@example.com', password: 'x' })
+    const bob = new Author({ name: 'Bob', email: 'bob@example.com', password: 'x' })
+    alice.blocked.push(bob._id)
+    alice.muted.push(bob._id)
+
+    expect(alice.hasBlocked(bob)).toBe(true)
+    expect(bob.hasBlocked(alice)).toBe(false)
+    expect(bob.isBlockedWith(alice)).toBe(true)
+    expect(alice.hasMuted(bob._id)).toBe(true)
+    expect(alice.toJSON()).not.toHaveProperty('blocked')
+    expect(alice.toJSON()).not.toHaveProperty('muted')
+  })
+
+  test('post revisions and restoring them require authentication (401)', async () => {
+    const restore = '/api/posts/507f1f77bcf86cd799439011/revisions/507f1f77bcf86cd799439012/restore'
+    expect((await request(app).post(restore)).statusCode).toBe(401)
+    expect((await request(app).get('/api/posts/507f1f77bcf86cd799439011/revisions')).statusCode).toBe(401)
+  })
+
+  test('drafts and scheduling require authentication (401)', async () => {
+    expect((await request(app).get('/api/posts/drafts')).statusCode).toBe(401)
+    expect((await request(app).post('/api/posts/507f1f77bcf86cd799439011/publish')).statusCode).toBe(401)
+  })
+
+  test('archived and recently deleted posts require authentication (401)', async () => {
+    expect((await request(app).get('/api/posts/archived')).statusCode).toBe(401)
+    expect((await request(app).get('/api/posts/deleted')).statusCode).toBe(401)
+    expect((await request(app).post('/api/posts/507f1f77bcf86cd799439011/archive')).statusCode).toBe(401)
+    expect((await request(app).post('/api/posts/507f1f77bcf86cd799439011/restore')).statusCode).toBe(401)
+  })
+
+  test('reposting requires authentication (401); the reposts list rejects bad ids (400)', async () => {
+    expect((await request(app).post('/api/posts/507f1f77bcf86cd799439011/repost')).statusCode).toBe(401)
+    expect((await request(app).delete('/api/posts/507f1f77bcf86cd799439011/repost')).statusCode).toBe(401)
+    expect((await request(app).get('/api/posts/abc/reposts')).statusCode).toBe(400)
+  })
+
+  test('collections require authentication (401); a collection page rejects bad ids (400)', async () => {
+    expect((await request(app).get('/api/collections')).statusCode).toBe(401)
+    expect((await request(app).post('/api/collections').send({ name: 'Outfit ideas' })).statusCode).toBe(401)
+    expect((await request(app).put('/api/collections/order')).statusCode).toBe(401)
+    expect((await request(app).get('/api/collections/abc')).statusCode).toBe(400)
+  })
+
   test('unknown route returns JSON 404 response', async () => {
     const res = await request(app).get('/api/does-not-exist')
     expect(res.statusCode).toBe(404)
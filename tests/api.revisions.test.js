@@ -0,0 +1,53 @@
+const request = require('supertest')
+
+const app = require('../app')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const PostRevision = require('../models/postRevision')
+const { describeDb, useDatabase, tokenFor } = require('./db')
+
+describeDb('post revision endpoints', () => {
+  useDatabase()
+
+  let post
+  let ownerToken
+  let followerToken
+
+  beforeAll(async () => {
+    const owner = await Author.create({ name: 'Owner', email: 'owner@example.com', password: 'Correct-horse-9' })
+    const follower = await Author.create({
+      name: 'Follower', email: 'follower@example.com', password: 'Correct-horse-9', following: [owner._id],
+    })
+    ownerToken = await tokenFor(owner)
+    followerToken = await tokenFor(follower)
+    post = await Post.create({ author: owner._id, caption: 'First draft of a secret', imageUrl: '/a.jpg' })
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ caption: 'Final caption' })
+    expect(res.statusCode).toBe(200)
+  })
+
+  test('only the author sees the edit history', async () => {
+    const url = `/api/posts/${post._id}/revisions`
+    const own = await request(app).get(url).set('Authorization', `Bearer ${ownerToken}`)
+    expect(own.statusCode).toBe(200)
+    expect(own.body.revisions.map((revision) => revision.caption)).toEqual(['First draft of a secret'])
+
+    // The follower may see the post, but not the caption that was edited out
+    const other = await request(app).get(url).set('Authorization', `Bearer ${followerToken}`)
+    expect(other.statusCode).toBe(404)
+  })
+
+  test('a post in the bin cannot be rewritten from its history', async () => {
+    const revision = await PostRevision.findOne({ post: post._id })
+    await Post.updateOne({ _id: post._id }, { deletedAt: new Date() })
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/revisions/${revision._id}/restore`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+    expect(res.statusCode).toBe(404)
+    expect((await Post.findById(post._id)).caption).toBe('Final caption')
+  })
+})
@@ -0,0 +1,37 @@
+const request = require('supertest')
+
+const app = require('../app')
+const Author = require('../models/author')
+const Upload = require('../models/upload')
+const { describeDb, useDatabase, tokenFor } = require('./db')
+
+describeDb('images in API posts', () => {
+  useDatabase()
+
+  let token
+
+  beforeAll(async () => {
+    const victim = await Author.create({ name: 'Victim', email: 'victim@example.com', password: 'Correct-horse-9' })
+    const author = await Author.create({
+      name: 'Author', email: 'author@example.com', password: 'Correct-horse-9', emailVerified: true,
+    })
+    await Upload.record(victim._id, [{ filename: 'victim.jpg' }])
+    await Upload.record(author._id, [{ filename: 'mine.jpg' }])
+    token = await tokenFor(author)
+  })
+
+  const create = (body) => request(app).post('/api/posts').set('Authorization', `Bearer ${token}`).send(body)
+
+  test('cannot use another author\'s upload', async () => {
+    expect((await create({ caption: 'Mine now', media: ['/uploads/victim.jpg'] })).statusCode).toBe(400)
+    expect((await create({ caption: 'Mine now', imageUrl: '/uploads/victim.jpg' })).statusCode).toBe(400)
+    expect((await create({ caption: 'Sneaky', media: [{ url: '/uploads/victim.jpg' }] })).statusCode).toBe(400)
+  })
+
+  test('can use their own uploads and external images', async () => {
+    const res = await create({ caption: 'Mine', media: ['/uploads/mine.jpg', { url: 'https://cdn.example.com/b.jpg', likes: 5 }] })
+    expect(res.statusCode).toBe(201)
+    expect(res.body.post.media.map((item) => item.url)).toEqual(['/uploads/mine.jpg', 'https://cdn.example.com/b.jpg'])
+    expect(res.body.post.media[1]).not.toHaveProperty('likes')
+  })
+})
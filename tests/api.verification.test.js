@@ -0,0 +1,44 @@
+const request = require('supertest')
+
+const app = require('../app')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const { describeDb, useDatabase, tokenFor } = require('./db')
+
+// What an account may do before its email is verified (UNVERIFIED_RESTRICTIONS, default post,message)
+describeDb('unverified accounts', () => {
+  useDatabase()
+
+  let post
+  let unverified
+  let verified
+
+  beforeAll(async () => {
+    const author = await Author.create({ name: 'Author', email: 'author@example.com', password: 'Correct-horse-9' })
+    post = await Post.create({ author: author._id, caption: 'Hello', imageUrl: '/a.jpg' })
+    unverified = await Author.create({ name: 'New', email: 'new@example.com', password: 'Correct-horse-9' })
+    verified = await Author.create({
+      name: 'Known', email: 'known@example.com', password: 'Correct-horse-9', emailVerified: true,
+    })
+  })
+
+  test('cannot repost, with or without a quote', async () => {
+    const token = await tokenFor(unverified)
+    for (const body of [{}, { caption: 'Look at this' }]) {
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/repost`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body)
+      expect(res.statusCode).toBe(403)
+      expect(res.body.message).toMatch(/verify your email/)
+    }
+  })
+
+  test('can repost once verified', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/repost`)
+      .set('Authorization', `Bearer ${await tokenFor(verified)}`)
+      .send({ caption: 'Look at this' })
+    expect(res.statusCode).toBe(201)
+  })
+})
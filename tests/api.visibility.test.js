@@ -0,0 +1,163 @@
+const request = require('supertest')
+
+const app = require('../app')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const Place = require('../models/place')
+const Repost = require('../models/repost')
+const Collection = require('../models/collection')
+const { syncAuthorPrivacy } = require('../services/postVisibility')
+const { describeDb, useDatabase, tokenFor } = require('./db')
+
+// The post visibility policy (services/postVisibility.js) through every endpoint that lists posts
+describeDb('post visibility endpoints', () => {
+  useDatabase()
+
+  const authors = {}
+  const posts = {}
+  let place
+  let viewerToken
+
+  const captions = (list) => list.map((post) => post.caption.replace(' #travel', '')).sort()
+  const get = (url, token) => {
+    const req = request(app).get(url)
+    return token ? req.set('Authorization', `Bearer ${token}`) : req
+  }
+
+  beforeAll(async () => {
+    for (const name of ['viewer', 'friend', 'privateFriend', 'privateStranger', 'blocker', 'muted', 'stranger']) {
+      authors[name] = await Author.create({ name, email: `${name}@example.com`, password: 'Correct-horse-9' })
+    }
+    place = await Place.create({ name: 'Pier', geo: { type: 'Point', coordinates: [-0.1, 51.5] } })
+
+    const create = (key, author, fields = {}) =>
+      Post.create({ author: authors[author]._id, caption: `${key} #travel`, imageUrl: '/a.jpg', ...fields }).then((post) => {
+        posts[key] = post
+      })
+    await create('friend public', 'friend', { place: place._id })
+    await create('friend followers', 'friend', { audience: 'followers' })
+    await create('friend draft', 'friend', { status: 'draft' })
+    await create('friend archived', 'friend', { archivedAt: new Date() })
+    await create('private friend', 'privateFriend')
+    await create('private stranger', 'privateStranger', { place: place._id })
+    await create('blocker public', 'blocker', { place: place._id })
+    await create('muted public', 'muted')
+    await create('stranger public', 'stranger', { place: place._id })
+    await create('stranger followers', 'stranger', { audience: 'followers' })
+
+    // One account goes private after posting (the Author model updates its posts); the other was
+    // private before posts kept a copy of it (the startup sync catches those up)
+    authors.privateStranger.isPrivate = true
+    await authors.privateStranger.save()
+    await Author.updateOne({ _id: authors.privateFriend._id }, { isPrivate: true, followers: [authors.viewer._id] })
+    await syncAuthorPrivacy()
+
+    await Author.updateOne({ _id: authors.blocker._id }, { blocked: [authors.viewer._id] })
+    authors.viewer = await Author.findByIdAndUpdate(
+      authors.viewer._id,
+      {
+        following: [authors.friend._id, authors.privateFriend._id, authors.muted._id],
+        muted: [authors.muted._id],
+        savedPosts: [posts['friend public']._id, posts['private stranger']._id, posts['blocker public']._id],
+      },
+      { new: true }
+    )
+    viewerToken = await tokenFor(authors.viewer)
+  })
+
+  test('GET /api/posts lists what the caller may see', async () => {
+    const anonymous = await get('/api/posts?limit=50')
+    expect(anonymous.statusCode).toBe(200)
+    expect(captions(anonymous.body.posts)).toEqual(['blocker public', 'friend public', 'muted public', 'stranger public'])
+    expect(anonymous.body.total).toBe(4)
+
+    const viewer = await get('/api/posts?limit=50', viewerToken)
+    expect(captions(viewer.body.posts)).toEqual([
+      'friend followers', 'friend public', 'muted public', 'private friend', 'stranger public',
+    ])
+  })
+
+  test('GET /api/posts/:id hides posts the caller may not see', async () => {
+    const show = (key, token) => get(`/api/posts/${posts[key]._id}`, token).then((res) => res.statusCode)
+    expect(await show('private friend', viewerToken)).toBe(200)
+    expect(await show('private friend')).toBe(404)
+    expect(await show('private stranger', viewerToken)).toBe(404)
+    expect(await show('blocker public')).toBe(200)
+    expect(await show('blocker public', viewerToken)).toBe(404)
+    expect(await show('friend draft', viewerToken)).toBe(404)
+    expect(await show('friend archived', viewerToken)).toBe(404)
+  })
+
+  test('GET /api/authors/:id/posts leaves out followers-only posts and refuses private accounts', async () => {
+    const anonymous = await get(`/api/authors/${authors.friend._id}/posts`)
+    expect(captions(anonymous.body.posts)).toEqual(['friend public'])
+    const viewer = await get(`/api/authors/${authors.friend._id}/posts`, viewerToken)
+    expect(captions(viewer.body.posts)).toEqual(['friend followers', 'friend public'])
+
+    expect((await get(`/api/authors/${authors.privateStranger._id}/posts`, viewerToken)).statusCode).toBe(403)
+    expect((await get(`/api/authors/${authors.blocker._id}/posts`, viewerToken)).statusCode).toBe(404)
+  })
+
+  test('tag and place feeds only list visible posts', async () => {
+    const tag = await get('/api/tags/travel', viewerToken)
+    expect(captions(tag.body.posts)).toEqual([
+      'friend followers', 'friend public', 'muted public', 'private friend', 'stranger public',
+    ])
+
+    const anonymous = await get(`/api/places/${place._id}`)
+    expect(captions(anonymous.body.posts)).toEqual(['blocker public', 'friend public', 'stranger public'])
+    const viewer = await get(`/api/places/${place._id}`, viewerToken)
+    expect(captions(viewer.body.posts)).toEqual(['friend public', 'stranger public'])
+  })
+
+  test('saved posts leave out those the viewer can no longer see', async () => {
+    const res = await get('/api/authors/saved', viewerToken)
+    expect(res.statusCode).toBe(200)
+    expect(captions(res.body.posts)).toEqual(['friend public'])
+  })
+
+  test('a shared collection only shows each caller the posts they may see', async () => {
+    const collection = await Collection.create({
+      owner: authors.stranger._id,
+      name: 'Trips',
+      sharing: 'shared',
+      posts: [posts['friend followers']._id, posts['stranger public']._id, posts['private stranger']._id],
+    })
+    const anonymous = await get(`/api/collections/${collection._id}`)
+    expect(captions(anonymous.body.posts)).toEqual(['stranger public'])
+    expect(anonymous.body.collection.postsCount).toBe(1)
+
+    const viewer = await get(`/api/collections/${collection._id}`, viewerToken)
+    expect(captions(viewer.body.posts)).toEqual(['friend followers', 'stranger public'])
+  })
+
+  test('reposts by private accounts are only listed for their followers', async () => {
+    const post = posts['friend public']
+    await Repost.create([
+      { post: post._id, author: authors.privateStranger._id },
+      { post: post._id, author: authors.stranger._id },
+    ])
+    const res = await get(`/api/posts/${post._id}/reposts`)
+    expect(res.statusCode).toBe(200)
+    expect(res.body.reposts.map((repost) => repost.author.name)).toEqual(['stranger'])
+    await Repost.deleteMany({})
+  })
+
+  test('the web feed leaves out muted authors, their posts and their reposts', async () => {
+    await Repost.create([
+      // A followed author reposting a muted author's post, and a muted author reposting
+      { post: posts['muted public']._id, author: authors.friend._id },
+      { post: posts['stranger public']._id, author: authors.muted._id },
+      { post: posts['stranger followers']._id, author: authors.friend._id },
+    ])
+    const res = await request(app).get('/posts').set('Cookie', `token=${await tokenFor(authors.viewer)}`)
+    expect(res.statusCode).toBe(200)
+    expect(res.text).toContain('friend public')
+    expect(res.text).toContain('private friend')
+    expect(res.text).not.toContain('muted public')
+    expect(res.text).not.toContain('stranger public')
+    // Reposts don't widen a post's audience either
+    expect(res.text).not.toContain('stranger followers')
+    await Repost.deleteMany({})
+  })
+})
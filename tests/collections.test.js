@@ -0,0 +1,59 @@
+const mongoose = require('mongoose')
+const Collection = require('../models/collection')
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe('saved-post collections', () => {
+  const owner = { _id: id(), role: 'user' }
+  const friend = { _id: id(), role: 'user' }
+  const stranger = { _id: id(), role: 'user' }
+
+  test('private collections are only open to the owner and collaborators; shared ones to anyone', () => {
+    const collection = new Collection({ owner: owner._id, name: 'Outfit ideas', collaborators: [friend._id] })
+    expect(collection.sharing).toBe('private')
+    expect(collection.isVisibleTo(owner)).toBe(true)
+    expect(collection.isVisibleTo(friend)).toBe(true)
+    expect(collection.isVisibleTo(stranger)).toBe(false)
+    expect(collection.isVisibleTo(null)).toBe(false)
+
+    collection.sharing = 'shared'
+    expect(collection.isVisibleTo(stranger)).toBe(true)
+    expect(collection.isVisibleTo(null)).toBe(true)
+  })
+
+  test('names are required and sharing is private or shared', () => {
+    const { errors } = new Collection({ owner: owner._id, sharing: 'public' }).validateSync()
+    expect(Object.keys(errors).sort()).toEqual(['name', 'sharing'])
+  })
+
+  describe('reorder', () => {
+    const [a, b, c] = [id(), id(), id()]
+    let find, bulkWrite
+
+    beforeEach(() => {
+      find = jest.spyOn(Collection, 'find').mockReturnValue({
+        sort: () => ({ select: () => Promise.resolve([{ _id: a }, { _id: b }, { _id: c }]) }),
+      })
+      bulkWrite = jest.spyOn(Collection, 'bulkWrite').mockResolvedValue({})
+    })
+
+    afterEach(() => {
+      find.mockRestore()
+      bulkWrite.mockRestore()
+    })
+
+    test('listed collections come first, the rest keep their order', async () => {
+      await Collection.reorder(owner._id, [String(c), String(a)])
+      const [ops] = bulkWrite.mock.calls[0]
+      expect(ops.map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set.position]))
+        .toEqual([[String(c), 0], [String(a), 1], [String(b), 2]])
+      expect(ops.every(({ updateOne }) => updateOne.filter.owner === owner._id)).toBe(true)
+    })
+
+    test('ids must be a list of the owner\'s collections', async () => {
+      await expect(Collection.reorder(owner._id, 'abc')).rejects.toThrow('ids must be an array of collection ids')
+      await expect(Collection.reorder(owner._id, [String(id())])).rejects.toThrow('Collection not found')
+      expect(bulkWrite).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose')
+const DataExport = require('../models/dataExport')
+const { failStaleExports, requestExport } = require('../services/dataExport')
+
+describe('data exports', () => {
+  const authorId = new mongoose.Types.ObjectId()
+
+  afterEach(() => jest.restoreAllMocks())
+
+  test('builds still in progress after an hour are marked failed', async () => {
+    const spy = jest.spyOn(DataExport, 'updateMany').mockResolvedValue({ modifiedCount: 1 })
+    const now = new Date('2026-03-01T12:00:00Z')
+    expect(await failStaleExports(authorId, now)).toBe(1)
+
+    const [filter, update] = spy.mock.calls[0]
+    expect(filter).toEqual({
+      status: { $in: ['pending', 'processing'] },
+      updatedAt: { $lte: new Date('2026-03-01T11:00:00Z') },
+      author: authorId,
+    })
+    expect(update.$set.status).toBe('failed')
+  })
+
+  test('a new request gives up on a stale build before looking for one in progress', async () => {
+    const calls = []
+    jest.spyOn(DataExport, 'updateMany').mockImplementation(async () => {
+      calls.push('failStale')
+      return { modifiedCount: 1 }
+    })
+    const inProgress = { _id: new mongoose.Types.ObjectId(), status: 'processing' }
+    jest.spyOn(DataExport, 'findOne').mockImplementation(async () => {
+      calls.push('findOne')
+      return inProgress
+    })
+    expect(await requestExport(authorId)).toBe(inProgress)
+    expect(calls).toEqual(['failStale', 'findOne'])
+  })
+})
@@ -0,0 +1,16 @@
+/**
+ * Jest global setup – starts an in-memory mongod for the endpoint tests that need a database
+ * (tests/db/index.js). mongodb-memory-server downloads the binary on first use; where that isn't
+ * possible (offline) the database suites are skipped rather than failed.
+ */
+const { MongoMemoryServer } = require('mongodb-memory-server')
+
+module.exports = async () => {
+  try {
+    const mongod = await MongoMemoryServer.create()
+    globalThis.__MONGOD__ = mongod
+    process.env.TEST_MONGO_URI = mongod.getUri()
+  } catch (error) {
+    console.warn(`\nSkipping database tests – could not start mongod: ${error.message}`)
+  }
+}
@@ -0,0 +1,4 @@
+// Stops the mongod started by tests/db/globalSetup.js
+module.exports = async () => {
+  if (globalThis.__MONGOD__) await globalThis.__MONGOD__.stop()
+}
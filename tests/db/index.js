@@ -0,0 +1,25 @@
+/**
+ * Helpers for endpoint tests that run against a real database (the mongod started by
+ * tests/db/globalSetup.js). Wrap such suites in describeDb so they are skipped when there is none.
+ */
+const mongoose = require('mongoose')
+const Session = require('../../models/session')
+
+const describeDb = process.env.TEST_MONGO_URI ? describe : describe.skip
+
+// Connect for the suite (each test file gets its own database) and drop it afterwards
+const useDatabase = () => {
+  beforeAll(() => mongoose.connect(process.env.TEST_MONGO_URI, { dbName: `test-${process.pid}-${Date.now()}` }))
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase()
+    await mongoose.disconnect()
+  })
+}
+
+// An access token for `author`, as a login would issue (Bearer header or `token` cookie)
+const tokenFor = async (author) => {
+  const session = await Session.create({ author: author._id })
+  return author.generateAuthToken(session._id)
+}
+
+module.exports = { describeDb, useDatabase, tokenFor }
@@ -0,0 +1,58 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flick-outbox-'))
+process.env.MAIL_OUTBOX_DIR = outboxDir
+process.env.APP_URL = 'https://flick.example'
+delete process.env.SMTP_URL
+
+const mailer = require('../services/mailer')
+const emails = require('../services/emails')
+
+afterAll(() => {
+  fs.rmSync(outboxDir, { recursive: true, force: true })
+})
+
+describe('mailer (outbox transport)', () => {
+  test('password reset email is written to the outbox with the reset link', async () => {
+    await emails.sendPasswordReset({ name: '<Ali>', email: 'ali@example.com' }, 'tok123')
+    const [message] = await mailer.readOutbox()
+    expect(message.to).toBe('ali@example.com')
+    expect(message.text).toContain('https://flick.example/authors/reset-password?token=tok123')
+    // user-supplied names are escaped in the HTML body
+    expect(message.html).toContain('&lt;Ali&gt;')
+  })
+
+  test('verification email links to the verify-email page', async () => {
+    await emails.sendEmailVerification({ name: 'Ali', email: 'ali@example.com' }, 'verify456')
+    const messages = await mailer.readOutbox()
+    const message = messages[messages.length - 1]
+    expect(message.subject).toMatch(/confirm/i)
+    expect(message.text).toContain('https://flick.example/authors/verify-email?token=verify456')
+  })
+
+  test('custom transports can be registered and selected', async () => {
+    const sent = []
+    mailer.registerTransport('memory', { send: async (m) => sent.push(m) })
+    process.env.MAIL_TRANSPORT = 'memory'
+    await mailer.send({ to: 'x@example.com', subject: 'Hi', text: 'Hello' })
+    delete process.env.MAIL_TRANSPORT
+    expect(sent).toHaveLength(1)
+    expect(sent[0]).toHaveProperty('from')
+  })
+
+  test('the outbox is only used implicitly in development and tests', async () => {
+    const env = process.env.NODE_ENV
+    process.env.NODE_ENV = 'production'
+    try {
+      expect(() => mailer.checkConfig()).toThrow('No mail transport configured')
+      await expect(mailer.send({ to: 'x@example.com', subject: 'Hi', text: 'Hello' })).rejects.toThrow('No mail transport configured')
+      process.env.MAIL_TRANSPORT = 'outbox'
+      expect(() => mailer.checkConfig()).not.toThrow()
+    } finally {
+      process.env.NODE_ENV = env
+      delete process.env.MAIL_TRANSPORT
+    }
+  })
+})
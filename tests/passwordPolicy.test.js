@@ -0,0 +1,22 @@
+const { checkPassword } = require('../services/passwordPolicy')
+
+const jordan = { name: 'Jordan Blake', handle: 'jordan.blake', email: 'jb.photos@example.com' }
+
+describe('password policy', () => {
+  test('accepts a reasonable password or a long passphrase', () => {
+    expect(checkPassword('tulip-Harbor-42', jordan)).toBeNull()
+    expect(checkPassword('correct horse battery staple')).toBeNull()
+  })
+
+  test('rejects short, single-kind and overlong passwords', () => {
+    expect(checkPassword('ab1!')).toMatch(/at least 8 characters/)
+    expect(checkPassword('abcdefghij')).toMatch(/mix letters/)
+    expect(checkPassword('a1'.repeat(40))).toMatch(/at most 72 bytes/)
+  })
+
+  test('rejects common passwords and ones containing the author\'s details', () => {
+    expect(checkPassword('Password123')).toMatch(/too common/)
+    expect(checkPassword('blake2024!', jordan)).toMatch(/name, username or email/)
+    expect(checkPassword('photos#2024', jordan)).toMatch(/name, username or email/)
+  })
+})
@@ -0,0 +1,67 @@
+const { can, hasRole, parseScopes } = require('../services/permissions')
+
+const alice = { _id: 'a1', role: 'user' }
+const bob = { _id: 'b2', role: 'user' }
+const mod = { _id: 'm3', role: 'moderator' }
+const admin = { _id: 'x4', role: 'admin' }
+
+describe('role-based permissions', () => {
+  test('roles are ranked user < moderator < admin', () => {
+    expect(hasRole(admin, 'moderator')).toBe(true)
+    expect(hasRole(mod, 'moderator')).toBe(true)
+    expect(hasRole(mod, 'admin')).toBe(false)
+    expect(hasRole({}, 'user')).toBe(true)
+  })
+
+  test('authors manage their own posts; moderators can only take others down', () => {
+    const post = { author: alice._id }
+    expect(can(alice, 'post:update', post)).toBe(true)
+    expect(can(alice, 'post:delete', post)).toBe(true)
+    expect(can(bob, 'post:delete', post)).toBe(false)
+    expect(can(mod, 'post:delete', post)).toBe(true)
+    expect(can(mod, 'post:update', post)).toBe(false)
+  })
+
+  test('populated refs count as ownership too', () => {
+    const comment = { author: { _id: bob._id, name: 'Bob' } }
+    expect(can(bob, 'comment:delete', comment)).toBe(true)
+    expect(can(alice, 'comment:delete', comment)).toBe(false)
+  })
+
+  test('messages stay private to their participants, even from admins', () => {
+    const message = { sender: alice._id, recipient: bob._id }
+    expect(can(bob, 'message:read', message)).toBe(true)
+    expect(can(admin, 'message:read', message)).toBe(false)
+    expect(can(bob, 'message:markRead', message)).toBe(true)
+    expect(can(alice, 'message:markRead', message)).toBe(false)
+    expect(can(mod, 'message:delete', message)).toBe(true)
+  })
+
+  test('only admins manage other accounts', () => {
+    expect(can(alice, 'author:update', alice._id)).toBe(true)
+    expect(can(alice, 'author:delete', bob._id)).toBe(false)
+    expect(can(mod, 'author:delete', bob._id)).toBe(false)
+    expect(can(admin, 'author:delete', bob._id)).toBe(true)
+    expect(can(mod, 'author:manage')).toBe(false)
+    expect(can(admin, 'author:manage')).toBe(true)
+  })
+
+  test('collaborators curate a collection, but only its owner manages it', () => {
+    const collection = { owner: alice._id, collaborators: [bob._id] }
+    expect(can(alice, 'collection:update', collection)).toBe(true)
+    expect(can(bob, 'collection:update', collection)).toBe(false)
+    expect(can(bob, 'collection:curate', collection)).toBe(true)
+    expect(can(admin, 'collection:curate', collection)).toBe(false)
+  })
+
+  test('unknown actions and anonymous users are denied', () => {
+    expect(can(admin, 'post:teleport', {})).toBe(false)
+    expect(can(null, 'post:delete', { author: alice._id })).toBe(false)
+  })
+
+  test('scopes are parsed from strings or arrays, dropping unknown ones', () => {
+    expect(parseScopes('read:posts write:posts,read:posts')).toEqual(['read:posts', 'write:posts'])
+    expect(parseScopes(['read:profile', 'admin:everything'])).toEqual(['read:profile'])
+    expect(parseScopes(undefined)).toEqual([])
+  })
+})
@@ -0,0 +1,39 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const app = require('../app')
+const Place = require('../models/place')
+const Post = require('../models/post')
+
+describe('places and geotagged posts', () => {
+  test('coordinates are parsed as [lng, lat] and range-checked', () => {
+    expect(Place.parseCoordinates('34.0092', '-118.4965')).toEqual([-118.4965, 34.0092])
+    expect(() => Place.parseCoordinates('', '10')).toThrow('lat and lng must be numbers')
+    expect(() => Place.parseCoordinates('north', '10')).toThrow('lat and lng must be numbers')
+    expect(() => Place.parseCoordinates('91', '0')).toThrow('lat must be between -90 and 90')
+  })
+
+  test('tagging a post copies the place\'s name and point; clearing removes them', async () => {
+    const place = new Place({ name: 'Santa Monica Pier', geo: { coordinates: [-118.4965, 34.0092] } })
+    const post = new Post({ author: new mongoose.Types.ObjectId(), caption: 'Pier day', imageUrl: '/a.jpg' })
+
+    post.setPlace(place)
+    expect(post.location).toBe('Santa Monica Pier')
+    expect(post.geo.coordinates).toEqual([-118.4965, 34.0092])
+
+    await Place.tag(post, null)
+    expect(post.place).toBeNull()
+    expect(post.geo).toBeUndefined()
+    expect(post.location).toBe('')
+  })
+
+  test('an unknown place id is rejected', async () => {
+    await expect(Place.fromInput({ id: 'not-an-id' })).rejects.toThrow('Place not found')
+  })
+
+  test('nearby search needs valid coordinates and radius (400)', async () => {
+    expect((await request(app).get('/api/posts/nearby')).statusCode).toBe(400)
+    expect((await request(app).get('/api/posts/nearby?lat=100&lng=0')).statusCode).toBe(400)
+    expect((await request(app).get('/api/posts/nearby?lat=34&lng=-118&radius=999999')).statusCode).toBe(400)
+    expect((await request(app).get('/api/places/abc')).statusCode).toBe(400)
+  })
+})
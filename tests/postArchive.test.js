@@ -0,0 +1,20 @@
+const Post = require('../models/post')
+const { BIN_DAYS, purgeAt, purgeExpiredPosts } = require('../services/postArchive')
+
+describe('recently deleted posts', () => {
+  test('stay in the bin for 30 days', () => {
+    const deletedAt = new Date('2026-03-01T12:00:00Z')
+    expect(BIN_DAYS).toBe(30)
+    expect(purgeAt({ deletedAt })).toEqual(new Date('2026-03-31T12:00:00Z'))
+  })
+
+  test('the purge only picks posts deleted more than 30 days ago', async () => {
+    const spy = jest.spyOn(Post, 'find').mockReturnValue({ select: () => Promise.resolve([]) })
+    const count = await purgeExpiredPosts(new Date('2026-03-31T12:00:00Z'))
+    const [filter] = spy.mock.calls[0]
+    spy.mockRestore()
+
+    expect(count).toBe(0)
+    expect(filter).toEqual({ deletedAt: { $ne: null, $lte: new Date('2026-03-01T12:00:00Z') } })
+  })
+})
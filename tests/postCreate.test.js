@@ -0,0 +1,44 @@
+const mongoose = require('mongoose')
+const Post = require('../models/post')
+const Place = require('../models/place')
+const dataController = require('../controllers/posts/dataController')
+
+describe('creating a post from the web form', () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  test('only takes the form\'s fields from the body', async () => {
+    jest.spyOn(Place, 'tag').mockResolvedValue(null)
+    jest.spyOn(Post.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this)
+    })
+    const author = { _id: new mongoose.Types.ObjectId(), isPrivate: true, posts: [], save: jest.fn() }
+    const req = {
+      author,
+      files: [{ path: '/uploads/a.jpg' }],
+      body: {
+        caption: 'Sunset',
+        audience: 'followers',
+        author: new mongoose.Types.ObjectId(),
+        likesCount: 500,
+        repostsCount: 9,
+        authorIsPrivate: false,
+        editedAt: '2020-01-01',
+      },
+    }
+    const res = { locals: { data: {} } }
+    const next = jest.fn()
+
+    await dataController.create(req, res, next)
+
+    const post = res.locals.data.post
+    expect(next).toHaveBeenCalled()
+    expect(post.caption).toBe('Sunset')
+    expect(post.audience).toBe('followers')
+    expect(String(post.author)).toBe(String(author._id))
+    expect(post.authorIsPrivate).toBe(true)
+    expect(post.likesCount).toBe(0)
+    expect(post.repostsCount).toBe(0)
+    expect(post.editedAt).toBeNull()
+    expect(author.posts).toEqual([post._id])
+  })
+})
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose')
+const Post = require('../models/post')
+
+const author = new mongoose.Types.ObjectId()
+
+describe('carousel posts', () => {
+  test('the first image is the cover (imageUrl)', async () => {
+    const post = new Post({ author, caption: 'Trip', media: [{ url: '/a.jpg' }, { url: '/b.jpg' }] })
+    await post.validate()
+    expect(post.imageUrl).toBe('/a.jpg')
+
+    post.media = [post.media[1], post.media[0]]
+    await post.validate()
+    expect(post.imageUrl).toBe('/b.jpg')
+  })
+
+  test('a single imageUrl becomes a one-image post', async () => {
+    const post = new Post({ author, caption: 'Solo', imageUrl: '/solo.jpg' })
+    await post.validate()
+    expect(post.media.map((m) => m.url)).toEqual(['/solo.jpg'])
+  })
+
+  test('at most 10 images', async () => {
+    const media = Array.from({ length: 11 }, (_, i) => ({ url: `/${i}.jpg` }))
+    await expect(new Post({ author, caption: 'Too many', media }).validate()).rejects.toThrow(
+      'A post can have at most 10 images'
+    )
+  })
+
+  test('posts from before carousels read as one image, and imageUrl only replaces the cover', async () => {
+    const legacy = Post.hydrate({ _id: new mongoose.Types.ObjectId(), author, caption: 'Old', imageUrl: '/old.jpg' })
+    expect(legacy.media.map((m) => m.url)).toEqual(['/old.jpg'])
+    expect(legacy.isModified('media')).toBe(false)
+
+    legacy.media.push({ url: '/extra.jpg' })
+    await legacy.validate()
+    const saved = Post.hydrate(legacy.toObject())
+    saved.imageUrl = '/new-cover.jpg'
+    await saved.validate()
+    expect(saved.media.map((m) => m.url)).toEqual(['/new-cover.jpg', '/extra.jpg'])
+  })
+})
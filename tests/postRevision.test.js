@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+const Post = require('../models/post')
+const PostRevision = require('../models/postRevision')
+
+const author = new mongoose.Types.ObjectId()
+
+describe('post revisions', () => {
+  const newPost = async () => {
+    const post = new Post({
+      author,
+      caption: 'First try',
+      hashtags: ['travel'],
+      media: [{ url: '/a.jpg' }, { url: '/b.jpg' }],
+    })
+    await post.validate()
+    return post
+  }
+
+  test('only changed fields are recorded, with their values before and after', async () => {
+    const post = await newPost()
+    const before = PostRevision.snapshot(post)
+    post.caption = 'Second try'
+    post.audience = 'followers' // not versioned
+
+    expect(PostRevision.diff(before, PostRevision.snapshot(post))).toEqual([
+      { field: 'caption', from: 'First try', to: 'Second try' },
+    ])
+  })
+
+  test('reordering images counts as a change', async () => {
+    const post = await newPost()
+    const before = PostRevision.snapshot(post)
+    post.media = [post.media[1], post.media[0]]
+
+    expect(PostRevision.diff(before, PostRevision.snapshot(post))).toEqual([
+      { field: 'media', from: ['/a.jpg', '/b.jpg'], to: ['/b.jpg', '/a.jpg'] },
+    ])
+  })
+
+  test('the snapshot is unaffected by later edits', async () => {
+    const post = await newPost()
+    const before = PostRevision.snapshot(post)
+    post.hashtags.push('summer')
+    post.media.pop()
+
+    expect(before.hashtags).toEqual(['travel'])
+    expect(before.media.map((m) => m.url)).toEqual(['/a.jpg', '/b.jpg'])
+    expect(PostRevision.diff(before, before)).toEqual([])
+  })
+})
@@ -0,0 +1,23 @@
+const { scheduleFromBody } = require('../services/postScheduler')
+
+describe('post scheduling', () => {
+  test('posts are published now unless they are drafts or have a publishAt', () => {
+    expect(scheduleFromBody({})).toEqual({ status: 'published', publishAt: null })
+    expect(scheduleFromBody({ status: 'draft' })).toEqual({ status: 'draft', publishAt: null })
+  })
+
+  test('a future publishAt schedules the post', () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000)
+    expect(scheduleFromBody({ publishAt: publishAt.toISOString() })).toEqual({ status: 'scheduled', publishAt })
+  })
+
+  test('saving a draft wins over a publishAt', () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    expect(scheduleFromBody({ status: 'draft', publishAt })).toEqual({ status: 'draft', publishAt: null })
+  })
+
+  test('publishAt must be a valid date in the future', () => {
+    expect(() => scheduleFromBody({ publishAt: 'next tuesday' })).toThrow('publishAt must be a valid date')
+    expect(() => scheduleFromBody({ publishAt: '2020-01-01T00:00:00Z' })).toThrow('publishAt must be in the future')
+  })
+})
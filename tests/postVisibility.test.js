@@ -0,0 +1,101 @@
+const mongoose = require('mongoose')
+const Author = require('../models/author')
+const { visiblePostsFilter, visibleTo } = require('../services/postVisibility')
+
+const id = () => new mongoose.Types.ObjectId()
+
+// Just enough of Mongo's matching ($and, $or, $in, $nin, $ne, equality) to run the filter on plain posts
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, cond]) => {
+    if (key === '$and') return cond.every((f) => matches(doc, f))
+    if (key === '$or') return cond.some((f) => matches(doc, f))
+    const value = doc[key]
+    // As in Mongo, null also matches a missing field
+    if (cond === null) return value === null || value === undefined
+    if (cond && cond.$in) return cond.$in.some((v) => String(v) === String(value))
+    if (cond && cond.$nin) return !cond.$nin.some((v) => String(v) === String(value))
+    if (cond && cond.$ne) return String(cond.$ne) !== String(value)
+    return String(cond) === String(value)
+  })
+
+describe('post visibility policy', () => {
+  const publicAuthor = id()
+  const privateAuthor = id()
+
+  const posts = {
+    public: { author: publicAuthor, audience: 'public', isPrivate: false },
+    followersOnly: { author: publicAuthor, audience: 'followers', isPrivate: true },
+    closeFriends: { author: publicAuthor, audience: 'closeFriends', isPrivate: true },
+    privateAccount: { author: privateAuthor, audience: 'public', isPrivate: false, authorIsPrivate: true },
+  }
+  const visible = (viewer, context = {}) =>
+    Object.keys(posts).filter((name) => matches(posts[name], visiblePostsFilter(viewer, context)))
+
+  test('anonymous viewers only see public posts by public accounts', () => {
+    expect(visible(null)).toEqual(['public'])
+  })
+
+  test('logged-in strangers see no more than anonymous viewers', () => {
+    expect(visible({ _id: id(), following: [] })).toEqual(['public'])
+  })
+
+  test('followers see followers-only posts and private accounts they were approved for', () => {
+    expect(visible({ _id: id(), following: [publicAuthor] })).toEqual(['public', 'followersOnly'])
+    expect(visible({ _id: id(), following: [privateAuthor] })).toEqual(['public', 'privateAccount'])
+  })
+
+  test('close-friends posts need the author\'s close-friends list, not just a follow', () => {
+    expect(visible({ _id: id(), following: [publicAuthor] }, { closeFriendOfIds: [publicAuthor] }))
+      .toEqual(['public', 'followersOnly', 'closeFriends'])
+    expect(visible({ _id: id(), following: [] }, { closeFriendOfIds: [publicAuthor] }))
+      .toEqual(['public', 'closeFriends'])
+  })
+
+  test('posts from before audiences existed keep their followers-only setting', () => {
+    const legacy = { author: publicAuthor, isPrivate: true }
+    expect(matches(legacy, visiblePostsFilter({ _id: id(), following: [publicAuthor] }))).toBe(true)
+    expect(matches(legacy, visiblePostsFilter({ _id: id(), following: [] }))).toBe(false)
+  })
+
+  test('authors always see their own posts', () => {
+    expect(visible({ _id: publicAuthor, following: [] })).toEqual(['public', 'followersOnly', 'closeFriends'])
+    expect(visible({ _id: privateAuthor, following: [] })).toEqual(['public', 'privateAccount'])
+  })
+
+  test('blocking hides posts in both directions, even from followers', () => {
+    const viewer = { _id: id(), following: [publicAuthor], blocked: [] }
+    expect(visible(viewer, { blockedByIds: [publicAuthor], closeFriendOfIds: [publicAuthor] })).toEqual([])
+    expect(visible({ ...viewer, blocked: [publicAuthor] })).toEqual([])
+  })
+
+  test('drafts and scheduled posts are hidden from everyone, their author included', () => {
+    for (const status of ['draft', 'scheduled']) {
+      const unpublished = { ...posts.public, status }
+      expect(matches(unpublished, visiblePostsFilter(null))).toBe(false)
+      expect(matches(unpublished, visiblePostsFilter({ _id: publicAuthor, following: [] }))).toBe(false)
+    }
+    expect(matches({ ...posts.public, status: 'published' }, visiblePostsFilter(null))).toBe(true)
+  })
+
+  test('archived and deleted posts are hidden from everyone, their author included', () => {
+    for (const field of ['archivedAt', 'deletedAt']) {
+      const hidden = { ...posts.public, [field]: new Date() }
+      expect(matches(hidden, visiblePostsFilter(null))).toBe(false)
+      expect(matches(hidden, visiblePostsFilter({ _id: publicAuthor, following: [] }))).toBe(false)
+    }
+    expect(matches({ ...posts.public, archivedAt: null, deletedAt: null }, visiblePostsFilter(null))).toBe(true)
+  })
+
+  test('visibleTo adds the policy to the caller\'s own conditions', async () => {
+    const spy = jest.spyOn(Author, 'distinct').mockResolvedValue([])
+    const filter = await visibleTo(null, { hashtags: 'travel' })
+    // Private accounts are read from the posts themselves, so anonymous reads look no authors up
+    expect(spy).not.toHaveBeenCalled()
+    spy.mockRestore()
+
+    expect(filter.$and[0]).toEqual({ hashtags: 'travel' })
+    expect(matches({ ...posts.public, hashtags: 'travel' }, filter)).toBe(true)
+    expect(matches({ ...posts.privateAccount, hashtags: 'travel' }, filter)).toBe(false)
+    expect(matches({ ...posts.public, hashtags: 'food' }, filter)).toBe(false)
+  })
+})
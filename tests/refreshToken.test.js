@@ -0,0 +1,70 @@
+const mongoose = require('mongoose')
+const RefreshToken = require('../models/refreshToken')
+const Session = require('../models/session')
+
+describe('refresh token rotation', () => {
+  const author = new mongoose.Types.ObjectId()
+  const family = String(new mongoose.Types.ObjectId())
+  const revoked = (secondsAgo) => {
+    const at = new Date(Date.now() - secondsAgo * 1000)
+    return { _id: new mongoose.Types.ObjectId(), author, family, revokedAt: at, rotatedAt: at, expiresAt: new Date(Date.now() + 60000) }
+  }
+
+  afterEach(() => jest.restoreAllMocks())
+
+  // Rotate 'old' once and return the revoked document as the database would then hold it
+  const rotateOnce = async () => {
+    const fresh = { ...revoked(0), revokedAt: null, rotatedAt: null }
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValueOnce(fresh)
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(fresh)
+    const create = jest.spyOn(RefreshToken, 'create').mockResolvedValue({})
+    const { refreshToken } = await RefreshToken.rotate('old')
+    expect(create).toHaveBeenCalledTimes(1)
+    return { refreshToken, doc: { ...fresh, ...claim.mock.calls[0][1] } }
+  }
+
+  test('a token rotated a moment ago (a parallel request) gets the same next token, not a new one', async () => {
+    const { refreshToken, doc } = await rotateOnce()
+    expect(doc.replacedBy).not.toContain(refreshToken)
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(doc)
+    const killFamily = jest.spyOn(RefreshToken, 'updateMany')
+
+    expect(await RefreshToken.rotate('old')).toEqual({ authorId: author, refreshToken, family })
+    expect(await RefreshToken.rotate('old')).toEqual({ authorId: author, refreshToken, family })
+    expect(RefreshToken.create).toHaveBeenCalledTimes(1)
+    expect(killFamily).not.toHaveBeenCalled()
+  })
+
+  test('the successor can only be read back with the old token', async () => {
+    const { doc } = await rotateOnce()
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(doc)
+    await expect(RefreshToken.rotate('guess')).rejects.toThrow()
+  })
+
+  test('the request that loses a concurrent rotation gets the winner\'s token', async () => {
+    const { refreshToken, doc } = await rotateOnce()
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ ...doc, revokedAt: null })
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null)
+    jest.spyOn(RefreshToken, 'findById').mockResolvedValue(doc)
+
+    expect((await RefreshToken.rotate('old')).refreshToken).toBe(refreshToken)
+    expect(RefreshToken.create).toHaveBeenCalledTimes(1)
+  })
+
+  test('reusing a token after the grace window revokes the whole family', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(revoked(60))
+    const killFamily = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({})
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({})
+
+    await expect(RefreshToken.rotate('old')).rejects.toThrow('Refresh token reuse detected')
+    expect(killFamily).toHaveBeenCalledWith({ family, revokedAt: null }, expect.anything())
+  })
+
+  test('a logged-out token (revoked, never rotated) is reuse', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ ...revoked(1), rotatedAt: null })
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({})
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({})
+
+    await expect(RefreshToken.rotate('old')).rejects.toThrow('Refresh token reuse detected')
+  })
+})
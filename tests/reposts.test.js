@@ -0,0 +1,63 @@
+const mongoose = require('mongoose')
+const Author = require('../models/author')
+const Repost = require('../models/repost')
+const { repost, feedReposts, mergeFeed } = require('../services/reposts')
+
+const id = () => new mongoose.Types.ObjectId()
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes))
+
+describe('reposts in the feed', () => {
+  const older = { _id: id(), createdAt: at(0) }
+  const newer = { _id: id(), createdAt: at(10) }
+
+  test('posts and reposts are merged newest first', () => {
+    const shared = { _id: id(), post: { _id: id(), createdAt: at(1) }, createdAt: at(5), caption: '' }
+    const items = mergeFeed([newer, older], [shared], 20)
+    expect(items.map(({ post, repost }) => [post._id, repost && repost._id])).toEqual([
+      [newer._id, null],
+      [shared.post._id, shared._id],
+      [older._id, null],
+    ])
+  })
+
+  test('a post shows once, at its latest repost; quotes always show', () => {
+    const plain = { _id: id(), post: older, createdAt: at(20), caption: '' }
+    const again = { _id: id(), post: older, createdAt: at(15), caption: '' }
+    const quote = { _id: id(), post: older, createdAt: at(12), caption: 'So good' }
+    const items = mergeFeed([newer, older], [plain, again, quote], 20)
+    expect(items.map(({ repost }) => repost && repost._id)).toEqual([plain._id, quote._id, null])
+    expect(items[2].post).toBe(newer)
+  })
+
+  test('the feed is cut to the limit', () => {
+    const reposts = [1, 2, 3].map((m) => ({ _id: id(), post: { _id: id(), createdAt: at(0) }, createdAt: at(m), caption: '' }))
+    expect(mergeFeed([newer, older], reposts, 3)).toHaveLength(3)
+  })
+
+  test('authors cannot repost their own posts', async () => {
+    const author = id()
+    await expect(repost({ _id: id(), author }, author)).rejects.toThrow('You cannot repost your own post')
+  })
+
+  test('reposts of muted authors\' posts stay out of the feed', async () => {
+    const viewer = { _id: id(), following: [id()], muted: [id()], blocked: [] }
+    const shown = { _id: id(), post: { _id: id() } }
+    const populates = []
+    const query = {
+      populate: (arg) => { populates.push(arg); return query },
+      sort: () => query,
+      limit: () => Promise.resolve([shown, { _id: id(), post: null }]),
+    }
+    const find = jest.spyOn(Repost, 'find').mockReturnValue(query)
+    const distinct = jest.spyOn(Author, 'distinct').mockResolvedValue([])
+    const items = await feedReposts(viewer, 20)
+    const [filter] = find.mock.calls[0]
+    find.mockRestore()
+    distinct.mockRestore()
+
+    expect(filter.author.$nin).toBe(viewer.muted)
+    const { match } = populates.find((arg) => arg.path === 'post')
+    expect(match.$and[0]).toEqual({ author: { $nin: viewer.muted } })
+    expect(items).toEqual([shown])
+  })
+})
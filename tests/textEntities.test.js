@@ -0,0 +1,58 @@
+const mongoose = require('mongoose')
+const Author = require('../models/author')
+const Post = require('../models/post')
+const Comment = require('../models/comment')
+const { tokenize, extractHashtags, extractHandles } = require('../services/textEntities')
+
+describe('hashtags and mentions in text', () => {
+  test('tags and handles are found, normalised and de-duplicated', () => {
+    const text = 'Golden hour #Travel #café with @Jane.Doe and @jane.doe. #travel!'
+    expect(extractHashtags(text)).toEqual(['travel', 'café'])
+    expect(extractHandles(text)).toEqual(['jane.doe'])
+  })
+
+  test('emails, HTML entities and words with # inside are not matched', () => {
+    expect(tokenize('write to jane@example.com &#39; C#sharp')).toEqual([
+      { type: 'text', value: 'write to jane@example.com &#39; C#sharp' },
+    ])
+  })
+
+  test('the pieces join back into the original text', () => {
+    const text = '@jordan.blake: sunset at #Malibu, right?'
+    const tokens = tokenize(text)
+    expect(tokens.map((t) => t.value).join('')).toBe(text)
+    expect(tokens.filter((t) => t.type !== 'text')).toEqual([
+      { type: 'mention', value: '@jordan.blake', handle: 'jordan.blake' },
+      { type: 'tag', value: '#Malibu', tag: 'malibu' },
+    ])
+  })
+
+  test('posts take their hashtags from the caption, plus the ones sent', async () => {
+    const post = new Post({ author: new mongoose.Types.ObjectId(), caption: 'Beach day #Summer', hashtags: ['#Sun'] })
+    await post.validate()
+    expect(post.hashtags).toEqual(['summer', 'sun'])
+
+    // Once saved, editing the caption re-derives them
+    const saved = Post.hydrate(post.toObject())
+    saved.caption = 'Rainy day #autumn'
+    await saved.validate()
+    expect(saved.hashtags).toEqual(['autumn'])
+  })
+
+  test('mentions are resolved to the authors with those handles', async () => {
+    const jane = new mongoose.Types.ObjectId()
+    const spy = jest.spyOn(Author, 'distinct').mockResolvedValue([jane])
+    const comment = new Comment({
+      post: new mongoose.Types.ObjectId(),
+      author: new mongoose.Types.ObjectId(),
+      content: 'Love this @Jane.Doe #goals',
+    })
+    await comment.validate()
+    const lookups = spy.mock.calls
+    spy.mockRestore()
+
+    expect(lookups).toEqual([['_id', { handle: { $in: ['jane.doe'] } }]])
+    expect(comment.mentions.map(String)).toEqual([String(jane)])
+    expect(comment.hashtags).toEqual(['goals'])
+  })
+})
@@ -0,0 +1,27 @@
+const totp = require('../services/totp')
+
+// RFC 6238 appendix B test secret (ASCII "12345678901234567890"), SHA-1
+const secret = totp.base32Encode(Buffer.from('12345678901234567890'))
+
+describe('TOTP helpers', () => {
+  test('generates the RFC 6238 reference codes (last 6 digits)', () => {
+    expect(totp.generate(secret, Math.floor(59 / 30))).toBe('287082')
+    expect(totp.generate(secret, Math.floor(1111111109 / 30))).toBe('081804')
+    expect(totp.generate(secret, Math.floor(2000000000 / 30))).toBe('279037')
+  })
+
+  test('accepts codes within one step of clock drift and rejects others', () => {
+    const now = 1111111109 * 1000
+    expect(totp.verify('081804', secret, { now })).toBe(Math.floor(1111111109 / 30))
+    expect(totp.verify('081804', secret, { now: now + 30 * 1000 })).not.toBeNull()
+    expect(totp.verify('081804', secret, { now: now + 90 * 1000 })).toBeNull()
+    expect(totp.verify('not-a-code', secret, { now })).toBeNull()
+  })
+
+  test('base32 round-trips and builds an otpauth URI', () => {
+    const generated = totp.generateSecret()
+    expect(totp.base32Encode(totp.base32Decode(generated))).toBe(generated)
+    const uri = totp.keyUri({ account: 'ali@example.com', issuer: 'FlickGallery', secret: generated })
+    expect(uri).toMatch(/^otpauth:\/\/totp\/FlickGallery%3Aali%40example\.com\?secret=/)
+  })
+})
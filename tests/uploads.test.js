@@ -0,0 +1,48 @@
+const fs = require('fs/promises')
+const mongoose = require('mongoose')
+const Upload = require('../models/upload')
+const Post = require('../models/post')
+const PostRevision = require('../models/postRevision')
+const Author = require('../models/author')
+const { removeUploads } = require('../services/accountDeletion')
+
+// Upload.find(...).distinct(...) resolving to `filenames`
+const mockOwned = (filenames) =>
+  jest.spyOn(Upload, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue(filenames) })
+
+describe('uploaded files', () => {
+  const author = new mongoose.Types.ObjectId()
+  afterEach(() => jest.restoreAllMocks())
+
+  test('only /uploads URLs of files we stored count as uploads', () => {
+    expect(Upload.filenameOf('/uploads/processed-images-1.jpg')).toBe('processed-images-1.jpg')
+    expect(Upload.filenameOf('/uploads/../.env')).toBeNull()
+    expect(Upload.filenameOf('https://example.com/uploads/a.jpg')).toBeNull()
+    expect(Upload.filenameOf({ url: '/uploads/a.jpg' })).toBeNull()
+  })
+
+  test('clients may use external images and their own uploads, not someone else\'s', async () => {
+    mockOwned(['mine.jpg'])
+    await expect(Upload.checkUrls(author, ['https://cdn.example.com/a.jpg', '/uploads/mine.jpg'])).resolves.toBeUndefined()
+    await expect(Upload.checkUrls(author, ['/uploads/theirs.jpg'])).rejects.toThrow('You can only use images you uploaded')
+    for (const url of ['/images/../uploads/theirs.jpg', 'javascript:alert(1)', { url: '/uploads/mine.jpg' }, undefined]) {
+      await expect(Upload.checkUrls(author, [url])).rejects.toThrow('Images must be http(s) URLs or images you uploaded')
+    }
+  })
+
+  test('removing uploads only deletes the author\'s own files that nothing shows any more', async () => {
+    const find = mockOwned(['gone.jpg', 'shown.jpg'])
+    jest.spyOn(Post, 'exists').mockImplementation((query) => Promise.resolve(query.$or[0]['media.url'] === '/uploads/shown.jpg'))
+    jest.spyOn(PostRevision, 'exists').mockResolvedValue(null)
+    jest.spyOn(Author, 'exists').mockResolvedValue(null)
+    const unlink = jest.spyOn(fs, 'unlink').mockResolvedValue()
+    const deleteOne = jest.spyOn(Upload, 'deleteOne').mockResolvedValue({})
+
+    await removeUploads(author, ['/uploads/gone.jpg', '/uploads/shown.jpg', '/uploads/theirs.jpg', 'https://x.test/a.jpg'])
+
+    expect(find).toHaveBeenCalledWith({ author, filename: { $in: ['gone.jpg', 'shown.jpg', 'theirs.jpg'] } })
+    expect(unlink).toHaveBeenCalledTimes(1)
+    expect(unlink.mock.calls[0][0]).toMatch(/gone\.jpg$/)
+    expect(deleteOne).toHaveBeenCalledWith({ filename: 'gone.jpg' })
+  })
+})
@@ -0,0 +1,82 @@
+const React = require('react');
+const Layout = require('../layouts/Layout');
+
+function Credentials({ token, csrfToken, author, message, error }) {
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div className="edit-profile-container">
+        <div className="edit-profile-card">
+          <div className="edit-profile-header">
+            <h2 className="edit-profile-title">Password & Email</h2>
+          </div>
+
+          {error && <div className="alert alert-danger">{error}</div>}
+          {message && (
+            <p style={{ padding: '0.75rem 1rem', background: '#fafafa', border: '1px solid #dbdbdb', borderRadius: '8px', fontSize: '0.875rem' }}>
+              {message}
+            </p>
+          )}
+
+          {/* ── Change password ── */}
+          <form className="edit-profile-form" action="/authors/password?_method=PUT" method="POST">
+            <input type="hidden" name="_csrf" value={csrfToken} />
+            <h3 style={{ fontSize: '1rem', fontWeight: '600' }}>Change password</h3>
+            <p style={{ fontSize: '0.8rem', color: '#8e8e8e' }}>
+              At least 8 characters, mixing letters, numbers or symbols, and not containing your name or email.
+              Your other devices will be logged out.
+            </p>
+            <div className="edit-form-fields">
+              <div className="form-field-group">
+                <label htmlFor="currentPassword" className="field-label">Current password</label>
+                <input type="password" id="currentPassword" name="currentPassword" className="edit-profile-input" autoComplete="current-password" required />
+              </div>
+              <div className="form-field-group">
+                <label htmlFor="newPassword" className="field-label">New password</label>
+                <input type="password" id="newPassword" name="newPassword" className="edit-profile-input" autoComplete="new-password" minLength={8} required />
+              </div>
+              <div className="form-field-group">
+                <label htmlFor="confirmPassword" className="field-label">Confirm new password</label>
+                <input type="password" id="confirmPassword" name="confirmPassword" className="edit-profile-input" autoComplete="new-password" minLength={8} required />
+              </div>
+            </div>
+            <div className="edit-profile-actions">
+              <button type="submit" className="save-profile-btn">
+                <i className="fas fa-key"></i>
+                Change password
+              </button>
+            </div>
+          </form>
+
+          {/* ── Change email (confirmed from the new address) ── */}
+          <form className="edit-profile-form" action="/authors/email?_method=PUT" method="POST" style={{ borderTop: '1px solid #dbdbdb', marginTop: '1.5rem', paddingTop: '1rem' }}>
+            <input type="hidden" name="_csrf" value={csrfToken} />
+            <h3 style={{ fontSize: '1rem', fontWeight: '600' }}>Change email</h3>
+            <p style={{ fontSize: '0.8rem', color: '#8e8e8e' }}>
+              You log in with <strong>{author.email}</strong>.
+              {author.pendingEmail && <> Waiting for you to confirm <strong>{author.pendingEmail}</strong> from the link we emailed.</>}
+            </p>
+            <div className="edit-form-fields">
+              <div className="form-field-group">
+                <label htmlFor="email" className="field-label">New email</label>
+                <input type="email" id="email" name="email" className="edit-profile-input" required />
+              </div>
+              <div className="form-field-group">
+                <label htmlFor="emailPassword" className="field-label">Current password</label>
+                <input type="password" id="emailPassword" name="password" className="edit-profile-input" autoComplete="current-password" required />
+              </div>
+            </div>
+            <div className="edit-profile-actions">
+              <button type="submit" className="save-profile-btn">
+                <i className="fas fa-envelope"></i>
+                Send confirmation link
+              </button>
+              <a href="/authors/edit" className="cancel-btn">Back</a>
+            </div>
+          </form>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+module.exports = Credentials;
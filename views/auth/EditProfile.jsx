@@ -2,21 +2,24 @@ const React = require('react');
 const Layout = require('../layouts/Layout');
 const { getAvatarUrl } = require('../utils/avatar');
 
-function EditProfile({ author, token }) {
+function EditProfile({ author, token, csrfToken, error }) {
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       <div className="edit-profile-container">
         <div className="edit-profile-card">
           <div className="edit-profile-header">
             <h2 className="edit-profile-title">Edit Profile</h2>
           </div>
 
+          {error && <div className="alert alert-danger">{error}</div>}
+
           <form
             className="edit-profile-form"
             action="/authors/profile?_method=PUT"
             method="POST"
             encType="multipart/form-data"
           >
+            <input type="hidden" name="_csrf" value={csrfToken} />
             {/* Profile Picture Section */}
             <div className="profile-picture-section">
               <div className="profile-picture-container">
@@ -70,6 +73,22 @@ function EditProfile({ author, token }) {
                 />
               </div>
 
+              <div className="form-field-group">
+                <label htmlFor="handle" className="field-label">Username</label>
+                <input
+                  type="text"
+                  id="handle"
+                  name="handle"
+                  defaultValue={author.handle}
+                  className="edit-profile-input"
+                  placeholder="your.handle"
+                  pattern="@?[A-Za-z0-9_.]{3,30}"
+                />
+                <small style={{ color: '#8e8e8e', fontSize: '0.75rem' }}>
+                  Your profile lives at /@{author.handle}. Links to an old username keep working.
+                </small>
+              </div>
+
               <div className="form-field-group">
                 <label htmlFor="bio" className="field-label">Bio</label>
                 <textarea
@@ -81,6 +100,17 @@ function EditProfile({ author, token }) {
                   rows="4"
                 />
               </div>
+
+              <div className="form-field-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: '600', fontSize: '0.9rem' }}>
+                  <input type="checkbox" name="isPrivate" defaultChecked={author.isPrivate} />
+                  Private account
+                </label>
+                <small style={{ color: '#8e8e8e', fontSize: '0.75rem' }}>
+                  Only followers you approve can see your posts and who you follow. Making your account
+                  public approves any pending requests.
+                </small>
+              </div>
             </div>
 
             {/* Action Buttons */}
@@ -95,6 +125,52 @@ function EditProfile({ author, token }) {
               </a>
             </div>
           </form>
+
+          {/* Account security */}
+          <div style={{ borderTop: '1px solid #dbdbdb', marginTop: '1.5rem', paddingTop: '1rem' }}>
+            <a href="/authors/credentials" style={{ color: '#0095f6', textDecoration: 'none', fontWeight: '600', fontSize: '0.9rem', display: 'inline-block', marginBottom: '0.75rem' }}>
+              <i className="fas fa-key" style={{ marginRight: '0.4rem' }}></i>
+              Password & email
+            </a>
+            <br />
+            <a href="/authors/2fa" style={{ color: '#0095f6', textDecoration: 'none', fontWeight: '600', fontSize: '0.9rem' }}>
+              <i className="fas fa-shield-alt" style={{ marginRight: '0.4rem' }}></i>
+              Two-factor authentication {author.twoFactorEnabled ? '(on)' : '(off)'}
+            </a>
+            <br />
+            <a href="/authors/follow-requests" style={{ color: '#0095f6', textDecoration: 'none', fontWeight: '600', fontSize: '0.9rem', display: 'inline-block', marginTop: '0.75rem' }}>
+              <i className="fas fa-user-clock" style={{ marginRight: '0.4rem' }}></i>
+              Follow requests
+            </a>
+            <br />
+            <a href="/authors/close-friends" style={{ color: '#0095f6', textDecoration: 'none', fontWeight: '600', fontSize: '0.9rem', display: 'inline-block', marginTop: '0.75rem' }}>
+              <i className="fas fa-star" style={{ marginRight: '0.4rem' }}></i>
+              Close friends
+            </a>
+            <br />
+            <a href="/authors/blocked" style={{ color: '#0095f6', textDecoration: 'none', fontWeight: '600', fontSize: '0.9rem', display: 'inline-block', marginTop: '0.75rem' }}>
+              <i className="fas fa-ban" style={{ marginRight: '0.4rem' }}></i>
+              Blocked accounts
+            </a>
+            <br />
+            <a href="/authors/sessions" style={{ color: '#0095f6', textDecoration: 'none', fontWeight: '600', fontSize: '0.9rem', display: 'inline-block', marginTop: '0.75rem' }}>
+              <i className="fas fa-laptop" style={{ marginRight: '0.4rem' }}></i>
+              Where you're logged in
+            </a>
+          </div>
+
+          {/* Delete account */}
+          <form action="/authors/profile?_method=DELETE" method="POST" style={{ borderTop: '1px solid #dbdbdb', marginTop: '1.5rem', paddingTop: '1rem' }}>
+            <input type="hidden" name="_csrf" value={csrfToken} />
+            <p style={{ fontSize: '0.8rem', color: '#8e8e8e' }}>
+              Your posts, comments, likes and messages will be permanently removed once a grace period
+              (30 days by default) ends. Log in again before then to change your mind.
+            </p>
+            <button type="submit" className="cancel-btn" style={{ color: '#ed4956' }}>
+              <i className="fas fa-trash-alt" style={{ marginRight: '0.4rem' }}></i>
+              Delete account
+            </button>
+          </form>
         </div>
       </div>
     </Layout>
@@ -0,0 +1,72 @@
+const React = require('react');
+
+function ForgotPassword({ error, success }) {
+  return (
+    <html lang="en">
+      <head>
+        <meta charSet="UTF-8" />
+        <title>Reset Password - FlickGallery</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link
+          href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/css/bootstrap.min.css"
+          rel="stylesheet"
+        />
+        <link
+          href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css"
+          rel="stylesheet"
+        />
+        <link rel="stylesheet" href="/styles.css" />
+        <link rel="preconnect" href="https://fonts.googleapis.com" />
+        <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin />
+        <link href="https://fonts.googleapis.com/css2?family=Dancing+Script:wght@400;700&display=swap" rel="stylesheet" />
+      </head>
+
+      <body>
+        <div id="wrapper">
+          <div className="container d-flex justify-content-center align-items-center flex-column mt-5">
+            <div className="form-data p-4 shadow rounded bg-white">
+              {/* Flash Messages */}
+              {error ? (
+                <div className="alert alert-danger">{error}</div>
+              ) : success ? (
+                <div className="alert alert-success">{success}</div>
+              ) : null}
+
+              <form action="/authors/forgot-password" method="POST">
+                <div className="logo text-center mb-3">
+                  <h1 style={{ fontFamily: '"Dancing Script", cursive', fontSize: '2.8rem', fontWeight: '700', color: '#262626' }}>FlickGallery</h1>
+                </div>
+
+                <h2 className="text-center mb-2" style={{ fontSize: '1rem', fontWeight: '600' }}>Trouble logging in?</h2>
+                <p className="text-center text-muted mb-3" style={{ fontSize: '0.875rem' }}>
+                  Enter your email and we'll send you a link to reset your password.
+                </p>
+
+                {/* Email */}
+                <input
+                  className="form-control mb-3"
+                  type="email"
+                  name="email"
+                  placeholder="Email address"
+                  required
+                />
+
+                <button className="btn btn-primary w-100 mb-3" type="submit">
+                  Send reset link
+                </button>
+              </form>
+
+              <div className="text-center mt-2">
+                <a href="/authors/login">Back to login</a>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <script src="/flashMessages.js"></script>
+      </body>
+    </html>
+  );
+}
+
+module.exports = ForgotPassword;
@@ -0,0 +1,78 @@
+const React = require('react');
+
+function ResetPassword({ token, error }) {
+  return (
+    <html lang="en">
+      <head>
+        <meta charSet="UTF-8" />
+        <title>Choose a New Password - FlickGallery</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link
+          href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/css/bootstrap.min.css"
+          rel="stylesheet"
+        />
+        <link
+          href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css"
+          rel="stylesheet"
+        />
+        <link rel="stylesheet" href="/styles.css" />
+        <link rel="preconnect" href="https://fonts.googleapis.com" />
+        <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin />
+        <link href="https://fonts.googleapis.com/css2?family=Dancing+Script:wght@400;700&display=swap" rel="stylesheet" />
+      </head>
+
+      <body>
+        <div id="wrapper">
+          <div className="container d-flex justify-content-center align-items-center flex-column mt-5">
+            <div className="form-data p-4 shadow rounded bg-white">
+              {/* Flash Messages */}
+              {error && <div className="alert alert-danger">{error}</div>}
+
+              <form action="/authors/reset-password" method="POST">
+                <div className="logo text-center mb-3">
+                  <h1 style={{ fontFamily: '"Dancing Script", cursive', fontSize: '2.8rem', fontWeight: '700', color: '#262626' }}>FlickGallery</h1>
+                </div>
+
+                <h2 className="text-center mb-3" style={{ fontSize: '1rem', fontWeight: '600' }}>Choose a new password</h2>
+
+                {/* Token from the emailed link */}
+                <input type="hidden" name="token" value={token || ''} />
+
+                {/* New password */}
+                <div className="mb-3 position-relative">
+                  <input
+                    id="password"
+                    className="form-control"
+                    type="password"
+                    name="password"
+                    placeholder="New password"
+                    minLength={8}
+                    required
+                  />
+                  <i
+                    className="fas fa-eye position-absolute top-50 end-0 translate-middle-y me-3"
+                    id="togglePassword"
+                    style={{ cursor: 'pointer' }}
+                  ></i>
+                </div>
+
+                <button className="btn btn-primary w-100 mb-3" type="submit">
+                  Reset password
+                </button>
+              </form>
+
+              <div className="text-center mt-2">
+                <a href="/authors/login">Back to login</a>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <script src="/passToggle.js"></script>
+        <script src="/flashMessages.js"></script>
+      </body>
+    </html>
+  );
+}
+
+module.exports = ResetPassword;
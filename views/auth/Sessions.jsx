@@ -0,0 +1,69 @@
+const React = require('react');
+const Layout = require('../layouts/Layout');
+const { describeUserAgent } = require('../utils/device');
+
+function Sessions({ token, csrfToken, sessions = [], currentSessionId, message }) {
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div className="edit-profile-container">
+        <div className="edit-profile-card">
+          <div className="edit-profile-header">
+            <h2 className="edit-profile-title">Where You're Logged In</h2>
+          </div>
+
+          {message && (
+            <p style={{ padding: '0.75rem 1rem', background: '#fafafa', border: '1px solid #dbdbdb', borderRadius: '8px', fontSize: '0.875rem' }}>
+              {message}
+            </p>
+          )}
+
+          <p style={{ fontSize: '0.9rem' }}>
+            These devices are logged in to your account. If you don't recognise one, log it out and change your password.
+          </p>
+
+          {/* ── One row per active session ── */}
+          <ul style={{ listStyle: 'none', padding: 0, margin: '1rem 0' }}>
+            {sessions.map((session) => {
+              const isCurrent = String(session._id) === currentSessionId;
+              return (
+                <li key={session._id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '0.75rem 0', borderBottom: '1px solid #efefef' }}>
+                  <div>
+                    <div style={{ fontWeight: '600', fontSize: '0.9rem' }}>
+                      <i className="fas fa-laptop" style={{ marginRight: '0.4rem' }}></i>
+                      {describeUserAgent(session.userAgent)}
+                      {isCurrent && <span style={{ color: '#2e7d32', marginLeft: '0.5rem', fontWeight: '400' }}>This device</span>}
+                    </div>
+                    <div style={{ fontSize: '0.8rem', color: '#8e8e8e' }}>
+                      {session.ip || 'Unknown IP'} · Logged in {new Date(session.createdAt).toLocaleDateString()} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <form action={`/authors/sessions/${session._id}?_method=DELETE`} method="POST">
+                    <input type="hidden" name="_csrf" value={csrfToken} />
+                    <button type="submit" className="cancel-btn">Log out</button>
+                  </form>
+                </li>
+              );
+            })}
+          </ul>
+
+          {/* ── Log out everywhere (including this browser) ── */}
+          <form className="edit-profile-form" action="/authors/sessions/logout-all" method="POST">
+            <input type="hidden" name="_csrf" value={csrfToken} />
+            <p style={{ fontSize: '0.875rem', color: '#8e8e8e' }}>
+              This also revokes your API keys and the apps you have approved.
+            </p>
+            <div className="edit-profile-actions">
+              <button type="submit" className="save-profile-btn" style={{ background: '#ed4956' }}>
+                <i className="fas fa-sign-out-alt"></i>
+                Log out everywhere
+              </button>
+              <a href="/authors/edit" className="cancel-btn">Back</a>
+            </div>
+          </form>
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+module.exports = Sessions;
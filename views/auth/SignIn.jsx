@@ -1,6 +1,6 @@
 const React = require('react');
 
-function SignIn({ error, success }) {
+function SignIn({ error, success, lockedOut, next }) {
   return (
     <html lang="en">
       <head>
@@ -30,7 +30,13 @@ function SignIn({ error, success }) {
 
             <div className="form-data p-4 shadow rounded bg-white">
               {/* Flash Messages */}
-              {error ? (
+              {lockedOut ? (
+                <div className="alert alert-warning">
+                  <i className="fas fa-lock me-2"></i>
+                  {lockedOut}{' '}
+                  <a href="/authors/forgot-password">Reset your password</a> if you've forgotten it.
+                </div>
+              ) : error ? (
                 <div className="alert alert-danger">{error}</div>
               ) : success ? (
                 <div className="alert alert-success">{success}</div>
@@ -41,6 +47,9 @@ function SignIn({ error, success }) {
                   <h1 style={{ fontFamily: '"Dancing Script", cursive', fontSize: '2.8rem', fontWeight: '700', color: '#262626' }}>FlickGallery</h1>
                 </div>
 
+                {/* Page to return to after logging in */}
+                {next && <input type="hidden" name="next" value={next} />}
+
                 {/* Email */}
                 <input
                   className="form-control mb-2"
@@ -70,6 +79,10 @@ function SignIn({ error, success }) {
                 <button className="btn btn-primary w-100 mb-3" type="submit">
                   Log In
                 </button>
+
+                <div className="text-center">
+                  <a href="/authors/forgot-password" style={{ fontSize: '0.85rem' }}>Forgot password?</a>
+                </div>
               </form>
 
               <div className="sign-up text-center mt-4">
@@ -67,6 +67,7 @@ function SignUp({ error, success }) {
                     type="password"
                     name="password"
                     placeholder="Password"
+                    minLength={8}
                     required
                   />
                   <i
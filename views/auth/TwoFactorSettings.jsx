@@ -0,0 +1,96 @@
+const React = require('react');
+const Layout = require('../layouts/Layout');
+
+function TwoFactorSettings({ token, csrfToken, twoFactorEnabled, qrCode, secret, recoveryCodes, recoveryCodesLeft, message }) {
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div className="edit-profile-container">
+        <div className="edit-profile-card">
+          <div className="edit-profile-header">
+            <h2 className="edit-profile-title">Two-Factor Authentication</h2>
+          </div>
+
+          {message && (
+            <p style={{ padding: '0.75rem 1rem', background: '#fafafa', border: '1px solid #dbdbdb', borderRadius: '8px', fontSize: '0.875rem' }}>
+              {message}
+            </p>
+          )}
+
+          {/* ── Recovery codes (shown once, right after enabling) ── */}
+          {recoveryCodes && (
+            <div style={{ marginBottom: '1.5rem' }}>
+              <p style={{ fontWeight: '600', marginBottom: '0.5rem' }}>
+                <i className="fas fa-check-circle" style={{ color: '#2e7d32', marginRight: '0.4rem' }}></i>
+                Two-factor authentication is on. Save these recovery codes somewhere safe:
+              </p>
+              <p style={{ fontSize: '0.85rem', color: '#8e8e8e' }}>
+                Each code can be used once to log in if you lose your phone. You won't see them again.
+              </p>
+              <pre style={{ background: '#fafafa', border: '1px solid #dbdbdb', borderRadius: '8px', padding: '1rem', columns: 2 }}>
+                {recoveryCodes.join('\n')}
+              </pre>
+            </div>
+          )}
+
+          {twoFactorEnabled ? (
+            /* ── Disable (re-authenticate with password + code) ── */
+            <form className="edit-profile-form" action="/authors/2fa/disable" method="POST">
+              <input type="hidden" name="_csrf" value={csrfToken} />
+              {!recoveryCodes && (
+                <p style={{ fontSize: '0.9rem' }}>
+                  Two-factor authentication is <strong>on</strong>. You have {recoveryCodesLeft} unused recovery codes.
+                </p>
+              )}
+              <div className="edit-form-fields">
+                <div className="form-field-group">
+                  <label htmlFor="password" className="field-label">Password</label>
+                  <input type="password" id="password" name="password" className="edit-profile-input" required />
+                </div>
+                <div className="form-field-group">
+                  <label htmlFor="code" className="field-label">Authenticator or recovery code</label>
+                  <input type="text" id="code" name="code" className="edit-profile-input" autoComplete="one-time-code" required />
+                </div>
+              </div>
+              <div className="edit-profile-actions">
+                <button type="submit" className="save-profile-btn" style={{ background: '#ed4956' }}>
+                  Turn off two-factor authentication
+                </button>
+                <a href="/authors/edit" className="cancel-btn">Back</a>
+              </div>
+            </form>
+          ) : (
+            /* ── Enrol: scan the QR code, then confirm with a code ── */
+            <form className="edit-profile-form" action="/authors/2fa/enable" method="POST">
+              <input type="hidden" name="_csrf" value={csrfToken} />
+              <p style={{ fontSize: '0.9rem' }}>
+                Protect your account with a code from an authenticator app each time you log in.
+                Scan this QR code with the app, then enter the 6-digit code it shows.
+              </p>
+              <div style={{ textAlign: 'center', margin: '1rem 0' }}>
+                <img src={qrCode} alt="Two-factor QR code" style={{ width: '200px', height: '200px' }} />
+                <p style={{ fontSize: '0.8rem', color: '#8e8e8e', wordBreak: 'break-all' }}>
+                  Can't scan it? Enter this key instead: <code>{secret}</code>
+                </p>
+              </div>
+              <div className="edit-form-fields">
+                <div className="form-field-group">
+                  <label htmlFor="code" className="field-label">Code from the app</label>
+                  <input type="text" id="code" name="code" className="edit-profile-input" autoComplete="one-time-code" required />
+                </div>
+              </div>
+              <div className="edit-profile-actions">
+                <button type="submit" className="save-profile-btn">
+                  <i className="fas fa-shield-alt"></i>
+                  Turn on
+                </button>
+                <a href="/authors/edit" className="cancel-btn">Back</a>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+module.exports = TwoFactorSettings;
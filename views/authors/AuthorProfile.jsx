@@ -9,11 +9,11 @@ function formatCount(n) {
   return String(n)
 }
 
-function AuthorProfile({ author, currentUser, isFollowing, token }) {
+function AuthorProfile({ author, currentUser, isFollowing, followRequested, isBlocked, isMuted, isCloseFriend, canViewContent = true, token, csrfToken }) {
   const isOwnProfile = currentUser && currentUser.toString() === author._id.toString()
 
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       {/* Page-level back bar */}
       <div style={{
         display: 'flex',
@@ -77,8 +77,27 @@ function AuthorProfile({ author, currentUser, isFollowing, token }) {
               <h2 style={{ margin: 0, fontWeight: '300', fontSize: '1.6rem', letterSpacing: '-0.3px' }}>
                 {author.name}
               </h2>
+              {author.handle && <span style={{ color: '#8e8e8e', fontSize: '0.95rem' }}>@{author.handle}</span>}
 
-              {!isOwnProfile && (
+              {!isOwnProfile && isBlocked && (
+                <form action={`/authors/${author._id}/unblock`} method="POST" style={{ margin: 0, display: 'inline' }}>
+                  <input type="hidden" name="_csrf" value={csrfToken} />
+                  <button type="submit" style={{
+                    padding: '0.4rem 1.2rem',
+                    background: '#0095f6',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    fontWeight: '600',
+                    fontSize: '0.875rem',
+                    cursor: 'pointer',
+                  }}>
+                    Unblock
+                  </button>
+                </form>
+              )}
+
+              {!isOwnProfile && !isBlocked && (
                 <>
                   <a
                     href={`/messages/${author._id}`}
@@ -96,24 +115,74 @@ function AuthorProfile({ author, currentUser, isFollowing, token }) {
                   >
                     Message
                   </a>
+                  {/* Following or Requested: clicking again unfollows / cancels the request */}
                   <form
-                    action={isFollowing
+                    action={isFollowing || followRequested
                       ? `/authors/${author._id}/unfollow`
                       : `/authors/${author._id}/follow`}
                     method="POST"
                     style={{ margin: 0, display: 'inline' }}
                   >
+                    <input type="hidden" name="_csrf" value={csrfToken} />
                     <button type="submit" style={{
                       padding: '0.4rem 1.2rem',
-                      background: isFollowing ? 'white' : '#0095f6',
-                      color: isFollowing ? '#262626' : 'white',
-                      border: isFollowing ? '1px solid #dbdbdb' : 'none',
+                      background: isFollowing || followRequested ? 'white' : '#0095f6',
+                      color: isFollowing || followRequested ? '#262626' : 'white',
+                      border: isFollowing || followRequested ? '1px solid #dbdbdb' : 'none',
                       borderRadius: '8px',
                       fontWeight: '600',
                       fontSize: '0.875rem',
                       cursor: 'pointer',
                     }}>
-                      {isFollowing ? 'Following' : 'Follow'}
+                      {isFollowing ? 'Following' : followRequested ? 'Requested' : 'Follow'}
+                    </button>
+                  </form>
+                  {/* Close friends see your close-friends posts (they aren't told) */}
+                  <form
+                    action={`/authors/${author._id}/close-friend${isCloseFriend ? '?_method=DELETE' : ''}`}
+                    method="POST"
+                    style={{ margin: 0, display: 'inline' }}
+                  >
+                    <input type="hidden" name="_csrf" value={csrfToken} />
+                    <button type="submit" title={isCloseFriend ? 'Remove from close friends' : 'Add to close friends'} style={{
+                      padding: '0.4rem 0.8rem',
+                      background: isCloseFriend ? '#1cd14f' : 'white',
+                      color: isCloseFriend ? 'white' : '#262626',
+                      border: isCloseFriend ? 'none' : '1px solid #dbdbdb',
+                      borderRadius: '8px',
+                      fontSize: '0.875rem',
+                      cursor: 'pointer',
+                    }}>
+                      <i className="fas fa-star"></i> {isCloseFriend ? 'Close friend' : 'Add to close friends'}
+                    </button>
+                  </form>
+                  {/* Mute (they aren't told) and block */}
+                  <form action={`/authors/${author._id}/${isMuted ? 'unmute' : 'mute'}`} method="POST" style={{ margin: 0, display: 'inline' }}>
+                    <input type="hidden" name="_csrf" value={csrfToken} />
+                    <button type="submit" title={isMuted ? 'Show their posts in your feed again' : 'Hide their posts from your feed'} style={{
+                      padding: '0.4rem 0.8rem',
+                      background: 'white',
+                      color: '#262626',
+                      border: '1px solid #dbdbdb',
+                      borderRadius: '8px',
+                      fontSize: '0.875rem',
+                      cursor: 'pointer',
+                    }}>
+                      <i className={isMuted ? 'fas fa-volume-up' : 'fas fa-volume-mute'}></i> {isMuted ? 'Unmute' : 'Mute'}
+                    </button>
+                  </form>
+                  <form action={`/authors/${author._id}/block`} method="POST" style={{ margin: 0, display: 'inline' }}>
+                    <input type="hidden" name="_csrf" value={csrfToken} />
+                    <button type="submit" title="They won't be able to see your profile, follow you or message you" style={{
+                      padding: '0.4rem 0.8rem',
+                      background: 'white',
+                      color: '#ed4956',
+                      border: '1px solid #dbdbdb',
+                      borderRadius: '8px',
+                      fontSize: '0.875rem',
+                      cursor: 'pointer',
+                    }}>
+                      <i className="fas fa-ban"></i> Block
                     </button>
                   </form>
                 </>
@@ -159,7 +228,19 @@ function AuthorProfile({ author, currentUser, isFollowing, token }) {
         <div style={{ borderTop: '1px solid #dbdbdb', marginBottom: '1.5rem' }}></div>
 
         {/* ── Posts grid ── */}
-        {author.posts && author.posts.length > 0 ? (
+        {isBlocked ? (
+          <div style={{ textAlign: 'center', padding: '4rem 0', color: '#8e8e8e' }}>
+            <i className="fas fa-ban" style={{ fontSize: '3rem', marginBottom: '1rem', display: 'block' }}></i>
+            <p style={{ margin: 0, fontWeight: '600', color: '#262626' }}>You blocked this account</p>
+            <p style={{ margin: '0.25rem 0 0', fontSize: '0.9rem' }}>Unblock them to see their posts.</p>
+          </div>
+        ) : !canViewContent ? (
+          <div style={{ textAlign: 'center', padding: '4rem 0', color: '#8e8e8e' }}>
+            <i className="fas fa-lock" style={{ fontSize: '3rem', marginBottom: '1rem', display: 'block' }}></i>
+            <p style={{ margin: 0, fontWeight: '600', color: '#262626' }}>This account is private</p>
+            <p style={{ margin: '0.25rem 0 0', fontSize: '0.9rem' }}>Follow this account to see their posts.</p>
+          </div>
+        ) : author.posts && author.posts.length > 0 ? (
           <div style={{
             display: 'grid',
             gridTemplateColumns: 'repeat(3, 1fr)',
@@ -1,6 +1,7 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
 const { getAvatarUrl } = require('../utils/avatar')
+const { profileUrl } = require('../utils/profile')
 
 function formatCount(n) {
   if (!n || n === 0) return '0'
@@ -9,9 +10,9 @@ function formatCount(n) {
   return String(n)
 }
 
-function Explore({ authors, token, query }) {
+function Explore({ authors, token, csrfToken, query }) {
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       {/* Search bar */}
       <div style={{ maxWidth: '600px', margin: '0 auto 2rem' }}>
         <h2 style={{ fontWeight: '600', marginBottom: '1rem' }}>Explore People</h2>
@@ -63,7 +64,7 @@ function Explore({ authors, token, query }) {
         {authors.map((author) => (
           <a
             key={author._id}
-            href={`/authors/${author._id}`}
+            href={profileUrl(author)}
             style={{ textDecoration: 'none', color: 'inherit' }}
           >
             <div style={{
@@ -1,10 +1,11 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
 const { getAvatarUrl } = require('../utils/avatar')
+const { profileUrl } = require('../utils/profile')
 
-function FollowList({ users, title, token, backUrl }) {
+function FollowList({ users, title, token, csrfToken, backUrl }) {
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       <div style={{ maxWidth: '500px', margin: '0 auto' }}>
         {/* Header */}
         <div style={{
@@ -37,7 +38,7 @@ function FollowList({ users, title, token, backUrl }) {
                 padding: '0.65rem 0',
                 borderBottom: '1px solid #f0f0f0',
               }}>
-                <a href={`/authors/${user._id}`} style={{ textDecoration: 'none', flexShrink: 0 }}>
+                <a href={profileUrl(user)} style={{ textDecoration: 'none', flexShrink: 0 }}>
                   <img
                     src={getAvatarUrl(user)}
                     alt={user.name}
@@ -50,7 +51,7 @@ function FollowList({ users, title, token, backUrl }) {
                     }}
                   />
                 </a>
-                <a href={`/authors/${user._id}`} style={{ textDecoration: 'none', color: 'inherit', flex: 1 }}>
+                <a href={profileUrl(user)} style={{ textDecoration: 'none', color: 'inherit', flex: 1 }}>
                   <div style={{ fontWeight: '600', fontSize: '0.95rem' }}>{user.name}</div>
                   {user.bio && (
                     <div style={{ color: '#8e8e8e', fontSize: '0.82rem', marginTop: '0.1rem',
@@ -0,0 +1,91 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+const { getAvatarUrl } = require('../utils/avatar')
+const { profileUrl } = require('../utils/profile')
+
+function FollowRequests({ requests, token, csrfToken }) {
+  const buttonStyle = {
+    padding: '0.35rem 0.9rem',
+    borderRadius: '8px',
+    fontWeight: '600',
+    fontSize: '0.85rem',
+    cursor: 'pointer',
+  }
+
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div style={{ maxWidth: '500px', margin: '0 auto' }}>
+        {/* Header */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '1rem',
+          marginBottom: '1.5rem',
+          paddingBottom: '1rem',
+          borderBottom: '1px solid #dbdbdb',
+        }}>
+          <a href="/authors/edit" style={{ color: '#262626', textDecoration: 'none', fontSize: '1.2rem' }}>
+            <i className="fas fa-arrow-left"></i>
+          </a>
+          <h2 style={{ margin: 0, fontWeight: '600', fontSize: '1.1rem' }}>Follow requests</h2>
+          <span style={{ color: '#8e8e8e', fontSize: '0.9rem' }}>({requests.length})</span>
+        </div>
+
+        {/* Request list */}
+        {requests.length === 0 ? (
+          <p style={{ textAlign: 'center', color: '#8e8e8e', padding: '2rem 0' }}>
+            No pending requests
+          </p>
+        ) : (
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+            {requests.filter((r) => r.requester).map((request) => (
+              <li key={request._id} style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.9rem',
+                padding: '0.65rem 0',
+                borderBottom: '1px solid #f0f0f0',
+              }}>
+                <a href={profileUrl(request.requester)} style={{ textDecoration: 'none', flexShrink: 0 }}>
+                  <img
+                    src={getAvatarUrl(request.requester)}
+                    alt={request.requester.name}
+                    style={{
+                      width: '44px',
+                      height: '44px',
+                      borderRadius: '50%',
+                      objectFit: 'cover',
+                      border: '1px solid #dbdbdb',
+                    }}
+                  />
+                </a>
+                <a href={profileUrl(request.requester)} style={{ textDecoration: 'none', color: 'inherit', flex: 1 }}>
+                  <div style={{ fontWeight: '600', fontSize: '0.95rem' }}>{request.requester.name}</div>
+                  {request.requester.handle && (
+                    <div style={{ color: '#8e8e8e', fontSize: '0.82rem', marginTop: '0.1rem' }}>
+                      @{request.requester.handle}
+                    </div>
+                  )}
+                </a>
+                <form action={`/authors/follow-requests/${request._id}/approve`} method="POST" style={{ margin: 0 }}>
+                  <input type="hidden" name="_csrf" value={csrfToken} />
+                  <button type="submit" style={{ ...buttonStyle, background: '#0095f6', color: 'white', border: 'none' }}>
+                    Confirm
+                  </button>
+                </form>
+                <form action={`/authors/follow-requests/${request._id}/deny`} method="POST" style={{ margin: 0 }}>
+                  <input type="hidden" name="_csrf" value={csrfToken} />
+                  <button type="submit" style={{ ...buttonStyle, background: 'white', color: '#262626', border: '1px solid #dbdbdb' }}>
+                    Delete
+                  </button>
+                </form>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+module.exports = FollowRequests
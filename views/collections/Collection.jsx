@@ -0,0 +1,165 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+const { getAvatarUrl } = require('../utils/avatar')
+const { profileUrl } = require('../utils/profile')
+
+const FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'
+
+const INPUT_STYLE = { border: '1px solid #dbdbdb', borderRadius: '4px', padding: '0.35rem 0.6rem', fontSize: '0.875rem' }
+const BUTTON_STYLE = { background: '#0095f6', color: '#fff', border: 'none', borderRadius: '4px', padding: '0.35rem 0.8rem', fontWeight: '600', cursor: 'pointer' }
+const LINK_BUTTON_STYLE = { background: 'none', border: 'none', padding: 0, cursor: 'pointer', fontSize: '0.8rem', fontWeight: '600' }
+const TILE_BUTTON_STYLE = {
+  background: 'rgba(0,0,0,0.6)', color: '#fff', border: 'none', borderRadius: '4px',
+  padding: '0.2rem 0.45rem', fontSize: '0.75rem', cursor: 'pointer',
+}
+
+/**
+ * A collection page – or "All posts" when `collection` is null. The owner can rename it, set its
+ * cover and sharing, invite collaborators or delete it; the owner and collaborators can take posts
+ * out (and the owner can use one as the cover).
+ */
+function Collection({ collection, posts, canUpdate, canCurate, currentUserId, token, csrfToken }) {
+  const base = collection && `/saved/${collection._id}`
+
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div style={{ maxWidth: '935px', margin: '0 auto' }}>
+
+        {/* Header */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '1rem',
+          marginBottom: '1rem',
+          paddingBottom: '1rem',
+          borderBottom: '1px solid #dbdbdb',
+        }}>
+          <a href="/saved" style={{ color: '#262626', textDecoration: 'none', fontSize: '1.1rem' }}>
+            <i className="fas fa-chevron-left"></i>
+          </a>
+          <h2 style={{ margin: 0, fontWeight: '600', fontSize: '1.1rem' }}>{collection ? collection.name : 'All posts'}</h2>
+          <span style={{ color: '#8e8e8e', fontSize: '0.9rem' }}>({posts.length})</span>
+          {collection && (
+            <span style={{ color: '#8e8e8e', fontSize: '0.8rem', marginLeft: 'auto' }}>
+              {collection.sharing === 'shared' ? <><i className="fas fa-link"></i> Anyone with the link</> : <><i className="fas fa-lock"></i> Private</>}
+              {!canUpdate && <> · by <a href={profileUrl(collection.owner)} style={{ color: '#262626' }}>@{collection.owner.handle}</a></>}
+            </span>
+          )}
+        </div>
+
+        {/* Owner tools */}
+        {collection && canUpdate && (
+          <details style={{ marginBottom: '1rem', fontSize: '0.875rem' }}>
+            <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#262626' }}>Edit collection</summary>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem', padding: '1rem 0' }}>
+              <form action={`${base}?_method=PUT`} method="POST" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', margin: 0 }}>
+                <input type="hidden" name="_csrf" value={csrfToken} />
+                <input type="text" name="name" defaultValue={collection.name} maxLength={50} required style={INPUT_STYLE} />
+                <input type="url" name="cover" defaultValue={collection.cover} placeholder="Cover image URL (optional)" style={{ ...INPUT_STYLE, flex: 1, minWidth: '200px' }} />
+                <select name="sharing" defaultValue={collection.sharing} style={INPUT_STYLE}>
+                  <option value="private">Private</option>
+                  <option value="shared">Anyone with the link</option>
+                </select>
+                <button type="submit" style={BUTTON_STYLE}>Save</button>
+              </form>
+
+              {/* Collaborators */}
+              <div>
+                <div style={{ fontWeight: '600', marginBottom: '0.5rem' }}>Collaborators</div>
+                {collection.collaborators.map((author) => (
+                  <div key={author._id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.4rem' }}>
+                    <img src={getAvatarUrl(author)} alt={author.name} style={{ width: '24px', height: '24px', borderRadius: '50%', objectFit: 'cover' }} />
+                    <a href={profileUrl(author)} style={{ color: '#262626', textDecoration: 'none' }}>@{author.handle}</a>
+                    <form action={`${base}/collaborators/${author._id}?_method=DELETE`} method="POST" style={{ margin: 0 }}>
+                      <input type="hidden" name="_csrf" value={csrfToken} />
+                      <button type="submit" style={{ ...LINK_BUTTON_STYLE, color: '#ed4956' }}>Remove</button>
+                    </form>
+                  </div>
+                ))}
+                <form action={`${base}/collaborators`} method="POST" style={{ display: 'flex', gap: '0.5rem', margin: 0 }}>
+                  <input type="hidden" name="_csrf" value={csrfToken} />
+                  <input type="text" name="handle" placeholder="@handle" required style={INPUT_STYLE} />
+                  <button type="submit" style={BUTTON_STYLE}>Invite</button>
+                </form>
+              </div>
+
+              <form
+                action={`${base}?_method=DELETE`}
+                method="POST"
+                onsubmit="return confirm('Delete this collection? Its posts stay in your saved posts.')"
+                style={{ margin: 0 }}
+              >
+                <input type="hidden" name="_csrf" value={csrfToken} />
+                <button type="submit" style={{ ...LINK_BUTTON_STYLE, color: '#ed4956' }}>Delete collection</button>
+              </form>
+            </div>
+          </details>
+        )}
+
+        {/* A collaborator can leave */}
+        {collection && canCurate && !canUpdate && (
+          <form
+            action={`${base}/collaborators/${currentUserId}?_method=DELETE`}
+            method="POST"
+            onsubmit="return confirm('Leave this collection? You will no longer be able to add posts to it.')"
+            style={{ marginBottom: '1rem' }}
+          >
+            <input type="hidden" name="_csrf" value={csrfToken} />
+            <button type="submit" style={{ ...LINK_BUTTON_STYLE, color: '#ed4956' }}>Leave collection</button>
+          </form>
+        )}
+
+        {posts.length > 0 ? (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '3px' }}>
+            {posts.map((post) => (
+              <div key={post._id} style={{ position: 'relative', aspectRatio: '1', overflow: 'hidden' }}>
+                <a href={`/posts/${post._id}`} style={{ display: 'block', height: '100%' }}>
+                  <img
+                    src={post.imageUrl || FALLBACK_IMAGE}
+                    alt={post.caption}
+                    onerror={`this.onerror=null;this.src='${FALLBACK_IMAGE}'`}
+                    style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+                  />
+                </a>
+                {collection && canCurate && (
+                  <div style={{ position: 'absolute', top: '0.4rem', right: '0.4rem', display: 'flex', gap: '0.25rem' }}>
+                    {canUpdate && post.imageUrl && (
+                      <form action={`${base}?_method=PUT`} method="POST" style={{ margin: 0 }}>
+                        <input type="hidden" name="_csrf" value={csrfToken} />
+                        <input type="hidden" name="cover" value={post.imageUrl} />
+                        <button type="submit" title="Use as cover" style={TILE_BUTTON_STYLE}>Use as cover</button>
+                      </form>
+                    )}
+                    <form action={`${base}/posts/${post._id}?_method=DELETE`} method="POST" style={{ margin: 0 }}>
+                      <input type="hidden" name="_csrf" value={csrfToken} />
+                      <button type="submit" title="Remove from collection" style={TILE_BUTTON_STYLE}>
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </form>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div style={{ textAlign: 'center', padding: '4rem 0', color: '#8e8e8e' }}>
+            <i className="far fa-bookmark" style={{ fontSize: '3rem', marginBottom: '1rem', display: 'block' }}></i>
+            {collection ? (
+              <>
+                <p style={{ fontWeight: '600', margin: '0 0 0.5rem', color: '#262626' }}>Nothing in this collection yet</p>
+                {canCurate && <p style={{ margin: 0, fontSize: '0.9rem' }}>Add posts with the folder icon next to a post's bookmark.</p>}
+              </>
+            ) : (
+              <>
+                <p style={{ fontWeight: '600', margin: '0 0 0.5rem', color: '#262626' }}>Save photos and videos</p>
+                <p style={{ margin: 0, fontSize: '0.9rem' }}>Save posts you want to see again by tapping the bookmark icon.</p>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+module.exports = Collection
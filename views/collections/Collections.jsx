@@ -0,0 +1,152 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+const FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'
+
+const MOVE_BUTTON_STYLE = {
+  background: 'rgba(255,255,255,0.9)',
+  border: 'none',
+  borderRadius: '50%',
+  width: '26px',
+  height: '26px',
+  cursor: 'pointer',
+  fontSize: '0.75rem',
+  color: '#262626',
+}
+
+// A square tile: cover image, name and count
+function Tile({ href, cover, name, count, badge }) {
+  return (
+    <a href={href} style={{ display: 'block', color: '#262626', textDecoration: 'none' }}>
+      <div style={{ aspectRatio: '1', overflow: 'hidden', borderRadius: '8px', background: '#efefef' }}>
+        {cover ? (
+          <img
+            src={cover}
+            alt={name}
+            onerror={`this.onerror=null;this.src='${FALLBACK_IMAGE}'`}
+            style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+          />
+        ) : (
+          <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#c7c7c7', fontSize: '2rem' }}>
+            <i className="far fa-bookmark"></i>
+          </div>
+        )}
+      </div>
+      <div style={{ marginTop: '0.5rem', fontWeight: '600', fontSize: '0.95rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {name}
+      </div>
+      <div style={{ color: '#8e8e8e', fontSize: '0.8rem' }}>
+        {count} {count === 1 ? 'post' : 'posts'}{badge && <> · {badge}</>}
+      </div>
+    </a>
+  )
+}
+
+function Collections({ collections, allCount, allCover, currentUserId, token, csrfToken }) {
+  const isOwn = (c) => String(c.owner._id || c.owner) === currentUserId
+  const owned = collections.filter(isOwn)
+  const joined = collections.filter((c) => !isOwn(c))
+
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div style={{ maxWidth: '935px', margin: '0 auto' }}>
+
+        {/* Header */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '1rem',
+          marginBottom: '1.5rem',
+          paddingBottom: '1rem',
+          borderBottom: '1px solid #dbdbdb',
+        }}>
+          <a href="/authors/profile" style={{ color: '#262626', textDecoration: 'none', fontSize: '1.1rem' }}>
+            <i className="fas fa-chevron-left"></i>
+          </a>
+          <h2 style={{ margin: 0, fontWeight: '600', fontSize: '1.1rem', flex: 1 }}>Saved</h2>
+
+          {/* New collection */}
+          <form action="/saved" method="POST" style={{ display: 'flex', gap: '0.4rem', margin: 0 }}>
+            <input type="hidden" name="_csrf" value={csrfToken} />
+            <input
+              type="text"
+              name="name"
+              placeholder="New collection"
+              maxLength={50}
+              required
+              style={{ border: '1px solid #dbdbdb', borderRadius: '4px', padding: '0.35rem 0.6rem', fontSize: '0.875rem' }}
+            />
+            <button type="submit" style={{ background: '#0095f6', color: '#fff', border: 'none', borderRadius: '4px', padding: '0.35rem 0.8rem', fontWeight: '600', cursor: 'pointer' }}>
+              Create
+            </button>
+          </form>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '1.5rem' }}>
+          <Tile href="/saved/all" cover={allCover} name="All posts" count={allCount} />
+
+          {owned.map((collection, i) => (
+            <div key={collection._id} style={{ position: 'relative' }}>
+              <Tile
+                href={`/saved/${collection._id}`}
+                cover={collection.coverUrl}
+                name={collection.name}
+                count={collection.postsCount}
+                badge={collection.sharing === 'shared' ? 'Shared' : collection.collaborators.length > 0 ? 'Collaborative' : null}
+              />
+              {/* Reorder */}
+              <div style={{ position: 'absolute', top: '0.4rem', right: '0.4rem', display: 'flex', gap: '0.25rem' }}>
+                {i > 0 && (
+                  <form action={`/saved/${collection._id}/move`} method="POST" style={{ margin: 0 }}>
+                    <input type="hidden" name="_csrf" value={csrfToken} />
+                    <input type="hidden" name="direction" value="up" />
+                    <button type="submit" title="Move earlier" style={MOVE_BUTTON_STYLE}>
+                      <i className="fas fa-arrow-left"></i>
+                    </button>
+                  </form>
+                )}
+                {i < owned.length - 1 && (
+                  <form action={`/saved/${collection._id}/move`} method="POST" style={{ margin: 0 }}>
+                    <input type="hidden" name="_csrf" value={csrfToken} />
+                    <input type="hidden" name="direction" value="down" />
+                    <button type="submit" title="Move later" style={MOVE_BUTTON_STYLE}>
+                      <i className="fas fa-arrow-right"></i>
+                    </button>
+                  </form>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Collections shared with you to curate */}
+        {joined.length > 0 && (
+          <>
+            <h3 style={{ fontSize: '0.95rem', fontWeight: '600', margin: '2rem 0 1rem' }}>Collaborating</h3>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '1.5rem' }}>
+              {joined.map((collection) => (
+                <Tile
+                  key={collection._id}
+                  href={`/saved/${collection._id}`}
+                  cover={collection.coverUrl}
+                  name={collection.name}
+                  count={collection.postsCount}
+                  badge={`@${collection.owner.handle}`}
+                />
+              ))}
+            </div>
+          </>
+        )}
+
+        {allCount === 0 && collections.length === 0 && (
+          <div style={{ textAlign: 'center', padding: '3rem 0', color: '#8e8e8e' }}>
+            <p style={{ fontWeight: '600', margin: '0 0 0.5rem', color: '#262626' }}>Save photos and videos</p>
+            <p style={{ margin: 0, fontSize: '0.9rem' }}>Save posts you want to see again by tapping the bookmark icon, and group them into collections.</p>
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+module.exports = Collections
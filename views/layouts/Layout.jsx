@@ -1,7 +1,7 @@
 const React = require('react')
 
 function Layout(props) {
-  const { token } = props
+  const { token, csrfToken } = props
 
   return (
     <html lang="en">
@@ -40,6 +40,7 @@ function Layout(props) {
               {/* Logout button */}
               {token && (
                 <form action="/authors/logout" method="POST" style={{ margin: 0 }}>
+                  <input type="hidden" name="_csrf" value={csrfToken} />
                   <button type="submit" className="logout-btn">
                     <i className="fas fa-sign-out-alt"></i>
                   </button>
@@ -1,10 +1,11 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
 const { getAvatarUrl } = require('../utils/avatar')
+const { profileUrl } = require('../utils/profile')
 
-function Conversation({ messages, otherUser, otherUserId, currentUserId, token }) {
+function Conversation({ messages, otherUser, otherUserId, currentUserId, token, csrfToken }) {
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       <div style={{ maxWidth: '600px', margin: '0 auto', display: 'flex', flexDirection: 'column', minHeight: '60vh' }}>
         {/* Header */}
         <div style={{
@@ -18,7 +19,7 @@ function Conversation({ messages, otherUser, otherUserId, currentUserId, token }
           <a href="/messages" style={{ color: '#262626', textDecoration: 'none', fontSize: '1.2rem' }}>
             <i className="fas fa-arrow-left"></i>
           </a>
-          <a href={`/authors/${otherUserId}`} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', textDecoration: 'none', color: 'inherit', flex: 1 }}>
+          <a href={profileUrl(otherUser)} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', textDecoration: 'none', color: 'inherit', flex: 1 }}>
             <img
               src={getAvatarUrl(otherUser)}
               alt={otherUser.name}
@@ -70,6 +71,7 @@ function Conversation({ messages, otherUser, otherUserId, currentUserId, token }
                     <span>{m.content}</span>
                     {isMe && (
                       <form action={`/messages/${m._id}/delete`} method="POST" style={{ margin: 0, display: 'inline', marginLeft: '0.5rem' }} data-delete-confirm>
+                        <input type="hidden" name="_csrf" value={csrfToken} />
                         <button
                           type="submit"
                           title="Delete message"
@@ -96,6 +98,7 @@ function Conversation({ messages, otherUser, otherUserId, currentUserId, token }
 
         {/* Send form */}
         <form action="/messages" method="POST" style={{ marginTop: 'auto', paddingTop: '1rem', borderTop: '1px solid #dbdbdb' }}>
+          <input type="hidden" name="_csrf" value={csrfToken} />
           <input type="hidden" name="recipientId" value={otherUserId} />
           <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
             <input
@@ -2,9 +2,9 @@ const React = require('react')
 const Layout = require('../layouts/Layout')
 const { getAvatarUrl } = require('../utils/avatar')
 
-function Inbox({ conversations, unreadTotal, token }) {
+function Inbox({ conversations, unreadTotal, token, csrfToken }) {
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       <div style={{ maxWidth: '600px', margin: '0 auto' }}>
         <div style={{
           display: 'flex',
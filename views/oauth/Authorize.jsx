@@ -0,0 +1,58 @@
+const React = require('react');
+const Layout = require('../layouts/Layout');
+
+function Authorize({ token, csrfToken, client, scopes = [], request = {}, author, error }) {
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div className="edit-profile-container">
+        <div className="edit-profile-card">
+          <div className="edit-profile-header">
+            <h2 className="edit-profile-title">
+              {error ? 'Authorization failed' : `Allow ${client.name} to use your account?`}
+            </h2>
+          </div>
+
+          {error ? (
+            <p style={{ fontSize: '0.9rem' }}>
+              {error} Go back to the app and try again, or <a href="/posts">return to FlickGallery</a>.
+            </p>
+          ) : (
+            <>
+              <p style={{ fontSize: '0.9rem' }}>
+                <strong>{client.name}</strong> wants to act for <strong>{author.name}</strong>. It will be able to:
+              </p>
+
+              {/* ── What the app asked for ── */}
+              <ul style={{ margin: '1rem 0', paddingLeft: '1.25rem', fontSize: '0.9rem' }}>
+                {scopes.map(({ scope, description }) => (
+                  <li key={scope} style={{ padding: '0.25rem 0' }}>{description}</li>
+                ))}
+              </ul>
+
+              <p style={{ fontSize: '0.8rem', color: '#8e8e8e' }}>
+                It will never see your password. You can take away its access at any time.
+              </p>
+
+              <form className="edit-profile-form" action="/oauth/authorize" method="POST">
+                <input type="hidden" name="_csrf" value={csrfToken} />
+                {/* The original request, checked again when you answer */}
+                {Object.entries(request).map(([name, value]) => (
+                  value ? <input key={name} type="hidden" name={name} value={value} /> : null
+                ))}
+                <div className="edit-profile-actions">
+                  <button type="submit" name="decision" value="allow" className="save-profile-btn">
+                    <i className="fas fa-check"></i>
+                    Allow
+                  </button>
+                  <button type="submit" name="decision" value="deny" className="cancel-btn">Deny</button>
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+module.exports = Authorize;
@@ -0,0 +1,120 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+// A date as the value of a datetime-local input (local time, to the minute)
+function toLocalInput(date) {
+  const d = new Date(date)
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset())
+  return d.toISOString().slice(0, 16)
+}
+
+function EditPost({ post, token, csrfToken }) {
+  const unpublished = post.status === 'draft' || post.status === 'scheduled'
+  const media = post.media && post.media.length > 0 ? post.media : [{ _id: 'cover', url: post.imageUrl }]
+
+  return (
+    <Layout token={token} csrfToken={csrfToken}>
+      <div className="new-post-container">
+        <div className="new-post-card">
+          <div className="new-post-header">
+            <h2 className="new-post-title">{unpublished ? 'Edit Draft' : 'Edit Post'}</h2>
+          </div>
+
+          <form action={`/posts/${post._id}?_method=PUT`} method="POST" className="new-post-form">
+            <input type="hidden" name="_csrf" value={csrfToken} />
+
+            {/* Images: type a position to reorder, tick to remove (at least one must stay) */}
+            <div className="form-group">
+              <p style={{ fontWeight: '600', fontSize: '0.9rem', margin: '0 0 0.5rem' }}>
+                Photos <span style={{ color: '#8e8e8e', fontWeight: '400' }}>– the first one is the cover</span>
+              </p>
+              <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                {media.map((item, i) => (
+                  <li key={item._id} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.4rem 0' }}>
+                    <img src={item.url} alt={`Photo ${i + 1}`} style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '4px' }} />
+                    <label style={{ fontSize: '0.85rem' }}>
+                      Position{' '}
+                      <input
+                        type="number"
+                        name={`order[${item._id}]`}
+                        defaultValue={i + 1}
+                        min="1"
+                        max={media.length}
+                        style={{ width: '3.5rem' }}
+                      />
+                    </label>
+                    {media.length > 1 && (
+                      <label style={{ fontSize: '0.85rem', color: '#ed4956' }}>
+                        <input type="checkbox" name="remove" value={String(item._id)} /> Remove
+                      </label>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="form-fields">
+              <div className="form-group">
+                <textarea
+                  name="caption"
+                  defaultValue={post.caption}
+                  placeholder="Write a caption..."
+                  className="new-post-caption"
+                  rows="4"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="audience" style={{ fontWeight: '600', fontSize: '0.9rem', marginRight: '0.5rem' }}>
+                  Share with
+                </label>
+                <select id="audience" name="audience" defaultValue={post.audience || 'public'} className="new-post-location">
+                  <option value="public">Everyone</option>
+                  <option value="followers">Followers</option>
+                  <option value="closeFriends">Close friends</option>
+                </select>
+              </div>
+
+              {/* Not published yet: empty keeps it a draft (services/postScheduler.js) */}
+              {unpublished && (
+                <div className="form-group">
+                  <label htmlFor="publishAt" style={{ fontWeight: '600', fontSize: '0.9rem', marginRight: '0.5rem' }}>
+                    Schedule for
+                  </label>
+                  <input
+                    type="datetime-local"
+                    id="publishAt"
+                    name="publishAt"
+                    defaultValue={post.publishAt ? toLocalInput(post.publishAt) : ''}
+                    className="new-post-location"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="submit-section">
+              <button type="submit" className="new-post-submit">
+                <i className="fas fa-check"></i>
+                Save
+              </button>
+              {unpublished && (
+                <button
+                  type="submit"
+                  name="publish"
+                  value="now"
+                  className="new-post-submit"
+                  style={{ background: 'transparent', color: '#0095f6', marginLeft: '0.5rem' }}
+                >
+                  <i className="fas fa-paper-plane"></i>
+                  Publish now
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+    </Layout>
+  )
+}
+
+module.exports = EditPost
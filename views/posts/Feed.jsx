@@ -1,21 +1,40 @@
 const React = require('react');
 const Layout = require('../layouts/Layout');
 const { getAvatarUrl } = require('../utils/avatar');
+const { profileUrl } = require('../utils/profile');
+const MediaCarousel = require('./MediaCarousel');
+const RichText = require('./RichText');
+const RepostButton = require('./RepostButton');
 
 function Feed(props) {
-    const { posts, token, currentUserId, savedPostIds } = props;
+    const { items = [], token, csrfToken, currentUserId, savedPostIds, repostedPostIds = [] } = props;
 
     return (
-        <Layout token={token}>
+        <Layout token={token} csrfToken={csrfToken}>
             <div className="app-container">
                 {/* All Posts */}
                 <div className="posts-container">
-                    {posts.map((post) => (
-                        <div key={post._id} id={`post-${post._id}`} className="post-card">
+                    {items.map(({ post, repost }) => (
+                        <div key={repost ? repost._id : post._id} id={`post-${post._id}`} className="post-card">
+                            {/* Repost attribution, and the quote if there is one */}
+                            {repost && (
+                                <div style={{ padding: '0.6rem 1rem 0', fontSize: '0.8rem', color: '#8e8e8e' }}>
+                                    <i className="fas fa-retweet" style={{ marginRight: '0.4rem' }}></i>
+                                    {repost.author._id.toString() === currentUserId
+                                        ? 'You reposted'
+                                        : <>Reposted by <a href={profileUrl(repost.author)} style={{ color: '#262626', fontWeight: '600', textDecoration: 'none' }}>{repost.author.name}</a></>}
+                                    {repost.caption && (
+                                        <p style={{ margin: '0.4rem 0 0', fontSize: '0.9rem', color: '#262626' }}>
+                                            <RichText text={repost.caption} />
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
                             {/* Post Header */}
                             <div className="post-header">
                                 <a
-                                    href={(post.author?._id || post.author).toString() === currentUserId ? '/authors/profile' : `/authors/${post.author?._id || post.author}`}
+                                    href={(post.author?._id || post.author).toString() === currentUserId ? '/authors/profile' : profileUrl(post.author)}
                                     className="post-author"
                                     title="View profile"
                                     style={{ textDecoration: 'none', color: 'inherit', display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}
@@ -27,15 +46,19 @@ function Feed(props) {
                                     />
                                     <span className="author-name">{post.author.name}</span>
                                 </a>
+                                {/* Location – a link to the place page when the post is geotagged */}
+                                {post.location && (
+                                    post.place
+                                        ? <a href={`/places/${post.place._id || post.place}`} style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#262626', textDecoration: 'none' }}>
+                                            <i className="fas fa-map-marker-alt" style={{ color: '#8e8e8e' }}></i> {post.location}
+                                          </a>
+                                        : <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#8e8e8e' }}>{post.location}</span>
+                                )}
                             </div>
 
-                            {/* Post Image */}
+                            {/* Post Image(s) */}
                             <div className="post-image">
-                                <img
-                                    src={post.imageUrl || 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'}
-                                    alt="Post"
-                                    onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'"
-                                />
+                                <MediaCarousel post={post} />
                             </div>
 
                             {/* Post Actions */}
@@ -47,6 +70,7 @@ function Feed(props) {
                                             post.likedBy.some(id => id.toString() === currentUserId)
                                         return (
                                             <form action={`/posts/${post._id}/like`} method="POST" style={{ display: 'inline', margin: 0 }}>
+                                                <input type="hidden" name="_csrf" value={csrfToken} />
                                                 <button type="submit" className="action-btn like-btn" title={liked ? 'Unlike' : 'Like'}>
                                                     <i className={liked ? 'fas fa-heart' : 'far fa-heart'}
                                                        style={{ color: liked ? '#ed4956' : 'inherit' }}></i>
@@ -57,6 +81,14 @@ function Feed(props) {
                                     <button className="action-btn">
                                         <i className="far fa-comment"></i>
                                     </button>
+                                    {(post.author?._id || post.author).toString() !== currentUserId && (
+                                        <RepostButton
+                                            post={post}
+                                            reposted={repostedPostIds.includes(post._id.toString())}
+                                            csrfToken={csrfToken}
+                                            className="action-btn"
+                                        />
+                                    )}
                                     <button className="action-btn">
                                         <i className="far fa-paper-plane"></i>
                                     </button>
@@ -66,6 +98,7 @@ function Feed(props) {
                                     const saved = savedPostIds && savedPostIds.includes(post._id.toString())
                                     return (
                                         <form action={`/posts/${post._id}/save`} method="POST" style={{ display: 'inline', margin: 0 }}>
+                                            <input type="hidden" name="_csrf" value={csrfToken} />
                                             <button type="submit" className="action-btn save-btn" title={saved ? 'Unsave' : 'Save'}>
                                                 <i className={saved ? 'fas fa-bookmark' : 'far fa-bookmark'}
                                                    style={{ color: saved ? '#262626' : 'inherit' }}></i>
@@ -78,18 +111,18 @@ function Feed(props) {
                             {/* Likes Count */}
                             <div className="post-likes">
                                 <span className="likes-count">{post.likesCount} likes</span>
+                                {post.repostsCount > 0 && (
+                                    <span className="likes-count" style={{ marginLeft: '0.75rem' }}>
+                                        {post.repostsCount} {post.repostsCount === 1 ? 'repost' : 'reposts'}
+                                    </span>
+                                )}
                             </div>
 
-                            {/* Caption with clickable hashtags */}
+                            {/* Caption with clickable hashtags and mentions */}
                             <div className="post-caption">
                                 <span className="caption-author">{post.author.name}</span>{' '}
                                 <span className="caption-text">
-                                    {post.caption.split(/(\s+)/).map((word, i) =>
-                                        word.startsWith('#')
-                                            ? <a key={i} href={`/tags/${word.slice(1)}`}
-                                                 style={{ color: '#00376b', textDecoration: 'none' }}>{word}</a>
-                                            : word
-                                    )}
+                                    <RichText text={post.caption} />
                                 </span>
                             </div>
                             {/* Hashtag pills */}
@@ -107,6 +140,13 @@ function Feed(props) {
                             {/* Timestamp */}
                             <div className="post-timestamp">
                                 {new Date(post.createdAt).toLocaleDateString()}
+                                {post.editedAt && <span style={{ marginLeft: '0.5rem' }}>· Edited</span>}
+                                {post.audience === 'closeFriends' && (
+                                    <span style={{ color: '#1cd14f', marginLeft: '0.5rem' }}><i className="fas fa-star"></i> Close friends</span>
+                                )}
+                                {post.audience === 'followers' && (
+                                    <span style={{ marginLeft: '0.5rem' }}><i className="fas fa-user-friends"></i> Followers</span>
+                                )}
                             </div>
 
                             {/* Comments Section */}
@@ -117,7 +157,7 @@ function Feed(props) {
                                         {post.comments.slice(0, 2).map((comment) => (
                                             <div key={comment._id} className="post-caption">
                                                 <span className="caption-author">{comment.author.name}</span>{' '}
-                                                <span className="caption-text">{comment.content}</span>
+                                                <span className="caption-text"><RichText text={comment.content} /></span>
                                             </div>
                                         ))}
                                         
@@ -127,7 +167,7 @@ function Feed(props) {
                                                 {post.comments.slice(2).map((comment) => (
                                                     <div key={comment._id} className="post-caption">
                                                         <span className="caption-author">{comment.author.name}</span>{' '}
-                                                        <span className="caption-text">{comment.content}</span>
+                                                        <span className="caption-text"><RichText text={comment.content} /></span>
                                                     </div>
                                                 ))}
                                             </div>
@@ -155,6 +195,7 @@ function Feed(props) {
                                 action={`/posts/${post._id}/comments`}
                                 method="POST"
                             >
+                                <input type="hidden" name="_csrf" value={csrfToken} />
                                 <input
                                     type="text"
                                     name="content"
@@ -1,9 +1,9 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
 
-function HashtagFeed({ tag, posts, token }) {
+function HashtagFeed({ tag, posts, token, csrfToken }) {
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       <div style={{ maxWidth: '935px', margin: '0 auto' }}>
 
         {/* Header */}
@@ -0,0 +1,43 @@
+const React = require('react')
+
+const FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'
+
+// A post's images in order (older posts only have imageUrl)
+function mediaUrls(post) {
+  const urls = (post.media || []).map((item) => item.url).filter(Boolean)
+  return urls.length > 0 ? urls : [post.imageUrl || FALLBACK_IMAGE]
+}
+
+/**
+ * A post's images: a single <img>, or a swipeable carousel (CSS scroll-snap, no script needed)
+ * with a "1/3"-style label on each image when the post has several.
+ */
+function MediaCarousel({ post, imageStyle }) {
+  const urls = mediaUrls(post)
+  const image = (url, key) => (
+    <img
+      key={key}
+      src={url}
+      alt="Post"
+      onerror={`this.onerror=null;this.src='${FALLBACK_IMAGE}'`}
+      style={imageStyle}
+    />
+  )
+
+  if (urls.length === 1) return image(urls[0])
+
+  return (
+    <div className="media-carousel">
+      <div className="media-carousel-track">
+        {urls.map((url, i) => (
+          <div key={i} className="media-carousel-slide">
+            {image(url)}
+            <span className="media-carousel-count">{i + 1}/{urls.length}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+module.exports = MediaCarousel
@@ -3,9 +3,11 @@ const Layout = require('../layouts/Layout')
 
 function NewPost(props) {
   const token = props.token
+  const csrfToken = props.csrfToken
+  const places = props.places || []
 
   return (
-    <Layout token={token}>
+    <Layout token={token} csrfToken={csrfToken}>
       <div className="new-post-container">
         <div className="new-post-card">
           <div className="new-post-header">
@@ -18,15 +20,16 @@ function NewPost(props) {
             encType="multipart/form-data"
             className="new-post-form"
           >
+            <input type="hidden" name="_csrf" value={csrfToken} />
             {/* File Upload Section */}
             <div className="file-upload-section">
               <label className="file-upload-label">
                 <div className="upload-area">
                   <i className="fas fa-camera"></i>
-                  <span className="upload-text">Click to upload photo</span>
-                  <span className="upload-hint">or drag and drop</span>
+                  <span className="upload-text">Click to upload photos</span>
+                  <span className="upload-hint">Up to 10, shown in the order you pick them</span>
                 </div>
-                <input type="file" name="image" required accept="image/*" />
+                <input type="file" name="images" required multiple accept="image/*" />
               </label>
             </div>
 
@@ -41,26 +44,79 @@ function NewPost(props) {
                 />
               </div>
 
+              {/* Place picker (public/placePicker.js): a suggested place, or a new name geotagged with
+                  "Use my location" */}
               <div className="form-group">
                 <input
                   type="text"
+                  id="location"
                   name="location"
+                  list="known-places"
                   placeholder="📍 Add location"
                   className="new-post-location"
+                  autoComplete="off"
                 />
+                <datalist id="known-places">
+                  {places.map((place) => (
+                    <option key={place._id} value={place.name} />
+                  ))}
+                </datalist>
+                <input type="hidden" id="placeLat" name="lat" />
+                <input type="hidden" id="placeLng" name="lng" />
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.4rem', fontSize: '0.8rem', color: '#8e8e8e' }}>
+                  <button
+                    type="button"
+                    id="useMyLocation"
+                    style={{ background: 'none', border: 'none', color: '#0095f6', fontWeight: '600', cursor: 'pointer', padding: 0 }}
+                  >
+                    <i className="fas fa-location-arrow"></i> Use my location
+                  </button>
+                  <span id="placeCoords"></span>
+                </div>
+              </div>
+
+              {/* Who can see it (services/postVisibility.js) */}
+              <div className="form-group">
+                <label htmlFor="audience" style={{ fontWeight: '600', fontSize: '0.9rem', marginRight: '0.5rem' }}>
+                  Share with
+                </label>
+                <select id="audience" name="audience" defaultValue="public" className="new-post-location">
+                  <option value="public">Everyone</option>
+                  <option value="followers">Followers</option>
+                  <option value="closeFriends">Close friends</option>
+                </select>
+              </div>
+
+              {/* Publish later (services/postScheduler.js); left empty, Share publishes now */}
+              <div className="form-group">
+                <label htmlFor="publishAt" style={{ fontWeight: '600', fontSize: '0.9rem', marginRight: '0.5rem' }}>
+                  Schedule for
+                </label>
+                <input type="datetime-local" id="publishAt" name="publishAt" className="new-post-location" />
               </div>
             </div>
 
-            {/* Submit Button */}
+            {/* Submit Buttons */}
             <div className="submit-section">
               <button type="submit" className="new-post-submit">
                 <i className="fas fa-paper-plane"></i>
                 Share
               </button>
+              <button
+                type="submit"
+                name="status"
+                value="draft"
+                className="new-post-submit"
+                style={{ background: 'transparent', color: '#0095f6', marginLeft: '0.5rem' }}
+              >
+                <i className="far fa-file-alt"></i>
+                Save draft
+              </button>
             </div>
           </form>
         </div>
       </div>
+      <script src="/placePicker.js"></script>
     </Layout>
   )
 }
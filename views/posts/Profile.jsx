@@ -2,9 +2,16 @@ const React = require('react');
 const Layout = require('../layouts/Layout');
 const { getAvatarUrl } = require('../utils/avatar');
 
-function Profile({ profile, token, tab }) {
+function Profile({ profile, token, csrfToken, tab, drafts = [], archived = [], deleted = [], binDays = 30 }) {
     const activeTab = tab || 'posts'
     const savedPosts = (profile.savedPosts || []).slice().reverse()
+    // Whole days until a deleted post is gone for good
+    const daysLeft = (post) =>
+        Math.max(0, Math.ceil((new Date(post.deletedAt).getTime() + binDays * 86400000 - Date.now()) / 86400000))
+    const smallButton = {
+        background: 'rgba(0,0,0,0.6)', color: '#fff', border: 'none', borderRadius: '4px',
+        fontSize: '0.75rem', padding: '0.2rem 0.5rem', cursor: 'pointer',
+    }
 
     const tabStyle = (name) => ({
         padding: '0.75rem 0',
@@ -22,7 +29,7 @@ function Profile({ profile, token, tab }) {
     })
 
     return (
-        <Layout token={token}>
+        <Layout token={token} csrfToken={csrfToken}>
             <div className="profile-container">
                 {/* Profile header */}
                 <div className="profile-header">
@@ -33,6 +40,7 @@ function Profile({ profile, token, tab }) {
                     />
                     <div className="profile-info">
                         <h2>{profile.name}</h2>
+                        {profile.handle && <p style={{ color: '#8e8e8e', margin: 0 }}>@{profile.handle}</p>}
                         {profile.bio && <p>{profile.bio}</p>}
                         <div className="profile-stats">
                             <span><strong>{profile.posts.length}</strong> posts</span>
@@ -46,6 +54,37 @@ function Profile({ profile, token, tab }) {
                     </div>
                 </div>
 
+                {/* ── Unverified email banner ── */}
+                {!profile.emailVerified && (
+                    <div style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'space-between',
+                        gap: '1rem',
+                        flexWrap: 'wrap',
+                        padding: '0.75rem 1rem',
+                        marginBottom: '1rem',
+                        background: '#fff8e1',
+                        border: '1px solid #f5d77a',
+                        borderRadius: '8px',
+                        fontSize: '0.875rem',
+                    }}>
+                        <span>
+                            <i className="fas fa-envelope" style={{ marginRight: '0.4rem' }}></i>
+                            Please verify <strong>{profile.email}</strong> to post and send messages.
+                        </span>
+                        <form action="/authors/verify-email/resend" method="POST" style={{ margin: 0 }}>
+                            <input type="hidden" name="_csrf" value={csrfToken} />
+                            <button type="submit" style={{
+                                background: 'none', border: 'none', cursor: 'pointer',
+                                color: '#0095f6', fontWeight: '600', fontSize: '0.875rem', padding: 0,
+                            }}>
+                                Resend email
+                            </button>
+                        </form>
+                    </div>
+                )}
+
                 <div className="edit-profile-wrapper">
                     <a href="/authors/edit" className="edit-profile-btn">
                         Edit Profile
@@ -68,6 +107,18 @@ function Profile({ profile, token, tab }) {
                         <i className="far fa-bookmark" style={{ fontSize: '0.75rem' }}></i>
                         Saved
                     </a>
+                    <a href="/authors/profile?tab=drafts" style={tabStyle('drafts')}>
+                        <i className="far fa-file-alt" style={{ fontSize: '0.75rem' }}></i>
+                        Drafts{drafts.length > 0 ? ` (${drafts.length})` : ''}
+                    </a>
+                    <a href="/authors/profile?tab=archived" style={tabStyle('archived')}>
+                        <i className="fas fa-archive" style={{ fontSize: '0.75rem' }}></i>
+                        Archived
+                    </a>
+                    <a href="/authors/profile?tab=deleted" style={tabStyle('deleted')}>
+                        <i className="far fa-trash-alt" style={{ fontSize: '0.75rem' }}></i>
+                        Recently deleted
+                    </a>
                 </div>
 
                 {/* ── Posts grid ── */}
@@ -98,6 +149,11 @@ function Profile({ profile, token, tab }) {
                 {/* ── Saved grid ── */}
                 {activeTab === 'saved' && (
                     <div className="profile-posts-grid">
+                        <div style={{ gridColumn: '1/-1', textAlign: 'right', padding: '0.5rem 0' }}>
+                            <a href="/saved" style={{ color: '#0095f6', fontSize: '0.875rem', fontWeight: '600', textDecoration: 'none' }}>
+                                <i className="far fa-folder"></i> Collections
+                            </a>
+                        </div>
                         {savedPosts.length > 0 ? (
                             savedPosts.map((post) => (
                                 <div key={post._id} className="grid-item">
@@ -119,6 +175,117 @@ function Profile({ profile, token, tab }) {
                         )}
                     </div>
                 )}
+
+                {/* ── Drafts grid (only you see these; scheduled ones publish themselves) ── */}
+                {activeTab === 'drafts' && (
+                    <div className="profile-posts-grid">
+                        {drafts.length > 0 ? (
+                            drafts.map((post) => (
+                                <div key={post._id} className="grid-item" style={{ position: 'relative' }}>
+                                    <a href={`/posts/${post._id}/edit`}>
+                                        <img
+                                            src={post.imageUrl || 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'}
+                                            alt="draft"
+                                            onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'"
+                                        />
+                                        <span style={{
+                                            position: 'absolute',
+                                            left: '0.5rem',
+                                            bottom: '0.5rem',
+                                            background: 'rgba(0,0,0,0.6)',
+                                            color: '#fff',
+                                            fontSize: '0.75rem',
+                                            padding: '0.2rem 0.5rem',
+                                            borderRadius: '4px',
+                                        }}>
+                                            {post.status === 'scheduled'
+                                                ? <><i className="far fa-clock"></i> {new Date(post.publishAt).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</>
+                                                : 'Draft'}
+                                        </span>
+                                    </a>
+                                </div>
+                            ))
+                        ) : (
+                            <div style={{ gridColumn: '1/-1', textAlign: 'center', padding: '4rem 0', color: '#8e8e8e' }}>
+                                <i className="far fa-file-alt" style={{ fontSize: '3rem', marginBottom: '1rem', display: 'block' }}></i>
+                                <p style={{ fontWeight: '600', margin: '0 0 0.5rem', color: '#262626' }}>No drafts</p>
+                                <p style={{ margin: 0, fontSize: '0.9rem' }}>Posts you save as drafts or schedule for later appear here — only you can see them.</p>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* ── Archived grid (only you see these) ── */}
+                {activeTab === 'archived' && (
+                    <div className="profile-posts-grid">
+                        {archived.length > 0 ? (
+                            archived.map((post) => (
+                                <div key={post._id} className="grid-item" style={{ position: 'relative' }}>
+                                    <img
+                                        src={post.imageUrl || 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'}
+                                        alt="archived post"
+                                        onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'"
+                                    />
+                                    <form
+                                        action={`/posts/${post._id}/archive?_method=DELETE`}
+                                        method="POST"
+                                        style={{ position: 'absolute', left: '0.5rem', bottom: '0.5rem', margin: 0 }}
+                                    >
+                                        <input type="hidden" name="_csrf" value={csrfToken} />
+                                        <button type="submit" style={smallButton}>Show on profile</button>
+                                    </form>
+                                </div>
+                            ))
+                        ) : (
+                            <div style={{ gridColumn: '1/-1', textAlign: 'center', padding: '4rem 0', color: '#8e8e8e' }}>
+                                <i className="fas fa-archive" style={{ fontSize: '3rem', marginBottom: '1rem', display: 'block' }}></i>
+                                <p style={{ fontWeight: '600', margin: '0 0 0.5rem', color: '#262626' }}>No archived posts</p>
+                                <p style={{ margin: 0, fontSize: '0.9rem' }}>Posts you archive are hidden from everyone but you, and keep their likes and comments.</p>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* ── Recently deleted grid (restorable until they are purged) ── */}
+                {activeTab === 'deleted' && (
+                    <div className="profile-posts-grid">
+                        {deleted.length > 0 ? (
+                            deleted.map((post) => (
+                                <div key={post._id} className="grid-item" style={{ position: 'relative' }}>
+                                    <img
+                                        src={post.imageUrl || 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'}
+                                        alt="deleted post"
+                                        onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'"
+                                    />
+                                    <span style={{ ...smallButton, position: 'absolute', left: '0.5rem', top: '0.5rem', cursor: 'default' }}>
+                                        {daysLeft(post)} {daysLeft(post) === 1 ? 'day' : 'days'} left
+                                    </span>
+                                    <div style={{ position: 'absolute', left: '0.5rem', bottom: '0.5rem', display: 'flex', gap: '0.35rem' }}>
+                                        <form action={`/posts/${post._id}/restore`} method="POST" style={{ margin: 0 }}>
+                                            <input type="hidden" name="_csrf" value={csrfToken} />
+                                            <button type="submit" style={smallButton}>Restore</button>
+                                        </form>
+                                        <form
+                                            action={`/posts/${post._id}?_method=DELETE`}
+                                            method="POST"
+                                            style={{ margin: 0 }}
+                                            onsubmit="return confirm('Delete this post forever? This can\'t be undone.')"
+                                        >
+                                            <input type="hidden" name="_csrf" value={csrfToken} />
+                                            <button type="submit" style={smallButton}>Delete</button>
+                                        </form>
+                                    </div>
+                                </div>
+                            ))
+                        ) : (
+                            <div style={{ gridColumn: '1/-1', textAlign: 'center', padding: '4rem 0', color: '#8e8e8e' }}>
+                                <i className="far fa-trash-alt" style={{ fontSize: '3rem', marginBottom: '1rem', display: 'block' }}></i>
+                                <p style={{ fontWeight: '600', margin: '0 0 0.5rem', color: '#262626' }}>No recently deleted posts</p>
+                                <p style={{ margin: 0, fontSize: '0.9rem' }}>Posts you delete stay here for {binDays} days, so you can restore them, before they are deleted for good.</p>
+                            </div>
+                        )}
+                    </div>
+                )}
             </div>
         </Layout>
     );
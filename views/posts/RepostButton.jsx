@@ -0,0 +1,56 @@
+const React = require('react')
+
+const PANEL_STYLE = {
+  position: 'absolute',
+  top: '100%',
+  left: 0,
+  zIndex: 10,
+  display: 'flex',
+  gap: '0.4rem',
+  width: '260px',
+  padding: '0.5rem',
+  background: '#fff',
+  border: '1px solid #dbdbdb',
+  borderRadius: '8px',
+  boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+}
+
+/**
+ * Repost toggle for a post that isn't yours: a green icon that undoes your repost, or an icon that
+ * opens a small form to repost it, with an optional quote (a <details> panel, no script needed).
+ */
+function RepostButton({ post, reposted, csrfToken, className, style }) {
+  if (reposted) {
+    return (
+      <form action={`/posts/${post._id}/repost?_method=DELETE`} method="POST" style={{ display: 'inline', margin: 0 }}>
+        <input type="hidden" name="_csrf" value={csrfToken} />
+        <button type="submit" className={className} title="Undo repost" style={{ ...style, color: '#1cd14f' }}>
+          <i className="fas fa-retweet"></i>
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <details style={{ position: 'relative', display: 'inline-block' }}>
+      <summary className={className} title="Repost" style={{ ...style, listStyle: 'none' }}>
+        <i className="fas fa-retweet"></i>
+      </summary>
+      <form action={`/posts/${post._id}/repost`} method="POST" style={PANEL_STYLE}>
+        <input type="hidden" name="_csrf" value={csrfToken} />
+        <input
+          type="text"
+          name="caption"
+          placeholder="Add a quote (optional)"
+          maxLength={2200}
+          style={{ flex: 1, minWidth: 0, border: '1px solid #dbdbdb', borderRadius: '4px', padding: '0.3rem 0.5rem' }}
+        />
+        <button type="submit" style={{ background: '#0095f6', color: '#fff', border: 'none', borderRadius: '4px', padding: '0.3rem 0.6rem', cursor: 'pointer' }}>
+          Repost
+        </button>
+      </form>
+    </details>
+  )
+}
+
+module.exports = RepostButton
@@ -0,0 +1,26 @@
+const React = require('react')
+const { tokenize } = require('../../services/textEntities')
+
+const LINK_STYLE = { color: '#00376b', textDecoration: 'none' }
+
+/**
+ * Caption or comment text with its #tags linked to their tag page and @mentions to the profile
+ * (/@handle); everything else is shown as it was written.
+ */
+function RichText({ text }) {
+  return (
+    <>
+      {tokenize(text).map((token, i) => {
+        if (token.type === 'tag') {
+          return <a key={i} href={`/tags/${encodeURIComponent(token.tag)}`} style={LINK_STYLE}>{token.value}</a>
+        }
+        if (token.type === 'mention') {
+          return <a key={i} href={`/@${token.handle}`} style={{ ...LINK_STYLE, fontWeight: '600' }}>{token.value}</a>
+        }
+        return token.value
+      })}
+    </>
+  )
+}
+
+module.exports = RichText
@@ -0,0 +1,82 @@
+const React = require('react')
+
+const PANEL_STYLE = {
+  position: 'absolute',
+  bottom: '100%',
+  right: 0,
+  zIndex: 10,
+  width: '240px',
+  maxHeight: '280px',
+  overflowY: 'auto',
+  padding: '0.4rem 0',
+  background: '#fff',
+  border: '1px solid #dbdbdb',
+  borderRadius: '8px',
+  boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+}
+
+const ROW_STYLE = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  width: '100%',
+  padding: '0.45rem 0.9rem',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  fontSize: '0.875rem',
+  color: '#262626',
+  textAlign: 'left',
+}
+
+/**
+ * "Save to collection" menu for a post: the viewer's collections (and the ones they collaborate on),
+ * each a one-click add or remove, plus a link to make a new one (a <details> panel, no script needed).
+ */
+function SaveToCollection({ post, collections, currentUserId, csrfToken }) {
+  return (
+    <details style={{ position: 'relative', display: 'inline-block' }}>
+      <summary title="Save to collection" style={{
+        listStyle: 'none', cursor: 'pointer', padding: '0.4rem', fontSize: '1.1rem', lineHeight: 1, color: '#262626',
+      }}>
+        <i className="far fa-folder"></i>
+      </summary>
+      <div style={PANEL_STYLE}>
+        <div style={{ padding: '0.2rem 0.9rem 0.4rem', fontSize: '0.75rem', fontWeight: '600', color: '#8e8e8e' }}>
+          Save to collection
+        </div>
+        {collections.map((collection) => {
+          const inCollection = collection.posts.some((id) => id.toString() === post._id.toString())
+          const ownerId = (collection.owner._id || collection.owner).toString()
+          return (
+            <form
+              key={collection._id}
+              action={inCollection
+                ? `/saved/${collection._id}/posts/${post._id}?_method=DELETE`
+                : `/saved/${collection._id}/posts`}
+              method="POST"
+              style={{ margin: 0 }}
+            >
+              <input type="hidden" name="_csrf" value={csrfToken} />
+              <input type="hidden" name="postId" value={post._id.toString()} />
+              <button type="submit" title={inCollection ? 'Remove from collection' : 'Add to collection'} style={ROW_STYLE}>
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {collection.name}
+                  {ownerId !== currentUserId && (
+                    <span style={{ color: '#8e8e8e' }}> · @{collection.owner.handle}</span>
+                  )}
+                </span>
+                <i className={inCollection ? 'fas fa-check' : 'fas fa-plus'} style={{ color: inCollection ? '#0095f6' : '#8e8e8e' }}></i>
+              </button>
+            </form>
+          )
+        })}
+        <a href="/saved" style={{ ...ROW_STYLE, display: 'block', color: '#0095f6', textDecoration: 'none', borderTop: collections.length > 0 ? '1px solid #efefef' : 'none' }}>
+          <i className="fas fa-plus"></i> New collection
+        </a>
+      </div>
+    </details>
+  )
+}
+
+module.exports = SaveToCollection
@@ -1,22 +1,20 @@
 const React = require('react');
 const Layout = require('../layouts/Layout');
 const { getAvatarUrl } = require('../utils/avatar');
+const { profileUrl } = require('../utils/profile');
+const MediaCarousel = require('./MediaCarousel');
+const RichText = require('./RichText');
+const RepostButton = require('./RepostButton');
+const SaveToCollection = require('./SaveToCollection');
 
-function ShowPost({ post, token, currentUserId, savedPostIds }) {
+function ShowPost({ post, token, csrfToken, currentUserId, savedPostIds, canModerate, reposted, collections }) {
     const liked = currentUserId && post.likedBy &&
         post.likedBy.some(id => id.toString() === currentUserId)
     const saved = savedPostIds && savedPostIds.includes(post._id.toString())
     const isOwner = currentUserId && post.author._id.toString() === currentUserId
 
-    const captionWords = post.caption.split(/(\s+)/).map((word, i) =>
-        word.startsWith('#')
-            ? <a key={i} href={`/tags/${word.slice(1)}`}
-                 style={{ color: '#00376b', textDecoration: 'none', fontWeight: '400' }}>{word}</a>
-            : word
-    )
-
     return (
-        <Layout token={token}>
+        <Layout token={token} csrfToken={csrfToken}>
             {/* ── Back navigation ── */}
             <div style={{ maxWidth: '935px', margin: '0 auto 1rem', padding: '0 1rem' }}>
                 <a
@@ -52,11 +50,9 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                     justifyContent: 'center',
                     overflow: 'hidden',
                 }}>
-                    <img
-                        src={post.imageUrl || 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'}
-                        alt="Post"
-                        onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800'"
-                        style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
+                    <MediaCarousel
+                        post={post}
+                        imageStyle={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
                     />
                 </div>
 
@@ -78,7 +74,7 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                         flexShrink: 0,
                     }}>
                         <a
-                            href={post.author._id.toString() === currentUserId ? '/authors/profile' : `/authors/${post.author._id}`}
+                            href={post.author._id.toString() === currentUserId ? '/authors/profile' : profileUrl(post.author)}
                             style={{ display: 'flex', alignItems: 'center', gap: '0.65rem', textDecoration: 'none' }}
                         >
                             <img
@@ -93,15 +89,46 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                 {post.author.name}
                             </span>
                         </a>
+                        {/* Location – a link to the place page when the post is geotagged */}
+                        {post.location && (
+                            post.place
+                                ? <a href={`/places/${post.place._id || post.place}`} style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#262626', textDecoration: 'none' }}>
+                                    <i className="fas fa-map-marker-alt" style={{ color: '#8e8e8e' }}></i> {post.location}
+                                  </a>
+                                : <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#8e8e8e' }}>{post.location}</span>
+                        )}
 
                         {/* Options menu */}
                         {isOwner && (
+                            <a href={`/posts/${post._id}/edit`} title="Edit post" style={{ color: '#8e8e8e', marginLeft: 'auto', marginRight: '0.5rem' }}>
+                                <i className="fas fa-pen" style={{ fontSize: '0.85rem' }}></i>
+                            </a>
+                        )}
+                        {isOwner && (
+                            <form action={`/posts/${post._id}/archive`} method="POST" style={{ margin: 0 }}>
+                                <input type="hidden" name="_csrf" value={csrfToken} />
+                                <button
+                                    type="submit"
+                                    title="Archive post"
+                                    style={{
+                                        background: 'none', border: 'none', cursor: 'pointer',
+                                        color: '#8e8e8e', fontSize: '1.1rem', padding: '0.25rem',
+                                    }}
+                                >
+                                    <i className="fas fa-archive" style={{ fontSize: '0.85rem' }}></i>
+                                </button>
+                            </form>
+                        )}
+                        {(isOwner || canModerate) && (
                             <form
                                 action={`/posts/${post._id}?_method=DELETE`}
                                 method="POST"
                                 style={{ margin: 0 }}
-                                onsubmit="return confirm('Delete this post?')"
+                                onsubmit={isOwner
+                                    ? "return confirm('Move this post to Recently deleted? You can restore it from your profile.')"
+                                    : "return confirm('Delete this post?')"}
                             >
+                                <input type="hidden" name="_csrf" value={csrfToken} />
                                 <button
                                     type="submit"
                                     title="Delete post"
@@ -136,7 +163,7 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                 <span style={{ fontWeight: '600', color: '#262626', marginRight: '0.3rem' }}>
                                     {post.author.name}
                                 </span>
-                                <span style={{ color: '#262626' }}>{captionWords}</span>
+                                <span style={{ color: '#262626' }}><RichText text={post.caption} /></span>
                                 {post.hashtags && post.hashtags.length > 0 && (
                                     <div style={{ marginTop: '0.3rem', display: 'flex', flexWrap: 'wrap', gap: '0.2rem' }}>
                                         {post.hashtags.map(tag => (
@@ -149,6 +176,15 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                 )}
                                 <div style={{ color: '#8e8e8e', fontSize: '0.7rem', marginTop: '0.35rem', textTransform: 'uppercase', letterSpacing: '0.02em' }}>
                                     {new Date(post.createdAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}
+                                    {post.editedAt && (
+                                        <span style={{ marginLeft: '0.5rem' }} title={new Date(post.editedAt).toLocaleString('en-GB')}>· Edited</span>
+                                    )}
+                                    {post.audience === 'closeFriends' && (
+                                        <span style={{ color: '#1cd14f', marginLeft: '0.5rem' }}><i className="fas fa-star"></i> Close friends</span>
+                                    )}
+                                    {post.audience === 'followers' && (
+                                        <span style={{ marginLeft: '0.5rem' }}><i className="fas fa-user-friends"></i> Followers</span>
+                                    )}
                                 </div>
                             </div>
                         </div>
@@ -180,14 +216,15 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                             <span style={{ fontWeight: '600', color: '#262626', marginRight: '0.35rem' }}>
                                                 {comment.author.name}
                                             </span>
-                                            <span style={{ color: '#262626' }}>{comment.content}</span>
+                                            <span style={{ color: '#262626' }}><RichText text={comment.content} /></span>
                                         </div>
-                                        {isMyComment && (
+                                        {(isMyComment || canModerate) && (
                                             <form
                                                 action={`/posts/${post._id}/comments/${comment._id}?_method=DELETE`}
                                                 method="POST"
                                                 style={{ margin: 0, flexShrink: 0 }}
                                             >
+                                                <input type="hidden" name="_csrf" value={csrfToken} />
                                                 <button type="submit" title="Delete comment" style={{
                                                     background: 'none', border: 'none', cursor: 'pointer',
                                                     color: '#8e8e8e', padding: '0.1rem 0.25rem', fontSize: '0.75rem',
@@ -214,6 +251,7 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                             {/* Left actions */}
                             <div style={{ display: 'flex', gap: '0.25rem', alignItems: 'center' }}>
                                 <form action={`/posts/${post._id}/like`} method="POST" style={{ margin: 0 }}>
+                                    <input type="hidden" name="_csrf" value={csrfToken} />
                                     <button type="submit" title={liked ? 'Unlike' : 'Like'} style={{
                                         background: 'none', border: 'none', cursor: 'pointer',
                                         padding: '0.4rem', fontSize: '1.4rem', lineHeight: 1,
@@ -230,6 +268,18 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                     <i className="far fa-comment"></i>
                                 </button>
 
+                                {!isOwner && (
+                                    <RepostButton
+                                        post={post}
+                                        reposted={reposted}
+                                        csrfToken={csrfToken}
+                                        style={{
+                                            background: 'none', border: 'none', cursor: 'pointer',
+                                            padding: '0.4rem', fontSize: '1.2rem', lineHeight: 1, color: '#262626',
+                                        }}
+                                    />
+                                )}
+
                                 <button style={{
                                     background: 'none', border: 'none', cursor: 'pointer',
                                     padding: '0.4rem', fontSize: '1.2rem', lineHeight: 1, color: '#262626',
@@ -238,20 +288,34 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                 </button>
                             </div>
 
-                            {/* Bookmark */}
-                            <form action={`/posts/${post._id}/save`} method="POST" style={{ margin: 0 }}>
-                                <button type="submit" title={saved ? 'Unsave' : 'Save'} style={{
-                                    background: 'none', border: 'none', cursor: 'pointer',
-                                    padding: '0.4rem', fontSize: '1.2rem', lineHeight: 1, color: '#262626',
-                                }}>
-                                    <i className={saved ? 'fas fa-bookmark' : 'far fa-bookmark'}></i>
-                                </button>
-                            </form>
+                            {/* Bookmark + save to a collection */}
+                            <div style={{ display: 'flex', alignItems: 'center' }}>
+                                <SaveToCollection
+                                    post={post}
+                                    collections={collections}
+                                    currentUserId={currentUserId}
+                                    csrfToken={csrfToken}
+                                />
+                                <form action={`/posts/${post._id}/save`} method="POST" style={{ margin: 0 }}>
+                                    <input type="hidden" name="_csrf" value={csrfToken} />
+                                    <button type="submit" title={saved ? 'Unsave' : 'Save'} style={{
+                                        background: 'none', border: 'none', cursor: 'pointer',
+                                        padding: '0.4rem', fontSize: '1.2rem', lineHeight: 1, color: '#262626',
+                                    }}>
+                                        <i className={saved ? 'fas fa-bookmark' : 'far fa-bookmark'}></i>
+                                    </button>
+                                </form>
+                            </div>
                         </div>
 
                         {/* Likes count */}
                         <div style={{ padding: '0 1rem 0.4rem', fontSize: '0.875rem', fontWeight: '600', color: '#262626' }}>
                             {post.likesCount.toLocaleString()} likes
+                            {post.repostsCount > 0 && (
+                                <span style={{ marginLeft: '0.75rem' }}>
+                                    {post.repostsCount.toLocaleString()} {post.repostsCount === 1 ? 'repost' : 'reposts'}
+                                </span>
+                            )}
                         </div>
 
                         {/* Add comment form */}
@@ -266,6 +330,7 @@ function ShowPost({ post, token, currentUserId, savedPostIds }) {
                                 gap: '0.5rem',
                             }}
                         >
+                            <input type="hidden" name="_csrf" value={csrfToken} />
                             <input
                                 type="text"
                                 name="content"
@@ -0,0 +1,25 @@
+/**
+ * Returns a short, readable device label from a User-Agent string, e.g. "Chrome on Windows".
+ * Falls back to the raw string (or "Unknown device") for clients it doesn't recognise.
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device'
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/OPR\//.test(userAgent) && 'Opera') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    null
+  const os =
+    (/Android/.test(userAgent) && 'Android') ||
+    (/iPhone|iPad|iPod/.test(userAgent) && 'iOS') ||
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Mac OS X|Macintosh/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    null
+  if (browser && os) return `${browser} on ${os}`
+  return browser || os || userAgent.slice(0, 60)
+}
+
+module.exports = { describeUserAgent }
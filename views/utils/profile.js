@@ -0,0 +1,10 @@
+/**
+ * Returns the public profile URL for a user: /@handle when the handle is known
+ * (populated with the user), otherwise /authors/:id.
+ */
+function profileUrl(user) {
+  if (user && user.handle) return `/@${user.handle}`
+  return `/authors/${user?._id || user}`
+}
+
+module.exports = { profileUrl }